@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Create or update a staff account for the admin panel
+ *
+ * Usage:
+ *   npm run staff:create -- --email=jane@sirtifai.com --role=finance --first-name=Jane --last-name=Doe
+ *
+ * The password is read from STAFF_PASSWORD. Roles: admin, finance, support.
+ * Running it again for an existing email updates the role (and the password
+ * if STAFF_PASSWORD is set).
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../src/config/db.js';
+import User from '../src/models/User.js';
+import { ROLE_PERMISSIONS, USER_STATUS } from '../src/config/constants.js';
+
+dotenv.config();
+
+const args = Object.fromEntries(
+  process.argv.slice(2)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => {
+      const [key, ...value] = arg.slice(2).split('=');
+      return [key, value.join('=')];
+    })
+);
+
+async function createStaffUser() {
+  const email = String(args.email || '').toLowerCase().trim();
+  const role = args.role;
+  const password = process.env.STAFF_PASSWORD;
+
+  if (!email || !ROLE_PERMISSIONS[role]) {
+    throw new Error(`Usage: --email=<email> --role=<${Object.keys(ROLE_PERMISSIONS).join('|')}> [--first-name= --last-name=]`);
+  }
+
+  await connectDB();
+  if (mongoose.connection.readyState !== 1) {
+    throw new Error('Could not connect to MongoDB');
+  }
+
+  let user = await User.findByEmail(email);
+  if (user) {
+    user.role = role;
+    if (password) {
+      user.password = password;
+    }
+  } else {
+    if (!password) {
+      throw new Error('Set STAFF_PASSWORD to create a new staff account');
+    }
+    user = new User({
+      firstName: args['first-name'] || email.split('@')[0],
+      lastName: args['last-name'] || 'Staff',
+      email,
+      password,
+      role,
+      status: USER_STATUS.ACTIVE,
+    });
+  }
+
+  await user.save();
+  console.log(`Staff account ${email} saved with role ${role}`);
+}
+
+createStaffUser()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
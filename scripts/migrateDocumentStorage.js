@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Move learner ID documents and photos stored as base64 data URLs in
+ * MongoDB to document storage (STORAGE_DRIVER)
+ *
+ * Usage:
+ *   npm run documents:migrate               # move everything
+ *   npm run documents:migrate -- --dry-run  # count what would move
+ *
+ * Each document is written to storage first and then swapped for its key,
+ * checksum and size in one update, so the command can be stopped and run
+ * again at any point; learners already migrated are skipped.
+ * Run `npm run learners:migrate` first on databases from before the
+ * Learner/Enrollment split.
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../src/config/db.js';
+import { config } from '../src/config/index.js';
+import studentDocumentService from '../src/services/studentDocumentService.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrateDocumentStorage() {
+  await connectDB();
+  if (mongoose.connection.readyState !== 1) {
+    throw new Error('Could not connect to MongoDB');
+  }
+
+  console.log(`${dryRun ? 'Dry run: ' : ''}moving learner documents to ${config.STORAGE_DRIVER} storage`);
+
+  const summary = await studentDocumentService.migrateAll({
+    dryRun,
+    onLearner: (learner, result) => {
+      result.moved.forEach(item => console.log(`  ${learner.learnerId} ${item.kind}: ${item.size} bytes${item.key ? ` -> ${item.key}` : ''}`));
+      result.failed.forEach(item => console.error(`  ${learner.learnerId} ${item.kind}: ${item.error}`));
+    },
+  });
+
+  console.log(`${summary.learners} learners, ${summary.moved} documents (${summary.bytes} bytes) ${dryRun ? 'to move' : 'moved'}, ${summary.failed.length} failed`);
+  if (summary.failed.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+migrateDocumentStorage()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
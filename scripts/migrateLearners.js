@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+/**
+ * Move Student records saved before the Learner/Enrollment split to the
+ * new shape: one Learner per ID document (identity, contact details, KYC
+ * documents, email verification) and one Enrollment per registration
+ * (program, pricing, payment, invoice, status), keeping each record's _id
+ * and studentId.
+ *
+ * Usage:
+ *   npm run learners:migrate               # move everything
+ *   npm run learners:migrate -- --dry-run  # count what would move
+ *
+ * The students collection is only read, so the command can be stopped and
+ * run again at any point; students already moved are skipped. Run it
+ * before `npm run documents:migrate`.
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../src/config/db.js';
+import learnerService from '../src/services/learnerService.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrateLearners() {
+  await connectDB();
+  if (mongoose.connection.readyState !== 1) {
+    throw new Error('Could not connect to MongoDB');
+  }
+
+  console.log(`${dryRun ? 'Dry run: ' : ''}moving students to learners and enrollments`);
+
+  const summary = await learnerService.migrateLegacyStudents({
+    dryRun,
+    onStudent: (student, result) => {
+      if (result.error) {
+        console.error(`  ${student.studentId}: ${result.error}`);
+      } else if (!result.skipped) {
+        console.log(`  ${student.studentId} -> ${result.learnerId || 'new learner'}${result.learnerCreated ? ' (new)' : ''}`);
+      }
+    },
+  });
+
+  console.log(`${summary.students} students: ${summary.enrollments} enrollments and ${summary.learners} learners ${dryRun ? 'to create' : 'created'}, ${summary.skipped} already moved, ${summary.failed.length} failed`);
+  if (summary.failed.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+migrateLearners()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -1,11 +1,22 @@
 import express from 'express';
 import cors from 'cors';
+import mongoose from 'mongoose';
 import connectDB from './config/db.js';
 import paymentController from './controllers/paymentController.js';
 import invoiceController from './controllers/invoiceController.js';
 import adminController from './controllers/adminController.js';
-
-import { uploadSingle, uploadMultiple } from './middleware/upload.js';
+import donationController from './controllers/donationController.js';
+import productController from './controllers/productController.js';
+import uploadController from './controllers/uploadController.js';
+import portalController from './controllers/portalController.js';
+import studentController from './controllers/studentController.js';
+import authRoutes from './routes/auth.js';
+import { globalErrorHandler } from './middlewares/error.js';
+import catalogService from './services/catalogService.js';
+import checkoutRecoveryService from './services/checkoutRecoveryService.js';
+import installmentService from './services/installmentService.js';
+import subscriptionService from './services/subscriptionService.js';
+import reconciliationService from './services/reconciliationService.js';
 
 /**
  * Express application setup
@@ -14,65 +25,43 @@ import { uploadSingle, uploadMultiple } from './middleware/upload.js';
 
 const app = express();
 console.log("Hello World");
-// Connect to database (non-blocking)
-connectDB().catch(console.error);
+// Connect to database (non-blocking), then add any catalog products missing
+// from the database and start the abandoned-checkout sweeper and daily
+// settlement reconciliation
+connectDB()
+  .then(async () => {
+    if (mongoose.connection.readyState === 1) {
+      console.log('Product catalog seeded:', await catalogService.seedFromJson());
+      checkoutRecoveryService.start();
+      installmentService.start();
+      subscriptionService.start();
+      reconciliationService.start();
+    }
+  })
+  .catch(console.error);
 
 // Middleware
-app.use(express.json({ limit: '5mb' })); // or '10mb', adjust as needed
+app.use(express.json({
+  limit: '5mb', // or '10mb', adjust as needed
+  // Keep the raw body around so webhook signatures can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: '5mb' }));
 
 app.use(cors());
 
-// Serve uploaded files statically
-app.use('/uploads', express.static('uploads'));
-
 // Routes
+app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/payments', paymentController);
 app.use('/api/v1/invoices', invoiceController);
 app.use('/api/v1/admin', adminController);
-
-// File upload routes
-app.post('/api/v1/upload/single', uploadSingle, (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({
-      success: false,
-      message: 'No file uploaded'
-    });
-  }
-  
-  res.json({
-    success: true,
-    message: 'File uploaded successfully',
-    data: {
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      size: req.file.size,
-      path: `/uploads/${req.file.filename}`
-    }
-  });
-});
-
-app.post('/api/v1/upload/multiple', uploadMultiple, (req, res) => {
-  if (!req.files || req.files.length === 0) {
-    return res.status(400).json({
-      success: false,
-      message: 'No files uploaded'
-    });
-  }
-  
-  const files = req.files.map(file => ({
-    filename: file.filename,
-    originalName: file.originalname,
-    size: file.size,
-    path: `/uploads/${file.filename}`
-  }));
-  
-  res.json({
-    success: true,
-    message: 'Files uploaded successfully',
-    data: files
-  });
-});
+app.use('/api/v1/donations', donationController);
+app.use('/api/v1/products', productController);
+app.use('/api/v1/upload', uploadController);
+app.use('/api/v1/me', portalController);
+app.use('/api/v1/students', studentController);
 
 // Basic health check
 app.get('/health', (req, res) => {
@@ -87,13 +76,16 @@ app.get('/', (req, res) => {
     endpoints: {
       payments: '/api/v1/payments',
       invoices: '/api/v1/invoices',
-      upload: {
-        single: '/api/v1/upload/single',
-        multiple: '/api/v1/upload/multiple'
-      },
+      donations: '/api/v1/donations',
+      products: '/api/v1/products',
+      auth: '/api/v1/auth',
+      upload: '/api/v1/upload',
       health: '/health'
     }
   });
 });
 
+// Errors passed to next() by the auth routes
+app.use(globalErrorHandler);
+
 export default app;
@@ -13,6 +13,7 @@ export const HTTP_STATUS = {
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
   UNPROCESSABLE_ENTITY: 422,
   TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
@@ -25,6 +26,40 @@ export const USER_ROLES = {
   USER: 'user',
   MODERATOR: 'moderator',
   GUEST: 'guest',
+  FINANCE: 'finance',
+  SUPPORT: 'support',
+};
+
+// Admin panel permissions
+export const ADMIN_PERMISSIONS = {
+  STUDENTS_READ: 'students:read', // name, program, enrollment and payment status
+  STUDENT_CONTACTS_READ: 'students:contacts', // email, phone, address
+  STUDENT_DOCUMENTS_READ: 'students:documents', // ID number, ID document, photo
+  STUDENTS_MANAGE: 'students:manage', // status transitions (enroll, suspend, complete, cancel)
+  PAYMENTS_READ: 'payments:read', // prices, totals, invoices, refunds, donations, webhooks, revenue
+  PAYMENTS_MANAGE: 'payments:manage', // refunds, webhook replay, reconciliation, reward payouts
+  PROMOTIONS_READ: 'promotions:read', // coupons and referral codes
+  PROMOTIONS_MANAGE: 'promotions:manage',
+  CATALOG_MANAGE: 'catalog:manage',
+  AUDIT_READ: 'audit:read', // audit log and chain verification (admin only)
+};
+
+// Staff roles and what they may see/do in the admin panel; roles not
+// listed here have no admin access
+export const ROLE_PERMISSIONS = {
+  [USER_ROLES.ADMIN]: Object.values(ADMIN_PERMISSIONS),
+  [USER_ROLES.FINANCE]: [
+    ADMIN_PERMISSIONS.STUDENTS_READ,
+    ADMIN_PERMISSIONS.STUDENT_CONTACTS_READ,
+    ADMIN_PERMISSIONS.PAYMENTS_READ,
+    ADMIN_PERMISSIONS.PAYMENTS_MANAGE,
+    ADMIN_PERMISSIONS.PROMOTIONS_READ,
+  ],
+  [USER_ROLES.SUPPORT]: [
+    ADMIN_PERMISSIONS.STUDENTS_READ,
+    ADMIN_PERMISSIONS.STUDENT_CONTACTS_READ,
+    ADMIN_PERMISSIONS.STUDENTS_MANAGE,
+  ],
 };
 
 // User Status
@@ -41,6 +76,7 @@ export const TOKEN_TYPES = {
   REFRESH: 'refresh',
   RESET_PASSWORD: 'reset_password',
   VERIFY_EMAIL: 'verify_email',
+  STUDENT_ACCESS: 'student_access',
 };
 
 // Error Codes
@@ -53,6 +89,7 @@ export const ERROR_CODES = {
   INTERNAL_ERROR: 'INTERNAL_ERROR',
   EXTERNAL_SERVICE_ERROR: 'EXTERNAL_SERVICE_ERROR',
   RATE_LIMIT_ERROR: 'RATE_LIMIT_ERROR',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
 };
 
 // Database Collections/Tables
@@ -160,6 +197,43 @@ export const STUDENT_STATUS = {
   CANCELLED: 'CANCELLED'
 };
 
+// Who an uploaded file belongs to
+export const UPLOAD_OWNER_TYPES = {
+  STAFF: 'staff', // admin panel user (owner id is the user id)
+  STUDENT: 'student' // owner id is the studentId
+};
+
+// File types accepted by /api/v1/upload, with the extension used for storage keys
+export const UPLOAD_FILE_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'text/plain': '.txt'
+};
+
+// An upload is PENDING while its file is being stored
+export const UPLOAD_STATUS = {
+  PENDING: 'PENDING',
+  READY: 'READY'
+};
+
+// Documents a student uploads, as named in admin document URLs
+export const STUDENT_DOCUMENT_KINDS = {
+  ID_DOCUMENT: 'id-document',
+  PHOTO: 'photo'
+};
+
+export const REGISTRATION_SOURCES = {
+  WEBSITE: 'WEBSITE',
+  MOBILE_APP: 'MOBILE_APP',
+  ADMIN_PANEL: 'ADMIN_PANEL',
+  BULK_IMPORT: 'BULK_IMPORT'
+};
+
 export const PAYMENT_STATUS = {
   PENDING: 'PENDING',
   PROCESSING: 'PROCESSING',
@@ -168,6 +242,22 @@ export const PAYMENT_STATUS = {
   REFUNDED: 'REFUNDED'
 };
 
+// Student status moves staff can make; COMPLETED and CANCELLED are final
+export const STUDENT_STATUS_TRANSITIONS = {
+  [STUDENT_STATUS.PENDING]: [STUDENT_STATUS.ENROLLED, STUDENT_STATUS.CANCELLED],
+  [STUDENT_STATUS.ENROLLED]: [STUDENT_STATUS.SUSPENDED, STUDENT_STATUS.COMPLETED, STUDENT_STATUS.CANCELLED],
+  [STUDENT_STATUS.SUSPENDED]: [STUDENT_STATUS.ENROLLED, STUDENT_STATUS.CANCELLED],
+  [STUDENT_STATUS.COMPLETED]: [],
+  [STUDENT_STATUS.CANCELLED]: [],
+};
+
+// Payment statuses a student needs to be moved into a status
+export const STUDENT_STATUS_PAYMENT_REQUIREMENTS = {
+  [STUDENT_STATUS.ENROLLED]: [PAYMENT_STATUS.SUCCESS],
+  [STUDENT_STATUS.SUSPENDED]: [PAYMENT_STATUS.SUCCESS],
+  [STUDENT_STATUS.COMPLETED]: [PAYMENT_STATUS.SUCCESS],
+};
+
 export const ID_TYPES = {
   AADHAAR: 'AADHAAR',
   PASSPORT: 'PASSPORT',
@@ -183,4 +273,152 @@ export const QUALIFICATION_LEVELS = {
   MASTER: 'MASTER',
   PHD: 'PHD',
   OTHER: 'OTHER'
-};
\ No newline at end of file
+};
+
+export const WEBHOOK_EVENT_STATUS = {
+  RECEIVED: 'RECEIVED',
+  PROCESSED: 'PROCESSED',
+  IGNORED: 'IGNORED',
+  FAILED: 'FAILED'
+};
+
+// GST rate (%) per SAC code; codes not listed use DEFAULT_GST_RATE
+export const DEFAULT_GST_RATE = 18;
+
+export const GST_RATES_BY_SAC = {
+  '999293': 18, // Commercial training and coaching services
+  '998596': 18, // Other support services
+};
+
+export const TAX_TYPES = {
+  INTRA_STATE: 'INTRA_STATE', // CGST + SGST
+  INTER_STATE: 'INTER_STATE', // IGST
+};
+
+export const REFUND_STATUS = {
+  PENDING: 'PENDING',
+  PROCESSED: 'PROCESSED',
+  FAILED: 'FAILED'
+};
+
+export const COUPON_TYPES = {
+  PERCENTAGE: 'PERCENTAGE',
+  FLAT: 'FLAT'
+};
+
+export const REFERRAL_OWNER_TYPES = {
+  STUDENT: 'STUDENT',
+  PARTNER: 'PARTNER'
+};
+
+export const REFERRAL_REWARD_STATUS = {
+  PENDING: 'PENDING',
+  APPROVED: 'APPROVED',
+  PAID: 'PAID',
+  CANCELLED: 'CANCELLED'
+};
+
+// Installments of an installment plan: OVERDUE ones are past their due
+// date and the enrollment is suspended once their grace period ends
+export const INSTALLMENT_STATUS = {
+  PENDING: 'PENDING',
+  PAID: 'PAID',
+  OVERDUE: 'OVERDUE'
+};
+
+// How a monthly product is paid: the whole duration at checkout, or month
+// by month through a Razorpay subscription
+export const BILLING_MODES = {
+  UPFRONT: 'upfront',
+  SUBSCRIPTION: 'subscription'
+};
+
+// Razorpay subscription statuses (as the gateway reports them)
+export const SUBSCRIPTION_STATUS = {
+  CREATED: 'created',
+  AUTHENTICATED: 'authenticated',
+  ACTIVE: 'active',
+  PENDING: 'pending',
+  HALTED: 'halted',
+  CANCELLED: 'cancelled',
+  COMPLETED: 'completed',
+  EXPIRED: 'expired'
+};
+
+// Outcome of an abandoned checkout that was followed up
+export const CHECKOUT_RECOVERY_OUTCOMES = {
+  RECOVERED: 'RECOVERED',
+  LOST: 'LOST',
+  PENDING: 'PENDING'
+};
+
+export const RECONCILIATION_RUN_STATUS = {
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED'
+};
+
+// Mismatches between Enrollment records and what Razorpay captured/settled
+export const RECONCILIATION_DISCREPANCY_TYPES = {
+  CAPTURED_BUT_PENDING: 'CAPTURED_BUT_PENDING',
+  AMOUNT_MISMATCH: 'AMOUNT_MISMATCH',
+  SUCCESS_WITHOUT_CAPTURE: 'SUCCESS_WITHOUT_CAPTURE',
+  UNMATCHED_PAYMENT: 'UNMATCHED_PAYMENT'
+};
+
+// Who performed an audited action
+export const AUDIT_ACTOR_TYPES = {
+  STAFF: 'STAFF', // logged-in admin panel user
+  SYSTEM: 'SYSTEM', // webhooks and scheduled jobs
+  PUBLIC: 'PUBLIC' // unauthenticated request (checkout, invoice sending)
+};
+
+export const AUDIT_OUTCOMES = {
+  SUCCESS: 'SUCCESS',
+  FAILURE: 'FAILURE'
+};
+
+// Audited actions, named <target>.<verb>
+export const AUDIT_ACTIONS = {
+  STUDENT_DOCUMENT_VIEW: 'student.document.view',
+  STUDENT_TRANSITION: 'student.transition',
+  STUDENT_VERIFICATION_SEND: 'student.verification.send',
+  REFUND_CREATE: 'refund.create',
+  WEBHOOK_REPLAY: 'webhook.replay',
+  COUPON_CREATE: 'coupon.create',
+  COUPON_UPDATE: 'coupon.update',
+  REFERRAL_CREATE: 'referral.create',
+  REFERRAL_UPDATE: 'referral.update',
+  REFERRAL_REWARD_UPDATE: 'referral.reward.update',
+  PRODUCT_CREATE: 'product.create',
+  PRODUCT_UPDATE: 'product.update',
+  PRODUCT_PRICE_SCHEDULE: 'product.price.schedule',
+  PRODUCT_ARCHIVE: 'product.archive',
+  PRODUCT_RESTORE: 'product.restore',
+  CHECKOUT_SWEEP: 'checkout.sweep',
+  INSTALLMENT_SWEEP: 'installment.sweep',
+  SUBSCRIPTION_SWEEP: 'subscription.sweep',
+  SUBSCRIPTION_CANCEL: 'subscription.cancel',
+  RECONCILIATION_RUN: 'reconciliation.run',
+  PAYMENT_VERIFY: 'payment.verify',
+  PAYMENT_CAPTURE: 'payment.capture',
+  PAYMENT_FAIL: 'payment.fail',
+  INVOICE_SEND: 'invoice.send',
+  UPLOAD_CREATE: 'upload.create',
+  UPLOAD_DELETE: 'upload.delete'
+};
+
+// Catalog groups (keys of src/data/products.json)
+export const PRODUCT_GROUPS = [
+  'programs',
+  'programAddons',
+  'freelancer',
+  'freelancerAddons',
+  'international',
+  'internationalAddons'
+];
+
+export const PRODUCT_BILLING_TYPES = {
+  MONTHLY: 'monthly',
+  ONE_TIME: 'one-time'
+};
@@ -41,6 +41,13 @@ const config = {
   JWT_REFRESH_SECRET: process.env.JWT_REFRESH_SECRET || 'your-super-secret-refresh-key-change-this-in-production',
   JWT_REFRESH_EXPIRE: process.env.JWT_REFRESH_EXPIRE || '30d',
 
+  // Student portal: lifetime of emailed login links/codes and of the session
+  PORTAL_LOGIN_TTL_MINUTES: parseInt(process.env.PORTAL_LOGIN_TTL_MINUTES, 10) || 15,
+  PORTAL_SESSION_EXPIRE: process.env.PORTAL_SESSION_EXPIRE || '12h',
+
+  // Minimum wait between two verification emails to one student
+  EMAIL_VERIFICATION_RESEND_SECONDS: parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS, 10) || 120,
+
   // Email Configuration
   PAYMENTS_EMAIL_HOST: process.env.PAYMENTS_EMAIL_HOST || 'smtp.gmail.com',
   PAYMENTS_EMAIL_PORT: parseInt(process.env.PAYMENTS_EMAIL_PORT, 10) || 587,
@@ -48,10 +55,65 @@ const config = {
   PAYMENTS_EMAIL_PASSWORD: process.env.PAYMENTS_EMAIL_PASSWORD || '',
   PAYMENTS_EMAIL_FROM: process.env.PAYMENTS_EMAIL_FROM || 'payments@sirtifai.com',
 
+  // Company (seller) details printed on tax invoices
+  COMPANY_NAME: process.env.COMPANY_NAME || 'SIRTIFAI',
+  COMPANY_GSTIN: process.env.COMPANY_GSTIN || '',
+  COMPANY_ADDRESS: process.env.COMPANY_ADDRESS || '',
+  COMPANY_STATE: process.env.COMPANY_STATE || '',
+  COMPANY_EMAIL: process.env.COMPANY_EMAIL || 'support@sirtifai.com',
+
+  // Invoice numbering: one consecutive series per prefix and financial year
+  INVOICE_PREFIXES: {
+    programs: process.env.INVOICE_PREFIX_PROGRAMS || 'SRT',
+    freelancer: process.env.INVOICE_PREFIX_FREELANCER || 'SRT/FRL',
+    international: process.env.INVOICE_PREFIX_INTERNATIONAL || 'SRT/INT',
+  },
+  INVOICE_PREFIX_DEFAULT: process.env.INVOICE_PREFIX_DEFAULT || 'SRT',
+  CREDIT_NOTE_PREFIX: process.env.CREDIT_NOTE_PREFIX || 'SRT/CN',
+
+  // Referral program defaults for codes issued to enrolled students
+  // (types are PERCENTAGE or FLAT; a referee discount of 0 disables it)
+  REFERRAL_REWARD_TYPE: process.env.REFERRAL_REWARD_TYPE || 'FLAT',
+  REFERRAL_REWARD_VALUE: parseFloat(process.env.REFERRAL_REWARD_VALUE) || 500,
+  REFERRAL_REFEREE_DISCOUNT_TYPE: process.env.REFERRAL_REFEREE_DISCOUNT_TYPE || 'PERCENTAGE',
+  REFERRAL_REFEREE_DISCOUNT_VALUE: parseFloat(process.env.REFERRAL_REFEREE_DISCOUNT_VALUE) || 0,
+
+  // Abandoned checkouts: unpaid orders get recovery emails this many hours
+  // after checkout started (at most two) and are marked FAILED once the TTL passes
+  CHECKOUT_TTL_HOURS: parseFloat(process.env.CHECKOUT_TTL_HOURS) || 72,
+  CHECKOUT_REMINDER_HOURS: (process.env.CHECKOUT_REMINDER_HOURS || '1,24')
+    .split(',')
+    .map(hours => parseFloat(hours))
+    .filter(hours => hours > 0)
+    .slice(0, 2),
+  CHECKOUT_SWEEP_INTERVAL_MINUTES: parseInt(process.env.CHECKOUT_SWEEP_INTERVAL_MINUTES ?? '15', 10), // 0 disables the sweeper
+
+  // Installment plans: reminders this many days before an installment is
+  // due, and days an overdue installment may stay unpaid before the
+  // enrollment is suspended
+  INSTALLMENT_REMINDER_DAYS: (process.env.INSTALLMENT_REMINDER_DAYS || '7,1')
+    .split(',')
+    .map(days => parseFloat(days))
+    .filter(days => days > 0)
+    .sort((a, b) => b - a),
+  INSTALLMENT_GRACE_DAYS: parseFloat(process.env.INSTALLMENT_GRACE_DAYS ?? '7'),
+  INSTALLMENT_SWEEP_INTERVAL_MINUTES: parseInt(process.env.INSTALLMENT_SWEEP_INTERVAL_MINUTES ?? '60', 10), // 0 disables the sweeper
+
+  // Monthly subscriptions: days a lapsed month may stay uncharged (while
+  // Razorpay retries the payment) before the enrollment is suspended
+  SUBSCRIPTION_GRACE_DAYS: parseFloat(process.env.SUBSCRIPTION_GRACE_DAYS ?? '3'),
+  SUBSCRIPTION_SWEEP_INTERVAL_MINUTES: parseInt(process.env.SUBSCRIPTION_SWEEP_INTERVAL_MINUTES ?? '60', 10), // 0 disables the sweeper
+
+  // Reconcile the previous day's Razorpay payments and settlements once a day
+  RECONCILIATION_DAILY: process.env.RECONCILIATION_DAILY !== 'false',
+
   // Rate Limiting
   RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 900000, // 15 minutes
   RATE_LIMIT_MAX_REQUESTS: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100,
 
+  // Frontend used for links in emails
+  FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:3000',
+
   // CORS Configuration
   CORS_ORIGIN: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : ['http://localhost:3000'],
 
@@ -61,7 +123,24 @@ const config = {
 
   // File Upload
   MAX_FILE_SIZE: parseInt(process.env.MAX_FILE_SIZE, 10) || 5242880, // 5MB
-  UPLOAD_PATH: process.env.UPLOAD_PATH || 'uploads/',
+  UPLOAD_QUOTA_BYTES: parseInt(process.env.UPLOAD_QUOTA_BYTES, 10) || 52428800, // 50MB per owner
+  UPLOAD_QUOTA_FILES: parseInt(process.env.UPLOAD_QUOTA_FILES, 10) || 100, // files per owner
+
+  // Signed links to uploaded files: HMAC key and default/maximum lifetime
+  UPLOAD_URL_SECRET: process.env.UPLOAD_URL_SECRET || 'your-upload-url-secret-change-this-in-production',
+  UPLOAD_URL_TTL_SECONDS: parseInt(process.env.UPLOAD_URL_TTL_SECONDS, 10) || 900, // 15 minutes
+  UPLOAD_URL_MAX_TTL_SECONDS: parseInt(process.env.UPLOAD_URL_MAX_TTL_SECONDS, 10) || 86400, // 24 hours
+
+  // Student document storage: 'local' (files under STORAGE_LOCAL_PATH) or
+  // 's3' (any S3-compatible service - AWS S3, MinIO, R2, ...)
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'local',
+  STORAGE_LOCAL_PATH: process.env.STORAGE_LOCAL_PATH || 'storage/',
+  S3_ENDPOINT: process.env.S3_ENDPOINT || '', // e.g. http://localhost:9000; empty for AWS
+  S3_REGION: process.env.S3_REGION || 'us-east-1',
+  S3_BUCKET: process.env.S3_BUCKET || '',
+  S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID || '',
+  S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY || '',
+  S3_FORCE_PATH_STYLE: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : Boolean(process.env.S3_ENDPOINT),
 
   // Security
   BCRYPT_ROUNDS: parseInt(process.env.BCRYPT_ROUNDS, 10) || 12,
@@ -80,6 +159,7 @@ const config = {
 const requiredEnvVars = [
   'JWT_SECRET',
   'JWT_REFRESH_SECRET',
+  'UPLOAD_URL_SECRET',
 ];
 
 if (config.NODE_ENV === 'production') {
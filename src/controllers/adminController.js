@@ -1,104 +1,1448 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import dotenv from 'dotenv';
-import Student from '../models/Student.js';
-import { PAGINATION } from '../config/constants.js';
+import Enrollment from '../models/Enrollment.js';
+import Learner from '../models/Learner.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import Donation from '../models/Donation.js';
+import Coupon from '../models/Coupon.js';
+import ReferralCode from '../models/ReferralCode.js';
+import ReferralReward from '../models/ReferralReward.js';
+import Product from '../models/Product.js';
+import ReconciliationRun from '../models/ReconciliationRun.js';
+import AuditLog from '../models/AuditLog.js';
+import webhookService from '../services/webhookService.js';
+import refundService from '../services/refundService.js';
+import referralService from '../services/referralService.js';
+import catalogService from '../services/catalogService.js';
+import checkoutRecoveryService from '../services/checkoutRecoveryService.js';
+import installmentService from '../services/installmentService.js';
+import subscriptionService from '../services/subscriptionService.js';
+import reconciliationService from '../services/reconciliationService.js';
+import studentLifecycleService from '../services/studentLifecycleService.js';
+import auditService from '../services/auditService.js';
+import studentDocumentService from '../services/studentDocumentService.js';
+import emailVerificationService from '../services/emailVerificationService.js';
+import { buildStudentListQuery } from '../utils/studentQuery.js';
+import { STUDENT_DOCUMENT_FIELDS, getDocumentMetadata } from '../utils/studentDocuments.js';
+import { getAvailableTransitions } from '../utils/studentLifecycle.js';
+import { getChargeAmountINR, getChargeInvoice, isSubscription } from '../utils/subscriptions.js';
+import { sendFile } from '../utils/fileResponse.js';
+import { maskSensitiveData } from '../utils/helpers.js';
+import { authenticate, requireStaff, requirePermission, hasPermission } from '../middlewares/auth.js';
+import { audit } from '../middlewares/audit.js';
+import { PAGINATION, REFERRAL_OWNER_TYPES, CHECKOUT_RECOVERY_OUTCOMES, ADMIN_PERMISSIONS, STUDENT_DOCUMENT_KINDS, AUDIT_ACTIONS } from '../config/constants.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
 
 // Load environment variables
 dotenv.config();
 
 const router = express.Router();
 
-// GET all students with pagination
-router.get('/', async (req, res) => {
+// Every admin route needs a logged-in staff user; each route then checks
+// the permission it needs (see ROLE_PERMISSIONS)
+router.use(authenticate, requireStaff);
+
+// Find a student's enrollment by Mongo id or public studentId, optionally selecting hidden fields
+const findStudent = async (id, select) => {
+  const query = mongoose.isValidObjectId(id)
+    ? Enrollment.findById(id)
+    : Enrollment.findByStudentId(id);
+  const student = await (select ? query.select(select) : query);
+
+  if (!student) {
+    throw new NotFoundError(`Student ${id} not found`);
+  }
+
+  return student;
+};
+
+// The learner an enrollment belongs to, optionally selecting hidden fields
+const findLearner = async (student, select) => {
+  const query = Learner.findById(student.learner);
+  const learner = await (select ? query.select(select) : query);
+
+  if (!learner) {
+    throw new NotFoundError(`Learner of student ${student.studentId} not found`);
+  }
+
+  return learner;
+};
+
+const formatRefunds = (student) => ({
+  studentId: student.studentId,
+  invoiceNumber: student.invoiceNumber,
+  paymentStatus: student.paymentStatus,
+  status: student.status,
+  totalINR: student.totalINR,
+  refundedAmountINR: student.refundedAmountINR,
+  refundableAmountINR: student.refundableAmountINR,
+  refunds: student.refunds,
+});
+
+// Student fields recorded in audit diffs of status and payment changes
+const pickStudentState = (student) => ({
+  status: student.status,
+  paymentStatus: student.paymentStatus,
+  refundedAmountINR: student.refundedAmountINR,
+});
+
+// Audit target of the /products/:group/:productId routes
+const productAuditTarget = { targetType: 'product', targetId: req => `${req.params.group}/${req.params.productId}` };
+
+// Product as it was before a catalog change, for the audit diff
+const getProductSnapshot = async ({ group, productId }) => (await catalogService.getProduct(group, productId)).toObject();
+
+// Learner document metadata with the URL its contents are downloaded from
+const formatDocument = (id, learner, kind) => {
+  const metadata = getDocumentMetadata(learner, kind);
+  return metadata && { ...metadata, url: `/api/v1/admin/students/${id}/documents/${kind}` };
+};
+
+// Installment schedule for staff (pay links left out)
+const formatInstallments = (student) => (student.installments || []).map(installment => ({
+  number: installment.number,
+  amountINR: installment.amountINR,
+  dueDate: installment.dueDate,
+  status: installment.status,
+  paidAt: installment.paidAt,
+  razorpayOrderId: installment.number > 1 ? installment.razorpayOrderId : student.razorpayOrderId,
+  razorpayPaymentId: installment.razorpayPaymentId,
+  invoiceNumber: installment.number > 1 ? installment.invoiceNumber : student.invoiceNumber,
+  remindersSent: installment.reminders?.length || 0,
+  overdueAt: installment.overdueAt,
+  graceEndsAt: installment.graceEndsAt,
+}));
+
+// Monthly subscription billing for staff, with each charge recorded
+const formatSubscription = (student) => ({
+  razorpaySubscriptionId: student.subscription.razorpaySubscriptionId,
+  razorpayPlanId: student.subscription.razorpayPlanId,
+  status: student.subscription.status,
+  monthlyAmountINR: getChargeAmountINR(student, 2),
+  totalCount: student.subscription.totalCount,
+  accessEndsAt: student.accessEndsAt,
+  cancelRequestedAt: student.subscription.cancelRequestedAt,
+  cancelledBy: student.subscription.cancelledBy,
+  endedAt: student.subscription.endedAt,
+  suspendedAt: student.subscription.suspendedAt,
+  charges: (student.subscription.charges || []).map(charge => ({
+    number: charge.number,
+    amountINR: charge.amountINR,
+    paidAt: charge.paidAt,
+    periodStart: charge.periodStart,
+    periodEnd: charge.periodEnd,
+    razorpayPaymentId: charge.razorpayPaymentId,
+    razorpayOrderId: charge.razorpayOrderId,
+    invoiceNumber: getChargeInvoice(student, charge).invoiceNumber,
+  })),
+});
+
+// Student fields for the admin list (an enrollment with its learner
+// populated); contact details, identity documents and payment amounts are
+// each behind their own permission
+const formatStudent = (student, user, learner = student.learner || {}) => ({
+  id: student._id,
+  learnerId: learner.learnerId,
+  fullName: student.fullName,
+  dateOfBirth: learner.dateOfBirth,
+  countryOfCitizenship: learner.countryOfCitizenship,
+  referralCode: student.referralCode,
+
+  ...(hasPermission(user, ADMIN_PERMISSIONS.STUDENT_CONTACTS_READ) ? {
+    primaryPhone: student.primaryPhone,
+    secondaryPhone: learner.secondaryPhone,
+    whatsappNotifications: learner.whatsappNotifications,
+    email: student.email,
+    residentialAddress: student.residentialAddress,
+    city: student.city,
+    state: student.state,
+    zipCode: student.zipCode,
+    country: student.country,
+    linkedinProfile: learner.linkedinProfile,
+  } : {}),
+
+  highestQualification: learner.highestQualification,
+  specialization: learner.specialization,
+
+  currentProfession: learner.currentProfession,
+  currentOrganization: learner.currentOrganization,
+
+  // The full ID number is on the ID document, whose downloads are audited
+  ...(hasPermission(user, ADMIN_PERMISSIONS.STUDENT_DOCUMENTS_READ) ? {
+    idType: learner.idType,
+    idNumber: maskSensitiveData(learner.idNumber),
+    idDocument: formatDocument(student._id, learner, STUDENT_DOCUMENT_KINDS.ID_DOCUMENT),
+    studentPhoto: formatDocument(student._id, learner, STUDENT_DOCUMENT_KINDS.PHOTO),
+  } : {}),
+
+  programType: student.programType,
+  programName: student.programName,
+  programDuration: student.programDuration,
+  selectedAddons: student.selectedAddons,
+
+  ...(hasPermission(user, ADMIN_PERMISSIONS.PAYMENTS_READ) ? {
+    programPriceINR: student.programPriceINR,
+    addonPriceINR: student.addonPriceINR,
+
+    invoiceNumber: student.invoiceNumber,
+    subtotalINR: student.subtotalINR,
+    gstRate: student.gstRate,
+    totalINR: student.totalINR,
+
+    razorpayOrderId: student.razorpayOrderId,
+    invoiceLink: student.invoiceLink,
+
+    ...(student.installments?.length > 0 ? {
+      installmentPlan: student.installmentPlan,
+      installments: formatInstallments(student),
+      installmentSuspendedAt: student.installmentSuspendedAt,
+    } : {}),
+
+    ...(isSubscription(student) ? { subscription: formatSubscription(student) } : {}),
+  } : {}),
+
+  paymentStatus: student.paymentStatus,
+
+  agreedToTerms: student.agreedToTerms,
+  certifiedInformation: student.certifiedInformation,
+
+  status: student.status,
+  // Unverified learners may have mistyped their email
+  isEmailVerified: learner.isEmailVerified,
+  registrationSource: student.registrationSource,
+  createdAt: student.createdAt,
+});
+
+// GET students with pagination, filters, search and sort (see utils/studentQuery.js)
+router.get('/', requirePermission(ADMIN_PERMISSIONS.STUDENTS_READ), async (req, res) => {
+  try {
+    // Parse query params with defaults
+    const page = Math.max(parseInt(req.query.page) || PAGINATION.DEFAULT_PAGE, 1);
+    let limit = parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT;
+    limit = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+    const skip = (page - 1) * limit;
+
+    const { filter, learnerFilter, sort, applied } = buildStudentListQuery(req.query);
+
+    // Learner filters (citizenship, email verification) narrow the enrollments to those learners'
+    if (Object.keys(learnerFilter).length > 0) {
+      filter.learner = { $in: await Learner.find(learnerFilter).distinct('_id') };
+    }
+
+    // Count matching students
+    const totalStudents = await Enrollment.countDocuments(filter);
+
+    // Fetch students with pagination; documents are listed by metadata only
+    // and downloaded one at a time from /students/:id/documents/:kind
+    const students = await Enrollment.find(filter)
+      .populate('learner')
+      .skip(skip)
+      .limit(limit)
+      .sort(sort);
+
+    // Learners saved before document sizes were stored
+    const missingSizes = hasPermission(req.user, ADMIN_PERMISSIONS.STUDENT_DOCUMENTS_READ)
+      ? [...new Set(students.map(student => student.learner).filter(learner => learner
+        && ((learner.idDocumentName && learner.idDocumentSize == null)
+          || (learner.studentPhotoName && learner.studentPhotoSize == null))))]
+      : [];
+    if (missingSizes.length > 0) {
+      const sizes = await Learner.estimateDocumentSizes(missingSizes.map(learner => learner._id));
+      missingSizes.forEach(learner => {
+        const estimate = sizes.get(String(learner._id)) || {};
+        learner.idDocumentSize ??= estimate.idDocumentSize;
+        learner.studentPhotoSize ??= estimate.studentPhotoSize;
+      });
+    }
+
+    // Format response data, leaving out field groups the staff role may not see
+    const formattedStudents = students.map(student => formatStudent(student, req.user));
+
+    res.json({
+      success: true,
+      message: 'Students retrieved successfully',
+      data: formattedStudents,
+      filters: applied,
+      pagination: {
+        total: totalStudents,
+        totalPages: Math.ceil(totalStudents / limit),
+        page,
+        limit,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error fetching students:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch students',
+      error: error.message,
+      details: error.details || undefined,
+    });
+  }
+});
+
+// GET donations for finance reconciliation, filterable by status and payment date
+router.get('/donations', requirePermission(ADMIN_PERMISSIONS.PAYMENTS_READ), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || PAGINATION.DEFAULT_PAGE, 1);
+    let limit = parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT;
+    limit = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) {
+      filter.status = String(req.query.status).toUpperCase();
+    }
+    if (req.query.from || req.query.to) {
+      filter.paymentDate = {};
+      if (req.query.from) filter.paymentDate.$gte = new Date(req.query.from);
+      if (req.query.to) filter.paymentDate.$lte = new Date(req.query.to);
+    }
+
+    const [totalDonations, donations, totals] = await Promise.all([
+      Donation.countDocuments(filter),
+      Donation.find(filter)
+        .skip(skip)
+        .limit(limit)
+        .sort({ createdAt: -1 }),
+      Donation.aggregate([
+        { $match: filter },
+        { $group: { _id: '$status', count: { $sum: 1 }, amountINR: { $sum: '$amountINR' } } },
+      ]),
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Donations retrieved successfully',
+      data: donations,
+      totals,
+      pagination: {
+        total: totalDonations,
+        totalPages: Math.ceil(totalDonations / limit),
+        page,
+        limit,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error fetching donations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch donations',
+      error: error.message,
+    });
+  }
+});
+
+// GET stored Razorpay webhook events, optionally filtered by status/event
+router.get('/webhooks', requirePermission(ADMIN_PERMISSIONS.PAYMENTS_READ), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || PAGINATION.DEFAULT_PAGE, 1);
+    let limit = parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT;
+    limit = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) {
+      filter.status = String(req.query.status).toUpperCase();
+    }
+    if (req.query.event) {
+      filter.event = String(req.query.event);
+    }
+
+    const [totalEvents, events] = await Promise.all([
+      WebhookEvent.countDocuments(filter),
+      WebhookEvent.find(filter)
+        .select('-payload')
+        .skip(skip)
+        .limit(limit)
+        .sort({ createdAt: -1 }),
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Webhook events retrieved successfully',
+      data: events,
+      pagination: {
+        total: totalEvents,
+        totalPages: Math.ceil(totalEvents / limit),
+        page,
+        limit,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error fetching webhook events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhook events',
+      error: error.message,
+    });
+  }
+});
+
+// POST replay a stored webhook event (e.g. after fixing the cause of a failure)
+router.post('/webhooks/:eventId/replay', audit(AUDIT_ACTIONS.WEBHOOK_REPLAY, { targetType: 'webhookEvent', targetId: req => req.params.eventId }), requirePermission(ADMIN_PERMISSIONS.PAYMENTS_MANAGE), async (req, res) => {
+  try {
+    const webhookEvent = await webhookService.replayEvent(req.params.eventId);
+    res.locals.audit.metadata = { event: webhookEvent.event, status: webhookEvent.status, result: webhookEvent.result };
+
+    res.json({
+      success: true,
+      message: 'Webhook event replayed',
+      data: {
+        eventId: webhookEvent.eventId,
+        event: webhookEvent.event,
+        status: webhookEvent.status,
+        attempts: webhookEvent.attempts,
+        result: webhookEvent.result,
+        lastError: webhookEvent.lastError,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error replaying webhook event:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to replay webhook event',
+      error: error.message,
+    });
+  }
+});
+
+// POST refund a student's payment (full by default, partial when amountINR is given)
+router.post('/students/:id/refunds', audit(AUDIT_ACTIONS.REFUND_CREATE, { targetType: 'student' }), requirePermission(ADMIN_PERMISSIONS.PAYMENTS_MANAGE), async (req, res) => {
+  try {
+    const { amountINR, reason, cancelEnrollment } = req.body;
+    const student = await findStudent(req.params.id);
+    res.locals.audit.target.id = student.studentId;
+    res.locals.audit.before = pickStudentState(student);
+
+    const { student: updated, refund } = await refundService.createRefund(student, {
+      amountINR: amountINR === undefined ? undefined : Number(amountINR),
+      reason,
+      cancelEnrollment: cancelEnrollment === true || cancelEnrollment === 'true',
+      initiatedBy: req.user.email,
+    });
+    res.locals.audit.after = pickStudentState(updated);
+    res.locals.audit.metadata = {
+      refundId: refund?.refundId,
+      amountINR: refund?.amountINR,
+      creditNoteNumber: refund?.creditNoteNumber,
+      reason,
+    };
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund initiated successfully',
+      data: {
+        refund,
+        ...formatRefunds(updated),
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error creating refund:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to create refund',
+      error: error.message,
+    });
+  }
+});
+
+// GET a student's ID document or photo (kind: id-document, photo)
+router.get('/students/:id/documents/:kind', audit(AUDIT_ACTIONS.STUDENT_DOCUMENT_VIEW, { targetType: 'student' }), requirePermission(ADMIN_PERMISSIONS.STUDENT_DOCUMENTS_READ), async (req, res) => {
+  try {
+    const fields = STUDENT_DOCUMENT_FIELDS[req.params.kind];
+    if (!fields) {
+      throw new NotFoundError(`Unknown document kind ${req.params.kind}`);
+    }
+
+    const student = await findStudent(req.params.id);
+    res.locals.audit.target.id = student.studentId;
+    const learner = await findLearner(student, `+${fields.data}`);
+    res.locals.audit.metadata = { kind: req.params.kind, learnerId: learner.learnerId };
+    const document = await studentDocumentService.read(learner, req.params.kind);
+    if (!document) {
+      throw new NotFoundError(`Student ${req.params.id} has no ${req.params.kind}`);
+    }
+
+    // Only serve the declared type if it is one uploads are allowed to have;
+    // anything else is downloaded rather than rendered by the browser
+    sendFile(res, {
+      buffer: document.buffer,
+      contentType: [learner[fields.type], document.mimeType].find(type => fields.allowedTypes.includes(type)),
+      fileName: learner[fields.name] || req.params.kind,
+      download: req.query.download === 'true',
+    });
+  } catch (error) {
+    console.error('Error fetching student document:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to fetch document',
+      error: error.message,
+    });
+  }
+});
+
+// GET a student's status history and the statuses it can move to now
+router.get('/students/:id/transitions', requirePermission(ADMIN_PERMISSIONS.STUDENTS_READ), async (req, res) => {
+  try {
+    const student = await findStudent(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Status history retrieved successfully',
+      data: {
+        studentId: student.studentId,
+        status: student.status,
+        paymentStatus: student.paymentStatus,
+        availableTransitions: getAvailableTransitions(student),
+        history: student.statusHistory,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error fetching status history:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to fetch status history',
+      error: error.message,
+    });
+  }
+});
+
+// POST move a student to another status (to, reason, notify)
+router.post('/students/:id/transitions', audit(AUDIT_ACTIONS.STUDENT_TRANSITION, { targetType: 'student' }), requirePermission(ADMIN_PERMISSIONS.STUDENTS_MANAGE), async (req, res) => {
+  try {
+    const student = await findStudent(req.params.id);
+
+    res.locals.audit.target.id = student.studentId;
+    res.locals.audit.before = pickStudentState(student);
+
+    const { student: updated, entry, emailSent } = await studentLifecycleService.transition(student, req.body.to, {
+      reason: req.body.reason,
+      changedBy: req.user.email,
+      notify: req.body.notify !== false,
+    });
+    res.locals.audit.after = pickStudentState(updated);
+    res.locals.audit.metadata = { reason: entry.reason, emailSent };
+
+    res.json({
+      success: true,
+      message: `Student moved to ${updated.status}`,
+      data: {
+        studentId: updated.studentId,
+        status: updated.status,
+        paymentStatus: updated.paymentStatus,
+        availableTransitions: getAvailableTransitions(updated),
+        transition: entry,
+        emailSent,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error changing student status:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to change student status',
+      error: error.message,
+      details: error.details || undefined,
+    });
+  }
+});
+
+// POST stop a student's monthly billing (at the end of the paid month, or with immediately: true now)
+router.post('/students/:id/subscription/cancel', audit(AUDIT_ACTIONS.SUBSCRIPTION_CANCEL, { targetType: 'student' }), requirePermission(ADMIN_PERMISSIONS.PAYMENTS_MANAGE), async (req, res) => {
+  try {
+    const student = await findStudent(req.params.id);
+
+    res.locals.audit.target.id = student.studentId;
+    res.locals.audit.before = { subscriptionStatus: student.subscription?.status, accessEndsAt: student.accessEndsAt };
+
+    const updated = await subscriptionService.cancel(student, {
+      changedBy: req.user.email,
+      immediately: req.body.immediately === true,
+    });
+    res.locals.audit.after = { subscriptionStatus: updated.subscription.status, accessEndsAt: updated.accessEndsAt };
+    res.locals.audit.metadata = { razorpaySubscriptionId: updated.subscription.razorpaySubscriptionId, immediately: req.body.immediately === true };
+
+    res.json({
+      success: true,
+      message: 'Subscription cancelled',
+      data: {
+        studentId: updated.studentId,
+        status: updated.status,
+        subscription: formatSubscription(updated),
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error cancelling subscription:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to cancel subscription',
+      error: error.message,
+    });
+  }
+});
+
+// POST email a student's learner a new verification link (throttled like the student's own resend)
+router.post('/students/:id/verification-email', audit(AUDIT_ACTIONS.STUDENT_VERIFICATION_SEND, { targetType: 'student' }), requirePermission(ADMIN_PERMISSIONS.STUDENTS_MANAGE), async (req, res) => {
+  try {
+    const student = await findStudent(req.params.id);
+    res.locals.audit.target.id = student.studentId;
+
+    const learner = await findLearner(student);
+    const result = await emailVerificationService.send(learner);
+    res.locals.audit.metadata = { ...result, learnerId: learner.learnerId };
+
+    if (result.retryAfter) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `A verification email was sent recently; try again in ${result.retryAfter} seconds`,
+        retryAfter: result.retryAfter,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.sent ? 'Verification email sent' : 'Email is already verified',
+      data: {
+        studentId: student.studentId,
+        learnerId: learner.learnerId,
+        isEmailVerified: result.isEmailVerified,
+        emailVerificationSentAt: learner.emailVerificationSentAt,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to send verification email',
+      error: error.message,
+    });
+  }
+});
+
+// GET refunds and credit notes issued for a student
+router.get('/students/:id/refunds', requirePermission(ADMIN_PERMISSIONS.PAYMENTS_READ), async (req, res) => {
+  try {
+    const student = await findStudent(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Refunds retrieved successfully',
+      data: formatRefunds(student),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error fetching refunds:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to fetch refunds',
+      error: error.message,
+    });
+  }
+});
+
+// Coupon fields an admin may set
+const COUPON_FIELDS = [
+  'code', 'description', 'discountType', 'value', 'maxDiscountINR', 'minOrderValueINR',
+  'applicableProductTypes', 'applicableProductIds', 'validFrom', 'validUntil',
+  'usageLimit', 'perEmailLimit', 'isActive',
+];
+
+const pickCouponFields = (body) => Object.fromEntries(
+  COUPON_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// GET coupons (filter by active), without the redemption list
+router.get('/coupons', requirePermission(ADMIN_PERMISSIONS.PROMOTIONS_READ), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || PAGINATION.DEFAULT_PAGE, 1);
+    let limit = parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT;
+    limit = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.active !== undefined) {
+      filter.isActive = req.query.active === 'true';
+    }
+
+    const [totalCoupons, coupons] = await Promise.all([
+      Coupon.countDocuments(filter),
+      Coupon.find(filter)
+        .select('-redemptions')
+        .skip(skip)
+        .limit(limit)
+        .sort({ createdAt: -1 }),
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Coupons retrieved successfully',
+      data: coupons,
+      pagination: {
+        total: totalCoupons,
+        totalPages: Math.ceil(totalCoupons / limit),
+        page,
+        limit,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error fetching coupons:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupons',
+      error: error.message,
+    });
+  }
+});
+
+// POST create a coupon
+router.post('/coupons', audit(AUDIT_ACTIONS.COUPON_CREATE, { targetType: 'coupon', targetId: req => req.body.code }), requirePermission(ADMIN_PERMISSIONS.PROMOTIONS_MANAGE), async (req, res) => {
+  try {
+    const coupon = await Coupon.create({
+      ...pickCouponFields(req.body),
+      createdBy: req.user.email,
+    });
+    res.locals.audit.after = coupon;
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+    const status = error.name === 'ValidationError' ? 400 : error.code === 11000 ? 409 : 500;
+    res.status(status).json({
+      success: false,
+      message: error.code === 11000 ? 'Coupon code already exists' : 'Failed to create coupon',
+      error: error.message,
+    });
+  }
+});
+
+// PATCH update a coupon (e.g. extend validity or deactivate); redemptions are read-only
+router.patch('/coupons/:code', audit(AUDIT_ACTIONS.COUPON_UPDATE, { targetType: 'coupon', targetId: req => req.params.code }), requirePermission(ADMIN_PERMISSIONS.PROMOTIONS_MANAGE), async (req, res) => {
+  try {
+    const coupon = await Coupon.findByCode(req.params.code);
+    if (!coupon) {
+      throw new NotFoundError(`Coupon ${req.params.code} not found`);
+    }
+
+    res.locals.audit.before = coupon.toObject();
+    const updates = pickCouponFields(req.body);
+    delete updates.code; // codes are permanent once issued
+    coupon.set(updates);
+    await coupon.save();
+    res.locals.audit.after = coupon;
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error updating coupon:', error);
+    res.status(error.name === 'ValidationError' ? 400 : error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to update coupon',
+      error: error.message,
+    });
+  }
+});
+
+// Referral code settings an admin may set
+const REFERRAL_FIELDS = [
+  'ownerName', 'ownerEmail', 'organization', 'rewardType', 'rewardValue',
+  'refereeDiscountType', 'refereeDiscountValue', 'isActive',
+];
+
+const pickReferralFields = (body) => Object.fromEntries(
+  REFERRAL_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// GET referral codes with conversion and payout totals (filter by ownerType, active, code/email search)
+router.get('/referrals', requirePermission(ADMIN_PERMISSIONS.PROMOTIONS_READ), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || PAGINATION.DEFAULT_PAGE, 1);
+    let limit = parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT;
+    limit = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.ownerType) {
+      filter.ownerType = String(req.query.ownerType).toUpperCase();
+    }
+    if (req.query.active !== undefined) {
+      filter.isActive = req.query.active === 'true';
+    }
+    if (req.query.search) {
+      const search = String(req.query.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { code: new RegExp(search, 'i') },
+        { ownerEmail: new RegExp(search, 'i') },
+        { ownerName: new RegExp(search, 'i') },
+      ];
+    }
+
+    const [totalCodes, codes] = await Promise.all([
+      ReferralCode.countDocuments(filter),
+      ReferralCode.find(filter)
+        .skip(skip)
+        .limit(limit)
+        .sort({ createdAt: -1 }),
+    ]);
+
+    const totals = await ReferralReward.getTotalsByCode(codes.map(code => code.code));
+    const totalsByCode = new Map(totals.map(total => [total._id, total]));
+
+    res.json({
+      success: true,
+      message: 'Referral codes retrieved successfully',
+      data: codes.map(code => {
+        const stats = totalsByCode.get(code.code) || {};
+        return {
+          ...code.toObject(),
+          conversions: stats.conversions || 0,
+          revenueINR: stats.revenueINR || 0,
+          pendingRewardINR: stats.pendingINR || 0,
+          paidRewardINR: stats.paidINR || 0,
+          lastConversionAt: stats.lastConversionAt || null,
+        };
+      }),
+      pagination: {
+        total: totalCodes,
+        totalPages: Math.ceil(totalCodes / limit),
+        page,
+        limit,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error fetching referral codes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch referral codes',
+      error: error.message,
+    });
+  }
+});
+
+// POST create a partner referral code, or issue a student's code ({ studentId })
+// for students who enrolled before the referral program existed
+router.post('/referrals', audit(AUDIT_ACTIONS.REFERRAL_CREATE, { targetType: 'referralCode', targetId: req => req.body.code }), requirePermission(ADMIN_PERMISSIONS.PROMOTIONS_MANAGE), async (req, res) => {
+  try {
+    let referralCode;
+    if (req.body.studentId) {
+      const student = await findStudent(req.body.studentId);
+      if (!student.isPaymentComplete) {
+        throw new ValidationError('Referral codes are only issued to enrolled students');
+      }
+      referralCode = await referralService.issueStudentCode(student);
+    } else {
+      const fields = pickReferralFields(req.body);
+      referralCode = await ReferralCode.create({
+        ...fields,
+        code: req.body.code || ReferralCode.generateCode(fields.organization || fields.ownerName),
+        ownerType: REFERRAL_OWNER_TYPES.PARTNER,
+      });
+    }
+    res.locals.audit.target.id = referralCode.code;
+    res.locals.audit.after = referralCode;
+
+    res.status(201).json({
+      success: true,
+      message: 'Referral code created successfully',
+      data: referralCode,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error creating referral code:', error);
+    const status = error.name === 'ValidationError' ? 400 : error.code === 11000 ? 409 : error.statusCode || 500;
+    res.status(status).json({
+      success: false,
+      message: error.code === 11000 ? 'Referral code already exists' : 'Failed to create referral code',
+      error: error.message,
+    });
+  }
+});
+
+// GET the referrer ledger across codes (filter by status, code)
+router.get('/referrals/rewards', requirePermission(ADMIN_PERMISSIONS.PROMOTIONS_READ), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || PAGINATION.DEFAULT_PAGE, 1);
+    let limit = parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT;
+    limit = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) {
+      filter.status = String(req.query.status).toUpperCase();
+    }
+    if (req.query.code) {
+      filter.referralCode = String(req.query.code).toUpperCase();
+    }
+
+    const [totalRewards, rewards, totals] = await Promise.all([
+      ReferralReward.countDocuments(filter),
+      ReferralReward.find(filter)
+        .skip(skip)
+        .limit(limit)
+        .sort({ createdAt: -1 }),
+      ReferralReward.aggregate([
+        { $match: filter },
+        { $group: { _id: '$status', count: { $sum: 1 }, rewardINR: { $sum: '$rewardINR' } } },
+      ]),
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Referral rewards retrieved successfully',
+      data: rewards,
+      totals,
+      pagination: {
+        total: totalRewards,
+        totalPages: Math.ceil(totalRewards / limit),
+        page,
+        limit,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error fetching referral rewards:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch referral rewards',
+      error: error.message,
+    });
+  }
+});
+
+// PATCH approve, pay out (with a payout reference) or cancel a referral reward
+router.patch('/referrals/rewards/:rewardId', audit(AUDIT_ACTIONS.REFERRAL_REWARD_UPDATE, { targetType: 'referralReward', targetId: req => req.params.rewardId }), requirePermission(ADMIN_PERMISSIONS.PAYMENTS_MANAGE), async (req, res) => {
+  try {
+    const { status, payoutReference, notes } = req.body;
+    res.locals.audit.before = await ReferralReward.findById(req.params.rewardId).lean();
+    const reward = await referralService.updateRewardStatus(req.params.rewardId, {
+      status: String(status || '').toUpperCase(),
+      payoutReference,
+      notes,
+    });
+    res.locals.audit.after = reward;
+
+    res.json({
+      success: true,
+      message: `Referral reward ${reward.status.toLowerCase()}`,
+      data: reward,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error updating referral reward:', error);
+    res.status(error.name === 'CastError' ? 400 : error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to update referral reward',
+      error: error.message,
+    });
+  }
+});
+
+// GET conversions (ledger entries) and payout totals for one referral code
+router.get('/referrals/:code/conversions', requirePermission(ADMIN_PERMISSIONS.PROMOTIONS_READ), async (req, res) => {
+  try {
+    const referralCode = await ReferralCode.findByCode(req.params.code);
+    if (!referralCode) {
+      throw new NotFoundError(`Referral code ${req.params.code} not found`);
+    }
+
+    const [conversions, [totals]] = await Promise.all([
+      ReferralReward.find({ referralCode: referralCode.code }).sort({ createdAt: -1 }),
+      ReferralReward.getTotalsByCode([referralCode.code]),
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Referral conversions retrieved successfully',
+      data: {
+        referralCode,
+        conversions,
+        totals: {
+          conversions: totals?.conversions || 0,
+          revenueINR: totals?.revenueINR || 0,
+          pendingRewardINR: totals?.pendingINR || 0,
+          paidRewardINR: totals?.paidINR || 0,
+          cancelled: totals?.cancelled || 0,
+        },
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error fetching referral conversions:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to fetch referral conversions',
+      error: error.message,
+    });
+  }
+});
+
+// PATCH update a referral code's rewards/discount or deactivate it
+router.patch('/referrals/:code', audit(AUDIT_ACTIONS.REFERRAL_UPDATE, { targetType: 'referralCode', targetId: req => req.params.code }), requirePermission(ADMIN_PERMISSIONS.PROMOTIONS_MANAGE), async (req, res) => {
+  try {
+    const referralCode = await ReferralCode.findByCode(req.params.code);
+    if (!referralCode) {
+      throw new NotFoundError(`Referral code ${req.params.code} not found`);
+    }
+
+    res.locals.audit.before = referralCode.toObject();
+    referralCode.set(pickReferralFields(req.body));
+    await referralCode.save();
+    res.locals.audit.after = referralCode;
+
+    res.json({
+      success: true,
+      message: 'Referral code updated successfully',
+      data: referralCode,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error updating referral code:', error);
+    res.status(error.name === 'ValidationError' ? 400 : error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to update referral code',
+      error: error.message,
+    });
+  }
+});
+
+// Status code for catalog errors (Mongoose validation errors carry no statusCode)
+const catalogErrorStatus = (error) => (error.name === 'ValidationError' ? 400 : error.statusCode || 500);
+
+const formatProduct = (product) => ({
+  ...product.toObject(),
+  current: product.toCatalogEntry(),
+});
+
+// GET catalog products with price history (filter by group; archived only with includeArchived=true)
+router.get('/products', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.group) {
+      filter.group = req.query.group;
+    }
+    if (req.query.includeArchived !== 'true') {
+      filter.archivedAt = null;
+    }
+
+    const products = await Product.find(filter).sort({ group: 1, sortOrder: 1, name: 1 });
+
+    res.json({
+      success: true,
+      message: 'Products retrieved successfully',
+      data: products.map(formatProduct),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error fetching products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch products',
+      error: error.message,
+    });
+  }
+});
+
+// POST create a product ({ group, productId, name, type, price, effectiveFrom, ... })
+router.post('/products', audit(AUDIT_ACTIONS.PRODUCT_CREATE, { targetType: 'product', targetId: req => `${req.body.group}/${req.body.productId}` }), requirePermission(ADMIN_PERMISSIONS.CATALOG_MANAGE), async (req, res) => {
+  try {
+    const product = await catalogService.createProduct(req.body, req.user.email);
+    res.locals.audit.after = product;
+
+    res.status(201).json({
+      success: true,
+      message: 'Product created successfully',
+      data: formatProduct(product),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error creating product:', error);
+    res.status(catalogErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to create product',
+      error: error.message,
+    });
+  }
+});
+
+// GET one product with its price history
+router.get('/products/:group/:productId', async (req, res) => {
+  try {
+    const product = await catalogService.getProduct(req.params.group, req.params.productId);
+
+    res.json({
+      success: true,
+      message: 'Product retrieved successfully',
+      data: formatProduct(product),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error fetching product:', error);
+    res.status(catalogErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to fetch product',
+      error: error.message,
+    });
+  }
+});
+
+// PATCH edit a product's details (prices are changed through /prices)
+router.patch('/products/:group/:productId', audit(AUDIT_ACTIONS.PRODUCT_UPDATE, productAuditTarget), requirePermission(ADMIN_PERMISSIONS.CATALOG_MANAGE), async (req, res) => {
+  try {
+    res.locals.audit.before = await getProductSnapshot(req.params);
+    const product = await catalogService.updateProduct(req.params.group, req.params.productId, req.body);
+    res.locals.audit.after = product;
+
+    res.json({
+      success: true,
+      message: 'Product updated successfully',
+      data: formatProduct(product),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error updating product:', error);
+    res.status(catalogErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to update product',
+      error: error.message,
+    });
+  }
+});
+
+// POST add a price effective from a date ({ price, effectiveFrom }, now by default)
+router.post('/products/:group/:productId/prices', audit(AUDIT_ACTIONS.PRODUCT_PRICE_SCHEDULE, productAuditTarget), requirePermission(ADMIN_PERMISSIONS.CATALOG_MANAGE), async (req, res) => {
+  try {
+    res.locals.audit.before = await getProductSnapshot(req.params);
+    const product = await catalogService.schedulePrice(
+      req.params.group,
+      req.params.productId,
+      { price: req.body.price, effectiveFrom: req.body.effectiveFrom },
+      req.user.email
+    );
+    res.locals.audit.after = product;
+
+    res.status(201).json({
+      success: true,
+      message: 'Price scheduled successfully',
+      data: formatProduct(product),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error scheduling price:', error);
+    res.status(catalogErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to schedule price',
+      error: error.message,
+    });
+  }
+});
+
+// DELETE archive a product (soft: hidden from the catalog and checkout, kept for history)
+router.delete('/products/:group/:productId', audit(AUDIT_ACTIONS.PRODUCT_ARCHIVE, productAuditTarget), requirePermission(ADMIN_PERMISSIONS.CATALOG_MANAGE), async (req, res) => {
+  try {
+    res.locals.audit.before = await getProductSnapshot(req.params);
+    const product = await catalogService.archiveProduct(req.params.group, req.params.productId, req.user.email);
+    res.locals.audit.after = product;
+
+    res.json({
+      success: true,
+      message: 'Product archived successfully',
+      data: formatProduct(product),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error archiving product:', error);
+    res.status(catalogErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to archive product',
+      error: error.message,
+    });
+  }
+});
+
+// POST restore an archived product
+router.post('/products/:group/:productId/restore', audit(AUDIT_ACTIONS.PRODUCT_RESTORE, productAuditTarget), requirePermission(ADMIN_PERMISSIONS.CATALOG_MANAGE), async (req, res) => {
+  try {
+    res.locals.audit.before = await getProductSnapshot(req.params);
+    const product = await catalogService.restoreProduct(req.params.group, req.params.productId);
+    res.locals.audit.after = product;
+
+    res.json({
+      success: true,
+      message: 'Product restored successfully',
+      data: formatProduct(product),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error restoring product:', error);
+    res.status(catalogErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to restore product',
+      error: error.message,
+    });
+  }
+});
+
+// GET abandoned-checkout report: recovered vs lost (filter by from, to on registration date)
+router.get('/checkout-recovery', requirePermission(ADMIN_PERMISSIONS.PAYMENTS_READ), async (req, res) => {
+  try {
+    const report = await checkoutRecoveryService.getReport({ from: req.query.from, to: req.query.to });
+
+    res.json({
+      success: true,
+      message: 'Checkout recovery report retrieved successfully',
+      data: report,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error fetching checkout recovery report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch checkout recovery report',
+      error: error.message,
+    });
+  }
+});
+
+// GET followed-up checkouts with contact details for sales (outcome: recovered, lost, pending)
+router.get('/checkout-recovery/orders', requirePermission(ADMIN_PERMISSIONS.STUDENT_CONTACTS_READ), async (req, res) => {
   try {
-    // Parse query params with defaults
     const page = Math.max(parseInt(req.query.page) || PAGINATION.DEFAULT_PAGE, 1);
     let limit = parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT;
     limit = Math.min(limit, PAGINATION.MAX_LIMIT);
 
     const skip = (page - 1) * limit;
 
-    // Count total students
-    const totalStudents = await Student.countDocuments();
+    const filter = checkoutRecoveryService.outcomeFilter(req.query.outcome || CHECKOUT_RECOVERY_OUTCOMES.LOST);
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    }
 
-    // Fetch students with pagination
-    const students = await Student.find()
-      .select('+idDocumentBase64 +studentPhotoBase64')
-      .skip(skip)
-      .limit(limit)
-      .sort({ createdAt: -1 }); // newest first
+    const [totalOrders, students] = await Promise.all([
+      Enrollment.countDocuments(filter),
+      Enrollment.find(filter)
+        .skip(skip)
+        .limit(limit)
+        .sort({ createdAt: -1 }),
+    ]);
 
-    // Format response data
-    const formattedStudents = students.map(student => ({
+    const orders = students.map(student => ({
       id: student._id,
+      studentId: student.studentId,
       fullName: student.fullName,
-      dateOfBirth: student.dateOfBirth,
-      countryOfCitizenship: student.countryOfCitizenship,
-      referralCode: student.referralCode,
-
-      primaryPhone: student.primaryPhone,
-      secondaryPhone: student.secondaryPhone,
-      whatsappNotifications: student.whatsappNotifications,
       email: student.email,
-      residentialAddress: student.residentialAddress,
-      city: student.city,
-      state: student.state,
-      zipCode: student.zipCode,
-      country: student.country,
-
-      highestQualification: student.highestQualification,
-      specialization: student.specialization,
-
-      currentProfession: student.currentProfession,
-      currentOrganization: student.currentOrganization,
-      linkedinProfile: student.linkedinProfile,
-
-      idType: student.idType,
-      idNumber: student.idNumber,
-      idDocument: student.idDocumentBase64
-        ? {
-            name: student.idDocumentName,
-            type: student.idDocumentType,
-            base64: student.idDocumentBase64,
-          }
-        : null,
-
-      studentPhoto: student.studentPhotoBase64
-        ? {
-            name: student.studentPhotoName,
-            type: student.studentPhotoType,
-            base64: student.studentPhotoBase64,
-          }
-        : null,
-
-      programType: student.programType,
+      primaryPhone: student.primaryPhone,
       programName: student.programName,
-      programDuration: student.programDuration,
-      programPriceINR: student.programPriceINR,
-      selectedAddons: student.selectedAddons,
-      addonPriceINR: student.addonPriceINR,
-
-      invoiceNumber: student.invoiceNumber,
-      subtotalINR: student.subtotalINR,
-      gstRate: student.gstRate,
-      totalINR: student.totalINR,
+      ...(hasPermission(req.user, ADMIN_PERMISSIONS.PAYMENTS_READ) ? { totalINR: student.totalINR } : {}),
+      paymentStatus: student.paymentStatus,
+      outcome: checkoutRecoveryService.getOutcome(student),
+      checkoutStartedAt: student.checkoutStartedAt || student.createdAt,
+      remindersSent: student.checkoutRecovery?.reminders?.length || 0,
+      lastReminderAt: student.checkoutRecovery?.reminders?.at(-1)?.sentAt,
+      resumedAt: student.checkoutRecovery?.resumedAt,
+      expiredAt: student.checkoutRecovery?.expiredAt,
+      paymentDate: student.paymentDate,
+    }));
+
+    res.json({
+      success: true,
+      message: 'Checkout recovery orders retrieved successfully',
+      data: orders,
+      pagination: {
+        total: totalOrders,
+        totalPages: Math.ceil(totalOrders / limit),
+        page,
+        limit,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error fetching checkout recovery orders:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to fetch checkout recovery orders',
+      error: error.message,
+    });
+  }
+});
+
+// POST run the abandoned-checkout sweep now instead of waiting for the schedule
+router.post('/checkout-recovery/sweep', audit(AUDIT_ACTIONS.CHECKOUT_SWEEP, { targetType: 'checkout' }), requirePermission(ADMIN_PERMISSIONS.PAYMENTS_MANAGE), async (req, res) => {
+  try {
+    const result = await checkoutRecoveryService.sweep();
+    res.locals.audit.metadata = result;
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'A sweep is already running',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Checkout recovery sweep completed',
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error running checkout recovery sweep:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run checkout recovery sweep',
+      error: error.message,
+    });
+  }
+});
+
+// GET enrollments on an installment plan (filter by installment status and dueBefore)
+router.get('/installments', requirePermission(ADMIN_PERMISSIONS.PAYMENTS_READ), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || PAGINATION.DEFAULT_PAGE, 1);
+    let limit = parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT;
+    limit = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+    const skip = (page - 1) * limit;
 
+    const filter = installmentService.listFilter({ status: req.query.status, dueBefore: req.query.dueBefore });
+
+    const [totalStudents, students] = await Promise.all([
+      Enrollment.countDocuments(filter),
+      Enrollment.find(filter)
+        .skip(skip)
+        .limit(limit)
+        .sort({ createdAt: -1 }),
+    ]);
+
+    const data = students.map(student => ({
+      id: student._id,
+      studentId: student.studentId,
+      fullName: student.fullName,
+      ...(hasPermission(req.user, ADMIN_PERMISSIONS.STUDENT_CONTACTS_READ) ? { email: student.email, primaryPhone: student.primaryPhone } : {}),
+      programName: student.programName,
+      status: student.status,
       paymentStatus: student.paymentStatus,
-      razorpayOrderId: student.razorpayOrderId,
-      invoiceLink: student.invoiceLink,
+      totalINR: student.totalINR,
+      paidAmountINR: student.paidAmountINR,
+      installmentPlan: student.installmentPlan,
+      installments: formatInstallments(student),
+      installmentSuspendedAt: student.installmentSuspendedAt,
+    }));
+
+    res.json({
+      success: true,
+      message: 'Installment plans retrieved successfully',
+      data,
+      pagination: {
+        total: totalStudents,
+        totalPages: Math.ceil(totalStudents / limit),
+        page,
+        limit,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error fetching installment plans:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to fetch installment plans',
+      error: error.message,
+    });
+  }
+});
+
+// POST run the installment sweep (reminders, overdue, suspension) now instead of waiting for the schedule
+router.post('/installments/sweep', audit(AUDIT_ACTIONS.INSTALLMENT_SWEEP, { targetType: 'installment' }), requirePermission(ADMIN_PERMISSIONS.PAYMENTS_MANAGE), async (req, res) => {
+  try {
+    const result = await installmentService.sweep();
+    res.locals.audit.metadata = result;
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'A sweep is already running',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Installment sweep completed',
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error running installment sweep:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run installment sweep',
+      error: error.message,
+    });
+  }
+});
+
+// GET enrollments billed monthly (filter by subscription status and accessEndsBefore)
+router.get('/subscriptions', requirePermission(ADMIN_PERMISSIONS.PAYMENTS_READ), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || PAGINATION.DEFAULT_PAGE, 1);
+    let limit = parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT;
+    limit = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+    const skip = (page - 1) * limit;
+
+    const filter = subscriptionService.listFilter({ status: req.query.status, accessEndsBefore: req.query.accessEndsBefore });
 
-      agreedToTerms: student.agreedToTerms,
-      certifiedInformation: student.certifiedInformation,
+    const [totalStudents, students] = await Promise.all([
+      Enrollment.countDocuments(filter),
+      Enrollment.find(filter)
+        .skip(skip)
+        .limit(limit)
+        .sort({ createdAt: -1 }),
+    ]);
 
+    const data = students.map(student => ({
+      id: student._id,
+      studentId: student.studentId,
+      fullName: student.fullName,
+      ...(hasPermission(req.user, ADMIN_PERMISSIONS.STUDENT_CONTACTS_READ) ? { email: student.email, primaryPhone: student.primaryPhone } : {}),
+      programName: student.programName,
       status: student.status,
-      registrationSource: student.registrationSource,
-      createdAt: student.createdAt,
+      paymentStatus: student.paymentStatus,
+      paidAmountINR: student.paidAmountINR,
+      subscription: formatSubscription(student),
     }));
 
     res.json({
       success: true,
-      message: 'Students retrieved successfully',
-      data: formattedStudents,
+      message: 'Subscriptions retrieved successfully',
+      data,
       pagination: {
         total: totalStudents,
         totalPages: Math.ceil(totalStudents / limit),
@@ -108,10 +1452,230 @@ router.get('/', async (req, res) => {
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
-    console.error('Error fetching students:', error);
+    console.error('Error fetching subscriptions:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to fetch subscriptions',
+      error: error.message,
+    });
+  }
+});
+
+// POST run the subscription sweep (lapsed access, ended subscriptions) now instead of waiting for the schedule
+router.post('/subscriptions/sweep', audit(AUDIT_ACTIONS.SUBSCRIPTION_SWEEP, { targetType: 'subscription' }), requirePermission(ADMIN_PERMISSIONS.PAYMENTS_MANAGE), async (req, res) => {
+  try {
+    const result = await subscriptionService.sweep();
+    res.locals.audit.metadata = result;
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'A sweep is already running',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Subscription sweep completed',
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error running subscription sweep:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run subscription sweep',
+      error: error.message,
+    });
+  }
+});
+
+// POST run a settlement reconciliation for a date range (defaults to yesterday, IST)
+router.post('/reconciliation', audit(AUDIT_ACTIONS.RECONCILIATION_RUN, { targetType: 'reconciliationRun' }), requirePermission(ADMIN_PERMISSIONS.PAYMENTS_MANAGE), async (req, res) => {
+  try {
+    const yesterday = reconciliationService.getIstDay(new Date(Date.now() - 24 * 60 * 60 * 1000));
+    const run = await reconciliationService.reconcile(
+      { from: req.body.from || yesterday.from, to: req.body.to || yesterday.to },
+      { triggeredBy: req.user.email }
+    );
+    res.locals.audit.target.id = String(run._id);
+    res.locals.audit.metadata = { from: run.from, to: run.to, status: run.status, discrepancies: run.summary?.discrepancies };
+
+    res.status(201).json({
+      success: true,
+      message: `Reconciliation ${run.status.toLowerCase()}`,
+      data: run,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error running reconciliation:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to run reconciliation',
+      error: error.message,
+    });
+  }
+});
+
+// GET reconciliation runs with their summaries (filter by status)
+router.get('/reconciliation', requirePermission(ADMIN_PERMISSIONS.PAYMENTS_READ), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || PAGINATION.DEFAULT_PAGE, 1);
+    let limit = parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT;
+    limit = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) {
+      filter.status = String(req.query.status).toUpperCase();
+    }
+
+    const [totalRuns, runs] = await Promise.all([
+      ReconciliationRun.countDocuments(filter),
+      ReconciliationRun.find(filter)
+        .select('-discrepancies')
+        .skip(skip)
+        .limit(limit)
+        .sort({ createdAt: -1 }),
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Reconciliation runs retrieved successfully',
+      data: runs,
+      pagination: {
+        total: totalRuns,
+        totalPages: Math.ceil(totalRuns / limit),
+        page,
+        limit,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error fetching reconciliation runs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reconciliation runs',
+      error: error.message,
+    });
+  }
+});
+
+// GET one reconciliation run with its discrepancy report (filter by type)
+router.get('/reconciliation/:runId', requirePermission(ADMIN_PERMISSIONS.PAYMENTS_READ), async (req, res) => {
+  try {
+    const run = mongoose.isValidObjectId(req.params.runId)
+      ? await ReconciliationRun.findById(req.params.runId)
+      : null;
+
+    if (!run) {
+      throw new NotFoundError(`Reconciliation run ${req.params.runId} not found`);
+    }
+
+    const data = run.toObject();
+    if (req.query.type) {
+      const type = String(req.query.type).toUpperCase();
+      data.discrepancies = data.discrepancies.filter(discrepancy => discrepancy.type === type);
+    }
+
+    res.json({
+      success: true,
+      message: 'Reconciliation run retrieved successfully',
+      data,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error fetching reconciliation run:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to fetch reconciliation run',
+      error: error.message,
+    });
+  }
+});
+
+// GET audit log entries, newest first (filter by action, actor, actorType,
+// targetType, targetId, outcome, from, to)
+router.get('/audit', requirePermission(ADMIN_PERMISSIONS.AUDIT_READ), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || PAGINATION.DEFAULT_PAGE, 1);
+    let limit = parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT;
+    limit = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.action) {
+      filter.action = String(req.query.action);
+    }
+    if (req.query.actor) {
+      filter['actor.email'] = String(req.query.actor).toLowerCase();
+    }
+    if (req.query.actorType) {
+      filter['actor.type'] = String(req.query.actorType).toUpperCase();
+    }
+    if (req.query.targetType) {
+      filter['target.type'] = String(req.query.targetType);
+    }
+    if (req.query.targetId) {
+      filter['target.id'] = String(req.query.targetId);
+    }
+    if (req.query.outcome) {
+      filter.outcome = String(req.query.outcome).toUpperCase();
+    }
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    }
+
+    const [totalEntries, entries] = await Promise.all([
+      AuditLog.countDocuments(filter),
+      AuditLog.find(filter)
+        .skip(skip)
+        .limit(limit)
+        .sort({ seq: -1 }),
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Audit log retrieved successfully',
+      data: entries,
+      pagination: {
+        total: totalEntries,
+        totalPages: Math.ceil(totalEntries / limit),
+        page,
+        limit,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log',
+      error: error.message,
+    });
+  }
+});
+
+// GET check the audit hash chain (fromSeq, limit); reports the first broken entry
+router.get('/audit/verify', requirePermission(ADMIN_PERMISSIONS.AUDIT_READ), async (req, res) => {
+  try {
+    const result = await auditService.verifyChain({ fromSeq: req.query.fromSeq, limit: req.query.limit });
+
+    res.json({
+      success: true,
+      message: result.valid ? 'Audit chain is intact' : `Audit chain is broken at entry ${result.firstInvalid.seq}`,
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch students',
+      message: 'Failed to verify audit log',
       error: error.message,
     });
   }
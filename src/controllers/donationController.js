@@ -0,0 +1,46 @@
+import express from 'express';
+import dotenv from 'dotenv';
+import Donation from '../models/Donation.js';
+import { PAYMENT_STATUS } from '../config/constants.js';
+import { renderDonationReceipt } from '../utils/donationReceipt.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Donation Controller
+ * Serves donor receipts for completed donations
+ */
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/donations/:id/receipt
+ * Get the receipt for a completed donation
+ */
+router.get('/:id/receipt', async (req, res) => {
+  try {
+    const donation = await Donation.findByDonationId(req.params.id).lean();
+
+    if (!donation || donation.status !== PAYMENT_STATUS.SUCCESS || !donation.receiptNumber) {
+      return res.status(404).json({
+        success: false,
+        error: 'Receipt not found or donation not completed',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.type('html').send(renderDonationReceipt(donation));
+
+  } catch (error) {
+    console.error('Error fetching donation receipt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch donation receipt',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+export default router;
@@ -1,9 +1,14 @@
 import express from 'express';
-import nodemailer from 'nodemailer';
 import dotenv from 'dotenv';
-import Student from '../models/Student.js'; // adjust path as needed
-import {  PAYMENT_STATUS } from '../config/constants.js';
+import Enrollment from '../models/Enrollment.js';
+import {  PAYMENT_STATUS, AUDIT_ACTIONS, INSTALLMENT_STATUS } from '../config/constants.js';
 import { config } from '../config/index.js';
+import { sendPaymentsMail } from '../utils/mailer.js';
+import { buildInvoiceData, getInvoiceFileName } from '../utils/invoice.js';
+import { renderInvoicePdf } from '../utils/invoicePdf.js';
+import { findInstallmentByInvoiceLink, getInstallmentInvoice } from '../utils/installments.js';
+import { findChargeByInvoiceLink, getChargeInvoice } from '../utils/subscriptions.js';
+import { audit } from '../middlewares/audit.js';
 
 // Load environment variables
 dotenv.config();
@@ -15,6 +20,27 @@ dotenv.config();
 
 const router = express.Router();
 
+// Enrollment an invoice link belongs to (the enrollment's own link, or one
+// of its installments' or monthly charges'), and the installment or charge
+// it invoices (null when paid in full)
+async function findInvoice(invoiceLink, { populateLearner = false } = {}) {
+  const query = Enrollment.findOne({
+    $or: [{ invoiceLink }, { 'installments.invoiceLink': invoiceLink }, { 'subscription.charges.invoiceLink': invoiceLink }],
+  });
+  const student = await (populateLearner ? query.populate('learner') : query).lean();
+  return {
+    student,
+    installment: student ? findInstallmentByInvoiceLink(student, invoiceLink) : null,
+    charge: student ? findChargeByInvoiceLink(student, invoiceLink) : null,
+  };
+}
+
+// Whether the invoice can be shown: the enrollment is paid and, on an
+// installment plan, so is the installment
+const isInvoicePaid = (student, installment) => Boolean(student)
+  && student.paymentStatus === PAYMENT_STATUS.SUCCESS
+  && (!installment || installment.status === INSTALLMENT_STATUS.PAID);
+
 /**
  * GET /api/v1/invoices
  * Get all invoices
@@ -38,10 +64,10 @@ router.get('/:id', async (req, res) => {
     const invoiceId = req.params.id;
     // console.log("Fetching invoice with ID:", invoiceId);
 
-    // Find student by invoiceLink (or _id if that's what you want)
-    const student = await Student.findOne({ invoiceLink: invoiceId }).lean();
+    // Find the enrollment by invoiceLink, with its learner's profile
+    const { student, installment, charge } = await findInvoice(invoiceId, { populateLearner: true });
     // console.log(student.paymentStatus)
-    if (!student || student.paymentStatus !== PAYMENT_STATUS.SUCCESS) {
+    if (!isInvoicePaid(student, installment)) {
       return res.status(404).json({
         success: false,
         error: "Invoice not found or payment not completed",
@@ -49,72 +75,32 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    // Calculate GST amounts (since prices are inclusive)
-    const gstRate = student.gstRate || 18;
-    const gstMultiplier = 1 + (gstRate / 100); // 1.18 for 18% GST
-    
-    // Calculate program unit price without GST (for display)
-    const programUnitPriceExclusiveGST = Math.round(student.programUnitPrice / gstMultiplier);
-    
-    // Calculate program total price without GST
-    const programPriceExclusiveGST = Math.round(student.programPriceINR / gstMultiplier);
-    const programGSTAmount = student.programPriceINR - programPriceExclusiveGST;
-    
-    // Calculate addon price without GST
-    const addonPriceExclusiveGST = student.addonPriceINR ? Math.round(student.addonPriceINR / gstMultiplier) : 0;
-    const addonGSTAmount = student.addonPriceINR ? student.addonPriceINR - addonPriceExclusiveGST : 0;
-    
-    // Calculate totals
-    const subtotalExclusiveGST = programPriceExclusiveGST + addonPriceExclusiveGST;
-    const totalGSTAmount = programGSTAmount + addonGSTAmount;
-
-    // Build invoice response
+    const invoice = await buildInvoiceData(student, installment, charge);
+    const learner = student.learner || {};
+
+    // Build invoice response (billing details as at purchase)
     res.json({
       success: true,
-      invoice: {
-        id: student._id,
-        invoiceNumber: student.invoiceNumber,
-        createdAt: student.createdAt,
-        programName: student.programName,
-        programUnitPrice: student.programUnitPrice, // Original unit price (inclusive)
-        programUnitPriceExclusiveGST: programUnitPriceExclusiveGST, // Unit price without GST
-        programPrice: student.programUnitPrice, // Original unit price
-        programPriceINR: student.programPriceINR, // Total program price (inclusive)
-        programPriceExclusiveGST: programPriceExclusiveGST, // Program total price without GST
-        programDuration: student.programDuration,
-        selectedAddonNames: student.selectedAddonNames,
-        addonsData: student.addonsData, // Include the addons data array
-        addonPriceINR: student.addonPriceINR, // Total addon price (inclusive)
-        addonPriceExclusiveGST: addonPriceExclusiveGST, // Addon price without GST
-        subtotalINR: student.subtotalINR, // Total inclusive price
-        subtotalExclusiveGST: subtotalExclusiveGST, // Total without GST
-        gstRate: gstRate,
-        gstAmountINR: totalGSTAmount, // Calculated GST amount
-        totalINR: student.totalINR || student.subtotalINR,
-        paymentStatus: student.paymentStatus,
-        paymentMethod: student.paymentMethod || "Razorpay",
-        paymentDate: student.paymentDate || student.createdAt,
-        type: student.programType,
-      },
+      invoice,
       student: {
         fullName: student.fullName,
         email: student.email,
         primaryPhone: student.primaryPhone,
-        secondaryPhone: student.secondaryPhone,
-        whatsappNotifications: student.whatsappNotifications,
+        secondaryPhone: learner.secondaryPhone,
+        whatsappNotifications: learner.whatsappNotifications,
         residentialAddress: student.residentialAddress,
         city: student.city,
         state: student.state,
         zipCode: student.zipCode,
         country: student.country,
-        dateOfBirth: student.dateOfBirth,
-        highestQualification: student.highestQualification,
-        specialization: student.specialization,
-        currentProfession: student.currentProfession,
-        currentOrganization: student.currentOrganization,
-        linkedinProfile: student.linkedinProfile,
-        idType: student.idType,
-        idNumber: student.idNumber,
+        dateOfBirth: learner.dateOfBirth,
+        highestQualification: learner.highestQualification,
+        specialization: learner.specialization,
+        currentProfession: learner.currentProfession,
+        currentOrganization: learner.currentOrganization,
+        linkedinProfile: learner.linkedinProfile,
+        idType: learner.idType,
+        idNumber: learner.idNumber,
       },
       timestamp: new Date().toISOString()
     });
@@ -129,6 +115,43 @@ router.get('/:id', async (req, res) => {
     });
   }
 });
+/**
+ * GET /api/v1/invoices/:id/pdf
+ * Download the tax invoice as a PDF
+ */
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    const { student, installment, charge } = await findInvoice(req.params.id);
+
+    if (!isInvoicePaid(student, installment)) {
+      return res.status(404).json({
+        success: false,
+        error: "Invoice not found or payment not completed",
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const invoice = await buildInvoiceData(student, installment, charge);
+    const pdf = await renderInvoicePdf(invoice, student);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${getInvoiceFileName(invoice)}"`,
+      'Content-Length': pdf.length,
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    console.error("Error rendering invoice PDF:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to render invoice PDF",
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * POST /api/v1/invoices
  * Create new invoice
@@ -147,61 +170,69 @@ router.post('/', (req, res) => {
 
 /**
  * POST /api/v1/invoices/send
- * Send invoice via email
+ * Send invoice via email, to the address the enrollment was registered with
  */
 
 
-router.post('/send', async (req, res) => {
+router.post('/send', audit(AUDIT_ACTIONS.INVOICE_SEND, { targetType: 'student' }), async (req, res) => {
   try {
-    const { studentEmail, invoiceLink } = req.body;
+    const { invoiceLink } = req.body;
 
     // Validate required fields
-    if (!studentEmail || !invoiceLink) {
+    if (!invoiceLink) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: studentEmail, invoiceLink'
+        error: 'Missing required field: invoiceLink'
       });
     }
 
     // Fetch student by invoiceLink
-    const student = await Student.findOne({ invoiceLink }).lean();
+    const { student, installment, charge } = await findInvoice(invoiceLink);
 
-    if (!student) {
+    // Only paid invoices are sent, and only to the student (never to an
+    // address from the request)
+    if (!isInvoicePaid(student, installment)) {
       return res.status(404).json({
         success: false,
-        error: 'Invoice not found'
+        error: 'Invoice not found or payment not completed'
       });
     }
-    const emailPort = parseInt(process.env.PAYMENTS_EMAIL_PORT, 10);
-    console.log("payments email transporter initialized", {
-      host: process.env.PAYMENTS_EMAIL_HOST,
-      port: emailPort,
-      secure: emailPort === 465,
-      user: process.env.PAYMENTS_EMAIL_USER,
-      pass: process.env.PAYMENTS_EMAIL_PASSWORD ? '****' : '(not provided)', // hide password in logs
-    });
-
-    // Create email transporter
-    const transporter = nodemailer.createTransport({
-        host: process.env.PAYMENTS_EMAIL_HOST,
-        port: emailPort,
-        secure: emailPort === 465,
-        auth: {
-          user: process.env.PAYMENTS_EMAIL_USER,
-          pass: process.env.PAYMENTS_EMAIL_PASSWORD
-        }
-      });
-
+    const studentEmail = student.email;
+    // An installment's (or monthly charge's) invoice shows its own number, amount and payment
+    const invoiceNumber = installment ? getInstallmentInvoice(student, installment).invoiceNumber
+      : charge ? getChargeInvoice(student, charge).invoiceNumber : student.invoiceNumber;
+    const amountINR = (installment || charge)?.amountINR ?? student.totalINR;
+    const paymentDate = (installment || charge)?.paidAt || student.paymentDate || student.createdAt;
+    const chargePeriod = charge?.periodStart && `${new Date(charge.periodStart).toLocaleDateString()} - ${new Date(charge.periodEnd).toLocaleDateString()}`;
+    res.locals.audit.target.id = student.studentId;
+    res.locals.audit.metadata = {
+      invoiceNumber,
+      to: studentEmail,
+      ...(installment ? { installment: installment.number } : {}),
+      ...(charge ? { charge: charge.number } : {}),
+    };
 
     // Generate invoice URL
     const baseUrl = process.env.BASE_URL || 'http://localhost:8000';
     const invoiceUrl = `${process.env.FRONTEND_URL}/invoice/${invoiceLink}`;
 
+    // Attach the PDF invoice so the student has it without frontend access
+    let attachments;
+    try {
+      const invoice = await buildInvoiceData(student, installment, charge);
+      attachments = [{
+        filename: getInvoiceFileName(invoice),
+        content: await renderInvoicePdf(invoice, student),
+        contentType: 'application/pdf',
+      }];
+    } catch (pdfError) {
+      console.error('Error rendering invoice PDF for email:', pdfError);
+    }
+
     // Email template
     const mailOptions = {
-      from: process.env.PAYMENTS_EMAIL_FROM,
       to: studentEmail,
-      subject: `Invoice ${student.invoiceNumber} - SIRTIFAI Programme`,
+      subject: `Invoice ${invoiceNumber} - SIRTIFAI Programme`,
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
           <div style="background-color: #FC4C03; color: white; padding: 20px; text-align: center;">
@@ -212,24 +243,29 @@ router.post('/send', async (req, res) => {
           <div style="padding: 20px; background-color: #f9f9f9;">
             <p>Dear ${student.fullName},</p>
             
-            <p>Thank you for your payment! Your enrollment has been confirmed.</p>
+            <p>${installment && installment.number > 1 ? `Thank you for your payment! We have received installment ${installment.number} of ${student.installments.length}.`
+              : charge && charge.number > 1 ? `Thank you for your payment! We have received your monthly payment${chargePeriod ? ` for ${chargePeriod}` : ''}.`
+              : 'Thank you for your payment! Your enrollment has been confirmed.'}</p>
             
             <div style="background-color: white; padding: 15px; border-radius: 5px; margin: 20px 0;">
               <h3>Payment Details:</h3>
-              <p><strong>Invoice Number:</strong> ${student.invoiceNumber}</p>
+              <p><strong>Invoice Number:</strong> ${invoiceNumber}</p>
               <p><strong>Program:</strong> ${student.programName}</p>
-              <p><strong>Duration:</strong> ${student.programDuration} months</p>
+              ${charge
+                ? `<p><strong>Billing:</strong> Monthly (month ${charge.number}${chargePeriod ? `, ${chargePeriod}` : ''})</p>`
+                : `<p><strong>Duration:</strong> ${student.programDuration} months</p>`}
+              ${installment ? `<p><strong>Installment:</strong> ${installment.number} of ${student.installments.length}</p>` : ''}
 
-              <p><strong>Total Amount:</strong> ₹${student.totalINR.toLocaleString()}</p>
+              <p><strong>${installment || charge ? 'Amount Paid' : 'Total Amount'}:</strong> ₹${amountINR.toLocaleString()}</p>
               <p><strong>Payment Status:</strong> ${student.paymentStatus}</p>
-              <p><strong>Payment Date:</strong> ${new Date(student.paymentDate || student.createdAt).toLocaleDateString()}</p>
+              <p><strong>Payment Date:</strong> ${new Date(paymentDate).toLocaleDateString()}</p>
             </div>
             
             <div style="text-align: center; margin: 30px 0;">
               <a href="${invoiceUrl}" style="background-color: #FC4C03; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">View Your Invoice</a>
             </div>
             
-            <p>You can access your invoice anytime using the link above.</p>
+            <p>${attachments ? 'Your tax invoice is attached to this email as a PDF. You can also access it anytime using the link above.' : 'You can access your tax invoice anytime using the link above.'}</p>
             <p>You will receive further instructions about your program shortly.</p>
             <p>If you have any questions, please contact us at support@sirtifai.com</p>
             <p>Best regards,<br>The SIRTIFAI Team</p>
@@ -240,17 +276,18 @@ router.post('/send', async (req, res) => {
           </div>
         </div>
       `,
+      attachments,
     };
 
     // Send email
-    await transporter.sendMail(mailOptions);
+    await sendPaymentsMail(mailOptions);
 
     res.json({
       success: true,
       message: 'Invoice email sent successfully',
       data: {
         studentEmail,
-        invoiceNumber: student.invoiceNumber,
+        invoiceNumber,
         invoiceUrl
       },
       timestamp: new Date().toISOString()
@@ -1,75 +1,54 @@
 import express from 'express';
 import crypto from 'crypto';
 import dotenv from 'dotenv';
-import Razorpay from 'razorpay';
 import { v4 as uuidv4 } from 'uuid';
-import {getProductById} from "../utils/products.js"
-import Student from '../models/Student.js';
-import { STUDENT_STATUS, PAYMENT_STATUS } from '../config/constants.js';
+import { validatePackageSelection } from "../utils/packageValidation.js";
+import Enrollment from '../models/Enrollment.js';
+import Donation from '../models/Donation.js';
+import { requestInvoiceEmail } from '../utils/invoiceEmail.js';
+import { computeTax, getGstRate } from '../utils/tax.js';
+import { buildInstallmentSchedule, getCheckoutAmountINR, findInstallmentByOrderId } from '../utils/installments.js';
+import { isSubscription, getChargeInvoice } from '../utils/subscriptions.js';
+import { ConflictError, ValidationError } from '../utils/errors.js';
+import webhookService from '../services/webhookService.js';
+import couponService from '../services/couponService.js';
+import referralService from '../services/referralService.js';
+import checkoutRecoveryService from '../services/checkoutRecoveryService.js';
+import installmentService from '../services/installmentService.js';
+import subscriptionService from '../services/subscriptionService.js';
+import studentDocumentService from '../services/studentDocumentService.js';
+import emailVerificationService from '../services/emailVerificationService.js';
+import learnerService from '../services/learnerService.js';
+import studentLifecycleService from '../services/studentLifecycleService.js';
+import { getPaymentGateway } from '../services/paymentGateway.js';
+import { idempotent } from '../middlewares/idempotency.js';
+import { audit } from '../middlewares/audit.js';
+import { sendPaymentsMail } from '../utils/mailer.js';
+import { renderDonationReceipt, getDonationReceiptUrl } from '../utils/donationReceipt.js';
+import { STUDENT_STATUS, PAYMENT_STATUS, PRODUCT_BILLING_TYPES, BILLING_MODES, AUDIT_ACTIONS, WEBHOOK_EVENT_STATUS } from '../config/constants.js';
 
 // Load environment variables
 dotenv.config();
 
-// Constants
-const GST_RATE = 0.18; // 18% GST
-
-// Helper Functions
-function generateInvoiceNumber() {
-  const date = new Date();
-  const dateStr = date.toISOString().slice(0, 10).replace(/-/g, '');
-  const randomNum = Math.floor(Math.random() * 1000000)
-    .toString()
-    .padStart(6, '0');
-  return `SRT/INT/${dateStr}/${randomNum}`;
-}
-
-
-// Updated function to handle multiple addons
-async function createStandardizedPackageData(selectedProductType, selectedProduct, selectedAddons, duration) {
-  console.log("Creating standardized package data...", { selectedProductType, selectedProduct, selectedAddons, duration });
-
-  // Get the main product
-  const product = await getProductById(selectedProductType, selectedProduct);
-  if (!product) {
-    throw new Error(`Product not found: ${selectedProductType} / ${selectedProduct}`);
-  }
-
-  // Determine corresponding addon type based on selectedProductType
-  const addonTypeMap = {
-    programs: 'programAddons',
-    freelancer: 'freelancerAddons',
-    international: 'internationalAddons'
-  };
-
-  const selectedAddonType = addonTypeMap[selectedProductType];
-  if (!selectedAddonType) {
-    throw new Error(`Unknown addon type for: ${selectedProductType}`);
-  }
-
-  // Handle multiple addons
-  let addonsData = [];
-  let totalAddonPrice = 0;
-
-  if (Array.isArray(selectedAddons) && selectedAddons.length > 0) {
-    for (const addonId of selectedAddons) {
-      const addon = await getProductById(selectedAddonType, addonId);
-      if (addon) {
-        addonsData.push(addon);
-        totalAddonPrice += addon.price || 0; // Use `price` not `basePrice`
-      }
-    }
-  }
+// Price a validated package selection (see validatePackageSelection).
+// Billed by subscription, the price is the first month's: addons are charged
+// once, with it, and every later charge is the program's month alone.
+function createStandardizedPackageData({ productType, productId, product, addonIds, addons, duration, billingMode }) {
+  const totalAddonPrice = addons.reduce((acc, addon) => acc + (addon.price || 0), 0);
+  const billedMonths = billingMode === BILLING_MODES.SUBSCRIPTION ? 1 : duration;
 
   // Calculate pricing
-  const programPrice = product.type === 'monthly' ? product.price * duration : product.price;
+  const programPrice = product.type === PRODUCT_BILLING_TYPES.MONTHLY ? product.price * billedMonths : product.price;
   const subtotal = programPrice + totalAddonPrice;
 
   return {
-    type: selectedProductType,
-    selectedProduct,
-    selectedAddons,
+    type: productType,
+    selectedProduct: productId,
+    selectedAddons: addonIds,
     productData: product,
-    addonsData,
+    addonsData: addons,
+    billingMode,
+    billedMonths,
     pricing: {
       programUnitPrice: product.price,
       programPrice,
@@ -80,6 +59,138 @@ async function createStandardizedPackageData(selectedProductType, selectedProduc
   };
 }
 
+// Price a package for a buyer: validates the coupon and referral code (if any)
+// server-side and splits GST on the discounted, GST-inclusive amounts.
+// A referral discount only applies when no coupon is used. With an
+// installment plan, only the first installment is charged at checkout.
+// Billed by subscription, the quote is for one month (charged up to
+// `duration` times) and takes no coupon or referral discount - a plan
+// charges the same amount every month.
+async function buildOrderQuote(packageData, { couponCode, referralCode, email, state, country } = {}) {
+  // Rejects unknown products, out-of-range durations and foreign addons
+  const selection = await validatePackageSelection(packageData);
+  const { productType: selectedProductType, productId: selectedProduct, duration, installmentPlan, billingMode } = selection;
+  const subscription = billingMode === BILLING_MODES.SUBSCRIPTION;
+
+  const standardizedData = createStandardizedPackageData(selection);
+  const { productData: product, addonsData, pricing, billedMonths } = standardizedData;
+
+  if (subscription && couponCode) {
+    throw new ValidationError('Invalid package selection', [
+      { field: 'packageData.couponCode', code: 'COUPON_NOT_AVAILABLE', message: 'Coupons cannot be used with monthly billing' },
+    ]);
+  }
+
+  let coupon = null;
+  let discountINR = 0;
+  if (couponCode) {
+    ({ coupon, discountINR } = await couponService.validateCoupon(couponCode, {
+      productType: selectedProductType,
+      productId: selectedProduct,
+      orderValueINR: pricing.subtotal,
+      email,
+    }));
+  }
+
+  let referral = null;
+  let referralDiscountINR = 0;
+  if (referralCode) {
+    referral = await referralService.validateCode(referralCode, { email });
+    if (!coupon && !subscription) {
+      referralDiscountINR = referral.calculateRefereeDiscount(pricing.subtotal);
+      discountINR = referralDiscountINR;
+    }
+  }
+
+  const programItem = { description: product.name, sacCode: product.sacCode, quantity: billedMonths, amount: pricing.programPrice };
+  const tax = computeTax({
+    items: [
+      programItem,
+      ...addonsData.map(addon => ({
+        description: addon.name,
+        sacCode: addon.sacCode,
+        quantity: 1,
+        amount: addon.price || 0,
+      })),
+    ],
+    buyerState: state,
+    buyerCountry: country,
+    discount: discountINR,
+  });
+
+  const installments = installmentPlan ? buildInstallmentSchedule(tax.totals.total, installmentPlan) : [];
+
+  // Each charge after the first pays for the program's month only
+  const monthlyAmountINR = subscription
+    ? computeTax({ items: [programItem], buyerState: state, buyerCountry: country }).totals.total
+    : null;
+
+  return {
+    ...standardizedData,
+    selectedProductType,
+    duration,
+    coupon,
+    referral,
+    referralDiscountINR,
+    discountINR: tax.totals.discount,
+    tax,
+    totalAmountINR: tax.totals.total,
+    monthlyAmountINR,
+    installmentPlan,
+    installments,
+    amountDueNowINR: installments.length > 0 ? installments[0].amountINR : tax.totals.total,
+  };
+}
+
+// Fetch a student's previous order; null if it can't be fetched
+async function fetchOpenOrder(orderId) {
+  if (!orderId) {
+    return null;
+  }
+  try {
+    return await getPaymentGateway().fetchOrder(orderId);
+  } catch (error) {
+    console.error(`Could not fetch order ${orderId}:`, error.message || error);
+    return null;
+  }
+}
+
+// Pricing block returned by the quote and create-order endpoints
+function formatQuotePricing(quote) {
+  return {
+    programPriceINR: quote.pricing.programPrice,
+    addonPriceINR: quote.pricing.addonPrice,
+    subtotalINR: quote.pricing.subtotal,
+    couponCode: quote.coupon?.code || null,
+    referralCode: quote.referral?.code || null,
+    referralDiscountINR: quote.referralDiscountINR,
+    discountINR: quote.discountINR,
+    taxType: quote.tax.taxType,
+    taxableValueINR: quote.tax.totals.taxableValue,
+    cgstAmountINR: quote.tax.totals.cgstAmount,
+    sgstAmountINR: quote.tax.totals.sgstAmount,
+    igstAmountINR: quote.tax.totals.igstAmount,
+    gstAmountINR: quote.tax.totals.totalTax,
+    totalAmountINR: quote.totalAmountINR,
+    installmentPlan: quote.installmentPlan ? {
+      id: quote.installmentPlan.id,
+      name: quote.installmentPlan.name,
+      installments: quote.installmentPlan.installments,
+      intervalDays: quote.installmentPlan.intervalDays,
+    } : null,
+    installments: quote.installments.map(({ number, amountINR, dueDate }) => ({ number, amountINR, dueDate })),
+    billingMode: quote.billingMode,
+    subscription: quote.billingMode === BILLING_MODES.SUBSCRIPTION ? {
+      firstChargeINR: quote.totalAmountINR,
+      monthlyAmountINR: quote.monthlyAmountINR,
+      months: quote.duration,
+    } : null,
+    amountDueNowINR: quote.amountDueNowINR,
+    duration: quote.duration,
+    addonsData: quote.addonsData,
+  };
+}
+
 /**
  * Payment Controller
  * Handles payment-related operations including Razorpay order creation and verification
@@ -134,64 +245,90 @@ router.post('/', (req, res) => {
 });
 
 /**
- * POST /api/v1/payments/create-order
- * Create Razorpay order and student record
+ * POST /api/v1/payments/quote
+ * Preview the price of a package, with an optional coupon applied
  */
-router.post('/create-order', async (req, res) => {
+router.post('/quote', async (req, res) => {
   try {
-    // Initialize Razorpay
-    const razorpay = new Razorpay({
-      key_id: process.env.RAZORPAY_KEY_ID || '',
-      key_secret: process.env.RAZORPAY_KEY_SECRET || '',
-    });
-
-    const { packageData, studentData, receipt } = req.body;
-
-    console.log('Received data in create-order:', { packageData, studentData });
+    const { packageData, couponCode, referralCode, email, state, country } = req.body;
 
-    if (!packageData || !studentData) {
+    if (!packageData) {
       return res.status(400).json({
         success: false,
-        error: 'Missing package data or student data',
+        error: 'Missing package data',
         timestamp: new Date().toISOString()
       });
     }
 
-    const selectedProduct = packageData?.selectedProduct || packageData?.selectedProgram;
-    const selectedProductType = packageData?.type;
-    const selectedAddons = packageData?.selectedAddon || []; 
-    const duration = packageData?.productData?.duration || packageData?.selectedMonths || 1;
+    const quote = await buildOrderQuote(packageData, { couponCode, referralCode, email, state, country });
+
+    res.json({
+      success: true,
+      pricing: formatQuotePricing(quote),
+      coupon: quote.coupon ? {
+        code: quote.coupon.code,
+        description: quote.coupon.description,
+        discountType: quote.coupon.discountType,
+        value: quote.coupon.value,
+      } : null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error building quote:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to build quote',
+      details: error.details || undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/v1/payments/create-order
+ * Create Razorpay order and student record
+ */
+router.post('/create-order', idempotent('create-order'), async (req, res) => {
+  // Coupon redemption reserved by this request, released if it fails
+  let reservedCoupon = null;
 
-    // Get product details
-    const product = await getProductById(selectedProductType, selectedProduct);
+  try {
+    const { packageData, studentData, receipt } = req.body;
 
-    if (!product) {
-      console.error('Product not found for ID:', selectedProduct);
+    console.log('Received data in create-order:', { packageData, studentData });
+
+    if (!packageData || !studentData) {
       return res.status(400).json({
         success: false,
-        error: 'Product not found',
+        error: 'Missing package data or student data',
         timestamp: new Date().toISOString()
       });
     }
 
-    // Calculate pricing (all in INR now)
-    const standardizedData = await createStandardizedPackageData(
-      selectedProductType,
-      selectedProduct,
-      selectedAddons,
-      duration
-    );
-    const programUnitPrice = standardizedData.pricing.programUnitPrice;
-    const programPriceINR = standardizedData.pricing.programPrice;
-    const addonPriceINR = standardizedData.pricing.addonPrice;
-    const subtotalINR = standardizedData.pricing.subtotal;
-    const addonsData = standardizedData.addonsData;
+    // Validate the selection and calculate pricing (all in INR now), applying the coupon if one was entered
+    const quote = await buildOrderQuote(packageData, {
+      couponCode: packageData.couponCode || studentData.couponCode,
+      referralCode: studentData.referralCode,
+      email: studentData.email,
+      state: studentData.state,
+      country: studentData.country,
+    });
+    const programUnitPrice = quote.pricing.programUnitPrice;
+    const programPriceINR = quote.pricing.programPrice;
+    const addonPriceINR = quote.pricing.addonPrice;
+    const subtotalINR = quote.pricing.subtotal;
+    const addonsData = quote.addonsData;
+    const { tax, discountINR, duration } = quote;
+    const product = quote.productData;
+    const selectedProductType = quote.type;
+    const selectedProduct = quote.selectedProduct;
 
     console.log('Calculated pricing (INR):', {
       programUnitPrice,
       programPriceINR,
       addonPriceINR,
       subtotalINR,
+      discountINR,
       duration,
       addonsData
     });
@@ -210,20 +347,8 @@ router.post('/create-order', async (req, res) => {
       });
     }
 
-    // Final INR amount (GST can be added if needed)
-    const totalAmountINR = subtotalINR;
-
-    // Create Razorpay order
-    const options = {
-      amount: Math.round(totalAmountINR * 100), // Razorpay expects amount in paise
-      currency: 'INR',
-      receipt: receipt || `receipt_${Date.now()}`,
-    };
-
-    const order = await razorpay.orders.create(options);
-
-    const invoiceNumber = generateInvoiceNumber();
-    const invoiceLink = uuidv4();
+    // Final INR amount (prices are GST-inclusive, GST is split on the discounted amount)
+    const totalAmountINR = quote.totalAmountINR;
 
     // Parse date of birth
     let parsedDateOfBirth;
@@ -267,17 +392,20 @@ router.post('/create-order', async (req, res) => {
       }
     }
 
+    // Decode and check the uploaded documents now; they are stored once the order exists
+    const documentUploads = studentDocumentService.parseUploads(studentData);
+
     // Prepare addon names for storage
     const addonNames = addonsData.map(addon => addon.name).join(', ');
-    const selectedAddonIds = Array.isArray(selectedAddons) ? selectedAddons : (selectedAddons ? [selectedAddons] : []);
+    const selectedAddonIds = quote.selectedAddons;
 
-    // Mock Student Record (replace with DB save)
-    const newStudent = new Student({
+    // Identity, contact and KYC details belong to the learner, who may
+    // enroll in several programs
+    const learnerFields = {
       // Personal Details
       fullName: studentData.fullName,
       dateOfBirth: parsedDateOfBirth,
       countryOfCitizenship: studentData.countryOfCitizenship,
-      referralCode: studentData.referralCode || null,
 
       // Contact Information
       primaryPhone: studentData.primaryPhone,
@@ -302,20 +430,36 @@ router.post('/create-order', async (req, res) => {
       // Identity Document
       idType: studentData.idType,
       idNumber: studentData.idNumber,
-      idDocumentBase64: studentData.idDocumentBase64 || null,
-      idDocumentName: studentData.idDocumentName || null,
-      idDocumentType: studentData.idDocumentType || null,
-      
-      // Student Photo
-      studentPhotoBase64: studentData.studentPhotoBase64 || null,
-      studentPhotoName: studentData.studentPhotoName || null,
-      studentPhotoType: studentData.studentPhotoType || null,
+    };
+
+    const studentFields = {
+      // Billing Details (as on the invoice)
+      fullName: studentData.fullName,
+      primaryPhone: studentData.primaryPhone,
+      email: studentData.email,
+      residentialAddress: studentData.residentialAddress,
+      city: studentData.city,
+      state: studentData.state,
+      zipCode: studentData.zipCode,
+      country: studentData.country,
+      referralCode: quote.referral?.code || null,
 
       // Program Selection & Pricing
       programType: selectedProductType,
       selectedProgram: selectedProduct, // This should be ObjectId
       programName: product.name,
-      programDuration: duration,
+      productSnapshot: {
+        id: quote.productData.id,
+        name: quote.productData.name,
+        category: quote.productData.category,
+        type: quote.productData.type,
+        monthlyOptions: quote.productData.monthlyOptions,
+        sacCode: quote.productData.sacCode,
+        price: quote.productData.price,
+        priceEffectiveFrom: quote.productData.priceEffectiveFrom,
+        features: quote.productData.features,
+      },
+      programDuration: quote.billedMonths,
       programUnitPrice,
       programPriceINR,
       selectedAddons: selectedAddonIds, // Array of ObjectIds
@@ -324,19 +468,30 @@ router.post('/create-order', async (req, res) => {
       addonsData, // Full addon data with prices
 
       // Invoice Details
-      invoiceNumber,
       subtotalINR,
-      gstRate: GST_RATE * 100, 
-      // gstAmountINR: 0,
-      totalINR: subtotalINR,
-      gstRate: GST_RATE * 100, 
-      // gstAmountINR: subtotalINR * GST_RATE,
-      // totalINR: subtotalINR * (1 + GST_RATE),
+      couponCode: quote.coupon?.code,
+      discountINR,
+      referralDiscountINR: quote.referralDiscountINR,
+      gstRate: getGstRate(product.sacCode),
+      taxType: tax.taxType,
+      taxableValueINR: tax.totals.taxableValue,
+      cgstAmountINR: tax.totals.cgstAmount,
+      sgstAmountINR: tax.totals.sgstAmount,
+      igstAmountINR: tax.totals.igstAmount,
+      gstAmountINR: tax.totals.totalTax,
+      totalINR: totalAmountINR,
+
+      // Installment plan (the later installments fall due from the day the first is paid)
+      installmentPlan: quote.installmentPlan ? {
+        planId: quote.installmentPlan.id,
+        name: quote.installmentPlan.name,
+        intervalDays: quote.installmentPlan.intervalDays,
+      } : undefined,
+      installments: quote.installments,
 
       // Payment Details
       paymentStatus: PAYMENT_STATUS.PROCESSING, // Use constant instead of string
-      razorpayOrderId: order.id,
-      invoiceLink,
+      checkoutStartedAt: new Date(),
 
       // Confirmation
       agreedToTerms: studentData.agreedToTerms || false,
@@ -345,19 +500,155 @@ router.post('/create-order', async (req, res) => {
       // Additional fields (optional)
       status: STUDENT_STATUS.PENDING,
       registrationSource: 'WEBSITE', // or whatever source
+    };
+
+    // A returning learner (same ID document) gets another enrollment for a
+    // new program; a retried or resubmitted registration for the same
+    // program updates the unpaid enrollment instead
+    const learner = await learnerService.findForCheckout(learnerFields);
+    const { active, unpaid: existingStudent } = learner
+      ? await learnerService.findProgramEnrollments(learner, selectedProduct)
+      : {};
+
+    if (active) {
+      return res.status(409).json({
+        success: false,
+        error: 'You are already enrolled in this program',
+        studentId: active.studentId,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Razorpay expects amount in paise; on an installment plan this is the first installment
+    const amountPaise = Math.round(quote.amountDueNowINR * 100);
+    const billedMonthly = quote.billingMode === BILLING_MODES.SUBSCRIPTION;
+    const previousSubscriptionId = existingStudent?.subscription?.razorpaySubscriptionId;
+    let order = null;
+    let subscription = null;
+    let reusedSubscription = false;
+
+    const alreadyPaid = () => res.status(409).json({
+      success: false,
+      error: 'Payment for this registration has already been received and is being confirmed',
+      studentId: existingStudent.studentId,
+      timestamp: new Date().toISOString()
     });
 
+    if (existingStudent) {
+      const previousOrder = await fetchOpenOrder(existingStudent.razorpayOrderId);
 
-    const savedStudent = await newStudent.save();
-    
-    console.log('Student created successfully:', savedStudent.studentId);
-    // return savedStudent;
+      if (previousOrder?.status === 'paid') {
+        return alreadyPaid();
+      }
+
+      // Same amount: hand back the open order so a payment started on it still matches
+      if (!billedMonthly && previousOrder && previousOrder.amount === amountPaise) {
+        order = previousOrder;
+      }
+    }
+
+    const reusedOrder = Boolean(order);
 
+    try {
+      if (billedMonthly) {
+        // Monthly billing: the learner authorises a subscription on the plan for this price
+        const plan = await subscriptionService.getOrCreatePlan(quote);
+        ({ subscription, reusedSubscription } = await subscriptionService.openSubscription({
+          razorpayPlanId: plan.razorpayPlanId,
+          totalCount: duration,
+          previousSubscriptionId,
+          addonsINR: quote.totalAmountINR - quote.monthlyAmountINR,
+          notes: { programType: selectedProductType, selectedProgram: selectedProduct },
+        }));
+      } else if (previousSubscriptionId) {
+        // Switched from monthly billing to paying upfront
+        await subscriptionService.discardSubscription(previousSubscriptionId);
+      }
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        return alreadyPaid();
+      }
+      throw error;
+    }
 
-    console.log('Student record created successfully:', {
+    // The coupon's redemption is held for this enrollment until its payment
+    // succeeds or the checkout expires
+    const studentId = existingStudent?.studentId || new Enrollment().studentId;
+    if (quote.coupon) {
+      const reservation = { studentId, email: studentData.email, discountINR };
+      if (await couponService.reserveRedemption(quote.coupon.code, reservation)) {
+        reservedCoupon = { code: quote.coupon.code, studentId };
+      }
+    }
+
+    if (!order && !billedMonthly) {
+      order = await getPaymentGateway().createOrder({
+        amount: amountPaise,
+        currency: 'INR',
+        receipt: receipt || `receipt_${Date.now()}`,
+      });
+    }
+
+    // ID document and photo go to document storage; the learner keeps their keys
+    const documentFields = await studentDocumentService.storeUploads(documentUploads);
+
+    let savedLearner;
+    try {
+      savedLearner = await learnerService.saveFromCheckout(learner, learnerFields, documentFields);
+    } catch (error) {
+      await studentDocumentService.discard(studentDocumentService.storedKeys(documentFields));
+      throw error;
+    }
+
+    // Billed monthly, the first charge's order is recorded when it is paid
+    const checkoutFields = {
+      razorpayOrderId: order?.id,
+      subscription: subscription ? subscriptionService.getCheckoutFields(subscription, quote.monthlyAmountINR) : undefined,
+    };
+
+    let savedStudent;
+    if (existingStudent) {
+      if (existingStudent.razorpayOrderId && existingStudent.razorpayOrderId !== order?.id) {
+        existingStudent.previousRazorpayOrderIds.push(existingStudent.razorpayOrderId);
+      }
+      const previousCouponCode = existingStudent.couponCode;
+      const previousSubscriptionIds = [...(existingStudent.subscription?.previousRazorpaySubscriptionIds || [])];
+      if (previousSubscriptionId && previousSubscriptionId !== subscription?.id) {
+        previousSubscriptionIds.push(previousSubscriptionId);
+      }
+      existingStudent.set({ ...studentFields, ...checkoutFields });
+      // Webhooks for a replaced subscription still find this enrollment
+      if (previousSubscriptionIds.length > 0) {
+        existingStudent.set('subscription.previousRazorpaySubscriptionIds', previousSubscriptionIds);
+      }
+      // A new checkout attempt re-opens an expired one
+      existingStudent.checkoutRecovery.expiredAt = undefined;
+      savedStudent = await existingStudent.save();
+      reservedCoupon = null;
+      console.log('Pending enrollment updated:', savedStudent.studentId);
+
+      // A resubmission without the earlier coupon gives its redemption back
+      if (previousCouponCode && previousCouponCode !== savedStudent.couponCode) {
+        await couponService.releaseRedemption(previousCouponCode, savedStudent.studentId);
+      }
+    } else {
+      // The invoice number is assigned when the payment succeeds
+      savedStudent = await new Enrollment({ ...studentFields, ...checkoutFields, studentId, learner: savedLearner._id, invoiceLink: uuidv4() }).save();
+      reservedCoupon = null;
+      console.log('Enrollment created successfully:', savedStudent.studentId);
+    }
+    const invoiceLink = savedStudent.invoiceLink;
+
+    // Confirm the address before the invoice is sent to it; a returning
+    // learner only gets another email once the resend throttle allows
+    emailVerificationService.send(savedLearner)
+      .catch(error => console.error(`Verification email to ${savedLearner.learnerId} failed:`, error));
+
+    console.log('Enrollment record created successfully:', {
       studentId: savedStudent.studentId,
-      orderId: order.id,
-      invoiceNumber,
+      learnerId: savedLearner.learnerId,
+      orderId: order?.id,
+      subscriptionId: subscription?.id,
       programName: product.name,
       addonNames: addonNames,
       selectedAddons: selectedAddonIds,
@@ -366,32 +657,119 @@ router.post('/create-order', async (req, res) => {
 
     res.json({
       success: true,
-      ...order,
+      ...(billedMonthly ? { subscriptionId: subscription.id, ...subscription } : order),
       studentId: savedStudent.studentId,
+      learnerId: savedLearner.learnerId,
       invoiceLink,
-      pricing: {
-        programPriceINR,
-        addonPriceINR,
-        subtotalINR,
-        // gstAmountINR: subtotalINR * GST_RATE,
-        totalAmountINR: subtotalINR * (1 + GST_RATE),
-        duration,
-        addonsData,
-      },
+      billingMode: quote.billingMode,
+      ...(billedMonthly ? { reusedSubscription } : { reusedOrder }),
+      pricing: formatQuotePricing(quote),
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
     console.error('Error creating order:', error);
-    res.status(500).json({
+
+    if (reservedCoupon) {
+      await couponService.releaseRedemption(reservedCoupon.code, reservedCoupon.studentId)
+        .catch(releaseError => console.error(`Releasing coupon ${reservedCoupon.code} failed:`, releaseError));
+    }
+
+    // Two submissions for the same ID document raced past the lookup above
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'A registration for this ID document is already in progress',
+        details: [{ field: 'studentData.idNumber', code: 'DUPLICATE_REGISTRATION', message: 'Retry the request to resume the existing registration' }],
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to create order',
-      details: error.message,
+      error: error.details ? error.message : 'Failed to create order',
+      details: error.details || error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
+/**
+ * POST /api/v1/payments/resume/:token
+ * Re-open checkout for an unpaid registration from a recovery email link
+ */
+router.post('/resume/:token', async (req, res) => {
+  try {
+    const { student, order, reusedOrder, subscription, reusedSubscription } = await checkoutRecoveryService.resumeCheckout(req.params.token);
+
+    res.json({
+      success: true,
+      ...(subscription ? { subscriptionId: subscription.id, ...subscription, reusedSubscription } : { ...order, reusedOrder }),
+      studentId: student.studentId,
+      invoiceLink: student.invoiceLink,
+      prefill: {
+        name: student.fullName,
+        email: student.email,
+        contact: student.primaryPhone,
+      },
+      summary: {
+        programName: student.programName,
+        programDuration: student.programDuration,
+        addonNames: student.selectedAddonNames,
+        totalAmountINR: student.totalINR,
+        amountDueNowINR: getCheckoutAmountINR(student),
+        ...(subscription ? { billingMode: BILLING_MODES.SUBSCRIPTION, months: student.subscription.totalCount } : {}),
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error resuming checkout:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to resume checkout',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/v1/payments/installments/:token
+ * Create the order for a later installment from its pay link
+ */
+router.post('/installments/:token', async (req, res) => {
+  try {
+    const { student, installment, order, reusedOrder } = await installmentService.createPaymentOrder(req.params.token);
+
+    res.json({
+      success: true,
+      ...order,
+      studentId: student.studentId,
+      invoiceLink: installment.invoiceLink,
+      reusedOrder,
+      prefill: {
+        name: student.fullName,
+        email: student.email,
+        contact: student.primaryPhone,
+      },
+      summary: {
+        programName: student.programName,
+        installmentNumber: installment.number,
+        installments: student.installments.length,
+        dueDate: installment.dueDate,
+        amountINR: installment.amountINR,
+        totalAmountINR: student.totalINR,
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error creating installment order:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to create installment order',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
 
 // Donation API
 router.post("/donate", async (req, res) => {
@@ -419,21 +797,35 @@ router.post("/donate", async (req, res) => {
       })
     }
 
-    // PAN mandatory if > ₹10,000
-    if (amount > 10000 && !donor?.pan) {
+    // Build the donation record up front so schema rules (PAN above ₹10,000,
+    // email/mobile formats) are enforced before an order is created
+    const donation = new Donation({
+      donor: {
+        fullName: donor.fullName,
+        email: donor.email,
+        mobile: donor.mobile,
+        address: donor.address,
+        city: donor.city,
+        state: donor.state,
+        country: donor.country,
+        postalCode: donor.postalCode,
+        pan: donor.pan || undefined,
+      },
+      amountINR: Number(amount),
+      purpose: donor.purpose || "General",
+      anonymous: donor.anonymous || false,
+    })
+
+    try {
+      await donation.validate({ pathsToSkip: ["razorpayOrderId"] })
+    } catch (validationError) {
       return res.status(400).json({
         success: false,
-        error: "PAN is required for donations above ₹10,000",
+        error: Object.values(validationError.errors || {}).map((err) => err.message).join(", ") || validationError.message,
         timestamp: new Date().toISOString(),
       })
     }
 
-    // Initialize Razorpay
-    const razorpay = new Razorpay({
-      key_id: process.env.RAZORPAY_KEY_ID || "",
-      key_secret: process.env.RAZORPAY_KEY_SECRET || "",
-    })
-
     // Create Razorpay order (amount in paise)
     const options = {
       amount: Math.round(amount * 100),
@@ -442,19 +834,21 @@ router.post("/donate", async (req, res) => {
       payment_capture: 1, // auto capture
     }
 
-    const order = await razorpay.orders.create(options);
+    const order = await getPaymentGateway().createOrder(options);
 
-    const donationId = uuidv4()
+    donation.razorpayOrderId = order.id
+    await donation.save()
+
+    const donationId = donation.donationId
 
     console.log("✅ Donation initiated:", {
       donationId,
       donor: {
-        fullName: donor.fullName,
-        email: donor.email,
-        mobile: donor.mobile,
-        amountINR: amount,
-        purpose: donor.purpose || "General",
-        anonymous: donor.anonymous || false,
+        fullName: donation.donor.fullName,
+        email: donation.donor.email,
+        amountINR: donation.amountINR,
+        purpose: donation.purpose,
+        anonymous: donation.anonymous,
       },
       orderId: order.id,
     })
@@ -465,7 +859,7 @@ router.post("/donate", async (req, res) => {
       ...order,
       donationId,
       orderId: order.id,
-      amountINR: amount,
+      amountINR: donation.amountINR,
       currency: order.currency,
       donor,
       timestamp: new Date().toISOString(),
@@ -483,7 +877,7 @@ router.post("/donate", async (req, res) => {
 
 router.post("/verify-donate", async (req, res) => {
   try {
-    const { razorpay_order_id, razorpay_payment_id, razorpay_signature, donor, amount } = req.body
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body
 
     if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
       return res.status(400).json({
@@ -506,28 +900,56 @@ router.post("/verify-donate", async (req, res) => {
       })
     }
 
-    // ✅ Save donation record in DB (pseudo code)
-    const donationId = uuidv4()
-    console.log("✅ Verified donation:", {
-      donationId,
-      donor,
-      amount,
-      razorpay_order_id,
-      razorpay_payment_id,
-    })
+    let donation = await Donation.findByRazorpayOrderId(razorpay_order_id)
 
-    // TODO: Save to DB (donations table) with donor details, receipt no., etc.
+    if (!donation) {
+      return res.status(404).json({
+        success: false,
+        error: "Donation record not found for this order",
+        timestamp: new Date().toISOString(),
+      })
+    }
+
+    // markPaid resolves to null when a concurrent verification got there first
+    const paid = donation.status !== PAYMENT_STATUS.SUCCESS && await donation.markPaid(razorpay_payment_id)
+    const alreadyProcessed = !paid
+
+    if (!alreadyProcessed) {
+      console.log("✅ Verified donation:", {
+        donationId: donation.donationId,
+        receiptNumber: donation.receiptNumber,
+        amountINR: donation.amountINR,
+        razorpay_order_id,
+        razorpay_payment_id,
+      })
+
+      // Email the receipt; a mail failure must not fail the verification
+      try {
+        await sendPaymentsMail({
+          to: donation.donor.email,
+          subject: `Donation Receipt ${donation.receiptNumber} - SIRTIFAI`,
+          html: renderDonationReceipt(donation),
+        })
+        donation.receiptEmailedAt = new Date()
+        await donation.save()
+      } catch (emailError) {
+        console.error("Error sending donation receipt email:", emailError)
+      }
+    } else if (donation.status !== PAYMENT_STATUS.SUCCESS) {
+      // Reload for the receipt number the other verification assigned
+      donation = (await Donation.findById(donation._id)) || donation
+    }
 
-    // ✅ Generate receipt response (will be sent via email/PDF later)
     res.json({
       success: true,
-      message: "Donation verified successfully",
-      donationId,
+      message: alreadyProcessed ? "Donation already verified" : "Donation verified successfully",
+      donationId: donation.donationId,
+      receiptNumber: donation.receiptNumber,
       razorpay_order_id,
-      razorpay_payment_id,
-      donor,
-      amount,
-      receiptUrl: `https://yourdomain.org/receipts/${donationId}.pdf`,
+      razorpay_payment_id: donation.razorpayPaymentId,
+      donor: donation.donor,
+      amount: donation.amountINR,
+      receiptUrl: getDonationReceiptUrl(donation),
       timestamp: new Date().toISOString(),
     })
   } catch (error) {
@@ -577,18 +999,21 @@ router.delete('/:id', (req, res) => {
  * POST /api/v1/payments/verify
  * Verify Razorpay payment
  */
-router.post('/verify', async (req, res) => {
+router.post('/verify', audit(AUDIT_ACTIONS.PAYMENT_VERIFY, { targetType: 'order', targetId: req => req.body.razorpay_order_id || req.body.razorpay_subscription_id }), async (req, res) => {
   try {
-    const { razorpay_order_id, razorpay_payment_id, razorpay_signature, orderId } = req.body;
+    const { razorpay_order_id, razorpay_payment_id, razorpay_subscription_id, razorpay_signature, orderId } = req.body;
 
     console.log("Payment verification data:", {
       razorpay_order_id,
       razorpay_payment_id,
+      razorpay_subscription_id,
       razorpay_signature: razorpay_signature?.substring(0, 10) + "...",
     });
 
-    // Verify Razorpay signature
-    const body_string = `${razorpay_order_id}|${razorpay_payment_id}`;
+    // Verify Razorpay signature (a subscription's first charge is signed over the subscription)
+    const body_string = razorpay_subscription_id
+      ? `${razorpay_payment_id}|${razorpay_subscription_id}`
+      : `${razorpay_order_id}|${razorpay_payment_id}`;
     const expectedSignature = crypto
       .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET || "0oZnTjgtBeJP9vbY9xMc0O8T")
       .update(body_string)
@@ -607,11 +1032,13 @@ router.post('/verify', async (req, res) => {
 
     console.log("Signature verification successful");
 
-    // Find student by Razorpay order ID
-    const student = await Student.findByRazorpayOrderId(razorpay_order_id);
+    // Find student by Razorpay order (or subscription) ID
+    const student = razorpay_subscription_id
+      ? await Enrollment.findByRazorpaySubscriptionId(razorpay_subscription_id)
+      : await Enrollment.findByRazorpayOrderId(razorpay_order_id);
     
     if (!student) {
-      console.error("Student not found for order ID:", razorpay_order_id);
+      console.error("Student not found for order ID:", razorpay_order_id || razorpay_subscription_id);
       return res.status(404).json({
         success: false,
         error: "Student record not found for this order",
@@ -620,80 +1047,141 @@ router.post('/verify', async (req, res) => {
     }
 
     console.log("Found student:", student.studentId, student.email);
+    res.locals.audit.target = { type: 'student', id: student.studentId };
+    res.locals.audit.metadata = { razorpayOrderId: razorpay_order_id, razorpayPaymentId: razorpay_payment_id };
+
+    // Monthly billing: record the charge (the subscription.charged webhook may have already)
+    if (razorpay_subscription_id && isSubscription(student)) {
+      res.locals.audit.metadata.razorpaySubscriptionId = razorpay_subscription_id;
+      res.locals.audit.before = { paymentStatus: student.paymentStatus, status: student.status, accessEndsAt: student.accessEndsAt };
+
+      const payment = await getPaymentGateway().fetchPayment(razorpay_payment_id);
+      if (payment.status !== 'captured') {
+        // Recorded from the subscription.charged webhook once captured
+        return res.status(202).json({
+          success: true,
+          message: "Payment is being confirmed",
+          paymentId: razorpay_payment_id,
+          subscriptionId: razorpay_subscription_id,
+          studentId: student.studentId,
+          timestamp: new Date().toISOString()
+        });
+      }
 
-    // Check if payment is already processed
-    if (student.paymentStatus === PAYMENT_STATUS.SUCCESS) {
-      console.log("Payment already processed for student:", student.studentId);
+      const { student: updated, charge, alreadyRecorded } = await subscriptionService.recordCharge(student, payment);
+      res.locals.audit.metadata.charge = charge.number;
+      res.locals.audit.after = { paymentStatus: updated.paymentStatus, status: updated.status, accessEndsAt: updated.accessEndsAt };
+
+      let referralCode = null;
+      if (!alreadyRecorded) {
+        if (charge.number === 1) {
+          ({ referralCode } = await referralService.handleEnrollment(updated));
+        }
+        await requestInvoiceEmail(updated, null, charge);
+      }
+
+      const { invoiceLink } = getChargeInvoice(updated, charge);
+      return res.json({
+        success: true,
+        message: alreadyRecorded ? "Payment already processed" : "Payment verified and subscription started successfully",
+        paymentId: charge.razorpayPaymentId,
+        subscriptionId: razorpay_subscription_id,
+        invoiceId: invoiceLink,
+        studentId: updated.studentId,
+        invoiceLink,
+        enrollmentStatus: updated.status,
+        referralCode: referralCode?.code || null,
+        subscription: {
+          charge: charge.number,
+          totalCount: updated.subscription.totalCount,
+          amountINR: charge.amountINR,
+          accessEndsAt: updated.accessEndsAt,
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // A later installment of an installment plan has its own order and invoice
+    const installment = findInstallmentByOrderId(student, razorpay_order_id);
+    if (installment) {
+      res.locals.audit.metadata.installment = installment.number;
+      res.locals.audit.before = { installmentStatus: installment.status, status: student.status };
+      const { student: updated, installment: paid, alreadyPaid } = await installmentService.recordPayment(student, installment, razorpay_payment_id);
+      res.locals.audit.after = { installmentStatus: paid.status, status: updated.status };
+
+      if (!alreadyPaid) {
+        await requestInvoiceEmail(updated, paid);
+      }
+
+      return res.json({
+        success: true,
+        message: alreadyPaid ? "Payment already processed" : "Installment payment verified successfully",
+        paymentId: paid.razorpayPaymentId,
+        orderId: razorpay_order_id,
+        invoiceId: paid.invoiceLink,
+        studentId: updated.studentId,
+        invoiceLink: paid.invoiceLink,
+        enrollmentStatus: updated.status,
+        installment: {
+          number: paid.number,
+          installments: updated.installments.length,
+          amountINR: paid.amountINR,
+          invoiceNumber: paid.invoiceNumber,
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const alreadyProcessed = (processed) => {
+      console.log("Payment already processed for student:", processed.studentId);
       return res.json({
         success: true,
         message: "Payment already processed",
-        paymentId: student.razorpayPaymentId,
+        paymentId: processed.razorpayPaymentId,
         orderId: razorpay_order_id,
-        invoiceId: student.invoiceLink,
-        studentId: student.studentId,
-        invoiceLink: student.invoiceLink,
+        invoiceId: processed.invoiceLink,
+        studentId: processed.studentId,
+        invoiceLink: processed.invoiceLink,
         timestamp: new Date().toISOString()
       });
+    };
+
+    // Check if payment is already processed (numbering it if that never happened)
+    if (student.paymentStatus === PAYMENT_STATUS.SUCCESS) {
+      await student.assignInvoiceNumber();
+      return alreadyProcessed(student);
     }
 
     // Start database transaction (if using MongoDB with transactions)
-    const session = await Student.startSession();
+    const session = await Enrollment.startSession();
     session.startTransaction();
 
     try {
       // Update payment status using the model's instance method
-      await student.updatePaymentStatus(PAYMENT_STATUS.SUCCESS, razorpay_payment_id);
+      res.locals.audit.before = { paymentStatus: student.paymentStatus, status: student.status };
+      // The payment.captured webhook may confirm it at the same moment; only one of them enrolls
+      if (!await student.updatePaymentStatus(PAYMENT_STATUS.SUCCESS, razorpay_payment_id)) {
+        await session.abortTransaction();
+        session.endSession();
+        return alreadyProcessed(await Enrollment.findById(student._id));
+      }
+      res.locals.audit.after = { paymentStatus: student.paymentStatus, status: student.status };
       
       console.log("Payment completed successfully for student:", student.studentId);
 
-      // Prepare invoice data for email
-      const invoiceData = {
-        studentId: student.studentId,
-        studentEmail: student.email,
-        studentName: student.fullName,
-        invoiceLink: student.invoiceLink,
-        invoiceNumber: student.invoiceNumber,
-        programName: student.programName,
-        programDuration: student.programDuration,
-        addonNames: student.selectedAddonNames,
-        subtotal: student.subtotalINR,
-        gstRate: student.gstRate,
-        // gstAmount: student.gstAmountINR,
-        total: student.totalINR,
-        paymentStatus: "Completed",
-        paymentDate: student.paymentDate,
-        paymentMethod: "Razorpay",
-        razorpayPaymentId: razorpay_payment_id,
-        razorpayOrderId: razorpay_order_id,
-      };
-
       // Commit the transaction
       await session.commitTransaction();
       session.endSession();
 
-      // Send invoice email (after successful database update)
-      try {
-        const baseUrl = process.env.BASE_URL || "http://localhost:8000";
-        
-        const emailResponse = await fetch(`${baseUrl}/api/v1/invoices/send`, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify(invoiceData),
-        });
+      // Tell the student they are enrolled
+      await studentLifecycleService.notifyLatest(student);
 
-        if (emailResponse.ok) {
-          console.log("Invoice email sent successfully to:", student.email);
-        } else {
-          const errorText = await emailResponse.text();
-          console.error("Failed to send invoice email:", errorText);
-          // Note: We don't fail the payment verification if email fails
-        }
-      } catch (emailError) {
-        console.error("Error sending invoice email:", emailError);
-        // Note: We don't fail the payment verification if email fails
-      }
+      // Credit the referrer and issue the student's own referral code
+      const { referralCode } = await referralService.handleEnrollment(student);
+
+      // Send invoice email (after successful database update)
+      // Note: We don't fail the payment verification if email fails
+      await requestInvoiceEmail(student);
 
       // Return success response
       res.json({
@@ -705,6 +1193,7 @@ router.post('/verify', async (req, res) => {
         studentId: student.studentId,
         invoiceLink: student.invoiceLink,
         enrollmentStatus: student.status,
+        referralCode: referralCode?.code || null,
         timestamp: new Date().toISOString(),
         studentDetails: {
           name: student.fullName,
@@ -749,5 +1238,72 @@ router.post('/verify', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/v1/payments/webhook
+ * Razorpay webhook receiver
+ */
+router.post('/webhook', async (req, res) => {
+  try {
+    const signature = req.get('X-Razorpay-Signature');
+
+    if (!webhookService.verifySignature(req.rawBody, signature)) {
+      console.warn('Webhook signature verification failed');
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook signature',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const eventId = webhookService.resolveEventId(req.get('X-Razorpay-Event-Id'), req.rawBody);
+    const { webhookEvent, duplicate } = await webhookService.recordEvent(eventId, req.body);
+
+    // Another delivery of this event is still being processed; a non-2xx
+    // answer keeps this one in Razorpay's retry queue in case that attempt dies
+    if (duplicate && webhookEvent?.status === WEBHOOK_EVENT_STATUS.RECEIVED) {
+      return res.status(409).json({
+        success: false,
+        error: 'Event is already being processed',
+        eventId,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (duplicate) {
+      console.log('Duplicate webhook delivery ignored:', eventId);
+      return res.json({
+        success: true,
+        message: 'Duplicate event ignored',
+        eventId,
+        status: webhookEvent?.status,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Failures are stored on the event for replay and answered with a 500
+    // so Razorpay redelivers it
+    const processed = await webhookService.processEvent(webhookEvent);
+    const failed = processed.status === WEBHOOK_EVENT_STATUS.FAILED;
+
+    res.status(failed ? 500 : 200).json({
+      success: !failed,
+      message: 'Webhook received',
+      eventId,
+      event: processed.event,
+      status: processed.status,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error handling webhook:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to handle webhook',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 
 export default router;
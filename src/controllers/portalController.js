@@ -0,0 +1,381 @@
+import express from 'express';
+import Upload from '../models/Upload.js';
+import portalService from '../services/portalService.js';
+import studentDocumentService from '../services/studentDocumentService.js';
+import uploadService from '../services/uploadService.js';
+import subscriptionService from '../services/subscriptionService.js';
+import { authenticateStudent } from '../middlewares/auth.js';
+import { createRateLimit } from '../middlewares/security.js';
+import { STUDENT_DOCUMENT_FIELDS, getDocumentMetadata } from '../utils/studentDocuments.js';
+import { sendFile } from '../utils/fileResponse.js';
+import { maskSensitiveData } from '../utils/helpers.js';
+import { getInstallmentInvoice } from '../utils/installments.js';
+import { getInstallmentPayUrl } from '../utils/installmentEmail.js';
+import { getChargeAmountINR, getChargeInvoice, isSubscription, isSubscriptionEnded } from '../utils/subscriptions.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { PAYMENT_STATUS, UPLOAD_OWNER_TYPES, UPLOAD_STATUS, INSTALLMENT_STATUS, STUDENT_STATUS, SUBSCRIPTION_STATUS } from '../config/constants.js';
+
+/**
+ * Student portal (/api/v1/me)
+ * Students log in with a link or code emailed to them and get a session
+ * token for their email. Every route below the login ones only returns
+ * the learners registered with that email and their enrollments.
+ */
+
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Per IP; requestLogin also limits the emails sent to one address
+const loginRateLimit = createRateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    success: false,
+    message: 'Too many login attempts, please try again later.',
+    error: {
+      code: 'PORTAL_LOGIN_RATE_LIMIT_EXCEEDED',
+    },
+    timestamp: new Date().toISOString(),
+  },
+});
+
+const sendError = (res, error, message) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+    details: error.details || undefined,
+  });
+};
+
+// An installment of the student's plan, with the link to pay it while the
+// enrollment is collecting installments
+const formatInstallment = (student, installment) => {
+  const payable = installment.status !== INSTALLMENT_STATUS.PAID && Boolean(installment.payToken)
+    && student.paymentStatus === PAYMENT_STATUS.SUCCESS && student.status !== STUDENT_STATUS.CANCELLED;
+  return {
+    number: installment.number,
+    amountINR: installment.amountINR,
+    dueDate: installment.dueDate,
+    status: installment.status,
+    paidAt: installment.paidAt,
+    graceEndsAt: installment.status === INSTALLMENT_STATUS.OVERDUE ? installment.graceEndsAt : undefined,
+    payUrl: payable ? getInstallmentPayUrl(installment.payToken) : null,
+  };
+};
+
+// Monthly billing of an enrollment paid by subscription: what is charged,
+// until when access is paid for, and whether the learner can still cancel
+const formatSubscription = (student) => ({
+  status: student.subscription.status,
+  monthlyAmountINR: getChargeAmountINR(student, 2),
+  totalCount: student.subscription.totalCount,
+  paidCount: student.subscription.charges?.length || 0,
+  accessEndsAt: student.accessEndsAt,
+  cancelRequestedAt: student.subscription.cancelRequestedAt,
+  canCancel: !isSubscriptionEnded(student) && !student.subscription.cancelRequestedAt
+    && student.subscription.status !== SUBSCRIPTION_STATUS.CREATED,
+});
+
+const formatEnrollment = (student) => ({
+  studentId: student.studentId,
+  programType: student.programType,
+  programName: student.programName,
+  programDuration: student.programDuration,
+  addons: student.selectedAddonNames,
+  status: student.status,
+  paymentStatus: student.paymentStatus,
+  totalINR: student.totalINR,
+  referralCode: student.referralCode,
+  paymentDate: student.paymentDate,
+  enrollmentDate: student.enrollmentDate,
+  completionDate: student.completionDate,
+  registeredAt: student.createdAt,
+  ...(student.installments?.length > 0 ? {
+    installmentPlan: student.installmentPlan?.name,
+    installments: student.installments.map(installment => formatInstallment(student, installment)),
+  } : {}),
+  ...(isSubscription(student) ? { subscription: formatSubscription(student) } : {}),
+});
+
+// Invoice links are public by invoiceLink, and only work while the payment
+// stands; a refunded enrollment keeps its number and credit notes. On an
+// installment plan each paid installment has its own invoice, and credit
+// notes are listed with the first (refunds go against the checkout payment);
+// the same goes for each monthly charge of a subscription.
+const formatInvoice = (student, installment = null, charge = null) => {
+  const { invoiceNumber, invoiceLink } = installment
+    ? getInstallmentInvoice(student, installment)
+    : charge ? getChargeInvoice(student, charge) : student;
+  const url = student.paymentStatus === PAYMENT_STATUS.SUCCESS ? `/api/v1/invoices/${invoiceLink}` : null;
+  return {
+    invoiceNumber,
+    studentId: student.studentId,
+    programName: student.programName,
+    ...(installment ? {
+      installment: { number: installment.number, installments: student.installments.length },
+      paymentDate: installment.paidAt,
+      totalINR: installment.amountINR,
+    } : charge ? {
+      charge: { number: charge.number, periodStart: charge.periodStart, periodEnd: charge.periodEnd },
+      paymentDate: charge.paidAt,
+      totalINR: charge.amountINR,
+    } : {
+      paymentDate: student.paymentDate,
+      subtotalINR: student.subtotalINR,
+      discountINR: student.discountINR,
+      gstAmountINR: student.gstAmountINR,
+      totalINR: student.totalINR,
+    }),
+    refundedAmountINR: student.refundedAmountINR,
+    paymentStatus: student.paymentStatus,
+    url,
+    pdfUrl: url && `${url}/pdf`,
+    creditNotes: ((installment || charge)?.number > 1 ? [] : student.refunds || [])
+      .filter(refund => refund.creditNoteNumber)
+      .map(refund => ({
+        creditNoteNumber: refund.creditNoteNumber,
+        amountINR: refund.amountINR,
+        status: refund.status,
+        issuedAt: refund.createdAt,
+      })),
+  };
+};
+
+// Files staff uploaded for the student, downloaded through signed links
+// (staff names and storage keys left out)
+const formatUpload = (upload) => ({
+  id: upload._id,
+  studentId: upload.owner.id,
+  originalName: upload.originalName,
+  mimeType: upload.mimeType,
+  size: upload.size,
+  createdAt: upload.createdAt,
+  ...uploadService.getSignedUrl(upload),
+});
+
+/**
+ * POST /api/v1/me/login
+ * Email a one-time login link and code. The answer is the same whether or
+ * not the email is registered.
+ */
+router.post('/login', loginRateLimit, async (req, res) => {
+  const email = String(req.body.email || '').trim();
+  if (!EMAIL_PATTERN.test(email)) {
+    return sendError(res, new ValidationError('Validation failed', [
+      { field: 'email', code: 'INVALID_EMAIL', message: 'A valid email is required' },
+    ]));
+  }
+
+  try {
+    await portalService.requestLogin(email, { ip: req.ip });
+  } catch (error) {
+    console.error('Error sending portal login email:', error);
+  }
+
+  res.json({
+    success: true,
+    message: 'If this email is registered, a login link and code have been sent to it',
+  });
+});
+
+/**
+ * POST /api/v1/me/login/verify
+ * Exchange a login link token ({ token }) or code ({ email, otp }) for a session token
+ */
+router.post('/login/verify', loginRateLimit, async (req, res) => {
+  try {
+    const { token, email, otp } = req.body;
+    if (!token && !(email && otp)) {
+      throw new ValidationError('Validation failed', [
+        { field: 'token', code: 'REQUIRED', message: 'Send the login link token, or the email and code' },
+      ]);
+    }
+
+    const session = token
+      ? await portalService.verifyToken(String(token))
+      : await portalService.verifyOtp(email, String(otp));
+
+    res.json({
+      success: true,
+      message: 'Logged in',
+      data: session,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to log in');
+  }
+});
+
+router.use(authenticateStudent);
+
+/**
+ * GET /api/v1/me/profile
+ * Personal details of the learner with the session's email (the most
+ * recently updated one, if several registered with it)
+ */
+router.get('/profile', async (req, res) => {
+  try {
+    const [student] = await portalService.getLearners(req.student.email);
+    if (!student) {
+      throw new NotFoundError('No registration found for this email');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        learnerId: student.learnerId,
+        fullName: student.fullName,
+        email: student.email,
+        dateOfBirth: student.dateOfBirth,
+        countryOfCitizenship: student.countryOfCitizenship,
+        primaryPhone: student.primaryPhone,
+        secondaryPhone: student.secondaryPhone,
+        whatsappNotifications: student.whatsappNotifications,
+        residentialAddress: student.residentialAddress,
+        city: student.city,
+        state: student.state,
+        zipCode: student.zipCode,
+        country: student.country,
+        highestQualification: student.highestQualification,
+        specialization: student.specialization,
+        currentProfession: student.currentProfession,
+        currentOrganization: student.currentOrganization,
+        linkedinProfile: student.linkedinProfile,
+        idType: student.idType,
+        idNumber: maskSensitiveData(student.idNumber),
+        isEmailVerified: student.isEmailVerified,
+      },
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch profile');
+  }
+});
+
+/**
+ * GET /api/v1/me/enrollments
+ * Every program the student registered for, newest first
+ */
+router.get('/enrollments', async (req, res) => {
+  try {
+    const students = await portalService.getEnrollments(req.student.email);
+    res.json({
+      success: true,
+      data: students.map(formatEnrollment),
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch enrollments');
+  }
+});
+
+/**
+ * GET /api/v1/me/invoices
+ * Tax invoices issued for the student's payments, with their credit notes
+ */
+router.get('/invoices', async (req, res) => {
+  try {
+    const students = await portalService.getEnrollments(req.student.email);
+    res.json({
+      success: true,
+      data: students.flatMap(student => (student.installments?.length > 0
+        ? student.installments
+          .filter(installment => installment.status === INSTALLMENT_STATUS.PAID && getInstallmentInvoice(student, installment).invoiceNumber)
+          .map(installment => formatInvoice(student, installment))
+        : isSubscription(student)
+          ? student.subscription.charges
+            .filter(charge => getChargeInvoice(student, charge).invoiceNumber)
+            .map(charge => formatInvoice(student, null, charge))
+          : student.invoiceNumber ? [formatInvoice(student)] : [])),
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch invoices');
+  }
+});
+
+/**
+ * POST /api/v1/me/enrollments/:studentId/subscription/cancel
+ * Stop the monthly billing of one of the student's enrollments; access
+ * already paid for runs until its end
+ */
+router.post('/enrollments/:studentId/subscription/cancel', async (req, res) => {
+  try {
+    const student = await portalService.getEnrollment(req.student.email, req.params.studentId);
+    const updated = await subscriptionService.cancel(student, { changedBy: 'student' });
+    res.json({
+      success: true,
+      message: updated.accessEndsAt && updated.accessEndsAt > new Date()
+        ? `Monthly billing cancelled; access continues until ${updated.accessEndsAt.toISOString()}`
+        : 'Monthly billing cancelled',
+      data: formatEnrollment(updated),
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel the subscription');
+  }
+});
+
+/**
+ * GET /api/v1/me/documents
+ * The learner's ID document and photo, and files staff uploaded for their enrollments
+ */
+router.get('/documents', async (req, res) => {
+  try {
+    const [learners, students] = await Promise.all([
+      portalService.getLearners(req.student.email),
+      portalService.getEnrollments(req.student.email, 'studentId'),
+    ]);
+    const uploads = await Upload.find({
+      'owner.type': UPLOAD_OWNER_TYPES.STUDENT,
+      'owner.id': { $in: students.map(student => student.studentId) },
+      status: UPLOAD_STATUS.READY,
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        learners: learners.map(learner => ({
+          learnerId: learner.learnerId,
+          documents: Object.keys(STUDENT_DOCUMENT_FIELDS)
+            .map(kind => {
+              const metadata = getDocumentMetadata(learner, kind);
+              return metadata && { ...metadata, url: `/api/v1/me/documents/${learner.learnerId}/${kind}` };
+            })
+            .filter(Boolean),
+        })),
+        uploads: uploads.map(formatUpload),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch documents');
+  }
+});
+
+/**
+ * GET /api/v1/me/documents/:learnerId/:kind
+ * Download the learner's ID document or photo (kind: id-document, photo)
+ */
+router.get('/documents/:learnerId/:kind', async (req, res) => {
+  try {
+    const fields = STUDENT_DOCUMENT_FIELDS[req.params.kind];
+    if (!fields) {
+      throw new NotFoundError(`Unknown document kind ${req.params.kind}`);
+    }
+
+    const student = await portalService.getLearner(req.student.email, req.params.learnerId, `+${fields.data}`);
+    const document = await studentDocumentService.read(student, req.params.kind);
+    if (!document) {
+      throw new NotFoundError(`Learner ${req.params.learnerId} has no ${req.params.kind}`);
+    }
+
+    sendFile(res, {
+      buffer: document.buffer,
+      contentType: [student[fields.type], document.mimeType].find(type => fields.allowedTypes.includes(type)),
+      fileName: student[fields.name] || req.params.kind,
+      download: req.query.download === 'true',
+    });
+  } catch (error) {
+    console.error('Error fetching portal document:', error);
+    sendError(res, error, 'Failed to fetch document');
+  }
+});
+
+export default router;
@@ -0,0 +1,70 @@
+import express from 'express';
+import dotenv from 'dotenv';
+import { getCatalog, getProductById, ADDON_TYPE_MAP } from '../utils/products.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Product Controller
+ * Serves the public product catalog (programs and addons with current prices)
+ */
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/products
+ * Get the active catalog grouped like products.json, plus the addon group of each product type
+ */
+router.get('/', async (req, res) => {
+  try {
+    const catalog = await getCatalog();
+
+    res.json({
+      success: true,
+      data: catalog,
+      addonGroups: ADDON_TYPE_MAP,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching product catalog:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch product catalog',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/v1/products/:group/:productId
+ * Get a single active product
+ */
+router.get('/:group/:productId', async (req, res) => {
+  try {
+    const product = await getProductById(req.params.group, req.params.productId);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: product,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching product:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch product',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,84 @@
+import express from 'express';
+import emailVerificationService from '../services/emailVerificationService.js';
+import { createRateLimit } from '../middlewares/security.js';
+
+/**
+ * Student Controller
+ * Public student routes: confirming the email address given at registration
+ */
+
+const router = express.Router();
+
+// Per IP; each learner also gets at most one email per EMAIL_VERIFICATION_RESEND_SECONDS
+const verificationRateLimit = createRateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    success: false,
+    message: 'Too many verification requests, please try again later.',
+    error: {
+      code: 'EMAIL_VERIFICATION_RATE_LIMIT_EXCEEDED',
+    },
+    timestamp: new Date().toISOString(),
+  },
+});
+
+/**
+ * GET /api/v1/students/verify-email/:token
+ * Confirm a learner's email address from the link in the verification email
+ */
+router.get('/verify-email/:token', verificationRateLimit, async (req, res) => {
+  try {
+    const { learnerId } = await emailVerificationService.verify(req.params.token);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { learnerId, isEmailVerified: true },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error verifying student email:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to verify email',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/v1/students/resend-verification
+ * Send the verification email again (studentId of one of the learner's enrollments and their email)
+ */
+router.post('/resend-verification', verificationRateLimit, async (req, res) => {
+  try {
+    const result = await emailVerificationService.resend(req.body.studentId, req.body.email);
+
+    if (result.retryAfter) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: `A verification email was sent recently; try again in ${result.retryAfter} seconds`,
+        retryAfter: result.retryAfter,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.sent ? 'Verification email sent' : 'Email is already verified',
+      data: { isEmailVerified: result.isEmailVerified },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error resending verification email:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to send verification email',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+export default router;
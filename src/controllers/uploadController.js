@@ -0,0 +1,247 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Upload from '../models/Upload.js';
+import uploadService from '../services/uploadService.js';
+import { uploadSingle, uploadMultiple } from '../middleware/upload.js';
+import { authenticate, requireStaff, hasPermission } from '../middlewares/auth.js';
+import { audit } from '../middlewares/audit.js';
+import { sendFile } from '../utils/fileResponse.js';
+import { AuthorizationError, NotFoundError } from '../utils/errors.js';
+import {
+  ADMIN_PERMISSIONS,
+  AUDIT_ACTIONS,
+  PAGINATION,
+  UPLOAD_OWNER_TYPES,
+  UPLOAD_STATUS,
+} from '../config/constants.js';
+
+/**
+ * File uploads
+ * Staff upload files for themselves or for a student. Files are only
+ * served to users allowed to see them, or through a signed link that
+ * expires; nothing is reachable by guessing a file name.
+ */
+
+const router = express.Router();
+
+const requireStaffUser = [authenticate, requireStaff];
+
+// Run a multer middleware, answering its errors (size, type, count) with 4xx
+const acceptFiles = (multerMiddleware) => (req, res, next) => {
+  multerMiddleware(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      message: error.message,
+    });
+  });
+};
+
+// A valid signed link, or a staff access token
+const authenticateOrSigned = (req, res, next) => {
+  if (req.query.signature === undefined) {
+    return authenticate(req, res, () => requireStaff(req, res, next));
+  }
+
+  if (!uploadService.verifySignedUrl(req.params.id, req.query.expires, req.query.signature)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Link is invalid or has expired',
+    });
+  }
+  req.signedUpload = true;
+  next();
+};
+
+/**
+ * Find a stored upload
+ * @param {string} id - Upload id
+ * @returns {Object} - READY Upload document
+ */
+const findUpload = async (id) => {
+  const upload = mongoose.isValidObjectId(id)
+    ? await Upload.findOne({ _id: id, status: UPLOAD_STATUS.READY })
+    : null;
+  if (!upload) {
+    throw new NotFoundError(`Upload ${id} not found`);
+  }
+  return upload;
+};
+
+const sendError = (res, error, message) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+    details: error.details || undefined,
+  });
+};
+
+const storeFiles = async (req, res, files) => {
+  const owner = await uploadService.resolveOwner(req.user, req.body.studentId);
+  res.locals.audit.target = { type: owner.type, id: owner.id };
+
+  const uploads = await uploadService.create(owner, files, { id: req.user.id, email: req.user.email });
+  res.locals.audit.metadata = { uploads: uploads.map(upload => String(upload._id)) };
+  return uploads.map(upload => uploadService.format(upload));
+};
+
+// POST one file (`file`); `studentId` uploads it for a student
+router.post('/single', requireStaffUser, audit(AUDIT_ACTIONS.UPLOAD_CREATE), acceptFiles(uploadSingle), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'No file uploaded'
+    });
+  }
+
+  try {
+    const [upload] = await storeFiles(req, res, [req.file]);
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      data: upload,
+    });
+  } catch (error) {
+    console.error('Error storing upload:', error);
+    sendError(res, error, 'Failed to store file');
+  }
+});
+
+// POST up to 5 files (`files`); `studentId` uploads them for a student
+router.post('/multiple', requireStaffUser, audit(AUDIT_ACTIONS.UPLOAD_CREATE), acceptFiles(uploadMultiple), async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No files uploaded'
+    });
+  }
+
+  try {
+    res.status(201).json({
+      success: true,
+      message: 'Files uploaded successfully',
+      data: await storeFiles(req, res, req.files),
+    });
+  } catch (error) {
+    console.error('Error storing uploads:', error);
+    sendError(res, error, 'Failed to store files');
+  }
+});
+
+// GET own uploads, or a student's (`studentId`), with quota usage
+router.get('/', requireStaffUser, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || PAGINATION.DEFAULT_PAGE, 1);
+    const limit = Math.min(parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT, PAGINATION.MAX_LIMIT);
+
+    let owner = { type: UPLOAD_OWNER_TYPES.STAFF, id: String(req.user.id) };
+    if (req.query.studentId) {
+      if (!hasPermission(req.user, ADMIN_PERMISSIONS.STUDENT_DOCUMENTS_READ)) {
+        throw new AuthorizationError('Viewing a student\'s files needs the students:documents permission');
+      }
+      owner = { type: UPLOAD_OWNER_TYPES.STUDENT, id: String(req.query.studentId) };
+    }
+
+    const filter = { 'owner.type': owner.type, 'owner.id': owner.id, status: UPLOAD_STATUS.READY };
+    const [total, uploads, usage] = await Promise.all([
+      Upload.countDocuments(filter),
+      Upload.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      uploadService.getUsage(owner),
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Uploads retrieved successfully',
+      data: uploads.map(upload => uploadService.format(upload)),
+      quota: { ...uploadService.getQuota(), used: usage },
+      pagination: {
+        total,
+        totalPages: Math.ceil(total / limit),
+        page,
+        limit,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error fetching uploads:', error);
+    sendError(res, error, 'Failed to fetch uploads');
+  }
+});
+
+// GET an upload's details
+router.get('/:id', requireStaffUser, async (req, res) => {
+  try {
+    const upload = await findUpload(req.params.id);
+    if (!uploadService.canRead(req.user, upload)) {
+      throw new AuthorizationError('You may not view this file');
+    }
+
+    res.json({
+      success: true,
+      data: uploadService.format(upload),
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch upload');
+  }
+});
+
+// GET a link to the file that works without logging in until it expires (`expiresIn` seconds)
+router.get('/:id/url', requireStaffUser, async (req, res) => {
+  try {
+    const upload = await findUpload(req.params.id);
+    if (!uploadService.canRead(req.user, upload)) {
+      throw new AuthorizationError('You may not view this file');
+    }
+
+    res.json({
+      success: true,
+      data: uploadService.getSignedUrl(upload, req.query.expiresIn),
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create link');
+  }
+});
+
+// GET the file itself, with a staff token or a signed link
+router.get('/:id/content', authenticateOrSigned, async (req, res) => {
+  try {
+    const upload = await findUpload(req.params.id);
+    if (!req.signedUpload && !uploadService.canRead(req.user, upload)) {
+      throw new AuthorizationError('You may not view this file');
+    }
+
+    sendFile(res, {
+      buffer: await uploadService.read(upload),
+      contentType: upload.mimeType,
+      fileName: upload.originalName,
+      download: req.query.download === 'true',
+    });
+  } catch (error) {
+    console.error('Error fetching upload content:', error);
+    sendError(res, error, 'Failed to fetch file');
+  }
+});
+
+// DELETE an upload and its file, freeing the owner's quota
+router.delete('/:id', requireStaffUser, audit(AUDIT_ACTIONS.UPLOAD_DELETE, { targetType: 'upload' }), async (req, res) => {
+  try {
+    const upload = await findUpload(req.params.id);
+    res.locals.audit.metadata = { owner: upload.owner, originalName: upload.originalName, size: upload.size };
+    if (!uploadService.canManage(req.user, upload)) {
+      throw new AuthorizationError('You may not delete this file');
+    }
+
+    await uploadService.discard([upload]);
+    res.json({
+      success: true,
+      message: 'Upload deleted',
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete upload');
+  }
+});
+
+export default router;
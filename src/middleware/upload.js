@@ -1,38 +1,19 @@
 import multer from 'multer';
-import path from 'path';
+import { config } from '../config/index.js';
+import { UPLOAD_FILE_TYPES } from '../config/constants.js';
 
 /**
  * Multer configuration for file uploads
- * Handles file storage and validation
+ * Handles file validation; files are kept in memory and written to document
+ * storage by uploadService, so nothing lands in a publicly served folder
  */
 
 // Configure storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/');
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename with timestamp
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+const storage = multer.memoryStorage();
 
 // File filter for validation
 const fileFilter = (req, file, cb) => {
-  // Define allowed file types
-  const allowedTypes = {
-    'image/jpeg': 'jpg',
-    'image/png': 'png',
-    'image/gif': 'gif',
-    'image/webp': 'webp',
-    'application/pdf': 'pdf',
-    'application/msword': 'doc',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
-    'text/plain': 'txt'
-  };
-
-  if (allowedTypes[file.mimetype]) {
+  if (UPLOAD_FILE_TYPES[file.mimetype]) {
     cb(null, true);
   } else {
     cb(new Error('Invalid file type. Only images, PDFs, and documents are allowed.'), false);
@@ -44,7 +25,7 @@ const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
+    fileSize: config.MAX_FILE_SIZE, // 5MB by default
     files: 5 // Maximum 5 files per request
   }
 });
@@ -0,0 +1,51 @@
+import auditService from '../services/auditService.js';
+import { AUDIT_ACTOR_TYPES, AUDIT_OUTCOMES } from '../config/constants.js';
+
+/**
+ * Audit middleware
+ * Writes an AuditLog entry for a route once its response has been sent
+ */
+
+/**
+ * Actor, IP and user agent of a request
+ * @param {Object} req - Express request object
+ * @returns {Object} - { actor, ip, userAgent }
+ */
+export const getAuditContext = (req) => ({
+  actor: req.user
+    ? { type: AUDIT_ACTOR_TYPES.STAFF, id: req.user.id, email: req.user.email, role: req.user.role }
+    : { type: AUDIT_ACTOR_TYPES.PUBLIC },
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+});
+
+/**
+ * Record the request as an audited action. Place it before permission
+ * checks so refused attempts are logged too. Handlers can fill in
+ * res.locals.audit: target (replaces the default), before/after snapshots
+ * for the field diff, and metadata.
+ * @param {string} action - AUDIT_ACTIONS value
+ * @param {Object} options - { targetType, targetId: req => id (default req.params.id) }
+ * @returns {Function} - Express middleware function
+ */
+export const audit = (action, { targetType, targetId = req => req.params.id } = {}) => {
+  return (req, res, next) => {
+    res.locals.audit = { target: { type: targetType, id: targetId(req) } };
+
+    res.on('finish', () => {
+      const { target, before, after, metadata } = res.locals.audit;
+      auditService.record({
+        ...getAuditContext(req),
+        action,
+        target,
+        before,
+        after,
+        metadata,
+        outcome: res.statusCode < 400 ? AUDIT_OUTCOMES.SUCCESS : AUDIT_OUTCOMES.FAILURE,
+        statusCode: res.statusCode,
+      }).catch(error => console.error(`Audit log write failed for ${action}:`, error));
+    });
+
+    next();
+  };
+};
@@ -2,7 +2,7 @@ import jwt from 'jsonwebtoken';
 import { config } from '../config/index.js';
 import { AuthenticationError, AuthorizationError, JWTError } from '../utils/errors.js';
 import { unauthorizedResponse, forbiddenResponse } from '../utils/response.js';
-import { TOKEN_TYPES, USER_ROLES } from '../config/constants.js';
+import { TOKEN_TYPES, USER_ROLES, ROLE_PERMISSIONS } from '../config/constants.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -71,6 +71,47 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Verify a student portal session token and attach the student to request
+ * Portal tokens only carry the student's email; staff tokens are refused
+ * here, and staff routes refuse portal tokens by their type.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const authenticateStudent = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return unauthorizedResponse(res, 'Access token is required');
+    }
+
+    const decoded = jwt.verify(authHeader.substring(7), config.JWT_SECRET);
+
+    if (decoded.type !== TOKEN_TYPES.STUDENT_ACCESS || !decoded.email) {
+      return unauthorizedResponse(res, 'Invalid token type');
+    }
+
+    req.student = {
+      email: decoded.email,
+      tokenType: decoded.type,
+    };
+
+    next();
+  } catch (error) {
+    logger.logSecurity('Student token verification failed', {
+      error: error.message,
+    });
+
+    if (error.name === 'TokenExpiredError') {
+      return unauthorizedResponse(res, 'Token has expired');
+    }
+
+    return unauthorizedResponse(res, 'Invalid token');
+  }
+};
+
 /**
  * Optional authentication - doesn't fail if no token provided
  * @param {Object} req - Express request object
@@ -206,6 +247,51 @@ export const requireAdminOrModerator = (req, res, next) => {
   return authorize(USER_ROLES.ADMIN, USER_ROLES.MODERATOR)(req, res, next);
 };
 
+/**
+ * Check if a user's role grants a permission
+ * @param {Object} user - req.user
+ * @param {string} permission - ADMIN_PERMISSIONS value
+ * @returns {boolean}
+ */
+export const hasPermission = (user, permission) => {
+  return (ROLE_PERMISSIONS[user?.role] || []).includes(permission);
+};
+
+/**
+ * Check if user is staff (a role with admin panel permissions)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const requireStaff = (req, res, next) => {
+  return authorize(...Object.keys(ROLE_PERMISSIONS))(req, res, next);
+};
+
+/**
+ * Check if user's role grants every given permission
+ * @param {...string} permissions - Required ADMIN_PERMISSIONS values
+ * @returns {Function} - Express middleware function
+ */
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return unauthorizedResponse(res, 'Authentication required');
+    }
+
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+    if (missing.length > 0) {
+      logger.logSecurity('Permission check failed', {
+        userId: req.user.id,
+        userRole: req.user.role,
+        missingPermissions: missing,
+      });
+      return forbiddenResponse(res, 'Insufficient permissions');
+    }
+
+    next();
+  };
+};
+
 /**
  * Check if user can access resource (owner or admin)
  * @param {string} userIdParam - Parameter name containing user ID
@@ -298,6 +384,22 @@ export const generateTokens = (user) => {
   };
 };
 
+/**
+ * Generate a student portal session token
+ * @param {string} email - Student email the session is scoped to
+ * @returns {Object} - Access token and its lifetime
+ */
+export const generateStudentToken = (email) => {
+  const accessToken = jwt.sign({ email, type: TOKEN_TYPES.STUDENT_ACCESS }, config.JWT_SECRET, {
+    expiresIn: config.PORTAL_SESSION_EXPIRE,
+  });
+
+  return {
+    accessToken,
+    expiresIn: config.PORTAL_SESSION_EXPIRE,
+  };
+};
+
 /**
  * Decode JWT token without verification (for debugging)
  * @param {string} token - JWT token
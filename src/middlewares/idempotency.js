@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import IdempotencyKey, { IDEMPOTENCY_LEASE_SECONDS, IDEMPOTENCY_STATUS } from '../models/IdempotencyKey.js';
+
+/**
+ * Idempotency middleware
+ * Lets clients safely retry POST requests by sending an Idempotency-Key
+ * header. The first request with a key is processed and its response stored;
+ * retries with the same key and body get the stored response back, while
+ * reusing a key for a different body is rejected. Server errors (5xx) are
+ * not stored so the request can be retried, and a request that never
+ * finished releases its key after IDEMPOTENCY_LEASE_SECONDS.
+ */
+
+/**
+ * Hash a request body independently of key order
+ * @param {*} body - Parsed request body
+ * @returns {string} - SHA-256 hex digest
+ */
+export const hashRequestBody = (body) => {
+  const canonical = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(canonical);
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((acc, key) => {
+        acc[key] = canonical(value[key]);
+        return acc;
+      }, {});
+    }
+    return value;
+  };
+
+  return crypto.createHash('sha256').update(JSON.stringify(canonical(body ?? {}))).digest('hex');
+};
+
+/**
+ * Make a route idempotent when the client sends an Idempotency-Key header
+ * @param {string} scope - Name of the operation, e.g. 'create-order'
+ * @returns {Function} - Express middleware
+ */
+export const idempotent = (scope) => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > 255) {
+      return res.status(400).json({
+        success: false,
+        error: 'Idempotency-Key cannot exceed 255 characters',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const requestHash = hashRequestBody(req.body);
+    let record;
+
+    try {
+      record = await IdempotencyKey.create({ key, scope, requestHash });
+    } catch (error) {
+      if (error.code !== 11000) {
+        console.error('Error storing idempotency key:', error);
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to process request',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const existing = await IdempotencyKey.findOne({ scope, key });
+
+      if (existing && existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key has already been used with a different request',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (existing?.status === IDEMPOTENCY_STATUS.COMPLETED) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      // Take over the key of a request whose lease ran out; only one retry can
+      record = existing && await IdempotencyKey.findOneAndUpdate(
+        {
+          _id: existing._id,
+          status: IDEMPOTENCY_STATUS.IN_PROGRESS,
+          claimedAt: { $lt: new Date(Date.now() - IDEMPOTENCY_LEASE_SECONDS * 1000) },
+        },
+        { $set: { claimedAt: new Date() } },
+        { new: true }
+      );
+
+      if (!record) {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed',
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    // Store the response before sending it so an immediate retry replays it
+    const sendJson = res.json.bind(res);
+    // A request that outlived its lease and lost the key stores nothing
+    const ownClaim = { _id: record._id, claimedAt: record.claimedAt };
+    res.json = (body) => {
+      const store = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne(ownClaim)
+        : IdempotencyKey.updateOne(
+          ownClaim,
+          {
+            $set: {
+              status: IDEMPOTENCY_STATUS.COMPLETED,
+              responseStatus: res.statusCode,
+              responseBody: body,
+              completedAt: new Date(),
+            },
+          }
+        );
+
+      store
+        .catch(error => console.error('Error saving idempotent response:', error))
+        .finally(() => sendJson(body));
+
+      return res;
+    };
+
+    next();
+  };
+};
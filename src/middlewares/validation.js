@@ -171,7 +171,7 @@ export const adminSchemas = {
     lastName: Joi.string().min(2).max(50).required().trim(),
     email: Joi.string().email().required().lowercase().trim(),
     password: Joi.string().min(8).pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/).required(),
-    role: Joi.string().valid('user', 'moderator', 'admin').default('user'),
+    role: Joi.string().valid('user', 'moderator', 'admin', 'finance', 'support').default('user'),
     status: Joi.string().valid('active', 'inactive', 'suspended').default('active'),
     phone: Joi.string().pattern(/^\+?[\d\s\-\(\)]+$/).optional(),
   }),
@@ -180,7 +180,7 @@ export const adminSchemas = {
     firstName: Joi.string().min(2).max(50).optional().trim(),
     lastName: Joi.string().min(2).max(50).optional().trim(),
     email: Joi.string().email().optional().lowercase().trim(),
-    role: Joi.string().valid('user', 'moderator', 'admin').optional(),
+    role: Joi.string().valid('user', 'moderator', 'admin', 'finance', 'support').optional(),
     status: Joi.string().valid('active', 'inactive', 'suspended').optional(),
     phone: Joi.string().pattern(/^\+?[\d\s\-\(\)]+$/).optional(),
   }),
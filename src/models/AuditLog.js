@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+import { AUDIT_ACTOR_TYPES, AUDIT_OUTCOMES } from '../config/constants.js';
+
+/**
+ * AuditLog model for MongoDB using Mongoose
+ * Append-only record of staff and system actions. Entries are numbered by
+ * seq and each one stores the hash of the previous entry, so an edited,
+ * removed or reordered entry breaks the chain (see auditService.verifyChain).
+ */
+
+const changeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true,
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true,
+    min: [1, 'Sequence starts at 1'],
+  },
+  actor: {
+    type: {
+      type: String,
+      enum: Object.values(AUDIT_ACTOR_TYPES),
+      required: [true, 'Actor type is required'],
+    },
+    id: {
+      type: String, // user id, or the system component (e.g. razorpay-webhook)
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+    },
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true,
+  },
+  target: {
+    type: {
+      type: String, // student, coupon, product, ...
+    },
+    id: {
+      type: String,
+    },
+  },
+  changes: [changeSchema],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  outcome: {
+    type: String,
+    enum: Object.values(AUDIT_OUTCOMES),
+    required: true,
+  },
+  statusCode: {
+    type: Number,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500,
+  },
+  prevHash: {
+    type: String,
+    required: true,
+  },
+  hash: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  // Keep empty objects so stored entries hash the same as when written
+  minimize: false,
+  versionKey: false,
+});
+
+auditLogSchema.index({ seq: 1 }, { unique: true });
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.email': 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+// Entries are never changed or removed through the model
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+], rejectChange);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+// Create and export the model
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
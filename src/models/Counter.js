@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+/**
+ * Counter model for MongoDB using Mongoose
+ * Atomic named sequences for receipt and document numbering
+ */
+
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: [true, 'Counter name is required'],
+  },
+  seq: {
+    type: Number,
+    default: 0,
+    min: [0, 'Sequence cannot be negative'],
+  },
+}, {
+  timestamps: true,
+});
+
+// Static method to atomically increment and return the next value of a sequence
+counterSchema.statics.nextSequence = async function(name, options = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, ...options }
+  );
+  return counter.seq;
+};
+
+// Create and export the model
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,255 @@
+import mongoose from 'mongoose';
+import { COUPON_TYPES } from '../config/constants.js';
+
+/**
+ * Coupon model for MongoDB using Mongoose
+ * Percentage or flat discount codes applied at checkout. Usage caps count
+ * redemptions: one is reserved when an order is created with the coupon,
+ * confirmed when its payment succeeds and released when the checkout
+ * expires unpaid.
+ */
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    unique: true,
+    required: [true, 'Coupon code is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, digits, dashes or underscores'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+  },
+  discountType: {
+    type: String,
+    enum: Object.values(COUPON_TYPES),
+    required: [true, 'Discount type is required'],
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0.01, 'Discount value must be positive'],
+    validate: {
+      validator: function(value) {
+        return this.discountType !== COUPON_TYPES.PERCENTAGE || value <= 100;
+      },
+      message: 'Percentage discount cannot exceed 100',
+    },
+  },
+  maxDiscountINR: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative'],
+  },
+  minOrderValueINR: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order value cannot be negative'],
+  },
+
+  // Empty lists mean the coupon applies to every product type / product
+  applicableProductTypes: [{
+    type: String,
+    trim: true,
+  }],
+  applicableProductIds: [{
+    type: String,
+    trim: true,
+  }],
+
+  validFrom: {
+    type: Date,
+  },
+  validUntil: {
+    type: Date,
+    validate: {
+      validator: function(validUntil) {
+        return !validUntil || !this.validFrom || validUntil > this.validFrom;
+      },
+      message: 'Coupon must expire after it becomes valid',
+    },
+  },
+
+  // Usage caps (unset = unlimited)
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1'],
+  },
+  perEmailLimit: {
+    type: Number,
+    min: [1, 'Per-email limit must be at least 1'],
+  },
+  // Redemptions reserved or confirmed
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Used count cannot be negative'],
+  },
+  redemptions: [{
+    studentId: {
+      type: String,
+      required: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    discountINR: {
+      type: Number,
+      min: 0,
+    },
+    reservedAt: {
+      type: Date,
+    },
+    // Unset while the order is unpaid
+    redeemedAt: {
+      type: Date,
+    },
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: String,
+    trim: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better performance
+couponSchema.index({ isActive: 1, validUntil: 1 });
+couponSchema.index({ 'redemptions.email': 1 });
+
+// Instance method to check whether the coupon covers a product
+couponSchema.methods.isApplicableTo = function(productType, productId) {
+  if (this.applicableProductTypes.length > 0 && !this.applicableProductTypes.includes(productType)) {
+    return false;
+  }
+  if (this.applicableProductIds.length > 0 && !this.applicableProductIds.includes(String(productId))) {
+    return false;
+  }
+  return true;
+};
+
+// Instance method to compute the discount (INR) on a GST-inclusive order value
+couponSchema.methods.calculateDiscount = function(orderValueINR) {
+  let discount = this.discountType === COUPON_TYPES.PERCENTAGE
+    ? orderValueINR * this.value / 100
+    : this.value;
+
+  if (this.maxDiscountINR) {
+    discount = Math.min(discount, this.maxDiscountINR);
+  }
+
+  return round2(Math.min(discount, orderValueINR));
+};
+
+// Instance method to count successful redemptions by an email address
+couponSchema.methods.countRedemptionsFor = function(email) {
+  const normalized = String(email || '').toLowerCase().trim();
+  return this.redemptions.filter(redemption => redemption.email === normalized && redemption.redeemedAt).length;
+};
+
+// Instance method to count successful redemptions (reservations of unpaid
+// orders aside)
+couponSchema.methods.countRedemptions = function() {
+  return this.redemptions.filter(redemption => redemption.redeemedAt).length;
+};
+
+// Static method to find by code (case-insensitive)
+couponSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code || '').toUpperCase().trim() });
+};
+
+// Filter matching a coupon that a new redemption by an email would keep
+// within its usage limits (an unset limit means unlimited)
+const withinLimitsFilter = (email) => {
+  const redemptionsByEmail = {
+    $size: { $filter: { input: '$redemptions', cond: { $eq: ['$$this.email', email] } } },
+  };
+  return {
+    $and: [
+      { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+      { $or: [{ perEmailLimit: null }, { $expr: { $lt: [redemptionsByEmail, '$perEmailLimit'] } }] },
+    ],
+  };
+};
+
+const normalizeCode = (code) => String(code).toUpperCase().trim();
+
+// Static method to reserve a redemption for a student's order. The usage
+// limits are part of the update's filter so concurrent checkouts can't take
+// the coupon past them; resolves to null when the student already holds a
+// redemption or a limit has been reached.
+couponSchema.statics.reserveRedemption = function(code, { studentId, email, discountINR }) {
+  const normalizedEmail = String(email || '').toLowerCase().trim();
+
+  return this.findOneAndUpdate(
+    {
+      code: normalizeCode(code),
+      'redemptions.studentId': { $ne: studentId },
+      ...withinLimitsFilter(normalizedEmail),
+    },
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: { studentId, email: normalizedEmail, discountINR, reservedAt: new Date() } },
+    },
+    { new: true }
+  );
+};
+
+// Static method to release a student's reservation when their checkout
+// ended unpaid; a confirmed redemption is kept
+couponSchema.statics.releaseRedemption = function(code, studentId) {
+  return this.updateOne(
+    { code: normalizeCode(code), redemptions: { $elemMatch: { studentId, redeemedAt: null } } },
+    {
+      $pull: { redemptions: { studentId, redeemedAt: null } },
+      $inc: { usedCount: -1 },
+    }
+  );
+};
+
+// Static method to record a redemption once a student's payment succeeds:
+// confirms their reservation, or (for an order created before reservations,
+// or one whose reservation was released) records it within the usage
+// limits. Resolves to null when it is already recorded or a limit has been
+// reached.
+couponSchema.statics.recordRedemption = async function(code, { studentId, email, discountINR }) {
+  const confirmed = await this.findOneAndUpdate(
+    { code: normalizeCode(code), redemptions: { $elemMatch: { studentId, redeemedAt: null } } },
+    { $set: { 'redemptions.$.redeemedAt': new Date() } },
+    { new: true }
+  );
+
+  if (confirmed) {
+    return confirmed;
+  }
+
+  const normalizedEmail = String(email || '').toLowerCase().trim();
+  return this.findOneAndUpdate(
+    {
+      code: normalizeCode(code),
+      'redemptions.studentId': { $ne: studentId },
+      ...withinLimitsFilter(normalizedEmail),
+    },
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: { studentId, email: normalizedEmail, discountINR, redeemedAt: new Date() } },
+    },
+    { new: true }
+  );
+};
+
+// Create and export the model
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
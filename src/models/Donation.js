@@ -0,0 +1,204 @@
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+import Counter from './Counter.js';
+import { PAYMENT_STATUS } from '../config/constants.js';
+import { getFinancialYear } from '../utils/helpers.js';
+
+/**
+ * Donation model for MongoDB using Mongoose
+ * Stores donor details, payment references and the issued receipt number
+ */
+
+// Donations above this amount (INR) must carry the donor's PAN
+export const PAN_REQUIRED_ABOVE_INR = 10000;
+
+const donationSchema = new mongoose.Schema({
+  // 1. Identification
+  donationId: {
+    type: String,
+    unique: true,
+    required: [true, 'Donation ID is required'],
+    default: () => uuidv4(),
+  },
+  receiptNumber: {
+    type: String,
+    trim: true,
+  },
+
+  // 2. Donor Details
+  donor: {
+    fullName: {
+      type: String,
+      required: [true, 'Donor name is required'],
+      trim: true,
+      minlength: [2, 'Donor name must be at least 2 characters'],
+      maxlength: [100, 'Donor name cannot exceed 100 characters'],
+    },
+    email: {
+      type: String,
+      required: [true, 'Donor email is required'],
+      lowercase: true,
+      trim: true,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email'],
+    },
+    mobile: {
+      type: String,
+      required: [true, 'Donor mobile number is required'],
+      trim: true,
+      match: [/^\+?[\d\s\-\(\)]{10,15}$/, 'Please enter a valid mobile number'],
+    },
+    address: {
+      type: String,
+      required: [true, 'Donor address is required'],
+      trim: true,
+      maxlength: [200, 'Address cannot exceed 200 characters'],
+    },
+    city: {
+      type: String,
+      required: [true, 'City is required'],
+      trim: true,
+      maxlength: [50, 'City name cannot exceed 50 characters'],
+    },
+    state: {
+      type: String,
+      required: [true, 'State is required'],
+      trim: true,
+      maxlength: [50, 'State name cannot exceed 50 characters'],
+    },
+    country: {
+      type: String,
+      required: [true, 'Country is required'],
+      trim: true,
+      maxlength: [50, 'Country name cannot exceed 50 characters'],
+    },
+    postalCode: {
+      type: String,
+      required: [true, 'Postal code is required'],
+      trim: true,
+      match: [/^[A-Za-z0-9\s-]{3,10}$/, 'Please enter a valid postal code'],
+    },
+    pan: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z]{5}\d{4}[A-Z]$/, 'Please enter a valid PAN'],
+      required: [
+        function() {
+          return this.amountINR > PAN_REQUIRED_ABOVE_INR;
+        },
+        `PAN is required for donations above ₹${PAN_REQUIRED_ABOVE_INR.toLocaleString('en-IN')}`,
+      ],
+    },
+  },
+
+  // 3. Donation Details
+  amountINR: {
+    type: Number,
+    required: [true, 'Donation amount is required'],
+    min: [1, 'Donation amount must be at least ₹1'],
+    max: [10000000, 'Donation amount cannot exceed 10,000,000 INR'],
+  },
+  purpose: {
+    type: String,
+    trim: true,
+    default: 'General',
+    maxlength: [200, 'Purpose cannot exceed 200 characters'],
+  },
+  anonymous: {
+    type: Boolean,
+    default: false,
+  },
+
+  // 4. Payment Details
+  status: {
+    type: String,
+    enum: Object.values(PAYMENT_STATUS),
+    default: PAYMENT_STATUS.PENDING,
+  },
+  razorpayOrderId: {
+    type: String,
+    required: [true, 'Razorpay order ID is required'],
+    trim: true,
+    match: [/^order_[A-Za-z0-9]+$/, 'Invalid Razorpay order ID format'],
+  },
+  razorpayPaymentId: {
+    type: String,
+    trim: true,
+    match: [/^pay_[A-Za-z0-9]+$/, 'Invalid Razorpay payment ID format'],
+  },
+  paymentDate: {
+    type: Date,
+  },
+  receiptEmailedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes for better performance
+donationSchema.index({ receiptNumber: 1 }, { unique: true, sparse: true });
+donationSchema.index({ razorpayOrderId: 1 });
+donationSchema.index({ status: 1, paymentDate: -1 });
+donationSchema.index({ 'donor.email': 1 });
+donationSchema.index({ createdAt: -1 });
+
+// Virtual for the donor's full address
+donationSchema.virtual('donorAddress').get(function() {
+  const { address, city, state, postalCode, country } = this.donor || {};
+  return [address, city, state, postalCode, country].filter(Boolean).join(', ');
+});
+
+// Static method to issue the next receipt number for a financial year
+donationSchema.statics.generateReceiptNumber = async function(date = new Date()) {
+  const financialYear = getFinancialYear(date);
+  const seq = await Counter.nextSequence(`donation-receipt:${financialYear}`);
+  return `SRT/DON/${financialYear}/${String(seq).padStart(6, '0')}`;
+};
+
+// Instance method to mark the donation paid and assign its receipt number.
+// The PAID transition is claimed atomically first so concurrent verifications
+// draw a single receipt number; resolves to null when another call won it.
+// A failed receipt number releases the claim so verification can be retried.
+donationSchema.methods.markPaid = async function(paymentId) {
+  const previous = { status: this.status, razorpayPaymentId: this.razorpayPaymentId, paymentDate: this.paymentDate };
+  const paymentDate = this.paymentDate || new Date();
+
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, status: { $ne: PAYMENT_STATUS.SUCCESS } },
+    { $set: { status: PAYMENT_STATUS.SUCCESS, razorpayPaymentId: paymentId, paymentDate } }
+  );
+
+  if (modifiedCount === 0) {
+    return null;
+  }
+
+  try {
+    this.set({ status: PAYMENT_STATUS.SUCCESS, razorpayPaymentId: paymentId, paymentDate });
+    if (!this.receiptNumber) {
+      this.receiptNumber = await this.constructor.generateReceiptNumber(paymentDate);
+    }
+    return await this.save();
+  } catch (error) {
+    await this.constructor.updateOne({ _id: this._id }, { $set: previous });
+    Object.assign(this, previous);
+    throw error;
+  }
+};
+
+// Static method to find by donation ID
+donationSchema.statics.findByDonationId = function(donationId) {
+  return this.findOne({ donationId });
+};
+
+// Static method to find by Razorpay order ID
+donationSchema.statics.findByRazorpayOrderId = function(razorpayOrderId) {
+  return this.findOne({ razorpayOrderId });
+};
+
+// Create and export the model
+const Donation = mongoose.model('Donation', donationSchema);
+
+export default Donation;
@@ -0,0 +1,1043 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { config } from '../config/index.js';
+import { STUDENT_STATUS, PAYMENT_STATUS, TAX_TYPES, REFUND_STATUS, REGISTRATION_SOURCES, INSTALLMENT_STATUS, SUBSCRIPTION_STATUS } from '../config/constants.js';
+import { assignInvoiceNumber } from '../utils/invoiceNumber.js';
+import { getInstallmentDueDate, getPaidInstallmentsINR } from '../utils/installments.js';
+import { getPaidChargesINR } from '../utils/subscriptions.js';
+import { getTransitionError } from '../utils/studentLifecycle.js';
+import { ConflictError } from '../utils/errors.js';
+import Coupon from './Coupon.js';
+import Learner from './Learner.js';
+
+/**
+ * Enrollment model for MongoDB using Mongoose
+ * One purchase of a program by a Learner: program and addons, pricing and
+ * tax, payment, invoice, refunds and status. A learner has an enrollment
+ * per program they buy. studentId is the enrollment's public ID (the name
+ * predates the Learner split and is kept for API and upload compatibility).
+ */
+
+// One installment of an installment plan. The first is paid at checkout
+// through the enrollment's own order, payment and invoice; each later one
+// gets its own order, pay link (payToken) and invoice when it is paid.
+const installmentSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  amountINR: {
+    type: Number,
+    required: [true, 'Installment amount is required'],
+    min: [0.01, 'Installment amount must be positive'],
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Installment due date is required'],
+  },
+  status: {
+    type: String,
+    enum: Object.values(INSTALLMENT_STATUS),
+    default: INSTALLMENT_STATUS.PENDING,
+  },
+  razorpayOrderId: {
+    type: String,
+    trim: true,
+    match: [/^order_[A-Za-z0-9]+$/, 'Invalid Razorpay order ID format'],
+  },
+  previousRazorpayOrderIds: [{
+    type: String,
+    trim: true,
+  }],
+  razorpayPaymentId: {
+    type: String,
+    trim: true,
+    match: [/^pay_[A-Za-z0-9]+$/, 'Invalid Razorpay payment ID format'],
+  },
+  paidAt: {
+    type: Date,
+  },
+  invoiceNumber: {
+    type: String,
+    trim: true,
+  },
+  invoiceNumberClaimedAt: {
+    type: Date,
+  },
+  invoiceLink: {
+    type: String,
+    match: [/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/, 'Invalid UUID format for invoice link'],
+  },
+  payToken: {
+    type: String,
+  },
+  // Reminders sent before the due date, one per INSTALLMENT_REMINDER_DAYS entry
+  reminders: [{
+    sentAt: { type: Date, required: true },
+    email: { type: String, trim: true },
+  }],
+  // When it was found unpaid after its due date, and when the enrollment
+  // is suspended if it is still unpaid
+  overdueAt: {
+    type: Date,
+  },
+  graceEndsAt: {
+    type: Date,
+  },
+});
+
+// One monthly charge of a subscription. The first is the checkout payment
+// and uses the enrollment's invoice; each later one is numbered and
+// invoiced on its own when Razorpay charges it.
+const subscriptionChargeSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  amountINR: {
+    type: Number,
+    required: [true, 'Charge amount is required'],
+    min: [0.01, 'Charge amount must be positive'],
+  },
+  razorpayPaymentId: {
+    type: String,
+    required: [true, 'Razorpay payment ID is required'],
+    trim: true,
+    match: [/^pay_[A-Za-z0-9]+$/, 'Invalid Razorpay payment ID format'],
+  },
+  razorpayOrderId: {
+    type: String,
+    trim: true,
+  },
+  razorpayInvoiceId: {
+    type: String,
+    trim: true,
+  },
+  paidAt: {
+    type: Date,
+    required: true,
+  },
+  // The month of access the charge paid for
+  periodStart: {
+    type: Date,
+  },
+  periodEnd: {
+    type: Date,
+  },
+  invoiceNumber: {
+    type: String,
+    trim: true,
+  },
+  invoiceNumberClaimedAt: {
+    type: Date,
+  },
+  invoiceLink: {
+    type: String,
+    match: [/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/, 'Invalid UUID format for invoice link'],
+  },
+});
+
+const enrollmentSchema = new mongoose.Schema({
+  // 1. Identification
+  studentId: {
+    type: String,
+    unique: true,
+    required: [true, 'Student ID is required'],
+    default: () => `STU_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+  },
+
+  // Learner who bought this enrollment (identity, KYC documents and
+  // email verification live there)
+  learner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Learner',
+    required: [true, 'Learner is required'],
+  },
+
+  // 2. Billing Details
+  // Name, contact and address given at checkout; the invoice is issued to
+  // these (place of supply comes from the state), so they stay as they
+  // were when the enrollment was bought
+  fullName: {
+    type: String,
+    required: [true, 'Full name is required'],
+    trim: true,
+    minlength: [2, 'Full name must be at least 2 characters'],
+    maxlength: [100, 'Full name cannot exceed 100 characters'],
+    match: [/^[a-zA-Z\s.'-]+$/, 'Full name can only contain letters, spaces, dots, apostrophes, and hyphens'],
+  },
+  primaryPhone: {
+    type: String,
+    required: [true, 'Primary phone number is required'],
+    trim: true,
+    match: [/^\+?[\d\s\-\(\)]{10,15}$/, 'Please enter a valid primary phone number'],
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    // unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email'],
+  },
+  residentialAddress: {
+    type: String,
+    required: [true, 'Residential address is required'],
+    trim: true,
+    minlength: [10, 'Address must be at least 10 characters'],
+    maxlength: [200, 'Address cannot exceed 200 characters'],
+  },
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    trim: true,
+    minlength: [2, 'City name must be at least 2 characters'],
+    maxlength: [50, 'City name cannot exceed 50 characters'],
+  },
+  state: {
+    type: String,
+    required: [true, 'State is required'],
+    trim: true,
+    minlength: [2, 'State name must be at least 2 characters'],
+    maxlength: [50, 'State name cannot exceed 50 characters'],
+  },
+  zipCode: {
+    type: String,
+    required: [true, 'ZIP code is required'],
+    trim: true,
+    match: [/^\d{5,10}$/, 'ZIP code must be 5-10 digits'],
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true,
+    minlength: [2, 'Country name must be at least 2 characters'],
+    maxlength: [50, 'Country name cannot exceed 50 characters'],
+  },
+
+  // 3. Program Selection & Pricing
+  programType: {
+    type: String,
+    required: [true, 'Program type is required'],
+    trim: true,
+    maxlength: [50, 'Program type cannot exceed 50 characters'],
+  },
+  selectedProgram: {
+  type: String,
+  required: true,
+},
+  programName: {
+    type: String,
+    required: [true, 'Program name is required'],
+    trim: true,
+    maxlength: [200, 'Program name cannot exceed 200 characters'],
+  },
+  programDuration: {
+    type: Number,
+    required: [true, 'Program duration is required'],
+    min: [1, 'Program duration must be at least 1 month'],
+    max: [60, 'Program duration cannot exceed 60 months'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Program duration must be a whole number of months',
+    },
+  },
+  programUnitPrice: {
+    type: Number,
+    required: [true, 'Program unit price is required'],
+    min: [0, 'Program unit price cannot be negative'],
+    validate: {
+      validator: function(price) {
+        return price >= 0 && price <= 10000000; // Max 1 crore
+      },
+      message: 'Program price must be between 0 and 10,000,000 INR',
+    },
+  },
+  programPriceINR: {
+    type: Number,
+    required: [true, 'Program price is required'],
+    min: [0, 'Program price cannot be negative'],
+    validate: {
+      validator: function(price) {
+        return price >= 0 && price <= 10000000; // Max 1 crore
+      },
+      message: 'Program price must be between 0 and 10,000,000 INR',
+    },
+  },
+
+  // 4. Addons
+  selectedAddons: [{ type: String }],
+  selectedAddonNames: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Addon names cannot exceed 500 characters'],
+  },
+  addonPriceINR: {
+    type: Number,
+    default: 0,
+    min: [0, 'Addon price cannot be negative'],
+    validate: {
+      validator: function(price) {
+        return price >= 0 && price <= 5000000; // Max 50 lakhs for addons
+      },
+      message: 'Addon price must be between 0 and 5,000,000 INR',
+    },
+  },
+  addonsData: [{
+    id: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    sacCode: {
+      type: String,
+    },
+    priceEffectiveFrom: {
+      type: Date,
+    },
+  }],
+  // Catalog entry of the program as sold, so later catalog edits, price
+  // changes or archival don't alter this enrollment
+  productSnapshot: {
+    id: String,
+    name: String,
+    category: String,
+    type: { type: String },
+    monthlyOptions: String,
+    sacCode: String,
+    price: Number,
+    priceEffectiveFrom: Date,
+    features: [String],
+  },
+
+  // 5. Invoice Details
+  // Assigned from the financial-year series only once payment succeeds
+  invoiceNumber: {
+    type: String,
+    trim: true,
+  },
+  invoiceNumberClaimedAt: {
+    type: Date,
+  },
+  subtotalINR: {
+    type: Number,
+    required: [true, 'Subtotal is required'],
+    min: [0, 'Subtotal cannot be negative'],
+    validate: {
+      validator: function(subtotal) {
+        const expectedSubtotal = this.programPriceINR + this.addonPriceINR;
+        return Math.abs(subtotal - expectedSubtotal) < 1; // Allow for rounding differences
+      },
+      message: 'Subtotal must equal program price plus addon price',
+    },
+  },
+  couponCode: {
+    type: String,
+    uppercase: true,
+    trim: true,
+  },
+  // Referral code applied at checkout
+  referralCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9]{6,20}$/, 'Referral code must be 6-20 characters long and contain only letters and numbers'],
+    sparse: true, // Allows multiple null values while maintaining uniqueness for non-null values
+  },
+  discountINR: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative'],
+    validate: {
+      validator: function(discount) {
+        return discount <= this.subtotalINR;
+      },
+      message: 'Discount cannot exceed the subtotal',
+    },
+  },
+  referralDiscountINR: {
+    type: Number,
+    default: 0,
+    min: [0, 'Referral discount cannot be negative'],
+  },
+  gstRate: {
+    type: Number,
+    required: [true, 'GST rate is required'],
+    min: [0, 'GST rate cannot be negative'],
+    max: [50, 'GST rate cannot exceed 50%'],
+    default: 18, // Default GST rate in India
+  },
+  taxType: {
+    type: String,
+    enum: Object.values(TAX_TYPES),
+  },
+  taxableValueINR: {
+    type: Number,
+    min: [0, 'Taxable value cannot be negative'],
+  },
+  cgstAmountINR: {
+    type: Number,
+    default: 0,
+    min: [0, 'CGST amount cannot be negative'],
+  },
+  sgstAmountINR: {
+    type: Number,
+    default: 0,
+    min: [0, 'SGST amount cannot be negative'],
+  },
+  igstAmountINR: {
+    type: Number,
+    default: 0,
+    min: [0, 'IGST amount cannot be negative'],
+  },
+  gstAmountINR: {
+    type: Number,
+    min: [0, 'GST amount cannot be negative'],
+    validate: {
+      validator: function(gstAmount) {
+        const expectedGST = (this.cgstAmountINR || 0) + (this.sgstAmountINR || 0) + (this.igstAmountINR || 0);
+        return Math.abs(gstAmount - expectedGST) < 1; // Allow for rounding differences
+      },
+      message: 'GST amount must equal CGST + SGST + IGST',
+    },
+  },
+  totalINR: {
+    type: Number,
+    required: [true, 'Total amount is required'],
+    min: [0, 'Total amount cannot be negative'],
+    // validate: {
+    //   validator: function(total) {
+    //     const expectedTotal = this.subtotalINR + this.gstAmountINR;
+    //     return Math.abs(total - expectedTotal) < 1; // Allow for rounding differences
+    //   },
+    //   message: 'Total must equal subtotal plus GST amount',
+    // },
+  },
+
+  // 6. Payment Details
+  paymentStatus: {
+    type: String,
+    enum: Object.values(PAYMENT_STATUS),
+    default: PAYMENT_STATUS.PENDING,
+    required: [true, 'Payment status is required'],
+  },
+  // Not known for a subscription until its first charge is paid
+  razorpayOrderId: {
+    type: String,
+    required: [function() {
+      return !this.subscription?.razorpaySubscriptionId;
+    }, 'Razorpay order ID is required'],
+    trim: true,
+    match: [/^order_[A-Za-z0-9]+$/, 'Invalid Razorpay order ID format'],
+  },
+  // Orders replaced when an unpaid registration was resubmitted; a payment
+  // completed on one of them still belongs to this student
+  previousRazorpayOrderIds: [{
+    type: String,
+    trim: true,
+  }],
+  razorpayPaymentId: {
+    type: String,
+    trim: true,
+    match: [/^pay_[A-Za-z0-9]+$/, 'Invalid Razorpay payment ID format'],
+  },
+  paymentDate: {
+    type: Date,
+  },
+  // When the current checkout attempt began (reset when an unpaid
+  // registration is resubmitted); the abandoned-checkout TTL counts from here
+  checkoutStartedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Abandoned-checkout follow-up: recovery emails sent, the token of the
+  // resume-payment link and when the checkout expired unpaid
+  checkoutRecovery: {
+    token: {
+      type: String,
+    },
+    reminders: [{
+      sentAt: { type: Date, required: true },
+      email: { type: String, trim: true },
+    }],
+    resumedAt: {
+      type: Date,
+    },
+    expiredAt: {
+      type: Date,
+    },
+  },
+  refundedAmountINR: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount cannot be negative'],
+  },
+  refunds: [{
+    refundId: {
+      type: String,
+      trim: true,
+      match: [/^rfnd_[A-Za-z0-9]+$/, 'Invalid Razorpay refund ID format'],
+    },
+    // Payment refunded (entries recorded before this was kept don't have it)
+    razorpayPaymentId: {
+      type: String,
+      trim: true,
+    },
+    amountINR: {
+      type: Number,
+      required: [true, 'Refund amount is required'],
+      min: [0.01, 'Refund amount must be positive'],
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Refund reason cannot exceed 500 characters'],
+    },
+    status: {
+      type: String,
+      enum: Object.values(REFUND_STATUS),
+      default: REFUND_STATUS.PENDING,
+    },
+    creditNoteNumber: {
+      type: String,
+      trim: true,
+    },
+    originalInvoiceNumber: {
+      type: String,
+      trim: true,
+    },
+    initiatedBy: {
+      type: String,
+      trim: true,
+    },
+    processedAt: {
+      type: Date,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  invoiceLink: {
+    type: String,
+    unique: true,
+    default: () => crypto.randomUUID(),
+    match: [/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/, 'Invalid UUID format for invoice link'],
+  },
+  // Installment plan chosen at checkout (none when paid in full), and its
+  // schedule; totalINR is still the whole order, charged one installment
+  // at a time
+  installmentPlan: {
+    planId: { type: String, trim: true },
+    name: { type: String, trim: true },
+    intervalDays: { type: Number, min: 1 },
+  },
+  installments: [installmentSchema],
+  // When an overdue installment got the enrollment suspended; paying what
+  // is overdue restores access
+  installmentSuspendedAt: {
+    type: Date,
+  },
+  // Monthly billing through a Razorpay subscription (none when paid
+  // upfront). The pricing fields above are for one month; the learner may
+  // cancel any time and keeps access until accessEndsAt.
+  subscription: {
+    razorpaySubscriptionId: {
+      type: String,
+      trim: true,
+      match: [/^sub_[A-Za-z0-9]+$/, 'Invalid Razorpay subscription ID format'],
+    },
+    // Subscriptions replaced when an unpaid registration was resubmitted
+    previousRazorpaySubscriptionIds: [{
+      type: String,
+      trim: true,
+    }],
+    razorpayPlanId: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(SUBSCRIPTION_STATUS),
+    },
+    // Months chosen at checkout: the most the subscription will charge
+    totalCount: {
+      type: Number,
+      min: 1,
+    },
+    // Amount of each charge after the first; the first also pays the addons
+    amountINR: {
+      type: Number,
+      min: 0,
+    },
+    charges: [subscriptionChargeSchema],
+    cancelRequestedAt: {
+      type: Date,
+    },
+    cancelledBy: {
+      type: String,
+      trim: true,
+    },
+    endedAt: {
+      type: Date,
+    },
+    // When lapsed access got the enrollment suspended; the next charge
+    // restores it
+    suspendedAt: {
+      type: Date,
+    },
+  },
+  // End of the access paid for so far (subscriptions); each charge
+  // extends it by a month
+  accessEndsAt: {
+    type: Date,
+  },
+
+  // 7. Confirmation & Agreements
+  agreedToTerms: {
+    type: Boolean,
+    required: [true, 'Agreement to terms is required'],
+    validate: {
+      validator: function(agreed) {
+        return agreed === true;
+      },
+      message: 'Student must agree to terms and conditions',
+    },
+  },
+  certifiedInformation: {
+    type: Boolean,
+    required: [true, 'Information certification is required'],
+    validate: {
+      validator: function(certified) {
+        return certified === true;
+      },
+      message: 'Student must certify that provided information is correct',
+    },
+  },
+  termsAgreedAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  // 8. Status & Tracking
+  status: {
+    type: String,
+    enum: Object.values(STUDENT_STATUS),
+    default: STUDENT_STATUS.PENDING,
+  },
+  enrollmentDate: {
+    type: Date,
+  },
+  completionDate: {
+    type: Date,
+    validate: {
+      validator: function(date) {
+        return !date || !this.enrollmentDate || date >= this.enrollmentDate;
+      },
+      message: 'Completion date must be after enrollment date',
+    },
+  },
+
+  // Every status change with who made it and why; transitions staff make
+  // are checked against STUDENT_STATUS_TRANSITIONS
+  statusHistory: [{
+    from: {
+      type: String,
+      enum: Object.values(STUDENT_STATUS),
+    },
+    to: {
+      type: String,
+      enum: Object.values(STUDENT_STATUS),
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    changedBy: {
+      type: String, // staff email, or 'system' for payment and refund events
+      trim: true,
+    },
+    paymentStatus: {
+      type: String,
+      enum: Object.values(PAYMENT_STATUS),
+    },
+    emailSentAt: {
+      type: Date,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+
+  // 9. Additional Metadata
+  registrationSource: {
+    type: String,
+    enum: Object.values(REGISTRATION_SOURCES),
+    default: REGISTRATION_SOURCES.WEBSITE,
+  },
+  lastActivity: {
+    type: Date,
+    default: Date.now,
+  },
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    trim: true,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes for better performance
+enrollmentSchema.index({ learner: 1, createdAt: -1 }); // a learner's enrollments, newest first
+enrollmentSchema.index({ studentId: 1 }, { unique: true });
+enrollmentSchema.index({ invoiceNumber: 1 }, { unique: true, sparse: true });
+enrollmentSchema.index({ invoiceLink: 1 }, { unique: true });
+enrollmentSchema.index({ razorpayOrderId: 1 });
+enrollmentSchema.index({ previousRazorpayOrderIds: 1 }, { sparse: true });
+enrollmentSchema.index({ 'checkoutRecovery.token': 1 }, { unique: true, sparse: true });
+enrollmentSchema.index({ paymentStatus: 1, checkoutStartedAt: 1 });
+enrollmentSchema.index({ 'refunds.refundId': 1 }, { sparse: true });
+enrollmentSchema.index({ 'installments.razorpayOrderId': 1 }, { sparse: true });
+enrollmentSchema.index({ 'installments.previousRazorpayOrderIds': 1 }, { sparse: true });
+enrollmentSchema.index({ 'installments.invoiceLink': 1 }, { sparse: true });
+enrollmentSchema.index({ 'installments.payToken': 1 }, { sparse: true });
+enrollmentSchema.index({ 'installments.status': 1, 'installments.dueDate': 1 }, { sparse: true });
+enrollmentSchema.index({ 'subscription.razorpaySubscriptionId': 1 }, { sparse: true });
+enrollmentSchema.index({ 'subscription.previousRazorpaySubscriptionIds': 1 }, { sparse: true });
+enrollmentSchema.index({ 'subscription.charges.razorpayPaymentId': 1 }, { sparse: true });
+enrollmentSchema.index({ 'subscription.charges.razorpayOrderId': 1 }, { sparse: true });
+enrollmentSchema.index({ 'subscription.charges.invoiceLink': 1 }, { sparse: true });
+enrollmentSchema.index({ 'subscription.status': 1, accessEndsAt: 1 }, { sparse: true });
+enrollmentSchema.index({ paymentStatus: 1 });
+enrollmentSchema.index({ couponCode: 1 }, { sparse: true });
+enrollmentSchema.index({ status: 1 });
+enrollmentSchema.index({ enrollmentDate: -1 });
+enrollmentSchema.index({ createdAt: -1 });
+enrollmentSchema.index({ primaryPhone: 1 });
+enrollmentSchema.index({ selectedProgram: 1 });
+enrollmentSchema.index({ learner: 1, selectedProgram: 1 }); // returning learners buying a program again
+enrollmentSchema.index({ referralCode: 1 }, { sparse: true });
+enrollmentSchema.index({ programType: 1 });
+enrollmentSchema.index({ country: 1 });
+enrollmentSchema.index({ registrationSource: 1 });
+enrollmentSchema.index({ paymentDate: -1 }, { sparse: true });
+
+// Compound indexes
+enrollmentSchema.index({ status: 1, paymentStatus: 1 });
+
+// Virtual for full address
+enrollmentSchema.virtual('fullAddress').get(function() {
+  return `${this.residentialAddress}, ${this.city}, ${this.state}, ${this.zipCode}, ${this.country}`;
+});
+
+// Virtual for program completion status
+enrollmentSchema.virtual('isCompleted').get(function() {
+  return this.status === STUDENT_STATUS.COMPLETED;
+});
+
+// Virtual for the amount paid so far (on an installment plan, the
+// installments paid; on a subscription, the months charged; otherwise the
+// total once payment succeeded)
+enrollmentSchema.virtual('paidAmountINR').get(function() {
+  if (this.installments?.length > 0) {
+    return getPaidInstallmentsINR(this);
+  }
+  if (this.subscription?.charges?.length > 0) {
+    return getPaidChargesINR(this);
+  }
+  return [PAYMENT_STATUS.SUCCESS, PAYMENT_STATUS.REFUNDED].includes(this.paymentStatus) ? this.totalINR || 0 : 0;
+});
+
+// Virtual for the amount that can still be refunded
+enrollmentSchema.virtual('refundableAmountINR').get(function() {
+  const paidINR = this.installments?.length > 0 || this.subscription?.charges?.length > 0 ? this.paidAmountINR : this.totalINR || 0;
+  return Math.max(Math.round((paidINR - (this.refundedAmountINR || 0)) * 100) / 100, 0);
+});
+
+// Virtual for payment completion status
+enrollmentSchema.virtual('isPaymentComplete').get(function() {
+  return this.paymentStatus === PAYMENT_STATUS.SUCCESS;
+});
+
+// Pre-save middleware for data validation and cleanup
+enrollmentSchema.pre('save', function(next) {
+  // Auto-set enrollment date when status changes to ENROLLED
+  if (this.isModified('status') && this.status === STUDENT_STATUS.ENROLLED && !this.enrollmentDate) {
+    this.enrollmentDate = new Date();
+  }
+  
+  // Auto-set completion date when status changes to COMPLETED
+  if (this.isModified('status') && this.status === STUDENT_STATUS.COMPLETED && !this.completionDate) {
+    this.completionDate = new Date();
+  }
+  
+  // Set payment date when payment status changes to SUCCESS
+  if (this.isModified('paymentStatus') && this.paymentStatus === PAYMENT_STATUS.SUCCESS && !this.paymentDate) {
+    this.paymentDate = new Date();
+  }
+  
+  // Update last activity
+  this.lastActivity = new Date();
+  
+  next();
+});
+
+// Instance method to update payment status. The SUCCESS transition is
+// claimed atomically first, so a verify call and webhook racing on the same
+// order enroll the student (and send their emails) once; it resolves to null
+// when another call won it. The invoice number is assigned in the same step:
+// if it can't be drawn (or the save fails) the claim is released, so the
+// payment can be confirmed again and is never left paid without a number.
+enrollmentSchema.methods.updatePaymentStatus = async function(status, paymentId = null) {
+  if (status !== PAYMENT_STATUS.SUCCESS) {
+    this.paymentStatus = status;
+    if (paymentId) {
+      this.razorpayPaymentId = paymentId;
+    }
+    return this.save();
+  }
+
+  const previous = { paymentStatus: this.paymentStatus, razorpayPaymentId: this.razorpayPaymentId, paymentDate: this.paymentDate };
+  const paid = { paymentStatus: PAYMENT_STATUS.SUCCESS, razorpayPaymentId: paymentId || this.razorpayPaymentId, paymentDate: new Date() };
+
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, paymentStatus: { $ne: PAYMENT_STATUS.SUCCESS } },
+    { $set: paid },
+    { projection: { _id: 1 } }
+  );
+
+  if (!claimed) {
+    return null;
+  }
+
+  try {
+    this.set(paid);
+    this.recordStatusChange(STUDENT_STATUS.ENROLLED, { reason: 'Payment received' });
+    this.recordFirstInstallment();
+    await this.assignInvoiceNumber();
+    await this.save();
+  } catch (error) {
+    await this.constructor.updateOne({ _id: this._id }, { $set: previous });
+    this.set(previous);
+    throw error;
+  }
+
+  if (this.couponCode) {
+    const redeemed = await Coupon.recordRedemption(this.couponCode, {
+      studentId: this.studentId,
+      email: this.email,
+      discountINR: this.discountINR,
+    });
+    if (!redeemed) {
+      console.warn(`Coupon ${this.couponCode} redemption by ${this.studentId} not recorded: already recorded or usage limit reached`);
+    }
+  }
+  return this;
+};
+
+// Instance method to mark the first installment of a plan paid by the
+// checkout payment; the later ones fall due counting from it (not saved)
+enrollmentSchema.methods.recordFirstInstallment = function() {
+  const [first, ...later] = this.installments || [];
+  if (!first || first.status === INSTALLMENT_STATUS.PAID) {
+    return;
+  }
+  first.set({ status: INSTALLMENT_STATUS.PAID, paidAt: this.paymentDate, razorpayPaymentId: this.razorpayPaymentId });
+  later.forEach(installment => {
+    installment.dueDate = getInstallmentDueDate(this.paymentDate, installment.number, this.installmentPlan.intervalDays);
+  });
+};
+
+// Instance method to assign the next invoice number of the series (see
+// utils/invoiceNumber.js assignInvoiceNumber)
+enrollmentSchema.methods.assignInvoiceNumber = function() {
+  return assignInvoiceNumber(this.constructor, {
+    _id: this._id,
+    record: this,
+    productType: this.programType,
+    date: this.paymentDate,
+  });
+};
+
+// Instance method to enroll
+enrollmentSchema.methods.enroll = function(changedBy = 'system') {
+  this.moveToStatus(STUDENT_STATUS.ENROLLED, { changedBy, reason: 'Enrolled' });
+  this.enrollmentDate = new Date();
+  return this.save();
+};
+
+// Instance method to complete program
+enrollmentSchema.methods.completeProgram = function(changedBy = 'system') {
+  this.moveToStatus(STUDENT_STATUS.COMPLETED, { changedBy, reason: 'Program completed' });
+  this.completionDate = new Date();
+  return this.save();
+};
+
+// Instance method to change status within the lifecycle rules (not saved)
+enrollmentSchema.methods.moveToStatus = function(to, { reason, changedBy = 'system' } = {}) {
+  const error = getTransitionError(this, to);
+  if (error) {
+    throw new ConflictError(error.message);
+  }
+  this.recordStatusChange(to, { reason, changedBy });
+};
+
+// Instance method to set status and add a history entry, without the
+// lifecycle check; for payment and refund events, which must always apply.
+// Returns the entry (null if the status didn't change) so the caller can
+// email the student once it is saved.
+enrollmentSchema.methods.recordStatusChange = function(to, { reason, changedBy = 'system' } = {}) {
+  if (this.status === to) {
+    return null;
+  }
+  this.statusHistory.push({ from: this.status, to, reason, changedBy, paymentStatus: this.paymentStatus });
+  this.status = to;
+  return this.statusHistory[this.statusHistory.length - 1];
+};
+
+// Static method to find by email
+enrollmentSchema.statics.findByEmail = function(email) {
+  return this.findOne({ email: email.toLowerCase() });
+};
+
+// Static method to find by student ID
+enrollmentSchema.statics.findByStudentId = function(studentId) {
+  return this.findOne({ studentId });
+};
+
+// Static method to find by invoice number
+enrollmentSchema.statics.findByInvoiceNumber = function(invoiceNumber) {
+  return this.findOne({ invoiceNumber });
+};
+
+// Static method to find by Razorpay order ID
+enrollmentSchema.statics.findByRazorpayOrderId = function(razorpayOrderId) {
+  return this.findOne({
+    $or: [
+      { razorpayOrderId },
+      { previousRazorpayOrderIds: razorpayOrderId },
+      { 'installments.razorpayOrderId': razorpayOrderId },
+      { 'installments.previousRazorpayOrderIds': razorpayOrderId },
+      { 'subscription.charges.razorpayOrderId': razorpayOrderId },
+    ],
+  });
+};
+
+// Static method to find by Razorpay subscription ID
+enrollmentSchema.statics.findByRazorpaySubscriptionId = function(razorpaySubscriptionId) {
+  return this.findOne({
+    $or: [
+      { 'subscription.razorpaySubscriptionId': razorpaySubscriptionId },
+      { 'subscription.previousRazorpaySubscriptionIds': razorpaySubscriptionId },
+    ],
+  });
+};
+
+// Static method to get student statistics
+enrollmentSchema.statics.getStudentStats = function() {
+  return this.aggregate([
+    // Email verification is the learner's
+    {
+      $lookup: {
+        from: Learner.collection.name,
+        let: { learnerId: '$learner' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$learnerId'] } } },
+          { $project: { isEmailVerified: 1 } },
+        ],
+        as: 'learnerDoc',
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        totalStudents: { $sum: 1 },
+        enrolledStudents: {
+          $sum: { $cond: [{ $eq: ['$status', STUDENT_STATUS.ENROLLED] }, 1, 0] }
+        },
+        completedStudents: {
+          $sum: { $cond: [{ $eq: ['$status', STUDENT_STATUS.COMPLETED] }, 1, 0] }
+        },
+        verifiedStudents: {
+          $sum: { $cond: [{ $in: [true, '$learnerDoc.isEmailVerified'] }, 1, 0] }
+        },
+        successfulPayments: {
+          $sum: { $cond: [{ $eq: ['$paymentStatus', PAYMENT_STATUS.SUCCESS] }, 1, 0] }
+        },
+        totalRevenue: {
+          $sum: { $cond: [{ $eq: ['$paymentStatus', PAYMENT_STATUS.SUCCESS] }, '$totalINR', 0] }
+        },
+      }
+    }
+  ]);
+};
+
+// Static method to find students by program
+enrollmentSchema.statics.findByProgram = function(programId) {
+  return this.find({ selectedProgram: programId });
+};
+
+// Static method to find students by payment status
+enrollmentSchema.statics.findByPaymentStatus = function(status) {
+  return this.find({ paymentStatus: status });
+};
+
+// Static method to find students by status
+enrollmentSchema.statics.findByStatus = function(status) {
+  return this.find({ status });
+};
+
+// Static method for revenue analytics
+enrollmentSchema.statics.getRevenueAnalytics = function(startDate, endDate) {
+  const pipeline = [
+    {
+      $match: {
+        paymentStatus: PAYMENT_STATUS.SUCCESS,
+        paymentDate: {
+          $gte: startDate,
+          $lte: endDate
+        }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        totalRevenue: { $sum: '$totalINR' },
+        programRevenue: { $sum: '$programPriceINR' },
+        addonRevenue: { $sum: '$addonPriceINR' },
+        discountGiven: { $sum: '$discountINR' },
+        taxableRevenue: { $sum: '$taxableValueINR' },
+        cgstCollected: { $sum: '$cgstAmountINR' },
+        sgstCollected: { $sum: '$sgstAmountINR' },
+        igstCollected: { $sum: '$igstAmountINR' },
+        gstCollected: { $sum: '$gstAmountINR' },
+        studentCount: { $sum: 1 },
+        averageOrderValue: { $avg: '$totalINR' }
+      }
+    }
+  ];
+  
+  return this.aggregate(pipeline);
+};
+
+// Create and export the model
+const Enrollment = mongoose.model('Enrollment', enrollmentSchema);
+
+export default Enrollment;
\ No newline at end of file
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+/**
+ * IdempotencyKey model for MongoDB using Mongoose
+ * Remembers the request hash and response of requests sent with an
+ * Idempotency-Key header so retries replay the original response.
+ * Records expire automatically after IDEMPOTENCY_KEY_TTL_SECONDS.
+ */
+
+export const IDEMPOTENCY_KEY_TTL_SECONDS = 24 * 60 * 60;
+
+// A request still IN_PROGRESS after this long is assumed to have died (e.g.
+// the server restarted mid-request) and a retry may take its key over
+export const IDEMPOTENCY_LEASE_SECONDS = 2 * 60;
+
+export const IDEMPOTENCY_STATUS = {
+  IN_PROGRESS: 'IN_PROGRESS',
+  COMPLETED: 'COMPLETED',
+};
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    trim: true,
+    maxlength: [255, 'Idempotency key cannot exceed 255 characters'],
+  },
+  // Route the key was used on, so the same key can't replay another endpoint
+  scope: {
+    type: String,
+    required: [true, 'Scope is required'],
+  },
+  requestHash: {
+    type: String,
+    required: [true, 'Request hash is required'],
+  },
+  status: {
+    type: String,
+    enum: Object.values(IDEMPOTENCY_STATUS),
+    default: IDEMPOTENCY_STATUS.IN_PROGRESS,
+  },
+  responseStatus: {
+    type: Number,
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  completedAt: {
+    type: Date,
+  },
+  // When the request currently processing the key took it; renewed when a
+  // retry takes over an expired lease
+  claimedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: IDEMPOTENCY_KEY_TTL_SECONDS,
+  },
+});
+
+// Indexes for better performance
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+
+// Create and export the model
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -0,0 +1,379 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+/**
+ * Learner model for MongoDB using Mongoose
+ * The person behind one or more Enrollments: identity, contact details,
+ * education and KYC documents, and whether their email is verified. A
+ * learner is identified by their ID document (idType + idNumber), so
+ * buying another program adds an Enrollment rather than a second learner.
+ */
+
+const learnerSchema = new mongoose.Schema({
+  // 1. Identification
+  learnerId: {
+    type: String,
+    unique: true,
+    required: [true, 'Learner ID is required'],
+    default: () => `LRN_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+  },
+
+  // 2. Personal Details
+  fullName: {
+    type: String,
+    required: [true, 'Full name is required'],
+    trim: true,
+    minlength: [2, 'Full name must be at least 2 characters'],
+    maxlength: [100, 'Full name cannot exceed 100 characters'],
+    match: [/^[a-zA-Z\s.'-]+$/, 'Full name can only contain letters, spaces, dots, apostrophes, and hyphens'],
+  },
+  dateOfBirth: {
+    type: Date,
+    required: [true, 'Date of birth is required'],
+    validate: {
+      validator: function(date) {
+        const today = new Date();
+        let age = today.getFullYear() - date.getFullYear();
+        const monthDiff = today.getMonth() - date.getMonth();
+
+        if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < date.getDate())) {
+          age--;
+        }
+
+        return date < today && age >= 16 && age <= 100;
+      },
+      message: 'Learner must be between 16 and 100 years old',
+    },
+  },
+  countryOfCitizenship: {
+    type: String,
+    required: [true, 'Country of citizenship is required'],
+    trim: true,
+    minlength: [2, 'Country name must be at least 2 characters'],
+    maxlength: [50, 'Country name cannot exceed 50 characters'],
+  },
+
+  // 3. Contact Information (latest given at checkout)
+  primaryPhone: {
+    type: String,
+    required: [true, 'Primary phone number is required'],
+    trim: true,
+    match: [/^\+?[\d\s\-\(\)]{10,15}$/, 'Please enter a valid primary phone number'],
+  },
+  secondaryPhone: {
+    type: String,
+    trim: true,
+    match: [/^\+?[\d\s\-\(\)]{10,15}$/, 'Please enter a valid secondary phone number'],
+    validate: {
+      validator: function(phone) {
+        return !phone || phone !== this.primaryPhone;
+      },
+      message: 'Secondary phone must be different from primary phone',
+    },
+  },
+  whatsappNotifications: {
+    type: Boolean,
+    default: false,
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email'],
+  },
+  residentialAddress: {
+    type: String,
+    required: [true, 'Residential address is required'],
+    trim: true,
+    minlength: [10, 'Address must be at least 10 characters'],
+    maxlength: [200, 'Address cannot exceed 200 characters'],
+  },
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    trim: true,
+    minlength: [2, 'City name must be at least 2 characters'],
+    maxlength: [50, 'City name cannot exceed 50 characters'],
+  },
+  state: {
+    type: String,
+    required: [true, 'State is required'],
+    trim: true,
+    minlength: [2, 'State name must be at least 2 characters'],
+    maxlength: [50, 'State name cannot exceed 50 characters'],
+  },
+  zipCode: {
+    type: String,
+    required: [true, 'ZIP code is required'],
+    trim: true,
+    match: [/^\d{5,10}$/, 'ZIP code must be 5-10 digits'],
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true,
+    minlength: [2, 'Country name must be at least 2 characters'],
+    maxlength: [50, 'Country name cannot exceed 50 characters'],
+  },
+
+  // 4. Education
+  highestQualification: {
+    type: String,
+    required: [true, 'Highest qualification is required'],
+  },
+  specialization: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Specialization cannot exceed 100 characters'],
+  },
+
+  // 5. Professional
+  currentProfession: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Current profession cannot exceed 100 characters'],
+  },
+  currentOrganization: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Current organization cannot exceed 100 characters'],
+  },
+  linkedinProfile: {
+    type: String,
+    trim: true,
+    match: [/^https?:\/\/(www\.)?linkedin\.com\/.*$/, 'Please enter a valid LinkedIn profile URL'],
+  },
+
+  // 6. Identity Document
+  idType: {
+    type: String,
+    required: [true, 'ID type is required'],
+  },
+  idNumber: {
+    type: String,
+    required: [true, 'ID number is required'],
+    trim: true,
+    uppercase: true,
+    minlength: [5, 'ID number must be at least 5 characters'],
+    maxlength: [20, 'ID number cannot exceed 20 characters'],
+    validate: {
+      validator: function(idNumber) {
+        // Basic validation based on ID type
+        switch (this.idType) {
+          case 'AADHAAR':
+            return /^\d{12}$/.test(idNumber);
+          case 'PASSPORT':
+            return /^[A-Z]\d{7}$/.test(idNumber);
+          case 'DRIVING_LICENSE':
+            return /^[A-Z]{2}\d{13}$/.test(idNumber);
+          case 'PAN':
+            return /^[A-Z]{5}\d{4}[A-Z]$/.test(idNumber);
+          default:
+            return idNumber.length >= 5;
+        }
+      },
+      message: 'Please enter a valid ID number for the selected ID type',
+    },
+  },
+  // Legacy: documents are now kept in document storage; data URLs saved
+  // before that stay here until `npm run documents:migrate` moves them
+  idDocumentBase64: {
+    type: String,
+    select: false, // Don't include in regular queries for performance
+    validate: {
+      validator: function(base64) {
+        return !base64 || /^data:/.test(base64);
+      },
+      message: 'ID document must be in valid base64 format',
+    },
+  },
+  idDocumentName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Document name cannot exceed 100 characters'],
+  },
+  idDocumentType: {
+    type: String,
+    enum: ['image/jpeg', 'image/png', 'image/jpg', 'application/pdf'],
+    message: 'Document must be JPEG, PNG, or PDF format',
+  },
+  idDocumentSize: {
+    type: Number, // bytes, kept so listings needn't load the document
+    min: 0,
+  },
+  idDocumentKey: {
+    type: String, // document storage key
+  },
+  idDocumentChecksum: {
+    type: String, // SHA-256 (hex) of the stored file
+    match: [/^[a-f0-9]{64}$/, 'Checksum must be a SHA-256 hex digest'],
+  },
+
+  // 7. Photo
+  // Legacy, see idDocumentBase64
+  studentPhotoBase64: {
+    type: String,
+    select: false, // Don't include in regular queries for performance
+    validate: {
+      validator: function(base64) {
+        return !base64 || /^data:image\//.test(base64);
+      },
+      message: 'Photo must be in valid image base64 format',
+    },
+  },
+  studentPhotoName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Photo name cannot exceed 100 characters'],
+  },
+  studentPhotoType: {
+    type: String,
+    enum: ['image/jpeg', 'image/png', 'image/jpg'],
+    message: 'Photo must be JPEG or PNG format',
+  },
+  studentPhotoSize: {
+    type: Number,
+    min: 0,
+  },
+  studentPhotoKey: {
+    type: String,
+  },
+  studentPhotoChecksum: {
+    type: String,
+    match: [/^[a-f0-9]{64}$/, 'Checksum must be a SHA-256 hex digest'],
+  },
+
+  // 8. Email Verification
+  isEmailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false,
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false,
+  },
+  // Last verification email, so resends can be throttled
+  emailVerificationSentAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      // Remove sensitive data from JSON output
+      delete ret.idDocumentBase64;
+      delete ret.studentPhotoBase64;
+      delete ret.idDocumentKey;
+      delete ret.studentPhotoKey;
+      delete ret.emailVerificationToken;
+      delete ret.emailVerificationExpires;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+learnerSchema.index({ idType: 1, idNumber: 1 }, { unique: true }); // one learner per ID document
+learnerSchema.index({ email: 1 }); // portal lookups (not unique: family members may share an address)
+learnerSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+learnerSchema.index({ countryOfCitizenship: 1 });
+learnerSchema.index({ isEmailVerified: 1 });
+
+// Virtual for age calculation
+learnerSchema.virtual('age').get(function() {
+  if (!this.dateOfBirth) return null;
+
+  const today = new Date();
+  const birthDate = new Date(this.dateOfBirth);
+  let age = today.getFullYear() - birthDate.getFullYear();
+  const monthDiff = today.getMonth() - birthDate.getMonth();
+
+  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
+    age--;
+  }
+
+  return age;
+});
+
+// Enrollments of this learner
+learnerSchema.virtual('enrollments', {
+  ref: 'Enrollment',
+  localField: '_id',
+  foreignField: 'learner',
+});
+
+// A changed email has to be verified again
+learnerSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('email')) {
+    this.isEmailVerified = false;
+    this.emailVerificationToken = undefined;
+    this.emailVerificationExpires = undefined;
+    this.emailVerificationSentAt = undefined;
+  }
+
+  next();
+});
+
+// Instance method to generate email verification token
+learnerSchema.methods.generateEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+
+  return token;
+};
+
+// Whether a checkout's details can belong to this learner: the ID document
+// already matched, so only the date of birth is compared (names are spelled
+// in too many ways to be a reliable check). Dates are parsed at local or
+// UTC midnight depending on how they were sent, so a day's leeway is allowed.
+learnerSchema.methods.matchesIdentity = function({ dateOfBirth }) {
+  const given = new Date(dateOfBirth).getTime();
+  return !isNaN(given) && Math.abs(given - new Date(this.dateOfBirth).getTime()) < 24 * 60 * 60 * 1000;
+};
+
+// Static method to find by learner ID
+learnerSchema.statics.findByLearnerId = function(learnerId) {
+  return this.findOne({ learnerId });
+};
+
+// Static method to find by ID document
+learnerSchema.statics.findByIdDocument = function(idType, idNumber) {
+  return this.findOne({ idType, idNumber: String(idNumber || '').trim().toUpperCase() });
+};
+
+// Estimated sizes of legacy data URL documents saved before sizes were
+// stored, measured in the database so the documents aren't transferred
+learnerSchema.statics.estimateDocumentSizes = async function(ids) {
+  const estimate = (field) => ({
+    $let: {
+      vars: { data: { $ifNull: [`$${field}`, ''] } },
+      in: {
+        $cond: [
+          { $eq: ['$$data', ''] },
+          null,
+          { $floor: { $multiply: [{ $subtract: [{ $strLenBytes: '$$data' }, { $add: [{ $indexOfBytes: ['$$data', ','] }, 1] }] }, 0.75] } },
+        ],
+      },
+    },
+  });
+
+  const rows = await this.aggregate([
+    { $match: { _id: { $in: ids } } },
+    { $project: { idDocumentSize: estimate('idDocumentBase64'), studentPhotoSize: estimate('studentPhotoBase64') } },
+  ]);
+  return new Map(rows.map(row => [String(row._id), row]));
+};
+
+// Create and export the model
+const Learner = mongoose.model('Learner', learnerSchema);
+
+export default Learner;
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+/**
+ * PortalLogin model for MongoDB using Mongoose
+ * One student portal login request: the hashes of the one-time link token
+ * and OTP emailed to the student, how many wrong codes were tried and when
+ * it was used. Records are removed automatically once they expire.
+ */
+
+// Wrong codes allowed before a login request stops accepting any
+export const PORTAL_LOGIN_MAX_ATTEMPTS = 5;
+
+// Login emails sent to one address within PORTAL_LOGIN_TTL_MINUTES
+export const PORTAL_LOGIN_MAX_REQUESTS = 3;
+
+const portalLoginSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+  },
+  tokenHash: {
+    type: String, // sha256 of the login link token
+    required: true,
+  },
+  otpHash: {
+    type: String, // sha256 of the login code
+    required: true,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+  requestIp: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better performance
+portalLoginSchema.index({ tokenHash: 1 }, { unique: true });
+portalLoginSchema.index({ email: 1, createdAt: -1 });
+
+// Create and export the model
+const PortalLogin = mongoose.model('PortalLogin', portalLoginSchema);
+
+export default PortalLogin;
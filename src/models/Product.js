@@ -0,0 +1,214 @@
+import mongoose from 'mongoose';
+import { PRODUCT_GROUPS, PRODUCT_BILLING_TYPES } from '../config/constants.js';
+
+/**
+ * Product model for MongoDB using Mongoose
+ * Programs and addons of the catalog, seeded from src/data/products.json.
+ * Prices are kept as a history of { price, effectiveFrom } entries so a
+ * price change can be scheduled ahead of time; products are archived,
+ * never deleted, so old enrollments can still be looked up. A product can
+ * offer installment plans: the total split into equal installments, the
+ * first paid at checkout and the rest every intervalDays after it.
+ */
+
+const priceSchema = new mongoose.Schema({
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative'],
+    max: [10000000, 'Price cannot exceed 10,000,000 INR'],
+  },
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective date is required'],
+  },
+  createdBy: {
+    type: String,
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const installmentPlanSchema = new mongoose.Schema({
+  planId: {
+    type: String,
+    required: [true, 'Plan ID is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]+$/, 'Plan ID may only contain lowercase letters, digits and dashes'],
+  },
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    trim: true,
+    maxlength: [100, 'Plan name cannot exceed 100 characters'],
+  },
+  installments: {
+    type: Number,
+    required: [true, 'Number of installments is required'],
+    min: [2, 'A plan needs at least 2 installments'],
+    max: [12, 'A plan cannot have more than 12 installments'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Number of installments must be a whole number',
+    },
+  },
+  intervalDays: {
+    type: Number,
+    default: 30,
+    min: [7, 'Installments must be at least 7 days apart'],
+    max: [90, 'Installments cannot be more than 90 days apart'],
+  },
+}, { _id: false });
+
+const productSchema = new mongoose.Schema({
+  // Catalog group (e.g. programs, programAddons) and slug within it
+  group: {
+    type: String,
+    enum: PRODUCT_GROUPS,
+    required: [true, 'Catalog group is required'],
+  },
+  productId: {
+    type: String,
+    required: [true, 'Product ID is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]+$/, 'Product ID may only contain lowercase letters, digits and dashes'],
+  },
+  name: {
+    type: String,
+    required: [true, 'Product name is required'],
+    trim: true,
+    maxlength: [100, 'Product name cannot exceed 100 characters'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+  },
+  category: {
+    type: String,
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: Object.values(PRODUCT_BILLING_TYPES),
+    required: [true, 'Billing type is required'],
+  },
+  // Allowed durations in months for monthly products, e.g. "6-12"
+  monthlyOptions: {
+    type: String,
+    trim: true,
+    required: [
+      function() { return this.type === PRODUCT_BILLING_TYPES.MONTHLY && !String(this.group).endsWith('Addons'); },
+      'Monthly programs need monthly options such as "6-12"',
+    ],
+    match: [/^\d+-\d+$/, 'Monthly options must look like "6-12"'],
+  },
+  sacCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{6}$/, 'SAC code must be 6 digits'],
+  },
+  features: [{
+    type: String,
+    trim: true,
+  }],
+  installmentPlans: {
+    type: [installmentPlanSchema],
+    validate: {
+      validator: plans => new Set(plans.map(plan => plan.planId)).size === plans.length,
+      message: 'Installment plan IDs must be unique',
+    },
+  },
+  prices: {
+    type: [priceSchema],
+    validate: {
+      validator: prices => prices.length > 0,
+      message: 'A product needs at least one price',
+    },
+  },
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+  archivedAt: {
+    type: Date,
+  },
+  archivedBy: {
+    type: String,
+    trim: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better performance
+productSchema.index({ group: 1, productId: 1 }, { unique: true });
+productSchema.index({ group: 1, archivedAt: 1, sortOrder: 1 });
+
+// Virtual for archival status
+productSchema.virtual('isArchived').get(function() {
+  return Boolean(this.archivedAt);
+});
+
+// Instance method to get the price entry in effect at a date
+productSchema.methods.getPriceEntryAt = function(date = new Date()) {
+  const sorted = [...this.prices].sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+  const effective = sorted.filter(entry => entry.effectiveFrom <= date);
+  // Before the first effective date the earliest price applies
+  return effective.length > 0 ? effective[effective.length - 1] : sorted[0];
+};
+
+// Instance method to get the price in effect at a date
+productSchema.methods.getPriceAt = function(date = new Date()) {
+  return this.getPriceEntryAt(date)?.price;
+};
+
+// Instance method to render the product in the products.json shape
+productSchema.methods.toCatalogEntry = function(date = new Date()) {
+  const priceEntry = this.getPriceEntryAt(date);
+  const upcoming = this.prices
+    .filter(entry => entry.effectiveFrom > date)
+    .sort((a, b) => a.effectiveFrom - b.effectiveFrom)[0];
+
+  return {
+    id: this.productId,
+    name: this.name,
+    description: this.description,
+    category: this.category,
+    type: this.type,
+    ...(this.monthlyOptions ? { monthlyOptions: this.monthlyOptions } : {}),
+    sacCode: this.sacCode,
+    price: priceEntry?.price,
+    priceEffectiveFrom: priceEntry?.effectiveFrom,
+    ...(upcoming ? { upcomingPrice: { price: upcoming.price, effectiveFrom: upcoming.effectiveFrom } } : {}),
+    features: [...this.features],
+    ...(this.installmentPlans?.length > 0 ? {
+      installmentPlans: this.installmentPlans.map(plan => ({
+        id: plan.planId,
+        name: plan.name,
+        installments: plan.installments,
+        intervalDays: plan.intervalDays,
+      })),
+    } : {}),
+    ...(this.archivedAt ? { archivedAt: this.archivedAt } : {}),
+  };
+};
+
+// Static method to find one product of a group
+productSchema.statics.findInGroup = function(group, productId, { includeArchived = false } = {}) {
+  const filter = { group, productId: String(productId || '').toLowerCase() };
+  if (!includeArchived) {
+    filter.archivedAt = null;
+  }
+  return this.findOne(filter);
+};
+
+// Create and export the model
+const Product = mongoose.model('Product', productSchema);
+
+export default Product;
@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+import { RECONCILIATION_RUN_STATUS, RECONCILIATION_DISCREPANCY_TYPES } from '../config/constants.js';
+
+/**
+ * ReconciliationRun model for MongoDB using Mongoose
+ * One run of the settlement reconciliation for a date range: what was
+ * pulled from Razorpay, and every mismatch found against Enrollment records
+ */
+
+const discrepancySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(RECONCILIATION_DISCREPANCY_TYPES),
+    required: [true, 'Discrepancy type is required'],
+  },
+  studentId: {
+    type: String,
+    trim: true,
+  },
+  razorpayOrderId: {
+    type: String,
+    trim: true,
+  },
+  razorpayPaymentId: {
+    type: String,
+    trim: true,
+  },
+  // Number of the installment the payment was for (later installments of an installment plan)
+  installment: {
+    type: Number,
+  },
+  // Number of the monthly charge the payment was for (later charges of a subscription)
+  charge: {
+    type: Number,
+  },
+  studentPaymentStatus: {
+    type: String,
+  },
+  gatewayStatus: {
+    type: String,
+  },
+  expectedAmountINR: {
+    type: Number,
+  },
+  capturedAmountINR: {
+    type: Number,
+  },
+  settlementId: {
+    type: String,
+    trim: true,
+  },
+  message: {
+    type: String,
+    maxlength: [500, 'Message cannot exceed 500 characters'],
+  },
+});
+
+const reconciliationRunSchema = new mongoose.Schema({
+  from: {
+    type: Date,
+    required: [true, 'Start of the range is required'],
+  },
+  to: {
+    type: Date,
+    required: [true, 'End of the range is required'],
+  },
+  // Day (YYYY-MM-DD, IST) of a scheduled daily run; unique so each day runs once
+  scheduledFor: {
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Scheduled day must be YYYY-MM-DD'],
+  },
+  triggeredBy: {
+    type: String,
+    trim: true,
+    default: 'schedule',
+  },
+  status: {
+    type: String,
+    enum: Object.values(RECONCILIATION_RUN_STATUS),
+    default: RECONCILIATION_RUN_STATUS.RUNNING,
+  },
+  summary: {
+    paymentsChecked: { type: Number, default: 0 },
+    settlementItemsChecked: { type: Number, default: 0 },
+    studentsChecked: { type: Number, default: 0 },
+    capturedAmountINR: { type: Number, default: 0 },
+    settledAmountINR: { type: Number, default: 0 },
+    feesINR: { type: Number, default: 0 },
+    discrepancies: { type: Number, default: 0 },
+    byType: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  discrepancies: [discrepancySchema],
+  error: {
+    type: String,
+    maxlength: [1000, 'Error message cannot exceed 1000 characters'],
+  },
+  completedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better performance
+reconciliationRunSchema.index({ scheduledFor: 1 }, { unique: true, sparse: true });
+reconciliationRunSchema.index({ createdAt: -1 });
+reconciliationRunSchema.index({ 'discrepancies.type': 1 });
+
+// Create and export the model
+const ReconciliationRun = mongoose.model('ReconciliationRun', reconciliationRunSchema);
+
+export default ReconciliationRun;
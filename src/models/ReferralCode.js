@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { COUPON_TYPES, REFERRAL_OWNER_TYPES } from '../config/constants.js';
+
+/**
+ * ReferralCode model for MongoDB using Mongoose
+ * A code owned by an enrolled student or a partner. Referees enter it at
+ * checkout (stored as Enrollment.referralCode); each paid referral earns the
+ * owner a ReferralReward.
+ */
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+// Same format Enrollment.referralCode accepts
+export const REFERRAL_CODE_PATTERN = /^[A-Z0-9]{6,20}$/;
+
+const amountFor = (type, value, orderValueINR) => {
+  if (!value) return 0;
+  const amount = type === COUPON_TYPES.PERCENTAGE ? orderValueINR * value / 100 : value;
+  return round2(Math.min(amount, orderValueINR));
+};
+
+const referralCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    unique: true,
+    required: [true, 'Referral code is required'],
+    uppercase: true,
+    trim: true,
+    match: [REFERRAL_CODE_PATTERN, 'Referral code must be 6-20 characters long and contain only letters and numbers'],
+  },
+  ownerType: {
+    type: String,
+    enum: Object.values(REFERRAL_OWNER_TYPES),
+    required: [true, 'Owner type is required'],
+  },
+
+  // Student owner
+  ownerStudentId: {
+    type: String,
+    trim: true,
+    required: [
+      function() { return this.ownerType === REFERRAL_OWNER_TYPES.STUDENT; },
+      'Student ID is required for student referral codes',
+    ],
+  },
+
+  // Owner contact (the student's details are copied in for payouts)
+  ownerName: {
+    type: String,
+    required: [true, 'Owner name is required'],
+    trim: true,
+    maxlength: [100, 'Owner name cannot exceed 100 characters'],
+  },
+  ownerEmail: {
+    type: String,
+    required: [true, 'Owner email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email'],
+  },
+  organization: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Organization cannot exceed 100 characters'],
+  },
+
+  // Reward credited to the owner per paid referral
+  rewardType: {
+    type: String,
+    enum: Object.values(COUPON_TYPES),
+    default: COUPON_TYPES.FLAT,
+  },
+  rewardValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reward cannot be negative'],
+  },
+
+  // Optional discount for the referee (0 = none)
+  refereeDiscountType: {
+    type: String,
+    enum: Object.values(COUPON_TYPES),
+    default: COUPON_TYPES.PERCENTAGE,
+  },
+  refereeDiscountValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Referee discount cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return this.refereeDiscountType !== COUPON_TYPES.PERCENTAGE || value <= 100;
+      },
+      message: 'Percentage discount cannot exceed 100',
+    },
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better performance
+referralCodeSchema.index({ ownerStudentId: 1 }, { unique: true, sparse: true });
+referralCodeSchema.index({ ownerType: 1, isActive: 1 });
+
+// Instance method to compute the referee's discount on a GST-inclusive order value
+referralCodeSchema.methods.calculateRefereeDiscount = function(orderValueINR) {
+  return amountFor(this.refereeDiscountType, this.refereeDiscountValue, orderValueINR);
+};
+
+// Instance method to compute the owner's reward for a paid order
+referralCodeSchema.methods.calculateReward = function(orderValueINR) {
+  return amountFor(this.rewardType, this.rewardValue, orderValueINR);
+};
+
+// Static method to find by code (case-insensitive)
+referralCodeSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code || '').toUpperCase().trim() });
+};
+
+// Static method to build a readable, random code such as "PRIYA7K2QX"
+referralCodeSchema.statics.generateCode = function(name) {
+  const prefix = String(name || '').toUpperCase().replace(/[^A-Z]/g, '').slice(0, 5) || 'SRT';
+  const suffix = crypto.randomBytes(4).toString('hex').toUpperCase().slice(0, 5);
+  return `${prefix}${suffix}`.padEnd(6, '0');
+};
+
+// Create and export the model
+const ReferralCode = mongoose.model('ReferralCode', referralCodeSchema);
+
+export default ReferralCode;
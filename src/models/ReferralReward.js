@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+import { REFERRAL_OWNER_TYPES, REFERRAL_REWARD_STATUS } from '../config/constants.js';
+
+/**
+ * ReferralReward model for MongoDB using Mongoose
+ * Referrer ledger: one entry per paid referral (conversion), moved through
+ * PENDING -> APPROVED -> PAID, or CANCELLED when the referee is refunded
+ */
+
+const referralRewardSchema = new mongoose.Schema({
+  referralCode: {
+    type: String,
+    required: [true, 'Referral code is required'],
+    uppercase: true,
+    trim: true,
+  },
+  ownerType: {
+    type: String,
+    enum: Object.values(REFERRAL_OWNER_TYPES),
+    required: [true, 'Owner type is required'],
+  },
+  ownerStudentId: {
+    type: String,
+    trim: true,
+  },
+  ownerEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+
+  // The referee's enrollment
+  refereeStudentId: {
+    type: String,
+    unique: true,
+    required: [true, 'Referee student ID is required'],
+  },
+  refereeName: {
+    type: String,
+    trim: true,
+  },
+  refereeEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  programName: {
+    type: String,
+    trim: true,
+  },
+  orderAmountINR: {
+    type: Number,
+    required: [true, 'Order amount is required'],
+    min: [0, 'Order amount cannot be negative'],
+  },
+  refereeDiscountINR: {
+    type: Number,
+    default: 0,
+    min: [0, 'Referee discount cannot be negative'],
+  },
+  rewardINR: {
+    type: Number,
+    required: [true, 'Reward amount is required'],
+    min: [0, 'Reward cannot be negative'],
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(REFERRAL_REWARD_STATUS),
+    default: REFERRAL_REWARD_STATUS.PENDING,
+  },
+  paidAt: {
+    type: Date,
+  },
+  payoutReference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Payout reference cannot exceed 100 characters'],
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better performance
+referralRewardSchema.index({ referralCode: 1, createdAt: -1 });
+referralRewardSchema.index({ status: 1, createdAt: -1 });
+
+// Static method to total conversions and rewards per code (and status)
+referralRewardSchema.statics.getTotalsByCode = function(codes = null) {
+  const pipeline = [];
+  if (codes) {
+    pipeline.push({ $match: { referralCode: { $in: codes } } });
+  }
+  pipeline.push(
+    {
+      $group: {
+        _id: '$referralCode',
+        conversions: {
+          $sum: { $cond: [{ $eq: ['$status', REFERRAL_REWARD_STATUS.CANCELLED] }, 0, 1] },
+        },
+        revenueINR: {
+          $sum: { $cond: [{ $eq: ['$status', REFERRAL_REWARD_STATUS.CANCELLED] }, 0, '$orderAmountINR'] },
+        },
+        pendingINR: {
+          $sum: {
+            $cond: [
+              { $in: ['$status', [REFERRAL_REWARD_STATUS.PENDING, REFERRAL_REWARD_STATUS.APPROVED]] },
+              '$rewardINR',
+              0,
+            ],
+          },
+        },
+        paidINR: {
+          $sum: { $cond: [{ $eq: ['$status', REFERRAL_REWARD_STATUS.PAID] }, '$rewardINR', 0] },
+        },
+        cancelled: {
+          $sum: { $cond: [{ $eq: ['$status', REFERRAL_REWARD_STATUS.CANCELLED] }, 1, 0] },
+        },
+        lastConversionAt: { $max: '$createdAt' },
+      },
+    },
+    { $sort: { conversions: -1 } }
+  );
+  return this.aggregate(pipeline);
+};
+
+// Create and export the model
+const ReferralReward = mongoose.model('ReferralReward', referralRewardSchema);
+
+export default ReferralReward;
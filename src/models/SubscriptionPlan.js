@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+/**
+ * SubscriptionPlan model for MongoDB using Mongoose
+ * Razorpay plans created for monthly billing. A plan fixes the amount
+ * charged each month, so there is one per program, addon selection and
+ * monthly amount (a price change gets a new plan); they are reused by
+ * every subscription with the same key.
+ */
+
+const subscriptionPlanSchema = new mongoose.Schema({
+  // "<programType>:<productId>:<addonIds>:<amount in paise>"
+  key: {
+    type: String,
+    required: [true, 'Plan key is required'],
+    trim: true,
+  },
+  razorpayPlanId: {
+    type: String,
+    required: [true, 'Razorpay plan ID is required'],
+    trim: true,
+    match: [/^plan_[A-Za-z0-9]+$/, 'Invalid Razorpay plan ID format'],
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  amountINR: {
+    type: Number,
+    required: [true, 'Plan amount is required'],
+    min: [1, 'Plan amount must be at least 1 INR'],
+  },
+}, {
+  timestamps: true,
+});
+
+subscriptionPlanSchema.index({ key: 1 }, { unique: true });
+
+// Static method to find the plan for a key
+subscriptionPlanSchema.statics.findByKey = function(key) {
+  return this.findOne({ key });
+};
+
+// Create and export the model
+const SubscriptionPlan = mongoose.model('SubscriptionPlan', subscriptionPlanSchema);
+
+export default SubscriptionPlan;
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import { UPLOAD_OWNER_TYPES, UPLOAD_STATUS } from '../config/constants.js';
+
+/**
+ * Upload model for MongoDB using Mongoose
+ * A file uploaded through /api/v1/upload. The file itself is in document
+ * storage under a random key; this record ties it to its owner, which
+ * decides who may read or delete it and whose quota it counts against.
+ */
+
+const uploadSchema = new mongoose.Schema({
+  owner: {
+    type: {
+      type: String,
+      enum: Object.values(UPLOAD_OWNER_TYPES),
+      required: [true, 'Owner type is required'],
+    },
+    id: {
+      type: String,
+      required: [true, 'Owner id is required'],
+    },
+  },
+  key: {
+    type: String, // document storage key
+    required: true,
+  },
+  originalName: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters'],
+  },
+  mimeType: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number, // bytes
+    required: true,
+    min: 0,
+  },
+  checksum: {
+    type: String, // SHA-256 (hex) of the stored file
+    match: [/^[a-f0-9]{64}$/, 'Checksum must be a SHA-256 hex digest'],
+  },
+  status: {
+    type: String,
+    enum: Object.values(UPLOAD_STATUS),
+    default: UPLOAD_STATUS.PENDING,
+  },
+  uploadedBy: {
+    id: {
+      type: String,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+  },
+}, {
+  timestamps: true,
+});
+
+uploadSchema.index({ key: 1 }, { unique: true });
+uploadSchema.index({ 'owner.type': 1, 'owner.id': 1, createdAt: -1 });
+
+// Create and export the model
+const Upload = mongoose.model('Upload', uploadSchema);
+
+export default Upload;
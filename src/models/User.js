@@ -9,13 +9,20 @@ import { USER_ROLES, USER_STATUS } from '../config/constants.js';
  */
 
 const userSchema = new mongoose.Schema({
-  fullName: {
+  firstName: {
     type: String,
     required: [true, 'First name is required'],
     trim: true,
     minlength: [2, 'First name must be at least 2 characters'],
     maxlength: [50, 'First name cannot exceed 50 characters'],
   },
+  lastName: {
+    type: String,
+    required: [true, 'Last name is required'],
+    trim: true,
+    minlength: [2, 'Last name must be at least 2 characters'],
+    maxlength: [50, 'Last name cannot exceed 50 characters'],
+  },
   email: {
     type: String,
     required: [true, 'Email is required'],
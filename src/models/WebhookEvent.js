@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+import { WEBHOOK_EVENT_STATUS } from '../config/constants.js';
+
+/**
+ * WebhookEvent model for MongoDB using Mongoose
+ * Stores every Razorpay webhook delivery keyed by event id so duplicates
+ * can be ignored and failed events replayed
+ */
+
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    unique: true,
+    required: [true, 'Event ID is required'],
+    trim: true,
+  },
+  event: {
+    type: String,
+    required: [true, 'Event type is required'],
+    trim: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Event payload is required'],
+  },
+  razorpayOrderId: {
+    type: String,
+    trim: true,
+  },
+  razorpayPaymentId: {
+    type: String,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: Object.values(WEBHOOK_EVENT_STATUS),
+    default: WEBHOOK_EVENT_STATUS.RECEIVED,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: [0, 'Attempts cannot be negative'],
+  },
+  lastError: {
+    type: String,
+    maxlength: [1000, 'Error message cannot exceed 1000 characters'],
+  },
+  result: {
+    type: String,
+    maxlength: [500, 'Result cannot exceed 500 characters'],
+  },
+  processedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better performance
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ event: 1 });
+webhookEventSchema.index({ razorpayOrderId: 1 });
+
+// Static method to find by event ID
+webhookEventSchema.statics.findByEventId = function(eventId) {
+  return this.findOne({ eventId });
+};
+
+// Static method to find events that failed processing
+webhookEventSchema.statics.findFailed = function() {
+  return this.find({ status: WEBHOOK_EVENT_STATUS.FAILED }).sort({ createdAt: -1 });
+};
+
+// Static method to claim a redelivered event for another attempt: one that
+// failed, or one still RECEIVED after staleBefore (its first attempt died
+// mid-way). Resetting it to RECEIVED refreshes updatedAt, so concurrent
+// redeliveries don't both run it.
+webhookEventSchema.statics.claimForRetry = function(eventId, staleBefore) {
+  return this.findOneAndUpdate(
+    {
+      eventId,
+      $or: [
+        { status: WEBHOOK_EVENT_STATUS.FAILED },
+        { status: WEBHOOK_EVENT_STATUS.RECEIVED, updatedAt: { $lt: staleBefore } },
+      ],
+    },
+    { $set: { status: WEBHOOK_EVENT_STATUS.RECEIVED } },
+    { new: true }
+  );
+};
+
+// Create and export the model
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
@@ -0,0 +1,201 @@
+import crypto from 'crypto';
+import AuditLog from '../models/AuditLog.js';
+import { AUDIT_ACTOR_TYPES, AUDIT_OUTCOMES } from '../config/constants.js';
+
+/**
+ * Audit service
+ * Appends entries to the AuditLog hash chain and verifies the chain.
+ * Each entry's hash covers its own content and the previous entry's hash;
+ * seq is unique, so concurrent writers can't both extend the chain from
+ * the same entry - the loser retries on top of the winner.
+ */
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+const VERIFY_BATCH_LIMIT = 10000;
+
+// Fields never copied into the log as-is: document contents are dropped,
+// government ID numbers keep only their last 4 characters
+const REDACTED_PATHS = /base64$/i;
+const MASKED_PATHS = /(^|\.)idNumber$/;
+
+// Plain JSON form of a value, as it will read back from the database
+const toPlain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// JSON with sorted keys, so equal content always hashes the same
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const redact = (path, value) => {
+  if (value === undefined || value === null) {
+    return value;
+  }
+  if (REDACTED_PATHS.test(path)) {
+    return '[redacted]';
+  }
+  if (MASKED_PATHS.test(path)) {
+    const text = String(value);
+    return `${'*'.repeat(Math.max(text.length - 4, 0))}${text.slice(-4)}`;
+  }
+  return value;
+};
+
+class AuditService {
+  constructor() {
+    // Appends from this process run one at a time, to avoid needless retries
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Field-level differences between two snapshots
+   * @param {Object} before - Plain object or document (null when created)
+   * @param {Object} after - Plain object or document (null when deleted)
+   * @returns {Array} - [{ path, before, after }], sensitive values redacted
+   */
+  diff(before, after) {
+    const plainBefore = toPlain(before) || {};
+    const plainAfter = toPlain(after) || {};
+    const ignored = ['_id', 'id', '__v', 'createdAt', 'updatedAt'];
+
+    return [...new Set([...Object.keys(plainBefore), ...Object.keys(plainAfter)])]
+      .filter(path => !ignored.includes(path))
+      .filter(path => canonicalize(plainBefore[path]) !== canonicalize(plainAfter[path]))
+      .map(path => ({
+        path,
+        before: redact(path, plainBefore[path]) ?? null,
+        after: redact(path, plainAfter[path]) ?? null,
+      }));
+  }
+
+  /**
+   * Content an entry's hash covers
+   * @param {Object} entry - AuditLog document or the object about to be stored
+   */
+  hashPayload(entry) {
+    return toPlain({
+      seq: entry.seq,
+      prevHash: entry.prevHash,
+      createdAt: new Date(entry.createdAt).toISOString(),
+      actor: entry.actor,
+      action: entry.action,
+      target: entry.target,
+      changes: entry.changes,
+      metadata: entry.metadata,
+      outcome: entry.outcome,
+      statusCode: entry.statusCode,
+      ip: entry.ip,
+      userAgent: entry.userAgent,
+    });
+  }
+
+  computeHash(entry) {
+    return crypto.createHash('sha256').update(canonicalize(this.hashPayload(entry))).digest('hex');
+  }
+
+  /**
+   * Append an entry to the log
+   * @param {Object} entry - { actor: { type, id, email, role }, action, target: { type, id },
+   *   before, after, metadata, outcome, statusCode, ip, userAgent }
+   * @returns {Object} - AuditLog document
+   */
+  record(entry) {
+    const appended = this.queue.then(() => this.append(entry));
+    this.queue = appended.catch(() => {});
+    return appended;
+  }
+
+  async append({ actor, action, target, before, after, metadata, outcome = AUDIT_OUTCOMES.SUCCESS, statusCode, ip, userAgent }) {
+    const content = toPlain({
+      actor: actor || { type: AUDIT_ACTOR_TYPES.SYSTEM },
+      action,
+      target: target || {},
+      changes: before !== undefined || after !== undefined ? this.diff(before, after) : [],
+      metadata: metadata || {},
+      outcome,
+      statusCode,
+      ip,
+      userAgent: userAgent ? String(userAgent).slice(0, 500) : undefined,
+    });
+
+    for (let attempt = 1; ; attempt++) {
+      const last = await AuditLog.findOne().sort({ seq: -1 }).select('seq hash');
+      const auditEntry = new AuditLog({
+        ...content,
+        seq: (last?.seq || 0) + 1,
+        prevHash: last?.hash || GENESIS_HASH,
+        createdAt: new Date(),
+      });
+      // Hash the cast values (trimmed, lowercased, ...) exactly as they are stored
+      auditEntry.hash = this.computeHash(auditEntry);
+
+      try {
+        return await auditEntry.save();
+      } catch (error) {
+        // Another writer took this seq; chain onto its entry instead
+        if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Check that entries are consecutive and their hashes link up. Checks at
+   * most `limit` entries; continue from lastSeq + 1 while hasMore is true.
+   * @param {Object} options - { fromSeq (default 1), limit }
+   * @returns {Object} - { valid, checked, lastSeq, hasMore, firstInvalid: { seq, reason } | null }
+   */
+  async verifyChain({ fromSeq = 1, limit = VERIFY_BATCH_LIMIT } = {}) {
+    const start = Math.max(parseInt(fromSeq) || 1, 1);
+    const batch = Math.min(Math.max(parseInt(limit) || VERIFY_BATCH_LIMIT, 1), VERIFY_BATCH_LIMIT);
+    const invalid = (seq, reason, checked) => ({ valid: false, checked, lastSeq: null, hasMore: false, firstInvalid: { seq, reason } });
+
+    let expectedPrevHash = GENESIS_HASH;
+    if (start > 1) {
+      const previous = await AuditLog.findOne({ seq: start - 1 });
+      if (!previous) {
+        return invalid(start - 1, 'Entry is missing', 0);
+      }
+      expectedPrevHash = previous.hash;
+    }
+
+    const entries = await AuditLog.find({ seq: { $gte: start } }).sort({ seq: 1 }).limit(batch);
+
+    let expectedSeq = start;
+    for (const entry of entries) {
+      if (entry.seq !== expectedSeq) {
+        return invalid(expectedSeq, 'Entry is missing', expectedSeq - start);
+      }
+      if (entry.prevHash !== expectedPrevHash) {
+        return invalid(expectedSeq, 'Previous hash does not match', expectedSeq - start);
+      }
+      if (entry.hash !== this.computeHash(entry)) {
+        return invalid(expectedSeq, 'Entry content does not match its hash', expectedSeq - start);
+      }
+
+      expectedSeq++;
+      expectedPrevHash = entry.hash;
+    }
+
+    return {
+      valid: true,
+      checked: entries.length,
+      lastSeq: entries.length > 0 ? expectedSeq - 1 : null,
+      hasMore: entries.length === batch,
+      firstInvalid: null,
+    };
+  }
+}
+
+export default new AuditService();
@@ -0,0 +1,189 @@
+import Product from '../models/Product.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+/**
+ * Catalog service
+ * Seeds the product catalog from src/data/products.json and handles admin
+ * changes: edits, scheduled price changes and soft archival.
+ */
+
+// Product fields an admin may edit directly (prices go through schedulePrice)
+const EDITABLE_FIELDS = ['name', 'description', 'category', 'type', 'monthlyOptions', 'sacCode', 'features', 'installmentPlans', 'sortOrder'];
+
+// Installment plans are written like the catalog shows them ({ id, ... })
+const toInstallmentPlans = (plans) => (Array.isArray(plans) ? plans : [])
+  .map(({ id, planId, name, installments, intervalDays }) => ({ planId: planId ?? id, name, installments, intervalDays }));
+
+const pickEditableFields = (data) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => data[field] !== undefined)
+    .map(field => [field, field === 'installmentPlans' ? toInstallmentPlans(data[field]) : data[field]])
+);
+
+class CatalogService {
+  /**
+   * Insert products from products.json that are not in the database yet.
+   * Existing products only get catalog fields they don't have at all (such
+   * as installment plans added to the catalog after they were seeded); a
+   * field they already have is left alone so admin edits are never
+   * overwritten, and prices only change through schedulePrice.
+   * @returns {Object} - { inserted, updated, existing }
+   */
+  async seedFromJson() {
+    const products = await import('../data/products.json', {
+      with: { type: 'json' }
+    }).then(module => module.default);
+
+    let inserted = 0;
+    let updated = 0;
+    let existing = 0;
+
+    for (const [group, groupProducts] of Object.entries(products)) {
+      let sortOrder = 0;
+      for (const product of Object.values(groupProducts)) {
+        const catalogFields = Object.fromEntries(Object.entries({
+          name: product.name,
+          description: product.description,
+          category: product.category,
+          type: product.type,
+          monthlyOptions: product.monthlyOptions,
+          sacCode: product.sacCode,
+          features: product.features || [],
+          installmentPlans: toInstallmentPlans(product.installmentPlans),
+        }).filter(([, value]) => value !== undefined));
+
+        const result = await Product.updateOne(
+          { group, productId: product.id },
+          {
+            $setOnInsert: {
+              group,
+              productId: product.id,
+              ...catalogFields,
+              prices: [{ price: product.price, effectiveFrom: new Date(0), createdBy: 'seed' }],
+              sortOrder: sortOrder++,
+            },
+          },
+          { upsert: true, runValidators: true }
+        );
+
+        if (result.upsertedCount > 0) {
+          inserted++;
+          continue;
+        }
+
+        // Fill in only the fields the product doesn't have (missing or null);
+        // values are cast (and defaulted) by the schema first, as an update
+        // pipeline writes them as given
+        const cast = new Product(catalogFields).toObject();
+        const backfilled = await Product.updateOne(
+          { group, productId: product.id },
+          [{
+            $set: Object.fromEntries(Object.keys(catalogFields)
+              .map(field => [field, { $ifNull: [`$${field}`, { $literal: cast[field] }] }])),
+          }]
+        );
+
+        if (backfilled.modifiedCount > 0) {
+          updated++;
+        } else {
+          existing++;
+        }
+      }
+    }
+
+    return { inserted, updated, existing };
+  }
+
+  /**
+   * Find a product or throw NotFoundError
+   */
+  async getProduct(group, productId) {
+    const product = await Product.findInGroup(group, productId, { includeArchived: true });
+    if (!product) {
+      throw new NotFoundError(`Product ${group}/${productId} not found`);
+    }
+    return product;
+  }
+
+  /**
+   * Create a product
+   * @param {Object} data - Product fields plus { group, productId, price, effectiveFrom }
+   * @param {string} actor - Admin creating the product
+   */
+  async createProduct(data, actor) {
+    if (data.price === undefined) {
+      throw new ValidationError('Price is required');
+    }
+
+    try {
+      return await Product.create({
+        ...pickEditableFields(data),
+        group: data.group,
+        productId: data.productId,
+        prices: [{
+          price: data.price,
+          effectiveFrom: data.effectiveFrom ? new Date(data.effectiveFrom) : new Date(),
+          createdBy: actor,
+        }],
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError(`Product ${data.group}/${data.productId} already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a product's details (not its price)
+   */
+  async updateProduct(group, productId, data) {
+    const product = await this.getProduct(group, productId);
+    product.set(pickEditableFields(data));
+    return product.save();
+  }
+
+  /**
+   * Add a price that takes effect at a date (now by default). Past prices
+   * stay in the history; enrollments keep the price they were sold at.
+   */
+  async schedulePrice(group, productId, { price, effectiveFrom }, actor) {
+    const product = await this.getProduct(group, productId);
+    const effectiveDate = effectiveFrom ? new Date(effectiveFrom) : new Date();
+
+    if (Number.isNaN(effectiveDate.getTime())) {
+      throw new ValidationError('Invalid effective date');
+    }
+
+    if (product.prices.some(entry => entry.effectiveFrom.getTime() === effectiveDate.getTime())) {
+      throw new ConflictError(`A price is already set to take effect at ${effectiveDate.toISOString()}`);
+    }
+
+    product.prices.push({ price, effectiveFrom: effectiveDate, createdBy: actor });
+    return product.save();
+  }
+
+  /**
+   * Soft-archive a product: hidden from the catalog and checkout, kept for history
+   */
+  async archiveProduct(group, productId, actor) {
+    const product = await this.getProduct(group, productId);
+    if (!product.archivedAt) {
+      product.archivedAt = new Date();
+      product.archivedBy = actor;
+      await product.save();
+    }
+    return product;
+  }
+
+  /**
+   * Bring an archived product back into the catalog
+   */
+  async restoreProduct(group, productId) {
+    const product = await this.getProduct(group, productId);
+    product.archivedAt = undefined;
+    product.archivedBy = undefined;
+    return product.save();
+  }
+}
+
+export default new CatalogService();
@@ -0,0 +1,425 @@
+import crypto from 'crypto';
+import Enrollment from '../models/Enrollment.js';
+import { config } from '../config/index.js';
+import { getPaymentGateway } from './paymentGateway.js';
+import { sendPaymentsMail } from '../utils/mailer.js';
+import { getCheckoutResumeUrl, renderCheckoutRecoveryEmail } from '../utils/checkoutRecoveryEmail.js';
+import { getCheckoutAmountINR } from '../utils/installments.js';
+import { getChargeAmountINR, isSubscription } from '../utils/subscriptions.js';
+import subscriptionService from './subscriptionService.js';
+import couponService from './couponService.js';
+import { CHECKOUT_RECOVERY_OUTCOMES, PAYMENT_STATUS, SUBSCRIPTION_STATUS } from '../config/constants.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+/**
+ * Checkout recovery service
+ * Follows up on registrations whose payment was never completed: sends up
+ * to two recovery emails with a resume-payment link, marks checkouts older
+ * than CHECKOUT_TTL_HOURS as FAILED and reports recovered vs lost orders.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 200;
+
+// Payment statuses of an unpaid checkout (FAILED covers a failed attempt,
+// which can still be retried until the checkout expires)
+const UNPAID_PAYMENT_STATUSES = [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.PROCESSING, PAYMENT_STATUS.FAILED];
+const PAID_PAYMENT_STATUSES = [PAYMENT_STATUS.SUCCESS, PAYMENT_STATUS.REFUNDED];
+
+// A subscription the learner authorised has its first charge paid or on its way
+const AUTHORISED_SUBSCRIPTION_STATUSES = [SUBSCRIPTION_STATUS.AUTHENTICATED, SUBSCRIPTION_STATUS.ACTIVE];
+
+const openCheckoutFilter = () => ({
+  paymentStatus: { $in: UNPAID_PAYMENT_STATUSES },
+  'checkoutRecovery.expiredAt': { $exists: false },
+});
+
+// Records created before checkoutStartedAt existed count from createdAt
+const startedBefore = (date) => ({
+  $or: [
+    { checkoutStartedAt: { $lte: date } },
+    { checkoutStartedAt: { $exists: false }, createdAt: { $lte: date } },
+  ],
+});
+
+class CheckoutRecoveryService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * When a student's checkout expires
+   * @param {Object} student - Student document
+   * @returns {Date}
+   */
+  getExpiresAt(student) {
+    const startedAt = student.checkoutStartedAt || student.createdAt;
+    return new Date(new Date(startedAt).getTime() + config.CHECKOUT_TTL_HOURS * HOUR_MS);
+  }
+
+  /**
+   * Which recovery email is due for a student, if any
+   * @param {Object} student - Unpaid student
+   * @param {Date} now - Current time
+   * @returns {number|null} - Index into CHECKOUT_REMINDER_HOURS, or null
+   */
+  getDueReminder(student, now = new Date()) {
+    const startedAt = new Date(student.checkoutStartedAt || student.createdAt);
+    const ageHours = (now - startedAt) / HOUR_MS;
+    if (ageHours >= config.CHECKOUT_TTL_HOURS) {
+      return null;
+    }
+
+    const schedule = config.CHECKOUT_REMINDER_HOURS.filter(hours => hours < config.CHECKOUT_TTL_HOURS);
+    const sent = student.checkoutRecovery?.reminders?.length || 0;
+    if (sent >= schedule.length || ageHours < schedule[sent]) {
+      return null;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Classify a followed-up checkout
+   * @param {Object} student - Student document
+   * @returns {string|null} - CHECKOUT_RECOVERY_OUTCOMES value, or null if never followed up
+   */
+  getOutcome(student) {
+    const reminded = (student.checkoutRecovery?.reminders?.length || 0) > 0;
+
+    if (reminded && PAID_PAYMENT_STATUSES.includes(student.paymentStatus)) {
+      return CHECKOUT_RECOVERY_OUTCOMES.RECOVERED;
+    }
+    if (student.checkoutRecovery?.expiredAt && student.paymentStatus === PAYMENT_STATUS.FAILED) {
+      return CHECKOUT_RECOVERY_OUTCOMES.LOST;
+    }
+    if (reminded && UNPAID_PAYMENT_STATUSES.includes(student.paymentStatus) && !student.checkoutRecovery?.expiredAt) {
+      return CHECKOUT_RECOVERY_OUTCOMES.PENDING;
+    }
+    return null;
+  }
+
+  /**
+   * Mongo filter matching the students with an outcome
+   * @param {string} outcome - CHECKOUT_RECOVERY_OUTCOMES value
+   * @returns {Object}
+   */
+  outcomeFilter(outcome) {
+    switch (String(outcome).toUpperCase()) {
+      case CHECKOUT_RECOVERY_OUTCOMES.RECOVERED:
+        return { 'checkoutRecovery.reminders.0': { $exists: true }, paymentStatus: { $in: PAID_PAYMENT_STATUSES } };
+      case CHECKOUT_RECOVERY_OUTCOMES.LOST:
+        return { 'checkoutRecovery.expiredAt': { $exists: true }, paymentStatus: PAYMENT_STATUS.FAILED };
+      case CHECKOUT_RECOVERY_OUTCOMES.PENDING:
+        return { 'checkoutRecovery.reminders.0': { $exists: true }, ...openCheckoutFilter() };
+      default:
+        throw new ValidationError(`Outcome must be one of ${Object.values(CHECKOUT_RECOVERY_OUTCOMES).join(', ')}`);
+    }
+  }
+
+  /**
+   * Run one sweep: expire stale checkouts, then send due recovery emails.
+   * Overlapping runs are skipped.
+   * @param {Date} now - Current time
+   * @returns {Object|null} - { expired, remindersSent }, or null if a sweep is already running
+   */
+  async sweep(now = new Date()) {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const expired = await this.expireStaleCheckouts(now);
+      const remindersSent = await this.sendDueReminders(now);
+      return { expired, remindersSent };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Mark unpaid checkouts older than the TTL as FAILED and expired, releasing
+   * their coupon reservations
+   * @returns {number} - Number of checkouts expired
+   */
+  async expireStaleCheckouts(now = new Date()) {
+    const cutoff = new Date(now.getTime() - config.CHECKOUT_TTL_HOURS * HOUR_MS);
+    const stale = await Enrollment.find({ ...openCheckoutFilter(), ...startedBefore(cutoff) })
+      .sort({ checkoutStartedAt: 1, createdAt: 1 })
+      .limit(SWEEP_BATCH_SIZE);
+
+    let expired = 0;
+    for (const student of stale) {
+      // A payment the webhook hasn't delivered yet must not be expired
+      const paid = await this.isOrderPaid(student);
+      if (paid !== false) {
+        console.warn(`Not expiring ${student.studentId}: order ${paid ? 'is paid' : 'could not be checked'}`);
+        continue;
+      }
+
+      const result = await Enrollment.updateOne(
+        { _id: student._id, ...openCheckoutFilter() },
+        { $set: { paymentStatus: PAYMENT_STATUS.FAILED, 'checkoutRecovery.expiredAt': now } }
+      );
+      expired += result.modifiedCount;
+
+      // An expired checkout can't be paid any more, so its coupon goes back
+      if (result.modifiedCount > 0 && student.couponCode) {
+        await couponService.releaseRedemption(student.couponCode, student.studentId);
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Send the recovery emails that are due
+   * @returns {number} - Number of emails sent
+   */
+  async sendDueReminders(now = new Date()) {
+    const schedule = config.CHECKOUT_REMINDER_HOURS.filter(hours => hours < config.CHECKOUT_TTL_HOURS);
+    if (schedule.length === 0) {
+      return 0;
+    }
+
+    const candidates = await Enrollment.find({
+      ...openCheckoutFilter(),
+      [`checkoutRecovery.reminders.${schedule.length - 1}`]: { $exists: false },
+      ...startedBefore(new Date(now.getTime() - schedule[0] * HOUR_MS)),
+    })
+      .sort({ checkoutStartedAt: 1, createdAt: 1 })
+      .limit(SWEEP_BATCH_SIZE);
+
+    let sent = 0;
+    for (const student of candidates) {
+      const index = this.getDueReminder(student, now);
+      if (index === null) {
+        continue;
+      }
+
+      // Claim the reminder slot first so concurrent sweeps send it once
+      const token = student.checkoutRecovery?.token || crypto.randomBytes(24).toString('hex');
+      const claimed = await Enrollment.updateOne(
+        {
+          _id: student._id,
+          ...openCheckoutFilter(),
+          [`checkoutRecovery.reminders.${index}`]: { $exists: false },
+        },
+        {
+          $set: { 'checkoutRecovery.token': token },
+          $push: { 'checkoutRecovery.reminders': { sentAt: now, email: student.email } },
+        }
+      );
+      if (claimed.modifiedCount === 0) {
+        continue;
+      }
+
+      try {
+        const { subject, html } = renderCheckoutRecoveryEmail(student, {
+          resumeUrl: getCheckoutResumeUrl(token),
+          expiresAt: this.getExpiresAt(student),
+          reminderNumber: index + 1,
+        });
+        await sendPaymentsMail({ to: student.email, subject, html });
+        sent++;
+      } catch (error) {
+        // Release the slot so the next sweep retries
+        console.error(`Error sending checkout recovery email to ${student.studentId}:`, error);
+        await Enrollment.updateOne(
+          { _id: student._id },
+          { $pull: { 'checkoutRecovery.reminders': { sentAt: now } } }
+        );
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Check the gateway for a payment on any of the student's orders (or
+   * checkout subscriptions, when billed monthly)
+   * @returns {boolean|null} - true if paid, false if not, null if the gateway could not be reached
+   */
+  async isOrderPaid(student) {
+    const orderIds = [student.razorpayOrderId, ...(student.previousRazorpayOrderIds || [])].filter(Boolean);
+    const subscriptionIds = [
+      student.subscription?.razorpaySubscriptionId,
+      ...(student.subscription?.previousRazorpaySubscriptionIds || []),
+    ].filter(Boolean);
+
+    try {
+      for (const orderId of orderIds) {
+        const order = await getPaymentGateway().fetchOrder(orderId);
+        if (order.status === 'paid') {
+          return true;
+        }
+      }
+      for (const subscriptionId of subscriptionIds) {
+        const subscription = await getPaymentGateway().fetchSubscription(subscriptionId);
+        if (AUTHORISED_SUBSCRIPTION_STATUSES.includes(subscription.status) || subscription.paid_count > 0) {
+          return true;
+        }
+      }
+      return false;
+    } catch (error) {
+      console.error(`Could not fetch orders of ${student.studentId}:`, error.message || error);
+      return null;
+    }
+  }
+
+  /**
+   * Re-open checkout from a recovery email link. The open order is handed
+   * back when its amount still matches, otherwise a new order replaces it.
+   * Billed monthly, the same goes for the checkout subscription.
+   * @param {string} token - checkoutRecovery.token
+   * @returns {Object} - { student, order, reusedOrder }, or { student, subscription, reusedSubscription } when billed monthly
+   */
+  async resumeCheckout(token, now = new Date()) {
+    const student = token ? await Enrollment.findOne({ 'checkoutRecovery.token': String(token) }) : null;
+    if (!student) {
+      throw new NotFoundError('Checkout link is not valid');
+    }
+
+    if (PAID_PAYMENT_STATUSES.includes(student.paymentStatus)) {
+      throw new ConflictError('This enrollment has already been paid');
+    }
+    if (student.checkoutRecovery?.expiredAt || this.getExpiresAt(student) <= now) {
+      throw new ConflictError('This checkout link has expired, please register again');
+    }
+
+    if (isSubscription(student)) {
+      return this.resumeSubscription(student, now);
+    }
+
+    const amount = Math.round(getCheckoutAmountINR(student) * 100); // paise; the first installment on an installment plan
+    let order = null;
+    try {
+      order = await getPaymentGateway().fetchOrder(student.razorpayOrderId);
+    } catch (error) {
+      console.error(`Could not fetch order ${student.razorpayOrderId}:`, error.message || error);
+    }
+
+    if (order?.status === 'paid') {
+      throw new ConflictError('Payment for this enrollment has already been received and is being confirmed');
+    }
+
+    const reusedOrder = Boolean(order && order.amount === amount);
+    if (!reusedOrder) {
+      order = await getPaymentGateway().createOrder({
+        amount,
+        currency: 'INR',
+        receipt: `resume_${student.studentId}`.slice(0, 40),
+      });
+      student.previousRazorpayOrderIds.push(student.razorpayOrderId);
+      student.razorpayOrderId = order.id;
+    }
+
+    student.checkoutRecovery.resumedAt = now;
+    await student.save();
+
+    return { student, order, reusedOrder };
+  }
+
+  /**
+   * Re-open the checkout subscription of an unpaid student billed monthly
+   * @returns {Object} - { student, subscription, reusedSubscription }
+   */
+  async resumeSubscription(student, now = new Date()) {
+    const previousSubscriptionId = student.subscription.razorpaySubscriptionId;
+    const { subscription, reusedSubscription } = await subscriptionService.openSubscription({
+      razorpayPlanId: student.subscription.razorpayPlanId,
+      totalCount: student.subscription.totalCount,
+      previousSubscriptionId,
+      addonsINR: getChargeAmountINR(student, 1) - getChargeAmountINR(student, 2),
+      notes: { programType: student.programType, selectedProgram: student.selectedProgram },
+    });
+
+    if (!reusedSubscription) {
+      student.subscription.previousRazorpaySubscriptionIds.push(previousSubscriptionId);
+      student.subscription.razorpaySubscriptionId = subscription.id;
+      student.subscription.status = subscription.status;
+    }
+
+    student.checkoutRecovery.resumedAt = now;
+    await student.save();
+
+    return { student, subscription, reusedSubscription };
+  }
+
+  /**
+   * Recovered vs lost report for registrations created in a date range
+   * @param {Object} range - { from, to }
+   * @returns {Object} - Counts and INR value per outcome, emails sent and recovery rate
+   */
+  async getReport({ from, to } = {}) {
+    const dateFilter = {};
+    if (from || to) {
+      dateFilter.createdAt = {};
+      if (from) dateFilter.createdAt.$gte = new Date(from);
+      if (to) dateFilter.createdAt.$lte = new Date(to);
+    }
+
+    const outcomes = Object.values(CHECKOUT_RECOVERY_OUTCOMES);
+    const groups = await Promise.all(outcomes.map(outcome => Enrollment.aggregate([
+      { $match: { ...dateFilter, ...this.outcomeFilter(outcome) } },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          amountINR: { $sum: '$totalINR' },
+          emailsSent: { $sum: { $size: { $ifNull: ['$checkoutRecovery.reminders', []] } } },
+        },
+      },
+    ])));
+
+    const report = {};
+    let emailsSent = 0;
+    outcomes.forEach((outcome, index) => {
+      const group = groups[index][0] || { count: 0, amountINR: 0, emailsSent: 0 };
+      report[outcome.toLowerCase()] = { count: group.count, amountINR: Math.round(group.amountINR * 100) / 100 };
+      emailsSent += group.emailsSent;
+    });
+
+    const closed = report.recovered.count + report.lost.count;
+    return {
+      ...report,
+      emailsSent,
+      recoveryRate: closed > 0 ? Math.round((report.recovered.count / closed) * 10000) / 100 : 0,
+      ttlHours: config.CHECKOUT_TTL_HOURS,
+      reminderHours: config.CHECKOUT_REMINDER_HOURS,
+    };
+  }
+
+  /**
+   * Run the sweep every CHECKOUT_SWEEP_INTERVAL_MINUTES (0 disables it)
+   */
+  start() {
+    if (this.timer || !(config.CHECKOUT_SWEEP_INTERVAL_MINUTES > 0)) {
+      return;
+    }
+
+    const run = () => this.sweep()
+      .then(result => {
+        if (result && (result.expired || result.remindersSent)) {
+          console.log('Checkout recovery sweep:', result);
+        }
+      })
+      .catch(error => console.error('Checkout recovery sweep failed:', error));
+
+    this.timer = setInterval(run, config.CHECKOUT_SWEEP_INTERVAL_MINUTES * 60 * 1000);
+    this.timer.unref();
+    run();
+  }
+
+  /**
+   * Stop the scheduled sweep
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export default new CheckoutRecoveryService();
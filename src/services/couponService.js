@@ -0,0 +1,101 @@
+import Coupon from '../models/Coupon.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Coupon service
+ * Validates discount codes against an order server-side. Clients only ever
+ * send the code; the discount amount is always computed here.
+ */
+
+// Razorpay won't create an order below ₹1, so a coupon must leave at least that to pay
+const MIN_PAYABLE_INR = 1;
+
+class CouponService {
+  /**
+   * Validate a coupon for an order and compute its discount
+   * @param {string} code - Coupon code entered by the buyer
+   * @param {Object} order - { productType, productId, orderValueINR (GST-inclusive), email }
+   * @returns {Object} - { coupon, discountINR }
+   */
+  async validateCoupon(code, { productType, productId, orderValueINR, email, now = new Date() }) {
+    const coupon = await Coupon.findByCode(code);
+
+    if (!coupon || !coupon.isActive) {
+      throw new ValidationError(`Coupon ${String(code).toUpperCase()} is not valid`);
+    }
+
+    if (coupon.validFrom && now < coupon.validFrom) {
+      throw new ValidationError(`Coupon ${coupon.code} is not active yet`);
+    }
+
+    if (coupon.validUntil && now > coupon.validUntil) {
+      throw new ValidationError(`Coupon ${coupon.code} has expired`);
+    }
+
+    if (!coupon.isApplicableTo(productType, productId)) {
+      throw new ValidationError(`Coupon ${coupon.code} does not apply to the selected program`);
+    }
+
+    if (orderValueINR < (coupon.minOrderValueINR || 0)) {
+      throw new ValidationError(`Coupon ${coupon.code} requires a minimum order value of ₹${coupon.minOrderValueINR}`);
+    }
+
+    // Reservations held by unpaid orders are left to reserveRedemption, which
+    // can tell the buyer's own reservation from others'
+    if (coupon.usageLimit != null && coupon.countRedemptions() >= coupon.usageLimit) {
+      throw new ValidationError(`Coupon ${coupon.code} has reached its usage limit`);
+    }
+
+    if (coupon.perEmailLimit != null) {
+      if (!email) {
+        throw new ValidationError(`Coupon ${coupon.code} requires an email address`);
+      }
+      if (coupon.countRedemptionsFor(email) >= coupon.perEmailLimit) {
+        throw new ValidationError(`Coupon ${coupon.code} has already been used with this email`);
+      }
+    }
+
+    const discountINR = coupon.calculateDiscount(orderValueINR);
+
+    if (orderValueINR - discountINR < MIN_PAYABLE_INR) {
+      throw new ValidationError(`Coupon ${coupon.code} cannot cover the whole order`);
+    }
+
+    return { coupon, discountINR };
+  }
+
+  /**
+   * Reserve a coupon redemption for a student's order, within the coupon's
+   * usage limits
+   * @param {string} code - Coupon code applied to the order
+   * @param {Object} redemption - { studentId, email, discountINR }
+   * @returns {Object} - The coupon, or null when the student already holds the reservation
+   */
+  async reserveRedemption(code, { studentId, email, discountINR }) {
+    const coupon = await Coupon.reserveRedemption(code, { studentId, email, discountINR });
+
+    if (coupon) {
+      return coupon;
+    }
+
+    // A retried checkout keeps the reservation it already holds
+    if (await Coupon.exists({ code: String(code).toUpperCase().trim(), 'redemptions.studentId': studentId })) {
+      return null;
+    }
+
+    throw new ValidationError(`Coupon ${String(code).toUpperCase()} has reached its usage limit`);
+  }
+
+  /**
+   * Release the coupon redemption reserved for an order that was never paid
+   * @param {string} code - Coupon code applied to the order
+   * @param {string} studentId - Enrollment holding the reservation
+   * @returns {boolean} - Whether a reservation was released
+   */
+  async releaseRedemption(code, studentId) {
+    const { modifiedCount } = await Coupon.releaseRedemption(code, studentId);
+    return modifiedCount > 0;
+  }
+}
+
+export default new CouponService();
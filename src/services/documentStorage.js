@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/index.js';
+import { NotFoundError } from '../utils/errors.js';
+
+/**
+ * Document storage
+ * Where uploaded student documents live, behind one interface so the
+ * backend can be swapped by configuration (STORAGE_DRIVER) and tests can
+ * point it at a temporary directory or a local S3 stand-in.
+ *
+ * A storage driver implements:
+ *   put(key, buffer, { contentType })  -> { key, size }
+ *   get(key)                           -> Buffer (NotFoundError if missing)
+ *   delete(key)                        -> removes the file; missing keys are ignored
+ *
+ * Keys are relative paths of letters, digits, '-', '_' and '.', separated by
+ * '/'; '.' and '..' segments are rejected.
+ */
+
+const KEY_PATTERN = /^[\w.-]+(\/[\w.-]+)*$/;
+
+const assertKey = (key) => {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key) || key.split('/').some(segment => /^\.+$/.test(segment))) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+};
+
+export class LocalDiskStorage {
+  constructor(options = {}) {
+    this.root = path.resolve(options.root ?? config.STORAGE_LOCAL_PATH);
+  }
+
+  resolve(key) {
+    assertKey(key);
+    return path.join(this.root, ...key.split('/'));
+  }
+
+  /**
+   * Store a file; written to a temporary name first so readers never see a partial file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @returns {Object} - { key, size }
+   */
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, buffer, { mode: 0o600 });
+    await fs.rename(tempPath, filePath);
+    return { key, size: buffer.length };
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError(`Stored file ${key} not found`);
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, as S3 signature version 4 expects for each path segment
+const encodeSegment = (segment) => encodeURIComponent(segment)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, Cloudflare R2, ...), spoken
+ * to over plain HTTP with signature version 4 request signing
+ */
+export class S3Storage {
+  constructor(options = {}) {
+    this.bucket = options.bucket ?? config.S3_BUCKET;
+    this.region = options.region ?? config.S3_REGION;
+    this.accessKeyId = options.accessKeyId ?? config.S3_ACCESS_KEY_ID;
+    this.secretAccessKey = options.secretAccessKey ?? config.S3_SECRET_ACCESS_KEY;
+    this.endpoint = new URL(options.endpoint || config.S3_ENDPOINT || `https://s3.${this.region}.amazonaws.com`);
+    this.forcePathStyle = options.forcePathStyle ?? config.S3_FORCE_PATH_STYLE;
+
+    if (!this.bucket || !this.accessKeyId || !this.secretAccessKey) {
+      throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+  }
+
+  objectUrl(key) {
+    assertKey(key);
+    const url = new URL(this.endpoint);
+    const basePath = url.pathname.replace(/\/$/, '');
+    const objectPath = key.split('/').map(encodeSegment).join('/');
+
+    if (this.forcePathStyle) {
+      url.pathname = `${basePath}/${encodeSegment(this.bucket)}/${objectPath}`;
+    } else {
+      url.hostname = `${this.bucket}.${url.hostname}`;
+      url.pathname = `${basePath}/${objectPath}`;
+    }
+    return url;
+  }
+
+  /**
+   * Signature version 4 headers for a request
+   * @param {string} method - HTTP method
+   * @param {URL} url - Object URL
+   * @param {string} payloadHash - Hex SHA-256 of the body
+   * @param {Date} now - Signing time
+   * @returns {Object} - Headers to send
+   */
+  sign(method, url, payloadHash, now = new Date()) {
+    const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+    };
+    const signedHeaders = Object.keys(headers).sort().join(';');
+
+    // Object requests carry no query string; kept canonical for completeness
+    const canonicalQuery = [...url.searchParams]
+      .map(([name, value]) => [encodeSegment(name), encodeSegment(value)])
+      .sort(([nameA, valueA], [nameB, valueB]) => (nameA === nameB ? (valueA < valueB ? -1 : 1) : (nameA < nameB ? -1 : 1)))
+      .map(([name, value]) => `${name}=${value}`)
+      .join('&');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery,
+      ...Object.keys(headers).sort().map(name => `${name}:${headers[name]}`),
+      '',
+      signedHeaders,
+      payloadHash,
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request']
+      .reduce((key, part) => hmac(key, part), hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region));
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    };
+  }
+
+  async request(method, key, { body, contentType } = {}) {
+    const url = this.objectUrl(key);
+    const headers = this.sign(method, url, sha256Hex(body || ''));
+    if (contentType) {
+      headers['Content-Type'] = contentType;
+    }
+
+    const response = await fetch(url, { method, headers, body });
+    if (response.status === 404 && method !== 'PUT') {
+      return null;
+    }
+    if (!response.ok) {
+      const detail = (await response.text()).match(/<Code>([^<]+)<\/Code>/)?.[1] || response.statusText;
+      throw new Error(`S3 ${method} ${key} failed: ${response.status} ${detail}`);
+    }
+    return response;
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    await this.request('PUT', key, { body: buffer, contentType: contentType || 'application/octet-stream' });
+    return { key, size: buffer.length };
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key);
+    if (!response) {
+      throw new NotFoundError(`Stored file ${key} not found`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async delete(key) {
+    await this.request('DELETE', key);
+  }
+}
+
+/**
+ * Create the storage driver named by configuration
+ * @param {string} driver - 'local' or 's3'
+ * @returns {Object} - Storage driver
+ */
+export function createDocumentStorage(driver = config.STORAGE_DRIVER) {
+  switch (driver) {
+    case 'local':
+      return new LocalDiskStorage();
+    case 's3':
+      return new S3Storage();
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER ${driver}; use local or s3`);
+  }
+}
+
+let storage = null;
+
+/**
+ * Get the active document storage (from STORAGE_DRIVER unless replaced)
+ * @returns {Object} - Storage driver
+ */
+export function getDocumentStorage() {
+  if (!storage) {
+    storage = createDocumentStorage();
+  }
+  return storage;
+}
+
+/**
+ * Replace the active document storage (e.g. with a temporary directory in tests)
+ * @param {Object|null} replacement - Storage driver, or null to reset to the configured one
+ */
+export function setDocumentStorage(replacement) {
+  storage = replacement;
+}
@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+import Enrollment from '../models/Enrollment.js';
+import Learner from '../models/Learner.js';
+import { config } from '../config/index.js';
+import { getEmailVerificationUrl, renderEmailVerificationEmail } from '../utils/emailVerificationEmail.js';
+import { sendPaymentsMail } from '../utils/mailer.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Learner email verification service
+ * Emails learners a link confirming their address, so invoices and login
+ * details don't go to a mistyped one. An address is confirmed for every
+ * learner registered with it, and one learner gets at most one verification
+ * email per EMAIL_VERIFICATION_RESEND_SECONDS.
+ */
+
+class EmailVerificationService {
+  /**
+   * Email a learner a verification link, unless their address is confirmed
+   * or one was sent too recently
+   * @param {Object} learner - Learner document
+   * @param {Date} now - Current time (for tests)
+   * @returns {Object} - { sent, isEmailVerified, retryAfter (seconds, when throttled) }
+   */
+  async send(learner, now = new Date()) {
+    if (learner.isEmailVerified) {
+      return { sent: false, isEmailVerified: true };
+    }
+
+    // Another learner already confirmed this address
+    if (await Learner.exists({ email: learner.email, isEmailVerified: true })) {
+      await Learner.updateOne({ _id: learner._id }, { $set: { isEmailVerified: true } });
+      learner.isEmailVerified = true;
+      return { sent: false, isEmailVerified: true };
+    }
+
+    // Claim the send atomically so two requests can't both get through the throttle
+    const cooldown = config.EMAIL_VERIFICATION_RESEND_SECONDS * 1000;
+    const token = learner.generateEmailVerificationToken();
+    const { matchedCount } = await Learner.updateOne(
+      {
+        _id: learner._id,
+        isEmailVerified: false,
+        $or: [
+          { emailVerificationSentAt: null },
+          { emailVerificationSentAt: { $lte: new Date(now.getTime() - cooldown) } },
+        ],
+      },
+      {
+        $set: {
+          emailVerificationToken: learner.emailVerificationToken,
+          emailVerificationExpires: learner.emailVerificationExpires,
+          emailVerificationSentAt: now,
+        },
+      }
+    );
+    if (matchedCount === 0) {
+      const lastSentAt = learner.emailVerificationSentAt ? new Date(learner.emailVerificationSentAt).getTime() : now.getTime();
+      return {
+        sent: false,
+        isEmailVerified: false,
+        retryAfter: Math.max(Math.ceil((lastSentAt + cooldown - now.getTime()) / 1000), 1),
+      };
+    }
+    learner.emailVerificationSentAt = now;
+
+    const { subject, html } = renderEmailVerificationEmail(learner, {
+      verifyUrl: getEmailVerificationUrl(token),
+      expiresAt: learner.emailVerificationExpires,
+    });
+    await sendPaymentsMail({ to: learner.email, subject, html });
+    return { sent: true, isEmailVerified: false };
+  }
+
+  /**
+   * Send the verification email again at a learner's request
+   * @param {string} studentId - Public ID of one of the learner's enrollments
+   * @param {string} email - The learner's email
+   * @returns {Object} - As send()
+   * @throws {NotFoundError} - When the studentId and email don't match a learner
+   * @throws {ValidationError} - When the email is already verified
+   */
+  async resend(studentId, email) {
+    const enrollment = await Enrollment.findOne({ studentId: String(studentId || '') }).select('learner');
+    const learner = enrollment && await Learner.findOne({
+      _id: enrollment.learner,
+      email: String(email || '').trim().toLowerCase(),
+    });
+    if (!learner) {
+      throw new NotFoundError('Learner not found');
+    }
+    if (learner.isEmailVerified) {
+      throw new ValidationError('Email is already verified');
+    }
+    return this.send(learner);
+  }
+
+  /**
+   * Confirm an email address from a verification link
+   * @param {string} token - Token from the link
+   * @returns {Object} - { learnerId, email }
+   * @throws {ValidationError} - When the token is unknown or expired
+   */
+  async verify(token) {
+    const hashedToken = crypto.createHash('sha256').update(String(token || '')).digest('hex');
+    const learner = await Learner.findOne({
+      emailVerificationToken: hashedToken,
+      emailVerificationExpires: { $gt: new Date() },
+    }).select('learnerId email');
+
+    if (!learner) {
+      throw new ValidationError('Invalid or expired email verification token');
+    }
+
+    await Learner.updateMany(
+      { email: learner.email },
+      {
+        $set: { isEmailVerified: true },
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 },
+      }
+    );
+
+    logger.logSecurity('Learner email verified', { learnerId: learner.learnerId });
+    return { learnerId: learner.learnerId, email: learner.email };
+  }
+}
+
+export default new EmailVerificationService();
@@ -0,0 +1,430 @@
+import Enrollment from '../models/Enrollment.js';
+import { config } from '../config/index.js';
+import { getPaymentGateway } from './paymentGateway.js';
+import studentLifecycleService from './studentLifecycleService.js';
+import { sendPaymentsMail } from '../utils/mailer.js';
+import { assignInvoiceNumber } from '../utils/invoiceNumber.js';
+import { getInstallmentPayUrl, renderInstallmentEmail } from '../utils/installmentEmail.js';
+import { INSTALLMENT_STATUS, PAYMENT_STATUS, STUDENT_STATUS } from '../config/constants.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+/**
+ * Installment service
+ * Collects the later installments of an installment plan (the first is
+ * paid at checkout): creates an order for an installment from its pay
+ * link, records the payment and numbers its invoice, and sweeps for
+ * installments that need a reminder, have become overdue, or whose grace
+ * period ended (which suspends the enrollment until they are paid).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 200;
+
+// Enrollments still collecting installments
+const collectingFilter = () => ({
+  paymentStatus: PAYMENT_STATUS.SUCCESS,
+  status: { $in: [STUDENT_STATUS.ENROLLED, STUDENT_STATUS.SUSPENDED] },
+});
+
+class InstallmentService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * The next installment to pay: the earliest one not paid yet
+   * @param {Object} student - Enrollment on an installment plan
+   * @returns {Object|null}
+   */
+  getNextUnpaid(student) {
+    return (student.installments || []).find(installment => installment.status !== INSTALLMENT_STATUS.PAID) || null;
+  }
+
+  /**
+   * Which pre-due reminder is due for an installment, if any
+   * @param {Object} installment - Pending installment
+   * @param {Date} now - Current time
+   * @returns {number|null} - Index into INSTALLMENT_REMINDER_DAYS, or null
+   */
+  getDueReminder(installment, now = new Date()) {
+    const schedule = config.INSTALLMENT_REMINDER_DAYS;
+    const sent = installment.reminders?.length || 0;
+    if (installment.status !== INSTALLMENT_STATUS.PENDING || sent >= schedule.length) {
+      return null;
+    }
+
+    const daysLeft = (new Date(installment.dueDate) - now) / DAY_MS;
+    if (daysLeft <= 0 || daysLeft > schedule[sent]) {
+      return null;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Create (or hand back) the order for an installment from its pay link.
+   * Installments are paid in order; the open order is reused while its
+   * amount still matches.
+   * @param {string} token - payToken of the installment
+   * @returns {Object} - { student, installment, order, reusedOrder }
+   */
+  async createPaymentOrder(token) {
+    const student = token ? await Enrollment.findOne({ 'installments.payToken': String(token) }) : null;
+    if (!student) {
+      throw new NotFoundError('Installment link is not valid');
+    }
+    const installment = student.installments.find(item => item.payToken === String(token));
+
+    if (installment.status === INSTALLMENT_STATUS.PAID) {
+      throw new ConflictError('This installment has already been paid');
+    }
+    if (student.paymentStatus !== PAYMENT_STATUS.SUCCESS || student.status === STUDENT_STATUS.CANCELLED) {
+      throw new ConflictError('This enrollment is no longer collecting installments');
+    }
+    const next = this.getNextUnpaid(student);
+    if (next.number !== installment.number) {
+      throw new ConflictError(`Installment ${next.number} has to be paid first`);
+    }
+
+    const amount = Math.round(installment.amountINR * 100); // paise
+    let order = null;
+    if (installment.razorpayOrderId) {
+      try {
+        order = await getPaymentGateway().fetchOrder(installment.razorpayOrderId);
+      } catch (error) {
+        console.error(`Could not fetch order ${installment.razorpayOrderId}:`, error.message || error);
+      }
+    }
+
+    if (order?.status === 'paid') {
+      throw new ConflictError('Payment for this installment has already been received and is being confirmed');
+    }
+
+    const reusedOrder = Boolean(order && order.amount === amount);
+    if (!reusedOrder) {
+      order = await getPaymentGateway().createOrder({
+        amount,
+        currency: 'INR',
+        receipt: `inst${installment.number}_${student.studentId}`.slice(0, 40),
+        notes: { studentId: student.studentId, installment: String(installment.number) },
+      });
+      if (installment.razorpayOrderId) {
+        installment.previousRazorpayOrderIds.push(installment.razorpayOrderId);
+      }
+      installment.razorpayOrderId = order.id;
+      await student.save();
+    }
+
+    return { student, installment, order, reusedOrder };
+  }
+
+  /**
+   * Record the payment of a later installment and number its invoice. The
+   * installment is claimed atomically, so a verify call and a webhook for
+   * the same payment record it once. Paying what was overdue restores an
+   * enrollment the sweep suspended.
+   * @param {Object} student - Enrollment document
+   * @param {Object} installment - The installment paid (from findInstallmentByOrderId)
+   * @param {string} paymentId - Razorpay payment id
+   * @returns {Object} - { student, installment, alreadyPaid }
+   */
+  async recordPayment(student, installment, paymentId, now = new Date()) {
+    const updated = await Enrollment.findOneAndUpdate(
+      {
+        _id: student._id,
+        installments: { $elemMatch: { _id: installment._id, status: { $ne: INSTALLMENT_STATUS.PAID } } },
+      },
+      {
+        $set: {
+          'installments.$.status': INSTALLMENT_STATUS.PAID,
+          'installments.$.paidAt': now,
+          'installments.$.razorpayPaymentId': paymentId,
+          lastActivity: now,
+        },
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      // Numbers it if the request that marked it paid could not
+      const current = await Enrollment.findById(student._id);
+      const paid = current.installments.id(installment._id);
+      await this.assignInvoiceNumber(current, paid);
+      return { student: current, installment: paid, alreadyPaid: true };
+    }
+
+    const paid = updated.installments.id(installment._id);
+    await this.assignInvoiceNumber(updated, paid);
+
+    const restored = await this.restoreAccess(updated, now);
+    return { student: restored || updated, installment: paid, alreadyPaid: false };
+  }
+
+  /**
+   * Assign the next invoice number of the series to a paid installment,
+   * claimed atomically first (see utils/invoiceNumber.js assignInvoiceNumber)
+   * @param {Object} student - Enrollment document
+   * @param {Object} installment - Paid installment, updated in place
+   * @returns {string|undefined} - Invoice number
+   */
+  async assignInvoiceNumber(student, installment) {
+    return assignInvoiceNumber(Enrollment, {
+      _id: student._id,
+      record: installment,
+      arrayPath: 'installments',
+      productType: student.programType,
+      date: installment.paidAt,
+    });
+  }
+
+  /**
+   * Re-enroll a student the sweep suspended once no installment is past
+   * its grace period any more
+   * @param {Object} student - Enrollment document
+   * @returns {Object|null} - Updated enrollment, or null if nothing changed
+   */
+  async restoreAccess(student, now = new Date()) {
+    if (student.status !== STUDENT_STATUS.SUSPENDED || !student.installmentSuspendedAt) {
+      return null;
+    }
+    const stillOverdue = student.installments.some(installment => installment.status === INSTALLMENT_STATUS.OVERDUE
+      && installment.graceEndsAt <= now);
+    if (stillOverdue) {
+      return null;
+    }
+
+    try {
+      const { student: restored } = await studentLifecycleService.transition(student, STUDENT_STATUS.ENROLLED, {
+        reason: 'Overdue installments paid',
+        changedBy: 'system',
+      });
+      await Enrollment.updateOne({ _id: student._id }, { $unset: { installmentSuspendedAt: '' } });
+      restored.installmentSuspendedAt = undefined;
+      return restored;
+    } catch (error) {
+      // Staff changed the status meanwhile; leave it to them
+      console.error(`Could not restore access of ${student.studentId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Run one sweep: send due reminders, mark missed installments overdue and
+   * suspend enrollments whose grace period ended. Overlapping runs are skipped.
+   * @param {Date} now - Current time
+   * @returns {Object|null} - { remindersSent, overdue, suspended }, or null if a sweep is already running
+   */
+  async sweep(now = new Date()) {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const remindersSent = await this.sendDueReminders(now);
+      const overdue = await this.markOverdue(now);
+      const suspended = await this.suspendOverdue(now);
+      return { remindersSent, overdue, suspended };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Send the reminders due before installments fall due
+   * @returns {number} - Number of emails sent
+   */
+  async sendDueReminders(now = new Date()) {
+    const schedule = config.INSTALLMENT_REMINDER_DAYS;
+    if (schedule.length === 0) {
+      return 0;
+    }
+
+    const candidates = await Enrollment.find({
+      ...collectingFilter(),
+      installments: {
+        $elemMatch: {
+          status: INSTALLMENT_STATUS.PENDING,
+          dueDate: { $gt: now, $lte: new Date(now.getTime() + schedule[0] * DAY_MS) },
+          [`reminders.${schedule.length - 1}`]: { $exists: false },
+        },
+      },
+    }).limit(SWEEP_BATCH_SIZE);
+
+    let sent = 0;
+    for (const student of candidates) {
+      for (const installment of student.installments) {
+        const index = this.getDueReminder(installment, now);
+        if (index === null) {
+          continue;
+        }
+
+        // Claim the reminder slot first so concurrent sweeps send it once
+        const claimed = await Enrollment.updateOne(
+          {
+            _id: student._id,
+            installments: {
+              $elemMatch: { _id: installment._id, status: INSTALLMENT_STATUS.PENDING, [`reminders.${index}`]: { $exists: false } },
+            },
+          },
+          { $push: { 'installments.$.reminders': { sentAt: now, email: student.email } } }
+        );
+        if (claimed.modifiedCount === 0) {
+          continue;
+        }
+
+        try {
+          const { subject, html } = renderInstallmentEmail(student, installment, {
+            payUrl: getInstallmentPayUrl(installment.payToken),
+          });
+          await sendPaymentsMail({ to: student.email, subject, html });
+          sent++;
+        } catch (error) {
+          // Release the slot so the next sweep retries
+          console.error(`Error sending installment reminder to ${student.studentId}:`, error);
+          await Enrollment.updateOne(
+            { _id: student._id, 'installments._id': installment._id },
+            { $pull: { 'installments.$.reminders': { sentAt: now } } }
+          );
+        }
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Mark installments past their due date OVERDUE and tell the student how
+   * long they have before access is suspended
+   * @returns {number} - Number of installments marked overdue
+   */
+  async markOverdue(now = new Date()) {
+    const graceEndsAt = new Date(now.getTime() + config.INSTALLMENT_GRACE_DAYS * DAY_MS);
+    const candidates = await Enrollment.find({
+      ...collectingFilter(),
+      installments: { $elemMatch: { status: INSTALLMENT_STATUS.PENDING, dueDate: { $lte: now } } },
+    }).limit(SWEEP_BATCH_SIZE);
+
+    let overdue = 0;
+    for (const student of candidates) {
+      for (const installment of student.installments) {
+        if (installment.status !== INSTALLMENT_STATUS.PENDING || installment.dueDate > now) {
+          continue;
+        }
+
+        const claimed = await Enrollment.updateOne(
+          {
+            _id: student._id,
+            installments: { $elemMatch: { _id: installment._id, status: INSTALLMENT_STATUS.PENDING } },
+          },
+          { $set: { 'installments.$.status': INSTALLMENT_STATUS.OVERDUE, 'installments.$.overdueAt': now, 'installments.$.graceEndsAt': graceEndsAt } }
+        );
+        if (claimed.modifiedCount === 0) {
+          continue;
+        }
+        overdue++;
+
+        try {
+          const { subject, html } = renderInstallmentEmail(student, installment, {
+            payUrl: getInstallmentPayUrl(installment.payToken),
+            graceEndsAt,
+          });
+          await sendPaymentsMail({ to: student.email, subject, html });
+        } catch (error) {
+          console.error(`Error sending overdue installment notice to ${student.studentId}:`, error);
+        }
+      }
+    }
+
+    return overdue;
+  }
+
+  /**
+   * Suspend enrolled students with an installment still unpaid after its
+   * grace period; the lifecycle service records and emails the change
+   * @returns {number} - Number of enrollments suspended
+   */
+  async suspendOverdue(now = new Date()) {
+    const candidates = await Enrollment.find({
+      paymentStatus: PAYMENT_STATUS.SUCCESS,
+      status: STUDENT_STATUS.ENROLLED,
+      installments: { $elemMatch: { status: INSTALLMENT_STATUS.OVERDUE, graceEndsAt: { $lte: now } } },
+    }).limit(SWEEP_BATCH_SIZE);
+
+    let suspended = 0;
+    for (const student of candidates) {
+      const installment = student.installments.find(item => item.status === INSTALLMENT_STATUS.OVERDUE && item.graceEndsAt <= now);
+      try {
+        await studentLifecycleService.transition(student, STUDENT_STATUS.SUSPENDED, {
+          reason: `Installment ${installment.number} of ${student.installments.length} is overdue (due ${new Date(installment.dueDate).toLocaleDateString('en-IN', { dateStyle: 'medium' })})`,
+          changedBy: 'system',
+        });
+        await Enrollment.updateOne({ _id: student._id }, { $set: { installmentSuspendedAt: now } });
+        suspended++;
+      } catch (error) {
+        // Changed meanwhile (e.g. the installment was just paid); the next sweep looks again
+        console.error(`Could not suspend ${student.studentId} for an overdue installment:`, error.message);
+      }
+    }
+
+    return suspended;
+  }
+
+  /**
+   * Mongo filter for the enrollments with installments in a status, or due
+   * before a date
+   * @param {Object} query - { status, dueBefore }
+   * @returns {Object}
+   */
+  listFilter({ status, dueBefore } = {}) {
+    const match = {};
+    if (status) {
+      match.status = String(status).toUpperCase();
+      if (!Object.values(INSTALLMENT_STATUS).includes(match.status)) {
+        throw new ValidationError(`Status must be one of ${Object.values(INSTALLMENT_STATUS).join(', ')}`);
+      }
+    }
+    if (dueBefore) {
+      match.dueDate = { $lte: new Date(dueBefore) };
+      if (isNaN(match.dueDate.$lte.getTime())) {
+        throw new ValidationError('dueBefore must be a date');
+      }
+    }
+
+    return Object.keys(match).length > 0
+      ? { installments: { $elemMatch: match } }
+      : { 'installments.0': { $exists: true } };
+  }
+
+  /**
+   * Run the sweep every INSTALLMENT_SWEEP_INTERVAL_MINUTES (0 disables it)
+   */
+  start() {
+    if (this.timer || !(config.INSTALLMENT_SWEEP_INTERVAL_MINUTES > 0)) {
+      return;
+    }
+
+    const run = () => this.sweep()
+      .then(result => {
+        if (result && (result.remindersSent || result.overdue || result.suspended)) {
+          console.log('Installment sweep:', result);
+        }
+      })
+      .catch(error => console.error('Installment sweep failed:', error));
+
+    this.timer = setInterval(run, config.INSTALLMENT_SWEEP_INTERVAL_MINUTES * 60 * 1000);
+    this.timer.unref();
+    run();
+  }
+
+  /**
+   * Stop the scheduled sweep
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export default new InstallmentService();
@@ -0,0 +1,182 @@
+import mongoose from 'mongoose';
+import Learner from '../models/Learner.js';
+import Enrollment from '../models/Enrollment.js';
+import studentDocumentService from './studentDocumentService.js';
+import { STUDENT_DOCUMENT_FIELDS } from '../utils/studentDocuments.js';
+import { PAYMENT_STATUS, STUDENT_STATUS } from '../config/constants.js';
+import { ConflictError } from '../utils/errors.js';
+
+/**
+ * Learner service
+ * Finds the learner a checkout is for and fills in details they're missing.
+ * A learner is identified by their ID document; each program they buy is
+ * an Enrollment of theirs. Also moves records saved before the split (one
+ * Student per registration, in the students collection) to the new shape.
+ */
+
+// Fields of the ID document that identify a learner; a checkout can't change them
+const IDENTITY_FIELDS = ['idType', 'idNumber', 'dateOfBirth'];
+
+// Payment statuses of an enrollment a new checkout for its program resumes
+const RESUMABLE_PAYMENT_STATUSES = [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.PROCESSING, PAYMENT_STATUS.FAILED];
+
+// Enrollment statuses during which the same program can't be bought again
+const ACTIVE_STUDENT_STATUSES = [STUDENT_STATUS.PENDING, STUDENT_STATUS.ENROLLED, STUDENT_STATUS.SUSPENDED];
+
+// Fields of a pre-split Student record that only the Learner keeps
+const LEARNER_ONLY_FIELDS = [
+  'dateOfBirth', 'countryOfCitizenship', 'secondaryPhone', 'whatsappNotifications',
+  'highestQualification', 'specialization', 'currentProfession', 'currentOrganization', 'linkedinProfile',
+  'idType', 'idNumber',
+  ...Object.values(STUDENT_DOCUMENT_FIELDS).flatMap(fields => [fields.data, fields.name, fields.type, fields.size, fields.key, fields.checksum]),
+  'isEmailVerified', 'emailVerificationToken', 'emailVerificationExpires', 'emailVerificationSentAt',
+];
+
+// Billing details the Learner and each Enrollment both keep
+const BILLING_FIELDS = ['fullName', 'primaryPhone', 'email', 'residentialAddress', 'city', 'state', 'zipCode', 'country'];
+
+class LearnerService {
+  /**
+   * Find the learner with an ID document
+   * @param {Object} fields - { idType, idNumber, dateOfBirth } from the registration
+   * @returns {Object|null} - Learner document, or null for a new learner
+   * @throws {ConflictError} - When the ID document is registered with another date of birth
+   */
+  async findForCheckout({ idType, idNumber, dateOfBirth }) {
+    const learner = await Learner.findByIdDocument(idType, idNumber);
+    if (learner && !learner.matchesIdentity({ dateOfBirth })) {
+      throw new ConflictError('This ID document is registered to another learner');
+    }
+    return learner;
+  }
+
+  /**
+   * A learner's enrollments in a program: an active paid one, and the
+   * latest one still awaiting payment
+   * @param {Object} learner - Learner document
+   * @param {string} selectedProgram - Catalog product id
+   * @returns {Object} - { active, unpaid } Enrollment documents (or null)
+   */
+  async findProgramEnrollments(learner, selectedProgram) {
+    const enrollments = await Enrollment.find({ learner: learner._id, selectedProgram }).sort({ createdAt: -1 });
+    return {
+      active: enrollments.find(enrollment => enrollment.paymentStatus === PAYMENT_STATUS.SUCCESS
+        && ACTIVE_STUDENT_STATUSES.includes(enrollment.status)) || null,
+      unpaid: enrollments.find(enrollment => RESUMABLE_PAYMENT_STATUSES.includes(enrollment.paymentStatus)) || null,
+    };
+  }
+
+  /**
+   * Create the learner of a checkout, or add to an existing one the details
+   * and documents they don't have yet. Checkouts aren't signed in, so one
+   * that matches an ID document never changes what is on file: the email
+   * decides who can open the learner's portal, so overwriting it (or their
+   * contact details and documents) would hand the learner's records to
+   * whoever knows their ID number and date of birth. The details just given
+   * stay on the enrollment; uploads that aren't kept are removed from storage.
+   * @param {Object|null} learner - From findForCheckout
+   * @param {Object} fields - Learner fields from the registration
+   * @param {Object} documentFields - From studentDocumentService.storeUploads
+   * @returns {Object} - Saved Learner document
+   */
+  async saveFromCheckout(learner, fields, documentFields) {
+    if (!learner) {
+      return new Learner({ ...fields, ...documentFields }).save();
+    }
+
+    const isBlank = (value) => value === undefined || value === null || value === '';
+    const added = Object.values(STUDENT_DOCUMENT_FIELDS)
+      .filter(kindFields => documentFields[kindFields.key] && isBlank(learner[kindFields.key]) && isBlank(learner[kindFields.name]))
+      .flatMap(kindFields => ['key', 'checksum', 'size', 'type', 'name', 'data']
+        .map(field => [kindFields[field], documentFields[kindFields[field]]]));
+    const missing = Object.entries(fields)
+      .filter(([field, value]) => !IDENTITY_FIELDS.includes(field) && !isBlank(value) && isBlank(learner.get(field)));
+
+    if (missing.length > 0 || added.length > 0) {
+      learner.set(Object.fromEntries([...missing, ...added]));
+      await learner.save();
+    }
+    await studentDocumentService.discard(studentDocumentService.replacedKeys(studentDocumentService.storedKeys(documentFields), learner));
+    return learner;
+  }
+
+  /**
+   * Split a Student record saved before the Learner/Enrollment split
+   * @param {Object} student - Raw document from the students collection
+   * @returns {Object} - { learner, enrollment } raw fields; the enrollment
+   *   keeps the student's _id and studentId, so uploads, audit entries and
+   *   referral codes that refer to them stay valid
+   */
+  splitLegacyStudent(student) {
+    const learner = {};
+    const enrollment = {};
+
+    Object.entries(student).forEach(([field, value]) => {
+      if (LEARNER_ONLY_FIELDS.includes(field) || BILLING_FIELDS.includes(field)) {
+        learner[field] = value;
+      }
+      if (!LEARNER_ONLY_FIELDS.includes(field)) {
+        enrollment[field] = value;
+      }
+    });
+
+    return { learner, enrollment };
+  }
+
+  /**
+   * Move every pre-split Student record to a Learner (one per ID document)
+   * and an Enrollment. Records are copied as stored, without validation, so
+   * ones saved under older rules move too. Safe to run again: students that
+   * already have an enrollment are skipped, and the students collection is
+   * left as it is.
+   * @param {Object} options - { dryRun, batchSize, onStudent(student, result) }
+   * @returns {Object} - { students, learners, enrollments, skipped, failed: [{ studentId, error }] }
+   */
+  async migrateLegacyStudents({ dryRun = false, batchSize = 50, onStudent } = {}) {
+    const summary = { students: 0, learners: 0, enrollments: 0, skipped: 0, failed: [] };
+    const cursor = mongoose.connection.collection('students').find({}).batchSize(batchSize);
+
+    for await (const student of cursor) {
+      summary.students++;
+      try {
+        if (await Enrollment.exists({ _id: student._id })) {
+          summary.skipped++;
+          onStudent?.(student, { skipped: true });
+          continue;
+        }
+
+        const { learner, enrollment } = this.splitLegacyStudent(student);
+        const identity = { idType: learner.idType, idNumber: learner.idNumber };
+        let learnerId;
+        let created;
+
+        if (dryRun) {
+          const existing = await Learner.findOne(identity).select('learnerId');
+          learnerId = existing?.learnerId;
+          created = !existing;
+        } else {
+          const now = new Date();
+          const { value, lastErrorObject } = await Learner.collection.findOneAndUpdate(
+            identity,
+            { $setOnInsert: { ...learner, learnerId: new Learner().learnerId, createdAt: student.createdAt || now, updatedAt: now } },
+            { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+          );
+          await Enrollment.collection.insertOne({ ...enrollment, learner: value._id });
+          learnerId = value.learnerId;
+          created = !lastErrorObject?.updatedExisting;
+        }
+
+        summary.learners += created ? 1 : 0;
+        summary.enrollments++;
+        onStudent?.(student, { learnerId, learnerCreated: created });
+      } catch (error) {
+        summary.failed.push({ studentId: student.studentId, error: error.message });
+        onStudent?.(student, { error: error.message });
+      }
+    }
+
+    return summary;
+  }
+}
+
+export default new LearnerService();
@@ -0,0 +1,176 @@
+import Razorpay from 'razorpay';
+
+/**
+ * Payment gateway
+ * Thin interface over the Razorpay SDK so routes and services don't talk
+ * to the SDK directly and tests can swap in a fake gateway.
+ *
+ * A gateway implements:
+ *   createOrder(options)                 -> order entity
+ *   fetchOrder(orderId)                  -> order entity
+ *   fetchPayment(paymentId)              -> payment entity
+ *   refundPayment(paymentId, options)    -> refund entity
+ *   fetchPayments({ from, to })          -> payment entities created in the range
+ *   fetchSettledPayments({ from, to })   -> settlement recon items settled in the range
+ *   createPlan(options)                  -> plan entity
+ *   createSubscription(options)          -> subscription entity
+ *   fetchSubscription(subscriptionId)    -> subscription entity
+ *   cancelSubscription(subscriptionId, { cancelAtCycleEnd }) -> subscription entity
+ */
+
+const PAYMENTS_PAGE_SIZE = 100;
+const SETTLEMENTS_PAGE_SIZE = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class RazorpayGateway {
+  constructor(options = {}) {
+    this.client = new Razorpay({
+      key_id: options.keyId ?? process.env.RAZORPAY_KEY_ID ?? '',
+      key_secret: options.keySecret ?? process.env.RAZORPAY_KEY_SECRET ?? '',
+    });
+  }
+
+  /**
+   * Create an order
+   * @param {Object} options - { amount (paise), currency, receipt, notes }
+   * @returns {Object} - Razorpay order entity
+   */
+  createOrder(options) {
+    return this.client.orders.create(options);
+  }
+
+  /**
+   * Fetch an order
+   * @param {string} orderId - Razorpay order id
+   * @returns {Object} - Razorpay order entity (status created, attempted or paid)
+   */
+  fetchOrder(orderId) {
+    return this.client.orders.fetch(orderId);
+  }
+
+  /**
+   * Fetch a payment
+   * @param {string} paymentId - Razorpay payment id
+   * @returns {Object} - Razorpay payment entity
+   */
+  fetchPayment(paymentId) {
+    return this.client.payments.fetch(paymentId);
+  }
+
+  /**
+   * Refund a captured payment, fully or partially
+   * @param {string} paymentId - Razorpay payment id
+   * @param {Object} options - { amount (paise), notes, receipt }
+   * @returns {Object} - Razorpay refund entity
+   */
+  refundPayment(paymentId, options = {}) {
+    return this.client.payments.refund(paymentId, options);
+  }
+
+  /**
+   * List payments created in a date range (all pages)
+   * @param {Object} range - { from: Date, to: Date }
+   * @returns {Array} - Razorpay payment entities
+   */
+  async fetchPayments({ from, to }) {
+    const payments = [];
+    for (let skip = 0; ; skip += PAYMENTS_PAGE_SIZE) {
+      const page = await this.client.payments.all({
+        from: Math.floor(from.getTime() / 1000),
+        to: Math.floor(to.getTime() / 1000),
+        count: PAYMENTS_PAGE_SIZE,
+        skip,
+      });
+      payments.push(...page.items);
+      if (page.items.length < PAYMENTS_PAGE_SIZE) {
+        return payments;
+      }
+    }
+  }
+
+  /**
+   * List settlement recon items (one per settled payment or refund) for the
+   * days in a date range. Razorpay reports settlements per UTC calendar day.
+   * @param {Object} range - { from: Date, to: Date }
+   * @returns {Array} - Items with entity_id, type, order_id, amount, fee, tax, settlement_id, settled_at
+   */
+  async fetchSettledPayments({ from, to }) {
+    const items = [];
+    for (let day = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()); day <= to.getTime(); day += DAY_MS) {
+      const date = new Date(day);
+      for (let skip = 0; ; skip += SETTLEMENTS_PAGE_SIZE) {
+        const page = await this.client.settlements.reports({
+          year: date.getUTCFullYear(),
+          month: date.getUTCMonth() + 1,
+          day: date.getUTCDate(),
+          count: SETTLEMENTS_PAGE_SIZE,
+          skip,
+        });
+        items.push(...page.items);
+        if (page.items.length < SETTLEMENTS_PAGE_SIZE) {
+          break;
+        }
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Create a plan (the amount and period a subscription is charged)
+   * @param {Object} options - { period, interval, item: { name, amount (paise), currency, description }, notes }
+   * @returns {Object} - Razorpay plan entity
+   */
+  createPlan(options) {
+    return this.client.plans.create(options);
+  }
+
+  /**
+   * Create a subscription to a plan; the customer authorises it (and pays
+   * the first charge) in Checkout with its id
+   * @param {Object} options - { plan_id, total_count, quantity, customer_notify, notes }
+   * @returns {Object} - Razorpay subscription entity
+   */
+  createSubscription(options) {
+    return this.client.subscriptions.create(options);
+  }
+
+  /**
+   * Fetch a subscription
+   * @param {string} subscriptionId - Razorpay subscription id
+   * @returns {Object} - Razorpay subscription entity
+   */
+  fetchSubscription(subscriptionId) {
+    return this.client.subscriptions.fetch(subscriptionId);
+  }
+
+  /**
+   * Cancel a subscription, now or at the end of the current billing cycle
+   * @param {string} subscriptionId - Razorpay subscription id
+   * @param {Object} options - { cancelAtCycleEnd }
+   * @returns {Object} - Razorpay subscription entity
+   */
+  cancelSubscription(subscriptionId, { cancelAtCycleEnd = false } = {}) {
+    return this.client.subscriptions.cancel(subscriptionId, cancelAtCycleEnd);
+  }
+}
+
+let gateway = null;
+
+/**
+ * Get the active payment gateway (Razorpay unless replaced)
+ * @returns {Object} - Payment gateway
+ */
+export function getPaymentGateway() {
+  if (!gateway) {
+    gateway = new RazorpayGateway();
+  }
+  return gateway;
+}
+
+/**
+ * Replace the active payment gateway (e.g. with a fake in tests)
+ * @param {Object|null} replacement - Gateway instance, or null to reset to Razorpay
+ */
+export function setPaymentGateway(replacement) {
+  gateway = replacement;
+}
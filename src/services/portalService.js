@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import PortalLogin, { PORTAL_LOGIN_MAX_ATTEMPTS, PORTAL_LOGIN_MAX_REQUESTS } from '../models/PortalLogin.js';
+import Enrollment from '../models/Enrollment.js';
+import Learner from '../models/Learner.js';
+import { config } from '../config/index.js';
+import { generateStudentToken } from '../middlewares/auth.js';
+import { getPortalLoginUrl, renderPortalLoginEmail } from '../utils/portalLoginEmail.js';
+import { sendPaymentsMail } from '../utils/mailer.js';
+import { AuthenticationError, NotFoundError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Student portal service
+ * Passwordless login for students: a one-time link and code are emailed to
+ * the address they registered with, and either one is exchanged for a
+ * session token scoped to that email. Every portal record is looked up
+ * through the learners with that email, so a student only ever sees their
+ * own profile and enrollments.
+ *
+ * Only hashes of the link token and code are stored. Asking to log in
+ * always gets the same answer whether or not the email is registered.
+ */
+
+const sha256Hex = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const OTP_PATTERN = /^\d{6}$/;
+
+class PortalService {
+  /**
+   * Email a login link and code, if the email belongs to a learner
+   * @param {string} email - Email the student registered with
+   * @param {Object} options - { ip }
+   * @returns {boolean} - Whether an email was sent (not to be shown to the caller)
+   */
+  async requestLogin(email, { ip } = {}) {
+    const address = normalizeEmail(email);
+    const student = await Learner.findOne({ email: address }).sort({ updatedAt: -1 }).select('fullName email');
+    if (!student) {
+      return false;
+    }
+
+    const ttl = config.PORTAL_LOGIN_TTL_MINUTES * 60 * 1000;
+    const now = Date.now();
+    const recent = await PortalLogin.countDocuments({ email: address, createdAt: { $gt: new Date(now - ttl) } });
+    if (recent >= PORTAL_LOGIN_MAX_REQUESTS) {
+      logger.logSecurity('Portal login requests throttled', { email: address, ip });
+      return false;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const otp = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const login = await PortalLogin.create({
+      email: address,
+      tokenHash: sha256Hex(token),
+      otpHash: sha256Hex(otp),
+      expiresAt: new Date(now + ttl),
+      requestIp: ip,
+    });
+
+    const { subject, html } = renderPortalLoginEmail({
+      fullName: student.fullName,
+      loginUrl: getPortalLoginUrl(token),
+      otp,
+      expiresAt: login.expiresAt,
+    });
+
+    try {
+      await sendPaymentsMail({ to: address, subject, html });
+    } catch (error) {
+      // A login that was never delivered shouldn't count towards the throttle
+      await PortalLogin.deleteOne({ _id: login._id });
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+   * Log in with the token from a login link
+   * @param {string} token - Token from the link
+   * @returns {Object} - { accessToken, expiresIn, email }
+   * @throws {AuthenticationError} - When the link is unknown, used or expired
+   */
+  async verifyToken(token) {
+    const now = new Date();
+    const login = token
+      ? await PortalLogin.findOneAndUpdate(
+          { tokenHash: sha256Hex(token), usedAt: null, expiresAt: { $gt: now } },
+          { $set: { usedAt: now } },
+          { new: true }
+        )
+      : null;
+    if (!login) {
+      throw new AuthenticationError('Login link is invalid or has expired');
+    }
+    return this.startSession(login.email);
+  }
+
+  /**
+   * Log in with the code from the latest login email
+   * Each wrong code counts against that login; after PORTAL_LOGIN_MAX_ATTEMPTS
+   * a new login email has to be requested.
+   * @param {string} email - Email the code was sent to
+   * @param {string} otp - Six-digit code
+   * @returns {Object} - { accessToken, expiresIn, email }
+   * @throws {AuthenticationError} - When the code is wrong, used or expired
+   */
+  async verifyOtp(email, otp) {
+    const address = normalizeEmail(email);
+    const now = new Date();
+    const login = OTP_PATTERN.test(String(otp || ''))
+      ? await PortalLogin.findOneAndUpdate(
+          { email: address, usedAt: null, expiresAt: { $gt: now }, attempts: { $lt: PORTAL_LOGIN_MAX_ATTEMPTS } },
+          { $inc: { attempts: 1 } },
+          { sort: { createdAt: -1 }, new: true }
+        )
+      : null;
+
+    const expected = Buffer.from(login?.otpHash || '');
+    const given = Buffer.from(sha256Hex(otp));
+    if (!login || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      throw new AuthenticationError('Code is invalid or has expired');
+    }
+
+    // The same code can't be used twice, even by two requests at once
+    const { modifiedCount } = await PortalLogin.updateOne({ _id: login._id, usedAt: null }, { $set: { usedAt: now } });
+    if (modifiedCount === 0) {
+      throw new AuthenticationError('Code is invalid or has expired');
+    }
+    return this.startSession(login.email);
+  }
+
+  startSession(email) {
+    logger.logSecurity('Portal login', { email });
+    return { ...generateStudentToken(email), email };
+  }
+
+  /**
+   * Learners with the session's email (usually one), most recently updated first
+   * @param {string} email - Email of the portal session
+   * @param {string} select - Optional extra fields to select
+   */
+  async getLearners(email, select) {
+    const query = Learner.find({ email: normalizeEmail(email) }).sort({ updatedAt: -1 });
+    return select ? query.select(select) : query;
+  }
+
+  /**
+   * One of the session's learners
+   * @param {string} email - Email of the portal session
+   * @param {string} learnerId - Public learner ID
+   * @param {string} select - Optional extra fields to select
+   * @throws {NotFoundError} - When there is no such learner for the email
+   */
+  async getLearner(email, learnerId, select) {
+    const query = Learner.findOne({ email: normalizeEmail(email), learnerId: String(learnerId) });
+    const learner = await (select ? query.select(select) : query);
+    if (!learner) {
+      throw new NotFoundError(`Learner ${learnerId} not found`);
+    }
+    return learner;
+  }
+
+  /**
+   * Enrollments of the session's learners, newest first
+   * @param {string} email - Email of the portal session
+   * @param {string} select - Optional extra fields to select
+   */
+  async getEnrollments(email, select) {
+    const learners = await this.getLearners(email, '_id');
+    const query = Enrollment.find({ learner: { $in: learners.map(learner => learner._id) } }).sort({ createdAt: -1 });
+    return select ? query.select(select) : query;
+  }
+
+  /**
+   * One of the enrollments of the session's learners
+   * @param {string} email - Email of the portal session
+   * @param {string} studentId - Public student (enrollment) ID
+   * @throws {NotFoundError} - When there is no such enrollment for the email
+   */
+  async getEnrollment(email, studentId) {
+    const learners = await this.getLearners(email, '_id');
+    const student = await Enrollment.findOne({
+      learner: { $in: learners.map(learner => learner._id) },
+      studentId: String(studentId),
+    });
+    if (!student) {
+      throw new NotFoundError(`Enrollment ${studentId} not found`);
+    }
+    return student;
+  }
+}
+
+export default new PortalService();
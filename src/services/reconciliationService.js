@@ -0,0 +1,434 @@
+import Enrollment from '../models/Enrollment.js';
+import Donation from '../models/Donation.js';
+import ReconciliationRun from '../models/ReconciliationRun.js';
+import { config } from '../config/index.js';
+import { getPaymentGateway } from './paymentGateway.js';
+import {
+  PAYMENT_STATUS,
+  RECONCILIATION_RUN_STATUS,
+  RECONCILIATION_DISCREPANCY_TYPES,
+  INSTALLMENT_STATUS,
+} from '../config/constants.js';
+import { ValidationError } from '../utils/errors.js';
+import { getCheckoutAmountINR } from '../utils/installments.js';
+
+/**
+ * Reconciliation service
+ * Compares Enrollment payment records with the payments Razorpay captured and
+ * settled in a date range, and stores the mismatches as a ReconciliationRun.
+ * Donations are matched too, only so their payments aren't reported as unknown.
+ * On an installment plan the checkout payment is the first installment, and
+ * each later installment is matched against its own order and amount; the
+ * same goes for the monthly charges of a subscription.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const MAX_RANGE_DAYS = 31;
+const SCHEDULE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Gateway statuses of a payment that was captured (refunds happen after capture)
+const CAPTURED_GATEWAY_STATUSES = ['captured', 'refunded'];
+const PAID_PAYMENT_STATUSES = [PAYMENT_STATUS.SUCCESS, PAYMENT_STATUS.REFUNDED];
+
+const toINR = (paise) => Math.round(paise) / 100;
+const toPaise = (amountINR) => Math.round(Number(amountINR) * 100);
+
+class ReconciliationService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * The IST calendar day containing a date
+   * @param {Date} date
+   * @returns {Object} - { day: 'YYYY-MM-DD', from, to }
+   */
+  getIstDay(date) {
+    const shifted = new Date(date.getTime() + IST_OFFSET_MS);
+    const startUtc = Date.UTC(shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate()) - IST_OFFSET_MS;
+
+    return {
+      day: shifted.toISOString().slice(0, 10),
+      from: new Date(startUtc),
+      to: new Date(startUtc + DAY_MS - 1),
+    };
+  }
+
+  /**
+   * Reconcile a date range and store the result
+   * @param {Object} range - { from, to }
+   * @param {Object} options - { triggeredBy, scheduledFor }
+   * @returns {Object} - ReconciliationRun document (COMPLETED or FAILED)
+   */
+  async reconcile({ from, to }, { triggeredBy = 'schedule', scheduledFor } = {}) {
+    const fromDate = new Date(from);
+    const toDate = new Date(to);
+
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+      throw new ValidationError('from and to must be valid dates');
+    }
+    if (fromDate > toDate) {
+      throw new ValidationError('from must be before to');
+    }
+    if (toDate - fromDate > MAX_RANGE_DAYS * DAY_MS) {
+      throw new ValidationError(`A reconciliation can cover at most ${MAX_RANGE_DAYS} days`);
+    }
+
+    const run = await ReconciliationRun.create({ from: fromDate, to: toDate, triggeredBy, scheduledFor });
+
+    try {
+      const { summary, discrepancies } = await this.compare({ from: fromDate, to: toDate });
+      run.set({ summary, discrepancies, status: RECONCILIATION_RUN_STATUS.COMPLETED });
+    } catch (error) {
+      console.error('Reconciliation failed:', error);
+      run.status = RECONCILIATION_RUN_STATUS.FAILED;
+      run.error = String(error.error?.description || error.message || error).slice(0, 1000);
+    }
+
+    run.completedAt = new Date();
+    await run.save();
+    return run;
+  }
+
+  /**
+   * Compare gateway payments and settlements with Enrollment records
+   * @param {Object} range - { from: Date, to: Date }
+   * @returns {Object} - { summary, discrepancies }
+   */
+  async compare({ from, to }) {
+    const gateway = getPaymentGateway();
+    const [payments, settlementItems] = await Promise.all([
+      gateway.fetchPayments({ from, to }),
+      gateway.fetchSettledPayments({ from, to }),
+    ]);
+
+    // One entry per captured payment, whether seen in the payments list,
+    // the settlement report, or both
+    const captured = new Map();
+    for (const payment of payments) {
+      if (CAPTURED_GATEWAY_STATUSES.includes(payment.status)) {
+        captured.set(payment.id, { paymentId: payment.id, orderId: payment.order_id, amount: payment.amount, status: payment.status });
+      }
+    }
+
+    let settledPaise = 0;
+    let feesPaise = 0;
+    for (const item of settlementItems.filter(entry => entry.type === 'payment')) {
+      settledPaise += item.amount;
+      feesPaise += item.fee || 0;
+
+      const entry = captured.get(item.entity_id)
+        || { paymentId: item.entity_id, orderId: item.order_id, amount: item.amount, status: 'settled' };
+      entry.settlementId = item.settlement_id;
+      captured.set(item.entity_id, entry);
+    }
+
+    const paymentIds = [...captured.keys()];
+    const orderIds = [...new Set([...captured.values()].map(entry => entry.orderId).filter(Boolean))];
+
+    const paidInRange = { $gte: from, $lte: to };
+    const [matchedStudents, paidStudents, installmentStudents, subscriptionStudents, donations] = await Promise.all([
+      Enrollment.find({
+        $or: [
+          { razorpayPaymentId: { $in: paymentIds } },
+          { razorpayOrderId: { $in: orderIds } },
+          { previousRazorpayOrderIds: { $in: orderIds } },
+          { 'installments.razorpayPaymentId': { $in: paymentIds } },
+          { 'installments.razorpayOrderId': { $in: orderIds } },
+          { 'installments.previousRazorpayOrderIds': { $in: orderIds } },
+          { 'subscription.charges.razorpayPaymentId': { $in: paymentIds } },
+          { 'subscription.charges.razorpayOrderId': { $in: orderIds } },
+        ],
+      }),
+      Enrollment.find({ paymentStatus: { $in: PAID_PAYMENT_STATUSES }, paymentDate: paidInRange }),
+      Enrollment.find({
+        installments: { $elemMatch: { number: { $gt: 1 }, status: INSTALLMENT_STATUS.PAID, paidAt: paidInRange } },
+      }),
+      Enrollment.find({
+        'subscription.charges': { $elemMatch: { number: { $gt: 1 }, paidAt: paidInRange } },
+      }),
+      Donation.find({
+        $or: [{ razorpayPaymentId: { $in: paymentIds } }, { razorpayOrderId: { $in: orderIds } }],
+      }).select('razorpayOrderId razorpayPaymentId'),
+    ]);
+
+    const studentsByPaymentId = new Map();
+    const studentsByOrderId = new Map();
+    const installmentsByPaymentId = new Map();
+    const installmentsByOrderId = new Map();
+    const chargesByPaymentId = new Map();
+    const chargesByOrderId = new Map();
+    for (const student of [...matchedStudents, ...paidStudents, ...installmentStudents, ...subscriptionStudents]) {
+      if (student.razorpayPaymentId) studentsByPaymentId.set(student.razorpayPaymentId, student);
+      [student.razorpayOrderId, ...(student.previousRazorpayOrderIds || [])]
+        .filter(Boolean)
+        .forEach(orderId => studentsByOrderId.set(orderId, student));
+
+      for (const installment of (student.installments || []).filter(item => item.number > 1)) {
+        if (installment.razorpayPaymentId) installmentsByPaymentId.set(installment.razorpayPaymentId, { student, installment });
+        [installment.razorpayOrderId, ...(installment.previousRazorpayOrderIds || [])]
+          .filter(Boolean)
+          .forEach(orderId => installmentsByOrderId.set(orderId, { student, installment }));
+      }
+
+      // The first charge of a subscription is the checkout payment
+      for (const charge of (student.subscription?.charges || []).filter(item => item.number > 1)) {
+        chargesByPaymentId.set(charge.razorpayPaymentId, { student, charge });
+        if (charge.razorpayOrderId) chargesByOrderId.set(charge.razorpayOrderId, { student, charge });
+      }
+    }
+    const donationIds = new Set(donations.flatMap(donation => [donation.razorpayOrderId, donation.razorpayPaymentId]).filter(Boolean));
+
+    const discrepancies = [];
+    const studentsChecked = new Set();
+    const report = (type, student, fields) => discrepancies.push({
+      type,
+      studentId: student?.studentId,
+      studentPaymentStatus: student?.paymentStatus,
+      expectedAmountINR: student && getCheckoutAmountINR(student),
+      ...fields,
+    });
+
+    // Captured at the gateway: the student must be paid, for the same amount
+    for (const entry of captured.values()) {
+      const fields = {
+        razorpayOrderId: entry.orderId,
+        razorpayPaymentId: entry.paymentId,
+        gatewayStatus: entry.status,
+        capturedAmountINR: toINR(entry.amount),
+        settlementId: entry.settlementId,
+      };
+
+      const installmentMatch = installmentsByPaymentId.get(entry.paymentId) || installmentsByOrderId.get(entry.orderId);
+      if (installmentMatch) {
+        const { student: installmentStudent, installment } = installmentMatch;
+        const installmentFields = { ...fields, installment: installment.number, expectedAmountINR: installment.amountINR };
+        studentsChecked.add(installmentStudent.studentId);
+
+        if (installment.status !== INSTALLMENT_STATUS.PAID) {
+          report(RECONCILIATION_DISCREPANCY_TYPES.CAPTURED_BUT_PENDING, installmentStudent, { ...installmentFields, message: `Payment captured but installment ${installment.number} is ${installment.status}` });
+        } else if (installment.razorpayPaymentId && installment.razorpayPaymentId !== entry.paymentId) {
+          report(RECONCILIATION_DISCREPANCY_TYPES.UNMATCHED_PAYMENT, installmentStudent, { ...installmentFields, message: `Installment ${installment.number} was paid by ${installment.razorpayPaymentId}; this is a second capture` });
+        } else if (entry.amount !== toPaise(installment.amountINR)) {
+          report(RECONCILIATION_DISCREPANCY_TYPES.AMOUNT_MISMATCH, installmentStudent, { ...installmentFields, message: `Captured ₹${toINR(entry.amount)} but installment ${installment.number} is ₹${installment.amountINR}` });
+        }
+        continue;
+      }
+
+      const chargeMatch = chargesByPaymentId.get(entry.paymentId) || chargesByOrderId.get(entry.orderId);
+      if (chargeMatch) {
+        const { student: subscriber, charge } = chargeMatch;
+        const chargeFields = { ...fields, charge: charge.number, expectedAmountINR: charge.amountINR };
+        studentsChecked.add(subscriber.studentId);
+
+        if (charge.razorpayPaymentId !== entry.paymentId) {
+          report(RECONCILIATION_DISCREPANCY_TYPES.UNMATCHED_PAYMENT, subscriber, { ...chargeFields, message: `Charge ${charge.number} was paid by ${charge.razorpayPaymentId}; this is a second capture` });
+        } else if (entry.amount !== toPaise(charge.amountINR)) {
+          report(RECONCILIATION_DISCREPANCY_TYPES.AMOUNT_MISMATCH, subscriber, { ...chargeFields, message: `Captured ₹${toINR(entry.amount)} but charge ${charge.number} is ₹${charge.amountINR}` });
+        }
+        continue;
+      }
+
+      const student = studentsByPaymentId.get(entry.paymentId) || studentsByOrderId.get(entry.orderId);
+      if (!student) {
+        if (!donationIds.has(entry.paymentId) && !donationIds.has(entry.orderId)) {
+          report(RECONCILIATION_DISCREPANCY_TYPES.UNMATCHED_PAYMENT, null, { ...fields, message: 'Captured payment matches no student or donation' });
+        }
+        continue;
+      }
+
+      studentsChecked.add(student.studentId);
+
+      if (!PAID_PAYMENT_STATUSES.includes(student.paymentStatus)) {
+        report(RECONCILIATION_DISCREPANCY_TYPES.CAPTURED_BUT_PENDING, student, { ...fields, message: `Payment captured but student is ${student.paymentStatus}` });
+      } else if (student.razorpayPaymentId && student.razorpayPaymentId !== entry.paymentId) {
+        report(RECONCILIATION_DISCREPANCY_TYPES.UNMATCHED_PAYMENT, student, { ...fields, message: `Student was paid by ${student.razorpayPaymentId}; this is a second capture` });
+      } else if (entry.amount !== toPaise(getCheckoutAmountINR(student))) {
+        report(RECONCILIATION_DISCREPANCY_TYPES.AMOUNT_MISMATCH, student, { ...fields, message: `Captured ₹${toINR(entry.amount)} but student total is ₹${getCheckoutAmountINR(student)}` });
+      }
+    }
+
+    // Paid in our records during the range: the gateway must have captured it
+    for (const student of paidStudents) {
+      studentsChecked.add(student.studentId);
+      if (captured.has(student.razorpayPaymentId)) {
+        continue;
+      }
+
+      const fields = { razorpayOrderId: student.razorpayOrderId, razorpayPaymentId: student.razorpayPaymentId };
+      if (!student.razorpayPaymentId) {
+        report(RECONCILIATION_DISCREPANCY_TYPES.SUCCESS_WITHOUT_CAPTURE, student, { ...fields, message: 'Student is paid but has no payment id' });
+        continue;
+      }
+
+      const payment = await this.fetchPaymentOrNull(student.razorpayPaymentId);
+      if (!payment || !CAPTURED_GATEWAY_STATUSES.includes(payment.status)) {
+        report(RECONCILIATION_DISCREPANCY_TYPES.SUCCESS_WITHOUT_CAPTURE, student, {
+          ...fields,
+          gatewayStatus: payment?.status || 'not_found',
+          message: payment ? `Gateway payment is ${payment.status}` : 'Payment not found at the gateway',
+        });
+      } else if (payment.amount !== toPaise(getCheckoutAmountINR(student))) {
+        report(RECONCILIATION_DISCREPANCY_TYPES.AMOUNT_MISMATCH, student, {
+          ...fields,
+          gatewayStatus: payment.status,
+          capturedAmountINR: toINR(payment.amount),
+          message: `Captured ₹${toINR(payment.amount)} but student total is ₹${getCheckoutAmountINR(student)}`,
+        });
+      }
+    }
+
+    // Later installments paid in our records during the range: likewise
+    for (const student of installmentStudents) {
+      studentsChecked.add(student.studentId);
+      const paidInstallments = student.installments.filter(installment => installment.number > 1
+        && installment.status === INSTALLMENT_STATUS.PAID && installment.paidAt >= from && installment.paidAt <= to);
+
+      for (const installment of paidInstallments) {
+        if (captured.has(installment.razorpayPaymentId)) {
+          continue;
+        }
+
+        const fields = {
+          razorpayOrderId: installment.razorpayOrderId,
+          razorpayPaymentId: installment.razorpayPaymentId,
+          installment: installment.number,
+          expectedAmountINR: installment.amountINR,
+        };
+        const payment = installment.razorpayPaymentId ? await this.fetchPaymentOrNull(installment.razorpayPaymentId) : null;
+        if (!payment || !CAPTURED_GATEWAY_STATUSES.includes(payment.status)) {
+          report(RECONCILIATION_DISCREPANCY_TYPES.SUCCESS_WITHOUT_CAPTURE, student, {
+            ...fields,
+            gatewayStatus: payment?.status || 'not_found',
+            message: payment ? `Gateway payment of installment ${installment.number} is ${payment.status}` : `Installment ${installment.number} is paid but its payment was not found at the gateway`,
+          });
+        } else if (payment.amount !== toPaise(installment.amountINR)) {
+          report(RECONCILIATION_DISCREPANCY_TYPES.AMOUNT_MISMATCH, student, {
+            ...fields,
+            gatewayStatus: payment.status,
+            capturedAmountINR: toINR(payment.amount),
+            message: `Captured ₹${toINR(payment.amount)} but installment ${installment.number} is ₹${installment.amountINR}`,
+          });
+        }
+      }
+    }
+
+    // Later subscription charges recorded during the range: likewise
+    for (const student of subscriptionStudents) {
+      studentsChecked.add(student.studentId);
+      const paidCharges = student.subscription.charges.filter(charge => charge.number > 1
+        && charge.paidAt >= from && charge.paidAt <= to);
+
+      for (const charge of paidCharges) {
+        if (captured.has(charge.razorpayPaymentId)) {
+          continue;
+        }
+
+        const fields = {
+          razorpayOrderId: charge.razorpayOrderId,
+          razorpayPaymentId: charge.razorpayPaymentId,
+          charge: charge.number,
+          expectedAmountINR: charge.amountINR,
+        };
+        const payment = await this.fetchPaymentOrNull(charge.razorpayPaymentId);
+        if (!payment || !CAPTURED_GATEWAY_STATUSES.includes(payment.status)) {
+          report(RECONCILIATION_DISCREPANCY_TYPES.SUCCESS_WITHOUT_CAPTURE, student, {
+            ...fields,
+            gatewayStatus: payment?.status || 'not_found',
+            message: payment ? `Gateway payment of charge ${charge.number} is ${payment.status}` : `Charge ${charge.number} is recorded but its payment was not found at the gateway`,
+          });
+        } else if (payment.amount !== toPaise(charge.amountINR)) {
+          report(RECONCILIATION_DISCREPANCY_TYPES.AMOUNT_MISMATCH, student, {
+            ...fields,
+            gatewayStatus: payment.status,
+            capturedAmountINR: toINR(payment.amount),
+            message: `Captured ₹${toINR(payment.amount)} but charge ${charge.number} is ₹${charge.amountINR}`,
+          });
+        }
+      }
+    }
+
+    const byType = {};
+    discrepancies.forEach(discrepancy => {
+      byType[discrepancy.type] = (byType[discrepancy.type] || 0) + 1;
+    });
+
+    return {
+      summary: {
+        paymentsChecked: payments.length,
+        settlementItemsChecked: settlementItems.length,
+        studentsChecked: studentsChecked.size,
+        capturedAmountINR: toINR([...captured.values()].reduce((sum, entry) => sum + entry.amount, 0)),
+        settledAmountINR: toINR(settledPaise),
+        feesINR: toINR(feesPaise),
+        discrepancies: discrepancies.length,
+        byType,
+      },
+      discrepancies,
+    };
+  }
+
+  /**
+   * Fetch a payment, or null if the gateway doesn't know the id.
+   * Other gateway errors fail the run rather than being reported as mismatches.
+   */
+  async fetchPaymentOrNull(paymentId) {
+    try {
+      return await getPaymentGateway().fetchPayment(paymentId);
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Reconcile the previous IST day unless it has already been done
+   * @returns {Object|null} - ReconciliationRun, or null if the day was already reconciled
+   */
+  async runDaily(now = new Date()) {
+    const { day, from, to } = this.getIstDay(new Date(now.getTime() - DAY_MS));
+
+    try {
+      return await this.reconcile({ from, to }, { triggeredBy: 'schedule', scheduledFor: day });
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check hourly whether yesterday still needs reconciling
+   */
+  start() {
+    if (this.timer || !config.RECONCILIATION_DAILY) {
+      return;
+    }
+
+    const run = () => this.runDaily()
+      .then(result => {
+        if (result) {
+          console.log(`Reconciliation for ${result.scheduledFor}: ${result.status}, ${result.summary.discrepancies} discrepancies`);
+        }
+      })
+      .catch(error => console.error('Scheduled reconciliation failed:', error));
+
+    this.timer = setInterval(run, SCHEDULE_CHECK_INTERVAL_MS);
+    this.timer.unref();
+    run();
+  }
+
+  /**
+   * Stop the daily schedule
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export default new ReconciliationService();
@@ -0,0 +1,186 @@
+import ReferralCode from '../models/ReferralCode.js';
+import ReferralReward from '../models/ReferralReward.js';
+import { config } from '../config/index.js';
+import { REFERRAL_OWNER_TYPES, REFERRAL_REWARD_STATUS } from '../config/constants.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+/**
+ * Referral service
+ * Issues referral codes, validates them at checkout and keeps the referrer
+ * reward ledger (one ReferralReward per paid referral).
+ */
+
+const MAX_CODE_ATTEMPTS = 5;
+
+class ReferralService {
+  /**
+   * Validate a referral code entered at checkout
+   * @param {string} code - Referral code
+   * @param {Object} referee - { email } of the buyer
+   * @returns {Object} - ReferralCode document
+   */
+  async validateCode(code, { email } = {}) {
+    const referralCode = await ReferralCode.findByCode(code);
+
+    if (!referralCode || !referralCode.isActive) {
+      throw new ValidationError(`Referral code ${String(code).toUpperCase()} is not valid`);
+    }
+
+    if (email && referralCode.ownerEmail === String(email).toLowerCase().trim()) {
+      throw new ValidationError('You cannot use your own referral code');
+    }
+
+    return referralCode;
+  }
+
+  /**
+   * Issue (or return) the referral code of an enrolled student
+   * @param {Object} student - Student document
+   * @returns {Object} - ReferralCode document
+   */
+  async issueStudentCode(student) {
+    const existing = await ReferralCode.findOne({ ownerStudentId: student.studentId });
+    if (existing) {
+      return existing;
+    }
+
+    for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+      try {
+        return await ReferralCode.create({
+          code: ReferralCode.generateCode(student.fullName),
+          ownerType: REFERRAL_OWNER_TYPES.STUDENT,
+          ownerStudentId: student.studentId,
+          ownerName: student.fullName,
+          ownerEmail: student.email,
+          rewardType: config.REFERRAL_REWARD_TYPE,
+          rewardValue: config.REFERRAL_REWARD_VALUE,
+          refereeDiscountType: config.REFERRAL_REFEREE_DISCOUNT_TYPE,
+          refereeDiscountValue: config.REFERRAL_REFEREE_DISCOUNT_VALUE,
+        });
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        // Either the random code collided (retry) or a concurrent call issued this student's code
+        const issued = await ReferralCode.findOne({ ownerStudentId: student.studentId });
+        if (issued) {
+          return issued;
+        }
+      }
+    }
+
+    throw new ConflictError(`Could not generate a unique referral code for ${student.studentId}`);
+  }
+
+  /**
+   * Credit the referrer of a paid student (idempotent: one entry per referee)
+   * @param {Object} student - Paid student document
+   * @returns {Object|null} - ReferralReward, or null if the student wasn't referred
+   */
+  async recordConversion(student) {
+    if (!student.referralCode) {
+      return null;
+    }
+
+    const referralCode = await ReferralCode.findByCode(student.referralCode);
+    if (!referralCode) {
+      console.warn('Referral code not found for conversion:', student.referralCode, student.studentId);
+      return null;
+    }
+
+    try {
+      return await ReferralReward.create({
+        referralCode: referralCode.code,
+        ownerType: referralCode.ownerType,
+        ownerStudentId: referralCode.ownerStudentId,
+        ownerEmail: referralCode.ownerEmail,
+        refereeStudentId: student.studentId,
+        refereeName: student.fullName,
+        refereeEmail: student.email,
+        programName: student.programName,
+        orderAmountINR: student.totalINR,
+        refereeDiscountINR: student.referralDiscountINR || 0,
+        rewardINR: referralCode.calculateReward(student.totalINR),
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return ReferralReward.findOne({ refereeStudentId: student.studentId });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * After a successful payment: credit the referrer and give the new student
+   * a code of their own. Failures are logged, never surfaced to the payment flow.
+   * @param {Object} student - Paid student document
+   * @returns {Object} - { referralCode, reward }
+   */
+  async handleEnrollment(student) {
+    let referralCode = null;
+    let reward = null;
+
+    try {
+      reward = await this.recordConversion(student);
+    } catch (error) {
+      console.error('Error recording referral conversion:', error);
+    }
+
+    try {
+      referralCode = await this.issueStudentCode(student);
+    } catch (error) {
+      console.error('Error issuing referral code:', error);
+    }
+
+    return { referralCode, reward };
+  }
+
+  /**
+   * Cancel an unpaid reward when the referee's payment is fully refunded
+   * @param {Object} student - Refunded student document
+   */
+  async cancelReward(student) {
+    return ReferralReward.findOneAndUpdate(
+      {
+        refereeStudentId: student.studentId,
+        status: { $in: [REFERRAL_REWARD_STATUS.PENDING, REFERRAL_REWARD_STATUS.APPROVED] },
+      },
+      { $set: { status: REFERRAL_REWARD_STATUS.CANCELLED, notes: 'Referee payment refunded' } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Move a reward through the payout workflow
+   * @param {string} rewardId - ReferralReward id
+   * @param {Object} update - { status, payoutReference, notes }
+   * @returns {Object} - Updated ReferralReward
+   */
+  async updateRewardStatus(rewardId, { status, payoutReference, notes }) {
+    const reward = await ReferralReward.findById(rewardId);
+    if (!reward) {
+      throw new NotFoundError(`Referral reward ${rewardId} not found`);
+    }
+
+    if (!Object.values(REFERRAL_REWARD_STATUS).includes(status)) {
+      throw new ValidationError(`Status must be one of ${Object.values(REFERRAL_REWARD_STATUS).join(', ')}`);
+    }
+
+    if ([REFERRAL_REWARD_STATUS.PAID, REFERRAL_REWARD_STATUS.CANCELLED].includes(reward.status)) {
+      throw new ConflictError(`Reward is already ${reward.status}`);
+    }
+
+    if (status === REFERRAL_REWARD_STATUS.PAID && !payoutReference) {
+      throw new ValidationError('A payout reference is required to mark a reward paid');
+    }
+
+    reward.status = status;
+    if (payoutReference) reward.payoutReference = payoutReference;
+    if (notes) reward.notes = notes;
+    if (status === REFERRAL_REWARD_STATUS.PAID) reward.paidAt = new Date();
+
+    return reward.save();
+  }
+}
+
+export default new ReferralService();
@@ -0,0 +1,226 @@
+import Enrollment from '../models/Enrollment.js';
+import { PAYMENT_STATUS, STUDENT_STATUS, REFUND_STATUS } from '../config/constants.js';
+import { ConflictError, ExternalServiceError, ValidationError } from '../utils/errors.js';
+import { generateCreditNoteNumber } from '../utils/invoiceNumber.js';
+import { getCheckoutAmountINR } from '../utils/installments.js';
+import { isSubscription, isSubscriptionEnded } from '../utils/subscriptions.js';
+import { getPaymentGateway } from './paymentGateway.js';
+import referralService from './referralService.js';
+import subscriptionService from './subscriptionService.js';
+import studentLifecycleService from './studentLifecycleService.js';
+
+/**
+ * Refund service
+ * Issues full or partial refunds through the payment gateway and records
+ * each one against the student with its own credit note number. On an
+ * installment plan, refunds issued here go against the checkout payment (the
+ * first installment); later installments are refunded from the Razorpay
+ * dashboard and recorded by the refund.processed webhook. The same goes for
+ * the monthly charges of a subscription, which stops once the enrollment is
+ * cancelled.
+ */
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const toRefundStatus = (gatewayStatus) =>
+  REFUND_STATUS[String(gatewayStatus || '').toUpperCase()] || REFUND_STATUS.PENDING;
+
+class RefundService {
+  /**
+   * Refund a student's payment
+   * @param {Object} student - Student document
+   * @param {Object} options - { amountINR (defaults to the refundable balance), reason, cancelEnrollment, initiatedBy }
+   * @returns {Object} - { student, refund }
+   */
+  async createRefund(student, options = {}) {
+    const { amountINR, reason, cancelEnrollment = false, initiatedBy } = options;
+
+    if (student.paymentStatus !== PAYMENT_STATUS.SUCCESS || !student.razorpayPaymentId) {
+      throw new ConflictError(`Payment for ${student.studentId} is ${student.paymentStatus} and cannot be refunded`);
+    }
+
+    // A gateway refund can't exceed what is left of the payment it is issued against
+    const refundable = student.installments?.length > 0 || isSubscription(student)
+      ? Math.min(student.refundableAmountINR, round2(getCheckoutAmountINR(student) - this.refundedFromPayment(student, student.razorpayPaymentId)))
+      : student.refundableAmountINR;
+    const amount = amountINR === undefined || amountINR === null ? refundable : round2(amountINR);
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new ValidationError('Refund amount must be a positive number');
+    }
+
+    if (amount > refundable) {
+      throw new ValidationError(`Refund amount exceeds the refundable balance of ₹${refundable}`);
+    }
+
+    let gatewayRefund;
+    try {
+      gatewayRefund = await getPaymentGateway().refundPayment(student.razorpayPaymentId, {
+        amount: Math.round(amount * 100), // paise
+        notes: {
+          studentId: student.studentId,
+          invoiceNumber: student.invoiceNumber || '',
+          reason: reason || '',
+        },
+      });
+    } catch (error) {
+      console.error('Razorpay refund failed:', error);
+      throw new ExternalServiceError(error.error?.description || error.message || 'Refund failed', 'razorpay');
+    }
+
+    return this.applyRefund(student, gatewayRefund, { reason, cancelEnrollment, initiatedBy });
+  }
+
+  /**
+   * Amount already refunded from one payment of a student, failed refunds
+   * aside. Entries recorded before refunds kept their payment count against
+   * it too, so a refund is never issued twice.
+   * @param {Object} student - Student document
+   * @param {string} paymentId - Razorpay payment id
+   * @returns {number} - INR
+   */
+  refundedFromPayment(student, paymentId) {
+    return round2((student.refunds || [])
+      .filter(refund => refund.status !== REFUND_STATUS.FAILED
+        && (!refund.razorpayPaymentId || refund.razorpayPaymentId === paymentId))
+      .reduce((sum, refund) => sum + refund.amountINR, 0));
+  }
+
+  /**
+   * Record a refund reported by the gateway (refund.processed webhook).
+   * Updates the entry if the refund was issued through this API, otherwise
+   * records a refund made directly in the Razorpay dashboard.
+   * @param {Object} student - Student document
+   * @param {Object} refundEntity - Razorpay refund entity
+   * @returns {Object} - { student, refund }
+   */
+  async recordGatewayRefund(student, refundEntity) {
+    const existing = student.refunds.find(refund => refund.refundId === refundEntity.id);
+
+    if (existing) {
+      existing.status = toRefundStatus(refundEntity.status);
+      if (existing.status === REFUND_STATUS.PROCESSED && !existing.processedAt) {
+        existing.processedAt = new Date();
+      }
+      await student.save();
+      return { student, refund: existing };
+    }
+
+    return this.applyRefund(student, refundEntity, {
+      reason: refundEntity.notes?.reason || 'Refund issued from the Razorpay dashboard',
+      initiatedBy: 'razorpay',
+    });
+  }
+
+  /**
+   * Record that a refund failed after it was issued (refund.failed webhook):
+   * the money stays with us, so it no longer counts as refunded. The credit
+   * note keeps its number (the series has no gaps) and is shown as failed.
+   * @param {Object} student - Student document
+   * @param {Object} refundEntity - Razorpay refund entity
+   * @returns {Object} - { student, refund } (refund is null if it was never recorded)
+   */
+  async recordFailedRefund(student, refundEntity) {
+    const existing = student.refunds.find(refund => refund.refundId === refundEntity.id);
+
+    if (!existing) {
+      return { student, refund: null };
+    }
+
+    // Only the first failure report gives the amount back
+    await Enrollment.updateOne(
+      { _id: student._id, refunds: { $elemMatch: { refundId: refundEntity.id, status: { $ne: REFUND_STATUS.FAILED } } } },
+      {
+        $set: { 'refunds.$.status': REFUND_STATUS.FAILED },
+        $inc: { refundedAmountINR: -existing.amountINR },
+      }
+    );
+
+    const updated = await Enrollment.findById(student._id);
+
+    // The payment is no longer fully refunded; a cancelled enrollment stays
+    // cancelled until staff decide otherwise
+    if (updated.paymentStatus === PAYMENT_STATUS.REFUNDED && updated.refundedAmountINR < round2(updated.paidAmountINR)) {
+      updated.paymentStatus = PAYMENT_STATUS.SUCCESS;
+      await updated.save();
+    }
+
+    return { student: updated, refund: updated.refunds.find(entry => entry.refundId === refundEntity.id) };
+  }
+
+  /**
+   * Add a gateway refund to the student's ledger exactly once, then issue
+   * its credit note and update payment/enrollment status
+   */
+  async applyRefund(student, refundEntity, { reason, cancelEnrollment = false, initiatedBy } = {}) {
+    const amountINR = round2(refundEntity.amount / 100);
+    const status = toRefundStatus(refundEntity.status);
+
+    // The API response and the webhook can race; only the first one records the refund
+    const pushed = await Enrollment.updateOne(
+      { _id: student._id, 'refunds.refundId': { $ne: refundEntity.id } },
+      {
+        $push: {
+          refunds: {
+            refundId: refundEntity.id,
+            razorpayPaymentId: refundEntity.payment_id,
+            amountINR,
+            reason,
+            status,
+            originalInvoiceNumber: student.invoiceNumber,
+            initiatedBy,
+            processedAt: status === REFUND_STATUS.PROCESSED ? new Date() : undefined,
+          },
+        },
+        $inc: { refundedAmountINR: amountINR },
+      }
+    );
+
+    if (pushed.modifiedCount > 0) {
+      const creditNoteNumber = await generateCreditNoteNumber();
+      await Enrollment.updateOne(
+        { _id: student._id, 'refunds.refundId': refundEntity.id },
+        { $set: { 'refunds.$.creditNoteNumber': creditNoteNumber } }
+      );
+    }
+
+    let updated = await Enrollment.findById(student._id);
+
+    // Everything paid so far is back with the student (on an installment
+    // plan, the installments paid)
+    if (updated.refundedAmountINR >= round2(updated.paidAmountINR) && updated.paymentStatus !== PAYMENT_STATUS.REFUNDED) {
+      updated.paymentStatus = PAYMENT_STATUS.REFUNDED;
+      const entry = updated.recordStatusChange(STUDENT_STATUS.CANCELLED, { reason: reason || 'Fully refunded', changedBy: initiatedBy });
+      await updated.save();
+      if (entry) {
+        await studentLifecycleService.notify(updated, entry);
+      }
+      await referralService.cancelReward(updated);
+    } else if (cancelEnrollment && updated.status !== STUDENT_STATUS.CANCELLED) {
+      const entry = updated.recordStatusChange(STUDENT_STATUS.CANCELLED, { reason: reason || 'Cancelled with refund', changedBy: initiatedBy });
+      await updated.save();
+      await studentLifecycleService.notify(updated, entry);
+    }
+
+    // A cancelled enrollment is not charged for further months
+    if (updated.status === STUDENT_STATUS.CANCELLED && isSubscription(updated) && !isSubscriptionEnded(updated)) {
+      try {
+        updated = await subscriptionService.cancel(updated, { changedBy: initiatedBy, immediately: true });
+      } catch (error) {
+        console.error(`Could not cancel the subscription of ${updated.studentId}:`, error.message);
+      }
+    }
+
+    const refund = updated.refunds.find(entry => entry.refundId === refundEntity.id);
+    console.log('Refund recorded:', {
+      studentId: updated.studentId,
+      refundId: refundEntity.id,
+      amountINR,
+      creditNoteNumber: refund?.creditNoteNumber,
+    });
+
+    return { student: updated, refund };
+  }
+}
+
+export default new RefundService();
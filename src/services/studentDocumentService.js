@@ -0,0 +1,239 @@
+import crypto from 'crypto';
+import Learner from '../models/Learner.js';
+import { config } from '../config/index.js';
+import { getDocumentStorage } from './documentStorage.js';
+import { STUDENT_DOCUMENT_FIELDS, parseDataUrl } from '../utils/studentDocuments.js';
+import { AppError, ValidationError } from '../utils/errors.js';
+
+/**
+ * Student document service
+ * Puts uploaded ID documents and photos in document storage, reads them
+ * back with a checksum check, and moves legacy data URLs out of MongoDB.
+ * The documents belong to the Learner (see Learner.js).
+ */
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/png': '.png',
+  'application/pdf': '.pdf',
+};
+
+const sha256Hex = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+class StudentDocumentService {
+  /**
+   * Decode and check the documents in a registration, before anything is stored
+   * @param {Object} studentData - Registration data with idDocumentBase64/studentPhotoBase64 data URLs
+   * @returns {Array} - [{ kind, buffer, mimeType, name }] for the documents present
+   * @throws {ValidationError} - When a document isn't a data URL of an allowed type and size
+   */
+  parseUploads(studentData) {
+    const uploads = [];
+    const errors = [];
+
+    Object.entries(STUDENT_DOCUMENT_FIELDS).forEach(([kind, fields]) => {
+      const dataUrl = studentData[fields.data];
+      if (!dataUrl) {
+        return;
+      }
+
+      const field = `studentData.${fields.data}`;
+      const document = typeof dataUrl === 'string' ? parseDataUrl(dataUrl) : null;
+      const mimeType = document?.mimeType || studentData[fields.type];
+
+      if (!document || document.buffer.length === 0) {
+        errors.push({ field, code: 'INVALID_DOCUMENT', message: 'Must be a non-empty base64 data URL' });
+      } else if (!fields.allowedTypes.includes(mimeType)) {
+        errors.push({ field, code: 'UNSUPPORTED_TYPE', message: `Allowed types: ${fields.allowedTypes.join(', ')}` });
+      } else if (document.buffer.length > config.MAX_FILE_SIZE) {
+        errors.push({ field, code: 'FILE_TOO_LARGE', message: `Must be at most ${config.MAX_FILE_SIZE} bytes` });
+      } else {
+        uploads.push({ kind, buffer: document.buffer, mimeType, name: studentData[fields.name] || null });
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid student documents', errors);
+    }
+    return uploads;
+  }
+
+  /**
+   * Put a file in document storage under a new random key
+   * @param {string} kind - STUDENT_DOCUMENT_KINDS value
+   * @param {Buffer} buffer - File contents
+   * @param {string} mimeType - Content type
+   * @returns {Object} - { key, checksum, size }
+   */
+  async put(kind, buffer, mimeType) {
+    const key = `students/${kind}/${crypto.randomUUID()}${EXTENSIONS[mimeType] || ''}`;
+    await getDocumentStorage().put(key, buffer, { contentType: mimeType });
+    return { key, checksum: sha256Hex(buffer), size: buffer.length };
+  }
+
+  /**
+   * Store parsed uploads
+   * @param {Array} uploads - From parseUploads
+   * @returns {Object} - Learner fields for every document kind: stored key,
+   *   checksum, size, type and name, or nulls for kinds not uploaded
+   */
+  async storeUploads(uploads) {
+    const documentFields = {};
+    const storedKeys = [];
+
+    try {
+      for (const [kind, fields] of Object.entries(STUDENT_DOCUMENT_FIELDS)) {
+        const upload = uploads.find(item => item.kind === kind);
+        const stored = upload ? await this.put(kind, upload.buffer, upload.mimeType) : null;
+        if (stored) {
+          storedKeys.push(stored.key);
+        }
+
+        Object.assign(documentFields, {
+          [fields.key]: stored?.key ?? null,
+          [fields.checksum]: stored?.checksum ?? null,
+          [fields.size]: stored?.size ?? null,
+          [fields.type]: upload?.mimeType ?? null,
+          [fields.name]: upload?.name ?? null,
+          [fields.data]: undefined, // replaces any legacy data URL
+        });
+      }
+    } catch (error) {
+      await this.discard(storedKeys);
+      throw error;
+    }
+
+    return documentFields;
+  }
+
+  /**
+   * Read a learner's document
+   * @param {Object} student - Learner with the document's key and checksum (and the legacy data URL selected)
+   * @param {string} kind - STUDENT_DOCUMENT_KINDS value
+   * @returns {Object|null} - { buffer, mimeType }, or null if the learner has no such document
+   */
+  async read(student, kind) {
+    const fields = STUDENT_DOCUMENT_FIELDS[kind];
+
+    if (!student[fields.key]) {
+      return parseDataUrl(student[fields.data]);
+    }
+
+    const buffer = await getDocumentStorage().get(student[fields.key]);
+    if (student[fields.checksum] && sha256Hex(buffer) !== student[fields.checksum]) {
+      throw new AppError(`Stored ${kind} of learner ${student.learnerId} does not match its checksum`);
+    }
+    return { buffer, mimeType: student[fields.type] || null };
+  }
+
+  /**
+   * Remove stored files that are no longer referenced; failures are logged, not thrown
+   * @param {Array<string>} keys - Storage keys (empty values are skipped)
+   */
+  async discard(keys) {
+    await Promise.all(keys.filter(Boolean).map(key => getDocumentStorage().delete(key)
+      .catch(error => console.error(`Failed to remove stored document ${key}:`, error.message))));
+  }
+
+  /**
+   * Storage keys a learner (or a set of learner fields) refers to
+   * @param {Object} student - Learner or fields from storeUploads
+   * @returns {Array<string>}
+   */
+  storedKeys(student) {
+    return Object.values(STUDENT_DOCUMENT_FIELDS).map(fields => student[fields.key]).filter(Boolean);
+  }
+
+  /**
+   * Keys a learner referred to before an update that it no longer refers to
+   * @param {Array<string>} previousKeys - storedKeys(learner) before the update
+   * @param {Object} student - Learner after the update
+   * @returns {Array<string>}
+   */
+  replacedKeys(previousKeys, student) {
+    const kept = this.storedKeys(student);
+    return previousKeys.filter(key => !kept.includes(key));
+  }
+
+  /**
+   * Move one learner's legacy data URL documents to document storage
+   * @param {Object} student - Learner with the data URLs selected
+   * @param {Object} options - { dryRun }
+   * @returns {Object} - { moved: [{ kind, key, size }], failed: [{ kind, error }] }
+   */
+  async migrateLearner(student, { dryRun = false } = {}) {
+    const result = { moved: [], failed: [] };
+
+    for (const [kind, fields] of Object.entries(STUDENT_DOCUMENT_FIELDS)) {
+      if (typeof student[fields.data] !== 'string' || student[fields.key]) {
+        continue;
+      }
+
+      const document = parseDataUrl(student[fields.data]);
+      if (!document) {
+        result.failed.push({ kind, error: 'Not a base64 data URL' });
+        continue;
+      }
+      if (dryRun) {
+        result.moved.push({ kind, key: null, size: document.buffer.length });
+        continue;
+      }
+
+      try {
+        const mimeType = student[fields.type] || document.mimeType;
+        const stored = await this.put(kind, document.buffer, mimeType);
+
+        // Only if nothing stored a document for this learner in the meantime
+        const update = await Learner.updateOne(
+          { _id: student._id, [fields.key]: null, [fields.data]: { $exists: true } },
+          {
+            $set: { [fields.key]: stored.key, [fields.checksum]: stored.checksum, [fields.size]: stored.size },
+            $unset: { [fields.data]: '' },
+          }
+        );
+        if (update.matchedCount === 0) {
+          await this.discard([stored.key]);
+          result.failed.push({ kind, error: 'Document changed during migration; run again' });
+          continue;
+        }
+
+        result.moved.push({ kind, key: stored.key, size: stored.size });
+      } catch (error) {
+        result.failed.push({ kind, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Move every legacy data URL document to document storage. Safe to run
+   * again: learners already migrated are skipped.
+   * @param {Object} options - { dryRun, batchSize, onLearner(learner, result) }
+   * @returns {Object} - { learners, moved, bytes, failed: [{ learnerId, kind, error }] }
+   */
+  async migrateAll({ dryRun = false, batchSize = 50, onLearner } = {}) {
+    const summary = { learners: 0, moved: 0, bytes: 0, failed: [] };
+    const allFields = Object.values(STUDENT_DOCUMENT_FIELDS);
+
+    const cursor = Learner.find({ $or: allFields.map(fields => ({ [fields.data]: { $type: 'string' } })) })
+      .select(['learnerId', ...allFields.flatMap(fields => [fields.key, fields.type, `+${fields.data}`])].join(' '))
+      .batchSize(batchSize)
+      .cursor();
+
+    for await (const learner of cursor) {
+      const result = await this.migrateLearner(learner, { dryRun });
+
+      summary.learners++;
+      summary.moved += result.moved.length;
+      summary.bytes += result.moved.reduce((total, item) => total + item.size, 0);
+      summary.failed.push(...result.failed.map(item => ({ learnerId: learner.learnerId, ...item })));
+      onLearner?.(learner, result);
+    }
+
+    return summary;
+  }
+}
+
+export default new StudentDocumentService();
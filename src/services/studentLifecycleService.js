@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+import Enrollment from '../models/Enrollment.js';
+import { STUDENT_STATUS } from '../config/constants.js';
+import { ConflictError, ValidationError } from '../utils/errors.js';
+import { getTransitionError } from '../utils/studentLifecycle.js';
+import { renderStudentStatusEmail } from '../utils/studentStatusEmail.js';
+import { sendPaymentsMail } from '../utils/mailer.js';
+
+/**
+ * Student lifecycle service
+ * Moves students between statuses on behalf of staff, following the
+ * transition table, records each move in statusHistory and emails the student.
+ * Moves made by payment and refund events are emailed through notify too.
+ */
+
+const MAX_REASON_LENGTH = 500;
+
+class StudentLifecycleService {
+  /**
+   * Move a student to another status
+   * @param {Object} student - Student document
+   * @param {string} to - STUDENT_STATUS value
+   * @param {Object} options - { reason (required), changedBy, notify (default true) }
+   * @returns {Object} - { student, entry, emailSent }
+   */
+  async transition(student, to, { reason, changedBy, notify = true } = {}) {
+    const target = String(to || '').toUpperCase();
+    const trimmedReason = String(reason ?? '').trim();
+
+    const errors = [];
+    if (!Object.values(STUDENT_STATUS).includes(target)) {
+      errors.push({ field: 'to', code: 'INVALID_VALUE', message: `to must be one of ${Object.values(STUDENT_STATUS).join(', ')}` });
+    }
+    if (!trimmedReason) {
+      errors.push({ field: 'reason', code: 'REQUIRED', message: 'A reason is required' });
+    } else if (trimmedReason.length > MAX_REASON_LENGTH) {
+      errors.push({ field: 'reason', code: 'TOO_LONG', message: `reason cannot exceed ${MAX_REASON_LENGTH} characters` });
+    }
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid status transition', errors);
+    }
+
+    const transitionError = getTransitionError(student, target);
+    if (transitionError) {
+      throw new ConflictError(transitionError.message);
+    }
+
+    const now = new Date();
+    const entry = {
+      _id: new mongoose.Types.ObjectId(),
+      from: student.status,
+      to: target,
+      reason: trimmedReason,
+      changedBy,
+      paymentStatus: student.paymentStatus,
+      changedAt: now,
+    };
+
+    const $set = { status: target, lastActivity: now };
+    if (target === STUDENT_STATUS.ENROLLED && !student.enrollmentDate) {
+      $set.enrollmentDate = now;
+    }
+    if (target === STUDENT_STATUS.COMPLETED && !student.completionDate) {
+      $set.completionDate = now;
+    }
+
+    // Only applies if nobody changed the status or payment since the checks
+    const updated = await Enrollment.findOneAndUpdate(
+      { _id: student._id, status: student.status, paymentStatus: student.paymentStatus },
+      { $set, $push: { statusHistory: entry } },
+      { new: true }
+    );
+    if (!updated) {
+      throw new ConflictError(`Student ${student.studentId} was changed by someone else; reload and try again`);
+    }
+
+    const emailSent = notify ? await this.notify(updated, entry) : false;
+    return { student: updated, entry, emailSent };
+  }
+
+  /**
+   * Email the student about the status change a payment event recorded
+   * (Enrollment.updatePaymentStatus), unless it was already emailed
+   * @param {Object} student - Student document, saved with the change
+   * @returns {boolean} - Whether the email was sent
+   */
+  async notifyLatest(student) {
+    const entry = student.statusHistory?.[student.statusHistory.length - 1];
+    if (!entry || entry.to !== student.status || entry.emailSentAt) {
+      return false;
+    }
+    return this.notify(student, entry);
+  }
+
+  /**
+   * Email the student about a status change and mark the history entry.
+   * A failed email doesn't undo the change.
+   * @returns {boolean} - Whether the email was sent
+   */
+  async notify(student, entry) {
+    const email = renderStudentStatusEmail(student, entry);
+    if (!email || !student.email) {
+      return false;
+    }
+
+    try {
+      await sendPaymentsMail({ to: student.email, subject: email.subject, html: email.html });
+      await Enrollment.updateOne(
+        { _id: student._id, 'statusHistory._id': entry._id },
+        { $set: { 'statusHistory.$.emailSentAt': new Date() } }
+      );
+      return true;
+    } catch (error) {
+      console.error(`Status email to ${student.studentId} failed:`, error);
+      return false;
+    }
+  }
+}
+
+export default new StudentLifecycleService();
@@ -0,0 +1,554 @@
+import Enrollment from '../models/Enrollment.js';
+import SubscriptionPlan from '../models/SubscriptionPlan.js';
+import { config } from '../config/index.js';
+import { getPaymentGateway } from './paymentGateway.js';
+import studentLifecycleService from './studentLifecycleService.js';
+import { assignInvoiceNumber } from '../utils/invoiceNumber.js';
+import {
+  ENDED_SUBSCRIPTION_STATUSES,
+  buildSubscriptionCharge,
+  findChargeByPaymentId,
+  getChargeAmountINR,
+  getChargePeriod,
+  isSubscription,
+  isSubscriptionEnded,
+} from '../utils/subscriptions.js';
+import { PAYMENT_STATUS, STUDENT_STATUS, SUBSCRIPTION_STATUS } from '../config/constants.js';
+import { ConflictError, ExternalServiceError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+/**
+ * Subscription service
+ * Bills monthly products month by month through Razorpay Subscriptions:
+ * creates (and reuses) the plan and subscription at checkout (addons are
+ * charged once, as an addon of the first charge), records each
+ * charge with its own invoice and extends the enrollment's access by a
+ * month, cancels on request, and sweeps for enrollments whose paid access
+ * ran out - completed once every month was charged, cancelled when the
+ * subscription was cancelled or expired before that, suspended (until the
+ * next charge) while it is still meant to be charging.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 200;
+
+// Subscriptions the learner has authorised (the first charge is paid or on its way)
+const AUTHORISED_STATUSES = [SUBSCRIPTION_STATUS.AUTHENTICATED, SUBSCRIPTION_STATUS.ACTIVE];
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { dateStyle: 'medium' });
+
+class SubscriptionService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Key of the plan a quote is billed on: program and monthly amount
+   * @param {Object} quote - Order quote billed monthly
+   * @returns {string}
+   */
+  getPlanKey(quote) {
+    return [quote.type, quote.selectedProduct, Math.round(quote.monthlyAmountINR * 100)].join(':');
+  }
+
+  /**
+   * Find the Razorpay plan for a quote, creating it the first time
+   * @param {Object} quote - Order quote billed monthly
+   * @returns {Object} - SubscriptionPlan document
+   */
+  async getOrCreatePlan(quote) {
+    const key = this.getPlanKey(quote);
+    const existing = await SubscriptionPlan.findByKey(key);
+    if (existing) {
+      return existing;
+    }
+
+    const name = quote.productData.name;
+    const plan = await getPaymentGateway().createPlan({
+      period: 'monthly',
+      interval: 1,
+      item: {
+        name: name.slice(0, 100),
+        amount: Math.round(quote.monthlyAmountINR * 100), // paise
+        currency: 'INR',
+        description: `Monthly billing for ${quote.productData.name}`,
+      },
+      notes: { key },
+    });
+
+    try {
+      return await SubscriptionPlan.create({ key, razorpayPlanId: plan.id, name, amountINR: quote.monthlyAmountINR });
+    } catch (error) {
+      // Another checkout created the plan for this key first; use theirs
+      if (error.code === 11000) {
+        return SubscriptionPlan.findByKey(key);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a subscription; null if it can't be fetched
+   * @param {string} subscriptionId - Razorpay subscription id
+   */
+  async fetchSubscription(subscriptionId) {
+    if (!subscriptionId) {
+      return null;
+    }
+    try {
+      return await getPaymentGateway().fetchSubscription(subscriptionId);
+    } catch (error) {
+      console.error(`Could not fetch subscription ${subscriptionId}:`, error.message || error);
+      return null;
+    }
+  }
+
+  /**
+   * Subscription for a checkout: the previous one is handed back while it
+   * is unauthorised and still on the same plan, month count and addons,
+   * otherwise a new one replaces it (and the previous one is cancelled).
+   * Addons are charged once, with the first month.
+   * @param {Object} options - { razorpayPlanId, totalCount, previousSubscriptionId, addonsINR, notes }
+   * @returns {Object} - { subscription, reusedSubscription }
+   * @throws {ConflictError} - When the previous subscription has already been authorised
+   */
+  async openSubscription({ razorpayPlanId, totalCount, previousSubscriptionId, addonsINR = 0, notes = {} }) {
+    const previous = await this.fetchSubscription(previousSubscriptionId);
+    const addonsAmount = Math.round(addonsINR * 100); // paise
+
+    if (previous && AUTHORISED_STATUSES.includes(previous.status)) {
+      throw new ConflictError('Payment for this registration has already been received and is being confirmed');
+    }
+    if (
+      previous?.status === SUBSCRIPTION_STATUS.CREATED
+      && previous.plan_id === razorpayPlanId
+      && previous.total_count === totalCount
+      && Number(previous.notes?.addonsAmount || 0) === addonsAmount
+    ) {
+      return { subscription: previous, reusedSubscription: true };
+    }
+
+    const subscription = await getPaymentGateway().createSubscription({
+      plan_id: razorpayPlanId,
+      total_count: totalCount,
+      quantity: 1,
+      customer_notify: 1,
+      ...(addonsAmount > 0 ? { addons: [{ item: { name: 'Addons', amount: addonsAmount, currency: 'INR' } }] } : {}),
+      notes: { ...notes, addonsAmount },
+    });
+
+    if (previous?.status === SUBSCRIPTION_STATUS.CREATED) {
+      try {
+        await getPaymentGateway().cancelSubscription(previous.id);
+      } catch (error) {
+        // Never authorised, so it can't charge; it expires on its own
+        console.error(`Could not cancel replaced subscription ${previous.id}:`, error.message || error);
+      }
+    }
+
+    return { subscription, reusedSubscription: false };
+  }
+
+  /**
+   * Drop the checkout subscription of a learner who switched to paying
+   * upfront; one never authorised is cancelled (best effort)
+   * @param {string} subscriptionId - Razorpay subscription id
+   * @throws {ConflictError} - When it has already been authorised
+   */
+  async discardSubscription(subscriptionId) {
+    const subscription = await this.fetchSubscription(subscriptionId);
+
+    if (subscription && AUTHORISED_STATUSES.includes(subscription.status)) {
+      throw new ConflictError('Payment for this registration has already been received and is being confirmed');
+    }
+    if (subscription?.status === SUBSCRIPTION_STATUS.CREATED) {
+      try {
+        await getPaymentGateway().cancelSubscription(subscription.id);
+      } catch (error) {
+        console.error(`Could not cancel replaced subscription ${subscription.id}:`, error.message || error);
+      }
+    }
+  }
+
+  /**
+   * Subscription fields of an enrollment for a checkout subscription
+   * @param {Object} subscription - Razorpay subscription entity
+   * @param {number} amountINR - Amount of each charge after the first
+   * @returns {Object}
+   */
+  getCheckoutFields(subscription, amountINR) {
+    return {
+      razorpaySubscriptionId: subscription.id,
+      razorpayPlanId: subscription.plan_id,
+      status: subscription.status,
+      totalCount: subscription.total_count,
+      amountINR,
+    };
+  }
+
+  /**
+   * Record a monthly charge and extend access by a month. The charge is
+   * claimed atomically, so the verify call and the subscription.charged
+   * webhook for the same payment record it once. The first charge is the
+   * checkout payment and enrolls the student; later ones get their own
+   * invoice number, and restore access the sweep suspended.
+   * @param {Object} student - Enrollment document billed by subscription
+   * @param {Object} payment - Razorpay payment entity of the charge
+   * @param {Date} now - When the charge is recorded
+   * @returns {Object} - { student, charge, alreadyRecorded }
+   * @throws {ValidationError} - When the payment isn't the amount the charge is due
+   */
+  async recordCharge(student, payment, now = new Date()) {
+    const existing = findChargeByPaymentId(student, payment.id);
+    if (existing) {
+      return this.completeRecordedCharge(student, existing);
+    }
+
+    const number = student.subscription.charges.length + 1;
+    const expectedINR = getChargeAmountINR(student, number);
+    if (payment.amount !== Math.round(Number(expectedINR) * 100)) {
+      throw new ValidationError(`Charged ₹${(Number(payment.amount) || 0) / 100} but month ${number} of ${student.studentId} is ₹${expectedINR}`);
+    }
+
+    const { periodStart, periodEnd } = getChargePeriod(student.accessEndsAt, now);
+    const charge = buildSubscriptionCharge(number, {
+      amountINR: payment.amount / 100,
+      razorpayPaymentId: payment.id,
+      razorpayOrderId: payment.order_id || undefined,
+      razorpayInvoiceId: payment.invoice_id || undefined,
+      paidAt: now,
+      periodStart,
+      periodEnd,
+    });
+
+    const $set = { accessEndsAt: periodEnd, lastActivity: now };
+    if (!isSubscriptionEnded(student)) {
+      $set['subscription.status'] = SUBSCRIPTION_STATUS.ACTIVE;
+    }
+    if (number === 1 && !student.razorpayOrderId && payment.order_id) {
+      $set.razorpayOrderId = payment.order_id;
+    }
+
+    // Only applies if this payment isn't recorded and no other charge was meanwhile
+    const updated = await Enrollment.findOneAndUpdate(
+      {
+        _id: student._id,
+        'subscription.charges.razorpayPaymentId': { $ne: payment.id },
+        [`subscription.charges.${number - 1}`]: { $exists: false },
+      },
+      { $set, $push: { 'subscription.charges': charge } },
+      { new: true }
+    );
+
+    if (!updated) {
+      const current = await Enrollment.findById(student._id);
+      const recorded = current && findChargeByPaymentId(current, payment.id);
+      if (!recorded) {
+        throw new ConflictError(`Another charge of ${student.studentId} was recorded meanwhile; retry`);
+      }
+      return this.completeRecordedCharge(current, recorded);
+    }
+
+    const recorded = findChargeByPaymentId(updated, payment.id);
+    if (number === 1) {
+      if (updated.paymentStatus !== PAYMENT_STATUS.SUCCESS && await updated.updatePaymentStatus(PAYMENT_STATUS.SUCCESS, payment.id)) {
+        await studentLifecycleService.notifyLatest(updated);
+      }
+      return { student: updated, charge: recorded, alreadyRecorded: false };
+    }
+
+    await this.assignInvoiceNumber(updated, recorded);
+    const restored = await this.restoreAccess(updated, now);
+    return { student: restored || updated, charge: recorded, alreadyRecorded: false };
+  }
+
+  /**
+   * Finish what the request that recorded a charge may not have: enroll
+   * the student with the first charge (numbering the enrollment), number a
+   * later one
+   * @param {Object} student - Enrollment document
+   * @param {Object} charge - Recorded charge
+   * @returns {Object} - { student, charge, alreadyRecorded } (alreadyRecorded
+   *   is false when this call enrolled the student)
+   */
+  async completeRecordedCharge(student, charge) {
+    if (charge.number > 1) {
+      await this.assignInvoiceNumber(student, charge);
+    } else if (student.paymentStatus !== PAYMENT_STATUS.SUCCESS && await student.updatePaymentStatus(PAYMENT_STATUS.SUCCESS, charge.razorpayPaymentId)) {
+      await studentLifecycleService.notifyLatest(student);
+      return { student, charge, alreadyRecorded: false };
+    }
+    return { student, charge, alreadyRecorded: true };
+  }
+
+  /**
+   * Assign the next invoice number of the series to a later charge,
+   * claimed atomically first (see utils/invoiceNumber.js assignInvoiceNumber)
+   * @param {Object} student - Enrollment document
+   * @param {Object} charge - Recorded charge, updated in place
+   * @returns {string|undefined} - Invoice number
+   */
+  async assignInvoiceNumber(student, charge) {
+    return assignInvoiceNumber(Enrollment, {
+      _id: student._id,
+      record: charge,
+      arrayPath: 'subscription.charges',
+      productType: student.programType,
+      date: charge.paidAt,
+    });
+  }
+
+  /**
+   * Re-enroll a student the sweep suspended for lapsed access once a charge
+   * has paid for access again
+   * @param {Object} student - Enrollment document
+   * @returns {Object|null} - Updated enrollment, or null if nothing changed
+   */
+  async restoreAccess(student, now = new Date()) {
+    if (student.status !== STUDENT_STATUS.SUSPENDED || !student.subscription?.suspendedAt || !(student.accessEndsAt > now)) {
+      return null;
+    }
+
+    try {
+      const { student: restored } = await studentLifecycleService.transition(student, STUDENT_STATUS.ENROLLED, {
+        reason: 'Monthly payment received',
+        changedBy: 'system',
+      });
+      await Enrollment.updateOne({ _id: student._id }, { $unset: { 'subscription.suspendedAt': '' } });
+      restored.subscription.suspendedAt = undefined;
+      return restored;
+    } catch (error) {
+      // Staff changed the status meanwhile; leave it to them
+      console.error(`Could not restore access of ${student.studentId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record a status Razorpay reported for the subscription (halted,
+   * cancelled, completed); ended subscriptions also get their end time
+   * @param {Object} student - Enrollment document
+   * @param {string} status - SUBSCRIPTION_STATUS value
+   * @returns {Object} - Updated enrollment
+   */
+  async updateStatus(student, status, now = new Date()) {
+    const $set = { 'subscription.status': status, lastActivity: now };
+    if (ENDED_SUBSCRIPTION_STATUSES.includes(status) && !student.subscription?.endedAt) {
+      $set['subscription.endedAt'] = now;
+    }
+    return Enrollment.findOneAndUpdate({ _id: student._id }, { $set }, { new: true });
+  }
+
+  /**
+   * Cancel a learner's subscription. An active one stops renewing and the
+   * learner keeps access until accessEndsAt; any other (unpaid, halted) one,
+   * or with { immediately }, is cancelled at once.
+   * @param {Object} student - Enrollment document
+   * @param {Object} options - { changedBy, immediately }
+   * @returns {Object} - Updated enrollment
+   */
+  async cancel(student, { changedBy = 'system', immediately = false } = {}, now = new Date()) {
+    if (!isSubscription(student)) {
+      throw new ConflictError(`${student.studentId} is not billed monthly`);
+    }
+    if (isSubscriptionEnded(student) || (student.subscription.cancelRequestedAt && !immediately)) {
+      throw new ConflictError(`The subscription of ${student.studentId} has already been cancelled`);
+    }
+
+    const cancelAtCycleEnd = !immediately && student.subscription.status === SUBSCRIPTION_STATUS.ACTIVE;
+    let subscription;
+    try {
+      subscription = await getPaymentGateway().cancelSubscription(student.subscription.razorpaySubscriptionId, { cancelAtCycleEnd });
+    } catch (error) {
+      console.error(`Could not cancel subscription ${student.subscription.razorpaySubscriptionId}:`, error.message || error);
+      throw new ExternalServiceError('Could not cancel the subscription with Razorpay', 'razorpay');
+    }
+
+    const $set = {
+      'subscription.cancelRequestedAt': student.subscription.cancelRequestedAt || now,
+      'subscription.cancelledBy': student.subscription.cancelledBy || changedBy,
+      'subscription.status': subscription.status,
+      lastActivity: now,
+    };
+    if (ENDED_SUBSCRIPTION_STATUSES.includes(subscription.status)) {
+      $set['subscription.endedAt'] = now;
+    }
+
+    return Enrollment.findOneAndUpdate({ _id: student._id }, { $set }, { new: true });
+  }
+
+  /**
+   * Run one sweep over enrollments whose paid access ran out. Overlapping
+   * runs are skipped.
+   * @param {Date} now - Current time
+   * @returns {Object|null} - { completed, cancelled, suspended }, or null if a sweep is already running
+   */
+  async sweep(now = new Date()) {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const { completed, cancelled } = await this.closeEnded(now);
+      const suspended = await this.suspendLapsed(now);
+      return { completed, cancelled, suspended };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Close enrollments whose subscription ended once the access paid for is
+   * over: completed when every month was charged, cancelled when the
+   * subscription was cancelled or expired before that. Either way the
+   * student gets the matching email.
+   * @returns {Object} - { completed, cancelled } numbers of enrollments
+   */
+  async closeEnded(now = new Date()) {
+    const candidates = await Enrollment.find({
+      paymentStatus: PAYMENT_STATUS.SUCCESS,
+      status: STUDENT_STATUS.ENROLLED,
+      'subscription.status': { $in: ENDED_SUBSCRIPTION_STATUSES },
+      accessEndsAt: { $lte: now },
+    }).limit(SWEEP_BATCH_SIZE);
+
+    const closed = { completed: 0, cancelled: 0 };
+    for (const student of candidates) {
+      const { status, charges = [], totalCount } = student.subscription;
+      const fullyCharged = status === SUBSCRIPTION_STATUS.COMPLETED || (totalCount > 0 && charges.length >= totalCount);
+      try {
+        if (fullyCharged) {
+          await studentLifecycleService.transition(student, STUDENT_STATUS.COMPLETED, {
+            reason: `Monthly subscription ended; access ran until ${formatDate(student.accessEndsAt)}`,
+            changedBy: 'system',
+          });
+          closed.completed++;
+        } else {
+          await studentLifecycleService.transition(student, STUDENT_STATUS.CANCELLED, {
+            reason: `Monthly subscription ${status} after ${charges.length} of ${totalCount} months; access ran until ${formatDate(student.accessEndsAt)}`,
+            changedBy: 'system',
+          });
+          closed.cancelled++;
+        }
+      } catch (error) {
+        console.error(`Could not close ${student.studentId} after its subscription ended:`, error.message);
+      }
+    }
+
+    return closed;
+  }
+
+  /**
+   * Suspend enrolled students whose month ran out SUBSCRIPTION_GRACE_DAYS
+   * ago without a charge (Razorpay retries a failed charge for a few days,
+   * then halts the subscription); the next charge restores access
+   * @returns {number} - Number of enrollments suspended
+   */
+  async suspendLapsed(now = new Date()) {
+    const cutoff = new Date(now.getTime() - config.SUBSCRIPTION_GRACE_DAYS * DAY_MS);
+    const candidates = await Enrollment.find({
+      paymentStatus: PAYMENT_STATUS.SUCCESS,
+      status: STUDENT_STATUS.ENROLLED,
+      'subscription.razorpaySubscriptionId': { $exists: true },
+      'subscription.status': { $nin: ENDED_SUBSCRIPTION_STATUSES },
+      accessEndsAt: { $lte: cutoff },
+    }).limit(SWEEP_BATCH_SIZE);
+
+    let suspended = 0;
+    for (const student of candidates) {
+      try {
+        await this.suspend(student, now);
+        suspended++;
+      } catch (error) {
+        // Changed meanwhile (e.g. the charge just landed); the next sweep looks again
+        console.error(`Could not suspend ${student.studentId} for lapsed access:`, error.message);
+      }
+    }
+
+    return suspended;
+  }
+
+  /**
+   * Suspend an enrollment whose monthly payment did not come in; the
+   * lifecycle service records and emails the change
+   * @param {Object} student - Enrolled student billed by subscription
+   * @returns {Object} - Updated enrollment
+   */
+  async suspend(student, now = new Date()) {
+    const { student: suspended } = await studentLifecycleService.transition(student, STUDENT_STATUS.SUSPENDED, {
+      reason: `Monthly payment not received (access ended ${formatDate(student.accessEndsAt)})`,
+      changedBy: 'system',
+    });
+    await Enrollment.updateOne({ _id: student._id }, { $set: { 'subscription.suspendedAt': now } });
+    suspended.subscription.suspendedAt = now;
+    return suspended;
+  }
+
+  /**
+   * Mongo filter for the enrollments billed monthly, by subscription status
+   * or access ending before a date
+   * @param {Object} query - { status, accessEndsBefore }
+   * @returns {Object}
+   */
+  listFilter({ status, accessEndsBefore } = {}) {
+    const filter = { 'subscription.razorpaySubscriptionId': { $exists: true } };
+    if (status) {
+      filter['subscription.status'] = String(status).toLowerCase();
+      if (!Object.values(SUBSCRIPTION_STATUS).includes(filter['subscription.status'])) {
+        throw new ValidationError(`Status must be one of ${Object.values(SUBSCRIPTION_STATUS).join(', ')}`);
+      }
+    }
+    if (accessEndsBefore) {
+      filter.accessEndsAt = { $lte: new Date(accessEndsBefore) };
+      if (isNaN(filter.accessEndsAt.$lte.getTime())) {
+        throw new ValidationError('accessEndsBefore must be a date');
+      }
+    }
+    return filter;
+  }
+
+  /**
+   * Find the enrollment a subscription belongs to
+   * @param {string} subscriptionId - Razorpay subscription id
+   * @throws {NotFoundError}
+   */
+  async findStudent(subscriptionId) {
+    const student = subscriptionId ? await Enrollment.findByRazorpaySubscriptionId(String(subscriptionId)) : null;
+    if (!student) {
+      throw new NotFoundError(`Student record not found for subscription ${subscriptionId}`);
+    }
+    return student;
+  }
+
+  /**
+   * Run the sweep every SUBSCRIPTION_SWEEP_INTERVAL_MINUTES (0 disables it)
+   */
+  start() {
+    if (this.timer || !(config.SUBSCRIPTION_SWEEP_INTERVAL_MINUTES > 0)) {
+      return;
+    }
+
+    const run = () => this.sweep()
+      .then(result => {
+        if (result && (result.completed || result.cancelled || result.suspended)) {
+          console.log('Subscription sweep:', result);
+        }
+      })
+      .catch(error => console.error('Subscription sweep failed:', error));
+
+    this.timer = setInterval(run, config.SUBSCRIPTION_SWEEP_INTERVAL_MINUTES * 60 * 1000);
+    this.timer.unref();
+    run();
+  }
+
+  /**
+   * Stop the scheduled sweep
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export default new SubscriptionService();
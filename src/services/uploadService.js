@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import Upload from '../models/Upload.js';
+import Enrollment from '../models/Enrollment.js';
+import { config } from '../config/index.js';
+import { getDocumentStorage } from './documentStorage.js';
+import { hasPermission } from '../middlewares/auth.js';
+import { AppError, AuthorizationError, NotFoundError, QuotaExceededError } from '../utils/errors.js';
+import {
+  ADMIN_PERMISSIONS,
+  UPLOAD_FILE_TYPES,
+  UPLOAD_OWNER_TYPES,
+  UPLOAD_STATUS,
+  USER_ROLES,
+} from '../config/constants.js';
+
+/**
+ * Upload service
+ * Stores uploaded files under random keys, ties each to an owner, enforces
+ * per-owner quotas, decides who may read or delete a file, and issues
+ * HMAC-signed links that expire.
+ *
+ * Quotas are checked after the upload records are inserted: two requests
+ * racing for the last of an owner's quota can't both see room for their
+ * files, since each counts the other's records.
+ */
+
+// A PENDING upload older than this was interrupted and no longer counts
+const PENDING_UPLOAD_TTL_MS = 60 * 60 * 1000;
+
+const sha256Hex = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Multer reads the UTF-8 file name from the multipart header as latin1
+const decodeFileName = (name) => Buffer.from(name || '', 'latin1').toString('utf8');
+
+class UploadService {
+  /**
+   * Owner of new uploads: the staff user, or a student they upload for
+   * @param {Object} user - req.user
+   * @param {string} studentId - Optional studentId to upload for
+   * @returns {Object} - { type, id }
+   */
+  async resolveOwner(user, studentId) {
+    if (!studentId) {
+      return { type: UPLOAD_OWNER_TYPES.STAFF, id: String(user.id) };
+    }
+
+    if (!hasPermission(user, ADMIN_PERMISSIONS.STUDENTS_MANAGE)) {
+      throw new AuthorizationError('Uploading files for a student needs the students:manage permission');
+    }
+    const student = await Enrollment.findOne({ studentId: String(studentId) }).select('studentId');
+    if (!student) {
+      throw new NotFoundError(`Student ${studentId} not found`);
+    }
+    return { type: UPLOAD_OWNER_TYPES.STUDENT, id: student.studentId };
+  }
+
+  /**
+   * Whether a user may view or download an upload
+   * Staff files: their owner and admins. Student files: staff who may see student documents.
+   */
+  canRead(user, upload) {
+    if (upload.owner.type === UPLOAD_OWNER_TYPES.STUDENT) {
+      return hasPermission(user, ADMIN_PERMISSIONS.STUDENT_DOCUMENTS_READ);
+    }
+    return upload.owner.id === String(user?.id) || user?.role === USER_ROLES.ADMIN;
+  }
+
+  /**
+   * Whether a user may delete an upload
+   * Staff files: their owner and admins. Student files: staff who manage students.
+   */
+  canManage(user, upload) {
+    if (upload.owner.type === UPLOAD_OWNER_TYPES.STUDENT) {
+      return hasPermission(user, ADMIN_PERMISSIONS.STUDENTS_MANAGE);
+    }
+    return upload.owner.id === String(user?.id) || user?.role === USER_ROLES.ADMIN;
+  }
+
+  /**
+   * Files and bytes counted against an owner's quota
+   * @param {Object} owner - { type, id }
+   * @returns {Object} - { files, bytes }
+   */
+  async getUsage(owner) {
+    const [usage] = await Upload.aggregate([
+      {
+        $match: {
+          'owner.type': owner.type,
+          'owner.id': owner.id,
+          $or: [
+            { status: UPLOAD_STATUS.READY },
+            { createdAt: { $gte: new Date(Date.now() - PENDING_UPLOAD_TTL_MS) } },
+          ],
+        },
+      },
+      { $group: { _id: null, files: { $sum: 1 }, bytes: { $sum: '$size' } } },
+    ]);
+    return { files: usage?.files || 0, bytes: usage?.bytes || 0 };
+  }
+
+  getQuota() {
+    return { files: config.UPLOAD_QUOTA_FILES, bytes: config.UPLOAD_QUOTA_BYTES };
+  }
+
+  /**
+   * Store uploaded files for an owner
+   * @param {Object} owner - { type, id }
+   * @param {Array} files - Multer files (memory storage)
+   * @param {Object} uploadedBy - { id, email }
+   * @returns {Array} - Upload documents
+   * @throws {QuotaExceededError} - When the files don't fit in the owner's quota
+   */
+  async create(owner, files, uploadedBy) {
+    const uploads = await Upload.insertMany(files.map(file => ({
+      owner,
+      key: `uploads/${owner.type}/${crypto.randomUUID()}${UPLOAD_FILE_TYPES[file.mimetype] || ''}`,
+      originalName: decodeFileName(file.originalname),
+      mimeType: file.mimetype,
+      size: file.size,
+      uploadedBy,
+      status: UPLOAD_STATUS.PENDING,
+    })));
+
+    try {
+      const usage = await this.getUsage(owner);
+      const quota = this.getQuota();
+      if (usage.files > quota.files || usage.bytes > quota.bytes) {
+        const added = uploads.reduce((total, upload) => total + upload.size, 0);
+        throw new QuotaExceededError('Upload quota exceeded', {
+          quota,
+          used: { files: usage.files - uploads.length, bytes: usage.bytes - added },
+          requested: { files: uploads.length, bytes: added },
+        });
+      }
+
+      for (const [index, upload] of uploads.entries()) {
+        await getDocumentStorage().put(upload.key, files[index].buffer, { contentType: upload.mimeType });
+        upload.checksum = sha256Hex(files[index].buffer);
+        upload.status = UPLOAD_STATUS.READY;
+        await Upload.updateOne({ _id: upload._id }, { $set: { checksum: upload.checksum, status: upload.status } });
+      }
+      return uploads;
+    } catch (error) {
+      await this.discard(uploads);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove uploads and their files
+   * @param {Array} uploads - Upload documents
+   */
+  async discard(uploads) {
+    await Promise.all(uploads.map(upload => getDocumentStorage().delete(upload.key)
+      .catch(error => console.error(`Failed to remove uploaded file ${upload.key}:`, error.message))));
+    await Upload.deleteMany({ _id: { $in: uploads.map(upload => upload._id) } });
+  }
+
+  /**
+   * Read an upload's file
+   * @param {Object} upload - READY upload document
+   * @returns {Buffer}
+   */
+  async read(upload) {
+    const buffer = await getDocumentStorage().get(upload.key);
+    if (upload.checksum && sha256Hex(buffer) !== upload.checksum) {
+      throw new AppError(`Uploaded file ${upload._id} does not match its checksum`);
+    }
+    return buffer;
+  }
+
+  signature(uploadId, expires) {
+    return crypto.createHmac('sha256', config.UPLOAD_URL_SECRET).update(`${uploadId}:${expires}`).digest('hex');
+  }
+
+  /**
+   * Link to an upload's content that works without logging in until it expires
+   * @param {Object} upload - Upload document
+   * @param {number} expiresIn - Seconds (default UPLOAD_URL_TTL_SECONDS, at most UPLOAD_URL_MAX_TTL_SECONDS)
+   * @returns {Object} - { url, expiresAt }
+   */
+  getSignedUrl(upload, expiresIn) {
+    const ttl = Math.min(Math.max(parseInt(expiresIn) || config.UPLOAD_URL_TTL_SECONDS, 1), config.UPLOAD_URL_MAX_TTL_SECONDS);
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    const baseUrl = process.env.BASE_URL || 'http://localhost:8000';
+
+    return {
+      url: `${baseUrl}/api/v1/upload/${upload._id}/content?expires=${expires}&signature=${this.signature(upload._id, expires)}`,
+      expiresAt: new Date(expires * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Check a signed link's signature and expiry
+   * @param {string} uploadId - Upload id from the path
+   * @param {string} expires - Unix seconds from the query string
+   * @param {string} signature - Hex HMAC from the query string
+   * @returns {boolean}
+   */
+  verifySignedUrl(uploadId, expires, signature) {
+    if (!/^\d{1,12}$/.test(String(expires)) || Number(expires) < Date.now() / 1000) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.signature(uploadId, expires));
+    const given = Buffer.from(String(signature || ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Upload as returned by the API (storage key left out)
+   */
+  format(upload) {
+    return {
+      id: upload._id,
+      owner: { type: upload.owner.type, id: upload.owner.id },
+      originalName: upload.originalName,
+      mimeType: upload.mimeType,
+      size: upload.size,
+      checksum: upload.checksum || null,
+      uploadedBy: upload.uploadedBy?.email || null,
+      createdAt: upload.createdAt,
+      url: `/api/v1/upload/${upload._id}/content`,
+    };
+  }
+}
+
+export default new UploadService();
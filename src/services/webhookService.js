@@ -0,0 +1,435 @@
+import crypto from 'crypto';
+import WebhookEvent from '../models/WebhookEvent.js';
+import Enrollment from '../models/Enrollment.js';
+import { PAYMENT_STATUS, WEBHOOK_EVENT_STATUS, AUDIT_ACTIONS, AUDIT_ACTOR_TYPES, INSTALLMENT_STATUS, STUDENT_STATUS, SUBSCRIPTION_STATUS, REFUND_STATUS } from '../config/constants.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { requestInvoiceEmail } from '../utils/invoiceEmail.js';
+import { findInstallmentByOrderId, getCheckoutAmountINR } from '../utils/installments.js';
+import refundService from './refundService.js';
+import installmentService from './installmentService.js';
+import subscriptionService from './subscriptionService.js';
+import referralService from './referralService.js';
+import studentLifecycleService from './studentLifecycleService.js';
+import auditService from './auditService.js';
+
+/**
+ * Webhook service
+ * Verifies, records and processes Razorpay webhook deliveries
+ */
+
+// How long a RECEIVED event is left to its first attempt before a
+// redelivery may run it again
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+class WebhookService {
+  constructor() {
+    this.handlers = {
+      'payment.captured': this.handlePaymentCaptured.bind(this),
+      'order.paid': this.handlePaymentCaptured.bind(this),
+      'payment.failed': this.handlePaymentFailed.bind(this),
+      'refund.processed': this.handleRefundProcessed.bind(this),
+      'refund.failed': this.handleRefundFailed.bind(this),
+      'subscription.charged': this.handleSubscriptionCharged.bind(this),
+      'subscription.halted': this.handleSubscriptionHalted.bind(this),
+      'subscription.cancelled': this.handleSubscriptionEnded.bind(this),
+      'subscription.completed': this.handleSubscriptionEnded.bind(this),
+    };
+  }
+
+  /**
+   * Verify the X-Razorpay-Signature header against the raw request body
+   * @param {Buffer|string} rawBody - Raw request body exactly as received
+   * @param {string} signature - Signature from the X-Razorpay-Signature header
+   * @param {string} secret - Webhook secret configured in the Razorpay dashboard
+   * @returns {boolean} - True if the signature matches
+   */
+  verifySignature(rawBody, signature, secret = process.env.RAZORPAY_WEBHOOK_SECRET) {
+    if (!rawBody || !signature || !secret) {
+      return false;
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature));
+
+    return (
+      expectedBuffer.length === signatureBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, signatureBuffer)
+    );
+  }
+
+  /**
+   * Resolve the event id for a delivery
+   * Razorpay sends it in X-Razorpay-Event-Id; fall back to a hash of the body
+   * so redeliveries of the same payload are still de-duplicated
+   * @param {string} headerEventId - Value of the X-Razorpay-Event-Id header
+   * @param {Buffer|string} rawBody - Raw request body
+   * @returns {string} - Event id
+   */
+  resolveEventId(headerEventId, rawBody) {
+    if (headerEventId) {
+      return String(headerEventId);
+    }
+
+    return `sha256_${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+  }
+
+  /**
+   * Store a webhook delivery. A redelivery of an event that failed, or whose
+   * first attempt never finished, is handed back to be processed again;
+   * any other redelivery is a duplicate.
+   * @param {string} eventId - Event id
+   * @param {Object} body - Parsed webhook body
+   * @param {Date} now - Current time
+   * @returns {Object} - { webhookEvent, duplicate }
+   */
+  async recordEvent(eventId, body, now = new Date()) {
+    if (!body || !body.event) {
+      throw new ValidationError('Webhook payload is missing the event type');
+    }
+
+    const payment = body.payload?.payment?.entity;
+    const order = body.payload?.order?.entity;
+
+    try {
+      const webhookEvent = await WebhookEvent.create({
+        eventId,
+        event: body.event,
+        payload: body,
+        razorpayOrderId: payment?.order_id || order?.id,
+        razorpayPaymentId: payment?.id,
+      });
+
+      return { webhookEvent, duplicate: false };
+    } catch (error) {
+      if (error.code === 11000) {
+        const retry = await WebhookEvent.claimForRetry(eventId, new Date(now.getTime() - PROCESSING_LEASE_MS));
+        if (retry) {
+          return { webhookEvent: retry, duplicate: false };
+        }
+
+        const webhookEvent = await WebhookEvent.findByEventId(eventId);
+        return { webhookEvent, duplicate: true };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run the handler for a stored event and record the outcome
+   * @param {Object} webhookEvent - WebhookEvent document
+   * @returns {Object} - Updated WebhookEvent document
+   */
+  async processEvent(webhookEvent) {
+    const handler = this.handlers[webhookEvent.event];
+
+    webhookEvent.attempts += 1;
+
+    if (!handler) {
+      webhookEvent.status = WEBHOOK_EVENT_STATUS.IGNORED;
+      webhookEvent.result = `No handler for event ${webhookEvent.event}`;
+      webhookEvent.processedAt = new Date();
+      return webhookEvent.save();
+    }
+
+    try {
+      webhookEvent.result = await handler(webhookEvent.payload);
+      webhookEvent.status = WEBHOOK_EVENT_STATUS.PROCESSED;
+      webhookEvent.lastError = undefined;
+      webhookEvent.processedAt = new Date();
+    } catch (error) {
+      console.error(`Webhook event ${webhookEvent.eventId} failed:`, error);
+      webhookEvent.status = WEBHOOK_EVENT_STATUS.FAILED;
+      webhookEvent.lastError = error.message;
+    }
+
+    return webhookEvent.save();
+  }
+
+  /**
+   * Re-run a stored event (used by the admin replay route)
+   * @param {string} eventId - Event id
+   * @returns {Object} - Updated WebhookEvent document
+   */
+  async replayEvent(eventId) {
+    const webhookEvent = await WebhookEvent.findByEventId(eventId);
+
+    if (!webhookEvent) {
+      throw new NotFoundError(`Webhook event ${eventId} not found`);
+    }
+
+    return this.processEvent(webhookEvent);
+  }
+
+  /**
+   * Order referenced by a webhook payload
+   * @param {Object} body - Webhook body
+   * @returns {string|undefined} - Razorpay order id
+   */
+  getOrderId(body) {
+    return body.payload?.payment?.entity?.order_id || body.payload?.order?.entity?.id;
+  }
+
+  /**
+   * Whether a payment event is for a subscription charge (Razorpay raises
+   * an invoice for every charge); those are recorded from subscription.charged
+   * @param {Object} body - Webhook body
+   * @returns {boolean}
+   */
+  isSubscriptionPayment(body) {
+    return Boolean(body.payload?.payment?.entity?.invoice_id);
+  }
+
+  /**
+   * Reject a captured payment whose amount isn't what the order was for
+   * @param {Object} body - Webhook body
+   * @param {number} expectedINR - Amount the order was created for
+   * @param {string} label - What was being paid, for the error message
+   */
+  assertCapturedAmount(body, expectedINR, label) {
+    const amount = body.payload?.payment?.entity?.amount;
+
+    if (amount !== Math.round(Number(expectedINR) * 100)) {
+      throw new ValidationError(`Captured ₹${(Number(amount) || 0) / 100} but ${label} is ₹${expectedINR}`);
+    }
+  }
+
+  /**
+   * Find the student that owns the order referenced by a webhook payload
+   * @param {Object} body - Webhook body
+   * @returns {Object} - Student document
+   */
+  async findStudentForPayload(body) {
+    const orderId = this.getOrderId(body);
+
+    if (!orderId) {
+      throw new ValidationError('Webhook payload does not reference an order');
+    }
+
+    const student = await Enrollment.findByRazorpayOrderId(orderId);
+
+    if (!student) {
+      throw new NotFoundError(`Student record not found for order ${orderId}`);
+    }
+
+    return student;
+  }
+
+  /**
+   * Record a payment status change made by a webhook in the audit log.
+   * A failed audit write is logged rather than failing the webhook.
+   */
+  async auditPaymentChange(action, student, before, paymentId, { installment = null, charge = null } = {}) {
+    const metadata = { razorpayOrderId: student.razorpayOrderId, razorpayPaymentId: paymentId };
+    if (installment) {
+      Object.assign(metadata, { razorpayOrderId: installment.razorpayOrderId, installment: installment.number });
+    }
+    if (charge) {
+      Object.assign(metadata, {
+        razorpayOrderId: charge.razorpayOrderId,
+        razorpaySubscriptionId: student.subscription.razorpaySubscriptionId,
+        charge: charge.number,
+      });
+    }
+
+    try {
+      await auditService.record({
+        actor: { type: AUDIT_ACTOR_TYPES.SYSTEM, id: 'razorpay-webhook' },
+        action,
+        target: { type: 'student', id: student.studentId },
+        before,
+        after: installment
+          ? { installmentStatus: installment.status, status: student.status }
+          : { paymentStatus: student.paymentStatus, status: student.status, ...(charge ? { accessEndsAt: student.accessEndsAt } : {}) },
+        metadata,
+      });
+    } catch (error) {
+      console.error(`Audit log write failed for ${action}:`, error);
+    }
+  }
+
+  /**
+   * payment.captured / order.paid - mark the student's payment as successful
+   * (or, for a later installment's order, that installment as paid)
+   */
+  async handlePaymentCaptured(body) {
+    if (this.isSubscriptionPayment(body)) {
+      return `Subscription charge ${body.payload.payment.entity.id} is recorded from subscription.charged`;
+    }
+
+    const student = await this.findStudentForPayload(body);
+    const paymentId = body.payload?.payment?.entity?.id;
+
+    const installment = findInstallmentByOrderId(student, this.getOrderId(body));
+    if (installment) {
+      this.assertCapturedAmount(body, installment.amountINR, `installment ${installment.number} of ${student.studentId}`);
+      return this.handleInstallmentCaptured(student, installment, paymentId);
+    }
+
+    if (student.paymentStatus === PAYMENT_STATUS.SUCCESS) {
+      // Numbers a payment confirmed before numbering could fail in the same step
+      await student.assignInvoiceNumber();
+      return `Payment already processed for ${student.studentId}`;
+    }
+
+    this.assertCapturedAmount(body, getCheckoutAmountINR(student), `the amount due at checkout for ${student.studentId}`);
+
+    const before = { paymentStatus: student.paymentStatus, status: student.status };
+    // /verify may confirm the same payment at the same moment; only one of them enrolls
+    if (!await student.updatePaymentStatus(PAYMENT_STATUS.SUCCESS, paymentId)) {
+      return `Payment already processed for ${student.studentId}`;
+    }
+    await this.auditPaymentChange(AUDIT_ACTIONS.PAYMENT_CAPTURE, student, before, paymentId);
+    await studentLifecycleService.notifyLatest(student);
+    await referralService.handleEnrollment(student);
+    await requestInvoiceEmail(student);
+
+    return `Student ${student.studentId} marked ${PAYMENT_STATUS.SUCCESS}`;
+  }
+
+  /**
+   * Record a later installment paid and email its invoice
+   */
+  async handleInstallmentCaptured(student, installment, paymentId) {
+    const before = { installmentStatus: installment.status, status: student.status };
+    const { student: updated, installment: paid, alreadyPaid } = await installmentService.recordPayment(student, installment, paymentId);
+
+    if (alreadyPaid) {
+      return `Installment ${installment.number} already processed for ${student.studentId}`;
+    }
+
+    await this.auditPaymentChange(AUDIT_ACTIONS.PAYMENT_CAPTURE, updated, before, paymentId, { installment: paid });
+    await requestInvoiceEmail(updated, paid);
+
+    return `Installment ${paid.number} of ${updated.studentId} marked ${INSTALLMENT_STATUS.PAID}`;
+  }
+
+  /**
+   * payment.failed - mark the payment failed unless it already succeeded
+   * (a failed attempt can be followed by a successful retry on the same order)
+   */
+  async handlePaymentFailed(body) {
+    // A failed charge is retried by Razorpay; subscription.halted follows if it keeps failing
+    if (this.isSubscriptionPayment(body)) {
+      return `Ignored failed subscription charge ${body.payload.payment.entity.id}`;
+    }
+
+    const student = await this.findStudentForPayload(body);
+
+    // A failed installment attempt can be retried from its pay link; the
+    // enrollment's own payment is unaffected
+    const installment = findInstallmentByOrderId(student, this.getOrderId(body));
+    if (installment) {
+      return `Ignored failed attempt on installment ${installment.number} of ${student.studentId}`;
+    }
+
+    if (student.paymentStatus === PAYMENT_STATUS.SUCCESS) {
+      return `Ignored failure for already paid student ${student.studentId}`;
+    }
+
+    const before = { paymentStatus: student.paymentStatus, status: student.status };
+    await student.updatePaymentStatus(PAYMENT_STATUS.FAILED);
+    await this.auditPaymentChange(AUDIT_ACTIONS.PAYMENT_FAIL, student, before, body.payload?.payment?.entity?.id);
+
+    return `Student ${student.studentId} marked ${PAYMENT_STATUS.FAILED}`;
+  }
+
+  /**
+   * refund.processed - record the refund (and its credit note) against the student;
+   * the refund service marks the payment refunded once the full amount is returned
+   */
+  async handleRefundProcessed(body) {
+    const student = await this.findStudentForPayload(body);
+    const refundEntity = body.payload?.refund?.entity;
+
+    if (!refundEntity?.id) {
+      throw new ValidationError('Refund entity missing from refund.processed payload');
+    }
+
+    const { student: updated, refund } = await refundService.recordGatewayRefund(student, refundEntity);
+
+    return `Refund ${refund.refundId} of ₹${refund.amountINR} recorded for ${updated.studentId} (credit note ${refund.creditNoteNumber}), payment ${updated.paymentStatus}`;
+  }
+
+  /**
+   * refund.failed - a refund we recorded could not be completed; it no
+   * longer counts towards the refunded amount
+   */
+  async handleRefundFailed(body) {
+    const student = await this.findStudentForPayload(body);
+    const refundEntity = body.payload?.refund?.entity;
+
+    if (!refundEntity?.id) {
+      throw new ValidationError('Refund entity missing from refund.failed payload');
+    }
+
+    const { student: updated, refund } = await refundService.recordFailedRefund(student, refundEntity);
+
+    if (!refund) {
+      return `Ignored failed refund ${refundEntity.id}, never recorded for ${student.studentId}`;
+    }
+
+    return `Refund ${refund.refundId} of ₹${refund.amountINR} for ${updated.studentId} ${REFUND_STATUS.FAILED}, payment ${updated.paymentStatus}`;
+  }
+
+  /**
+   * subscription.charged - record a monthly charge, extend access by a month
+   * and email its invoice (the first charge is the checkout payment and
+   * enrolls the student)
+   */
+  async handleSubscriptionCharged(body) {
+    const student = await subscriptionService.findStudent(body.payload?.subscription?.entity?.id);
+    const payment = body.payload?.payment?.entity;
+
+    if (!payment?.id) {
+      throw new ValidationError('Payment entity missing from subscription.charged payload');
+    }
+
+    const before = { paymentStatus: student.paymentStatus, status: student.status, accessEndsAt: student.accessEndsAt };
+    const { student: updated, charge, alreadyRecorded } = await subscriptionService.recordCharge(student, payment);
+
+    if (alreadyRecorded) {
+      return `Charge ${payment.id} already processed for ${student.studentId}`;
+    }
+
+    await this.auditPaymentChange(AUDIT_ACTIONS.PAYMENT_CAPTURE, updated, before, payment.id, { charge });
+    if (charge.number === 1) {
+      await referralService.handleEnrollment(updated);
+    }
+    await requestInvoiceEmail(updated, null, charge);
+
+    return `Charge ${charge.number} of ${updated.studentId} recorded, access until ${updated.accessEndsAt.toISOString()}`;
+  }
+
+  /**
+   * subscription.halted - Razorpay gave up retrying a charge; suspend the
+   * enrollment now if its paid access already ran out (otherwise the
+   * subscription sweep does when it does)
+   */
+  async handleSubscriptionHalted(body) {
+    const student = await subscriptionService.findStudent(body.payload?.subscription?.entity?.id);
+    const updated = await subscriptionService.updateStatus(student, SUBSCRIPTION_STATUS.HALTED);
+
+    if (updated.status === STUDENT_STATUS.ENROLLED && updated.accessEndsAt && updated.accessEndsAt <= new Date()) {
+      await subscriptionService.suspend(updated);
+      return `Subscription of ${updated.studentId} halted, enrollment ${STUDENT_STATUS.SUSPENDED}`;
+    }
+
+    return `Subscription of ${updated.studentId} halted`;
+  }
+
+  /**
+   * subscription.cancelled / subscription.completed - no more charges; the
+   * learner keeps access until accessEndsAt
+   */
+  async handleSubscriptionEnded(body) {
+    const entity = body.payload?.subscription?.entity;
+    const student = await subscriptionService.findStudent(entity?.id);
+    const status = body.event === 'subscription.completed' ? SUBSCRIPTION_STATUS.COMPLETED : SUBSCRIPTION_STATUS.CANCELLED;
+    const updated = await subscriptionService.updateStatus(student, status);
+
+    return `Subscription of ${updated.studentId} ${status}${updated.accessEndsAt ? `, access until ${updated.accessEndsAt.toISOString()}` : ''}`;
+  }
+}
+
+export default new WebhookService();
@@ -0,0 +1,42 @@
+import { hasPermission, requirePermission, requireStaff } from '../middlewares/auth.js';
+import { ADMIN_PERMISSIONS, USER_ROLES } from '../config/constants.js';
+
+describe('Admin Permissions', () => {
+  const run = (middleware, user) => {
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    const next = jest.fn();
+    middleware({ user }, res, next);
+    return { res, next };
+  };
+
+  it('should grant admins every permission', () => {
+    Object.values(ADMIN_PERMISSIONS).forEach(permission => {
+      expect(hasPermission({ role: USER_ROLES.ADMIN }, permission)).toBe(true);
+    });
+  });
+
+  it('should keep documents from finance and amounts from support', () => {
+    expect(hasPermission({ role: USER_ROLES.FINANCE }, ADMIN_PERMISSIONS.PAYMENTS_READ)).toBe(true);
+    expect(hasPermission({ role: USER_ROLES.FINANCE }, ADMIN_PERMISSIONS.STUDENT_DOCUMENTS_READ)).toBe(false);
+    expect(hasPermission({ role: USER_ROLES.SUPPORT }, ADMIN_PERMISSIONS.STUDENT_CONTACTS_READ)).toBe(true);
+    expect(hasPermission({ role: USER_ROLES.SUPPORT }, ADMIN_PERMISSIONS.PAYMENTS_READ)).toBe(false);
+  });
+
+  it('should reject non-staff users', () => {
+    const { res, next } = run(requireStaff, { role: USER_ROLES.USER });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('should require every listed permission', () => {
+    const middleware = requirePermission(ADMIN_PERMISSIONS.PAYMENTS_READ, ADMIN_PERMISSIONS.PAYMENTS_MANAGE);
+
+    expect(run(middleware, { role: USER_ROLES.FINANCE }).next).toHaveBeenCalled();
+    expect(run(middleware, { role: USER_ROLES.SUPPORT }).res.status).toHaveBeenCalledWith(403);
+    expect(run(middleware, undefined).res.status).toHaveBeenCalledWith(401);
+  });
+});
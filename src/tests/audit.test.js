@@ -0,0 +1,83 @@
+import AuditLog from '../models/AuditLog.js';
+import auditService from '../services/auditService.js';
+import { AUDIT_ACTIONS, AUDIT_ACTOR_TYPES } from '../config/constants.js';
+
+describe('Audit Log', () => {
+  // In-memory collection: entries are stored as they would read back from Mongo
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+    jest.spyOn(AuditLog, 'findOne').mockImplementation((filter) => {
+      if (filter?.seq) {
+        return Promise.resolve(stored.find(entry => entry.seq === filter.seq) || null);
+      }
+      return { sort: () => ({ select: async () => stored[stored.length - 1] || null }) };
+    });
+    jest.spyOn(AuditLog.prototype, 'save').mockImplementation(async function() {
+      if (stored.some(entry => entry.seq === this.seq)) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      stored.push(AuditLog.hydrate(JSON.parse(JSON.stringify(this.toObject()))));
+      return this;
+    });
+    jest.spyOn(AuditLog, 'find').mockImplementation(() => ({
+      sort: () => ({ limit: async (limit) => stored.slice(0, limit) }),
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const recordSome = () => Promise.all([
+    auditService.record({
+      actor: { type: AUDIT_ACTOR_TYPES.STAFF, email: 'Ops@Example.com' },
+      action: AUDIT_ACTIONS.STUDENT_TRANSITION,
+      target: { type: 'student', id: 'STU-1' },
+      before: { status: 'ENROLLED' },
+      after: { status: 'SUSPENDED' },
+      metadata: { reason: 'Chargeback' },
+    }),
+    auditService.record({ action: AUDIT_ACTIONS.PAYMENT_CAPTURE, target: { type: 'student', id: 'STU-2' } }),
+    auditService.record({ action: AUDIT_ACTIONS.INVOICE_SEND, metadata: {} }),
+  ]);
+
+  it('should diff snapshots and keep ID numbers and documents out of the log', () => {
+    const changes = auditService.diff(
+      { status: 'PENDING', idNumber: 'ABCDE1234F', idDocumentBase64: 'data:a', email: 'a@x.com' },
+      { status: 'ENROLLED', idNumber: 'ABCDE9876F', idDocumentBase64: 'data:b', email: 'a@x.com' }
+    );
+
+    expect(changes).toEqual([
+      { path: 'status', before: 'PENDING', after: 'ENROLLED' },
+      { path: 'idNumber', before: '******234F', after: '******876F' },
+      { path: 'idDocumentBase64', before: '[redacted]', after: '[redacted]' },
+    ]);
+  });
+
+  it('should chain entries written at the same time', async () => {
+    await recordSome();
+
+    expect(stored.map(entry => entry.seq)).toEqual([1, 2, 3]);
+    expect(stored[1].prevHash).toBe(stored[0].hash);
+    expect(stored[2].prevHash).toBe(stored[1].hash);
+    expect(await auditService.verifyChain()).toMatchObject({ valid: true, checked: 3, lastSeq: 3 });
+  });
+
+  it('should detect edited and removed entries', async () => {
+    await recordSome();
+
+    stored[1].target.id = 'STU-3';
+    expect((await auditService.verifyChain()).firstInvalid).toEqual({ seq: 2, reason: 'Entry content does not match its hash' });
+
+    stored.splice(1, 1);
+    expect((await auditService.verifyChain()).firstInvalid).toEqual({ seq: 2, reason: 'Entry is missing' });
+  });
+
+  it('should refuse updates and deletes through the model', async () => {
+    jest.restoreAllMocks();
+    await expect(AuditLog.updateOne({ seq: 1 }, { $set: { action: 'x' } })).rejects.toThrow('cannot be modified');
+    await expect(AuditLog.deleteMany({})).rejects.toThrow('cannot be modified');
+  });
+});
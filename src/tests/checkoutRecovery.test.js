@@ -0,0 +1,164 @@
+import Enrollment from '../models/Enrollment.js';
+import checkoutRecoveryService from '../services/checkoutRecoveryService.js';
+import couponService from '../services/couponService.js';
+import { FakePaymentGateway } from './fakePaymentGateway.js';
+import { setPaymentGateway } from '../services/paymentGateway.js';
+import { config } from '../config/index.js';
+import { CHECKOUT_RECOVERY_OUTCOMES, PAYMENT_STATUS } from '../config/constants.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Checkout Recovery', () => {
+  const now = new Date('2026-06-01T12:00:00Z');
+  const hoursAgo = (hours) => new Date(now.getTime() - hours * HOUR_MS);
+
+  const unpaidStudent = (overrides = {}) => ({
+    studentId: 'STU-1',
+    paymentStatus: PAYMENT_STATUS.PROCESSING,
+    checkoutStartedAt: hoursAgo(2),
+    checkoutRecovery: { reminders: [] },
+    ...overrides,
+  });
+
+  describe('getDueReminder', () => {
+    it('should follow the reminder schedule', () => {
+      const [first, second] = config.CHECKOUT_REMINDER_HOURS;
+
+      expect(checkoutRecoveryService.getDueReminder(unpaidStudent({ checkoutStartedAt: hoursAgo(first / 2) }), now)).toBeNull();
+      expect(checkoutRecoveryService.getDueReminder(unpaidStudent({ checkoutStartedAt: hoursAgo(first) }), now)).toBe(0);
+      expect(checkoutRecoveryService.getDueReminder(unpaidStudent({
+        checkoutStartedAt: hoursAgo(second),
+        checkoutRecovery: { reminders: [{ sentAt: hoursAgo(1) }] },
+      }), now)).toBe(1);
+    });
+
+    it('should stop after the last reminder and once the checkout expired', () => {
+      const reminders = config.CHECKOUT_REMINDER_HOURS.map(() => ({ sentAt: hoursAgo(1) }));
+
+      expect(checkoutRecoveryService.getDueReminder(unpaidStudent({ checkoutRecovery: { reminders } }), now)).toBeNull();
+      expect(checkoutRecoveryService.getDueReminder(unpaidStudent({ checkoutStartedAt: hoursAgo(config.CHECKOUT_TTL_HOURS) }), now)).toBeNull();
+    });
+
+    it('should fall back to createdAt for older records', () => {
+      const student = unpaidStudent({ checkoutStartedAt: undefined, createdAt: hoursAgo(config.CHECKOUT_REMINDER_HOURS[0]) });
+      expect(checkoutRecoveryService.getDueReminder(student, now)).toBe(0);
+    });
+  });
+
+  describe('getOutcome', () => {
+    const reminded = { reminders: [{ sentAt: hoursAgo(1) }] };
+
+    it('should classify followed-up checkouts', () => {
+      expect(checkoutRecoveryService.getOutcome(unpaidStudent({ paymentStatus: PAYMENT_STATUS.SUCCESS, checkoutRecovery: reminded })))
+        .toBe(CHECKOUT_RECOVERY_OUTCOMES.RECOVERED);
+      expect(checkoutRecoveryService.getOutcome(unpaidStudent({ checkoutRecovery: reminded })))
+        .toBe(CHECKOUT_RECOVERY_OUTCOMES.PENDING);
+      expect(checkoutRecoveryService.getOutcome(unpaidStudent({
+        paymentStatus: PAYMENT_STATUS.FAILED,
+        checkoutRecovery: { ...reminded, expiredAt: now },
+      }))).toBe(CHECKOUT_RECOVERY_OUTCOMES.LOST);
+    });
+
+    it('should not count payments made without a reminder as recovered', () => {
+      expect(checkoutRecoveryService.getOutcome(unpaidStudent({ paymentStatus: PAYMENT_STATUS.SUCCESS }))).toBeNull();
+    });
+  });
+
+  describe('expireStaleCheckouts', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const staleCheckouts = (students) => {
+      jest.spyOn(Enrollment, 'find').mockReturnValue({ sort: () => ({ limit: async () => students }) });
+      jest.spyOn(checkoutRecoveryService, 'isOrderPaid').mockResolvedValue(false);
+    };
+
+    it('should release the coupon reserved by an expired checkout', async () => {
+      staleCheckouts([unpaidStudent({ couponCode: 'SAVE10', checkoutStartedAt: hoursAgo(config.CHECKOUT_TTL_HOURS + 1) })]);
+      jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const release = jest.spyOn(couponService, 'releaseRedemption').mockResolvedValue(true);
+
+      expect(await checkoutRecoveryService.expireStaleCheckouts(now)).toBe(1);
+      expect(release).toHaveBeenCalledWith('SAVE10', 'STU-1');
+    });
+
+    it('should keep the coupon of a checkout expired or paid meanwhile', async () => {
+      staleCheckouts([unpaidStudent({ couponCode: 'SAVE10', checkoutStartedAt: hoursAgo(config.CHECKOUT_TTL_HOURS + 1) })]);
+      jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      const release = jest.spyOn(couponService, 'releaseRedemption').mockResolvedValue(true);
+
+      expect(await checkoutRecoveryService.expireStaleCheckouts(now)).toBe(0);
+      expect(release).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resumeCheckout', () => {
+    let gateway;
+
+    beforeEach(() => {
+      gateway = new FakePaymentGateway();
+      setPaymentGateway(gateway);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+      setPaymentGateway(null);
+    });
+
+    const resumableStudent = async (overrides = {}) => {
+      const order = await gateway.createOrder({ amount: 118000, currency: 'INR' });
+      return unpaidStudent({
+        totalINR: 1180,
+        razorpayOrderId: order.id,
+        previousRazorpayOrderIds: [],
+        checkoutStartedAt: new Date(),
+        checkoutRecovery: { token: 'token123', reminders: [{ sentAt: new Date() }] },
+        save: jest.fn().mockResolvedValue(undefined),
+        ...overrides,
+      });
+    };
+
+    it('should reject unknown tokens', async () => {
+      jest.spyOn(Enrollment, 'findOne').mockResolvedValue(null);
+      await expect(checkoutRecoveryService.resumeCheckout('nope')).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('should reuse the open order when the amount is unchanged', async () => {
+      const student = await resumableStudent();
+      const orderId = student.razorpayOrderId;
+      jest.spyOn(Enrollment, 'findOne').mockResolvedValue(student);
+
+      const result = await checkoutRecoveryService.resumeCheckout('token123');
+
+      expect(result.reusedOrder).toBe(true);
+      expect(result.order.id).toBe(orderId);
+      expect(student.checkoutRecovery.resumedAt).toBeInstanceOf(Date);
+    });
+
+    it('should replace an order whose amount no longer matches', async () => {
+      const student = await resumableStudent({ totalINR: 1000 });
+      const oldOrderId = student.razorpayOrderId;
+      jest.spyOn(Enrollment, 'findOne').mockResolvedValue(student);
+
+      const result = await checkoutRecoveryService.resumeCheckout('token123');
+
+      expect(result.reusedOrder).toBe(false);
+      expect(result.order.amount).toBe(100000);
+      expect(student.razorpayOrderId).toBe(result.order.id);
+      expect(student.previousRazorpayOrderIds).toEqual([oldOrderId]);
+    });
+
+    it('should refuse paid and expired checkouts', async () => {
+      jest.spyOn(Enrollment, 'findOne').mockResolvedValue(await resumableStudent({ paymentStatus: PAYMENT_STATUS.SUCCESS }));
+      await expect(checkoutRecoveryService.resumeCheckout('token123')).rejects.toBeInstanceOf(ConflictError);
+
+      jest.spyOn(Enrollment, 'findOne').mockResolvedValue(await resumableStudent({ checkoutStartedAt: hoursAgo(config.CHECKOUT_TTL_HOURS + 1) }));
+      await expect(checkoutRecoveryService.resumeCheckout('token123', now)).rejects.toBeInstanceOf(ConflictError);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+import Coupon from '../models/Coupon.js';
+import couponService from '../services/couponService.js';
+import { COUPON_TYPES } from '../config/constants.js';
+import { ValidationError } from '../utils/errors.js';
+
+describe('Coupons', () => {
+  describe('calculateDiscount', () => {
+    it('should apply a percentage discount capped at the maximum', () => {
+      const coupon = new Coupon({ code: 'SAVE10', discountType: COUPON_TYPES.PERCENTAGE, value: 10, maxDiscountINR: 500 });
+
+      expect(coupon.calculateDiscount(3000)).toBe(300);
+      expect(coupon.calculateDiscount(10000)).toBe(500);
+    });
+
+    it('should never discount more than the order value', () => {
+      const coupon = new Coupon({ code: 'FLAT5K', discountType: COUPON_TYPES.FLAT, value: 5000 });
+
+      expect(coupon.calculateDiscount(4000)).toBe(4000);
+    });
+  });
+
+  describe('isApplicableTo', () => {
+    it('should apply everywhere when no restrictions are set', () => {
+      const coupon = new Coupon({ code: 'ALL', discountType: COUPON_TYPES.FLAT, value: 100 });
+
+      expect(coupon.isApplicableTo('programs', 'p1')).toBe(true);
+    });
+
+    it('should respect product type and product id restrictions', () => {
+      const coupon = new Coupon({
+        code: 'FREELANCE',
+        discountType: COUPON_TYPES.FLAT,
+        value: 100,
+        applicableProductTypes: ['freelancer'],
+        applicableProductIds: ['f1'],
+      });
+
+      expect(coupon.isApplicableTo('freelancer', 'f1')).toBe(true);
+      expect(coupon.isApplicableTo('freelancer', 'f2')).toBe(false);
+      expect(coupon.isApplicableTo('programs', 'f1')).toBe(false);
+    });
+  });
+
+  describe('countRedemptionsFor', () => {
+    it('should match emails case-insensitively', () => {
+      const coupon = new Coupon({
+        code: 'ONCE',
+        discountType: COUPON_TYPES.FLAT,
+        value: 100,
+        redemptions: [{ studentId: 'STU-1', email: 'a@example.com', redeemedAt: new Date() }],
+      });
+
+      expect(coupon.countRedemptionsFor('A@Example.com')).toBe(1);
+      expect(coupon.countRedemptionsFor('b@example.com')).toBe(0);
+    });
+
+    it('should not count reservations of unpaid orders', () => {
+      const coupon = new Coupon({
+        code: 'ONCE',
+        discountType: COUPON_TYPES.FLAT,
+        value: 100,
+        redemptions: [{ studentId: 'STU-1', email: 'a@example.com', reservedAt: new Date() }],
+      });
+
+      expect(coupon.countRedemptionsFor('a@example.com')).toBe(0);
+      expect(coupon.countRedemptions()).toBe(0);
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject percentage discounts above 100', () => {
+      const coupon = new Coupon({ code: 'TOOMUCH', discountType: COUPON_TYPES.PERCENTAGE, value: 150 });
+
+      expect(coupon.validateSync().errors.value).toBeDefined();
+    });
+  });
+
+  describe('validateCoupon', () => {
+    const order = { productType: 'programs', productId: 'p1', orderValueINR: 4000, email: 'a@example.com' };
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should reject a coupon that leaves nothing to pay', async () => {
+      jest.spyOn(Coupon, 'findByCode').mockResolvedValue(new Coupon({ code: 'FLAT5K', discountType: COUPON_TYPES.FLAT, value: 5000 }));
+
+      await expect(couponService.validateCoupon('FLAT5K', order)).rejects.toBeInstanceOf(ValidationError);
+    });
+
+    it('should accept a coupon that leaves at least ₹1 to pay', async () => {
+      jest.spyOn(Coupon, 'findByCode').mockResolvedValue(new Coupon({ code: 'FLAT3999', discountType: COUPON_TYPES.FLAT, value: 3999 }));
+
+      expect((await couponService.validateCoupon('FLAT3999', order)).discountINR).toBe(3999);
+    });
+
+    it('should treat a usage limit of 0 as no redemptions allowed', async () => {
+      const coupon = new Coupon({ code: 'NONE', discountType: COUPON_TYPES.FLAT, value: 100 });
+      coupon.usageLimit = 0;
+      jest.spyOn(Coupon, 'findByCode').mockResolvedValue(coupon);
+
+      await expect(couponService.validateCoupon('NONE', order)).rejects.toThrow('has reached its usage limit');
+    });
+  });
+
+  describe('reserveRedemption', () => {
+    const redemption = { studentId: 'STU-1', email: 'A@Example.com', discountINR: 100 };
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should reserve within the usage limits', async () => {
+      const update = jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue(new Coupon({ code: 'SAVE10', discountType: COUPON_TYPES.FLAT, value: 100 }));
+
+      expect(await couponService.reserveRedemption('save10', redemption)).toBeInstanceOf(Coupon);
+
+      const [filter, change] = update.mock.calls[0];
+      expect(filter.code).toBe('SAVE10');
+      expect(filter['redemptions.studentId']).toEqual({ $ne: 'STU-1' });
+      expect(filter.$and[0]).toEqual({ $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] });
+      expect(change.$inc).toEqual({ usedCount: 1 });
+      expect(change.$push.redemptions.email).toBe('a@example.com');
+      expect(change.$push.redemptions.reservedAt).toBeInstanceOf(Date);
+      expect(change.$push.redemptions.redeemedAt).toBeUndefined();
+    });
+
+    it('should keep the reservation a retried checkout already holds', async () => {
+      jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(Coupon, 'exists').mockResolvedValue({ _id: 'coupon1' });
+
+      expect(await couponService.reserveRedemption('save10', redemption)).toBeNull();
+    });
+
+    it('should reject the order once the usage limit is reached', async () => {
+      jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(Coupon, 'exists').mockResolvedValue(null);
+
+      await expect(couponService.reserveRedemption('save10', redemption)).rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+
+  describe('releaseRedemption', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should release only an unconfirmed reservation', async () => {
+      const update = jest.spyOn(Coupon, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      expect(await couponService.releaseRedemption('save10', 'STU-1')).toBe(true);
+
+      const [filter, change] = update.mock.calls[0];
+      expect(filter).toEqual({ code: 'SAVE10', redemptions: { $elemMatch: { studentId: 'STU-1', redeemedAt: null } } });
+      expect(change).toEqual({
+        $pull: { redemptions: { studentId: 'STU-1', redeemedAt: null } },
+        $inc: { usedCount: -1 },
+      });
+    });
+  });
+
+  describe('recordRedemption', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should confirm the reservation made with the order', async () => {
+      const coupon = new Coupon({ code: 'SAVE10', discountType: COUPON_TYPES.FLAT, value: 100 });
+      const update = jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue(coupon);
+
+      expect(await Coupon.recordRedemption('save10', { studentId: 'STU-1', email: 'a@example.com', discountINR: 100 })).toBe(coupon);
+
+      expect(update).toHaveBeenCalledTimes(1);
+      const [filter, change] = update.mock.calls[0];
+      expect(filter).toEqual({ code: 'SAVE10', redemptions: { $elemMatch: { studentId: 'STU-1', redeemedAt: null } } });
+      expect(change.$set['redemptions.$.redeemedAt']).toBeInstanceOf(Date);
+    });
+
+    it('should enforce the usage limits in the update itself without a reservation', async () => {
+      const update = jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue(null);
+
+      expect(await Coupon.recordRedemption('save10', { studentId: 'STU-1', email: 'A@Example.com', discountINR: 100 })).toBeNull();
+
+      const [filter] = update.mock.calls[1];
+      expect(filter.code).toBe('SAVE10');
+      expect(filter['redemptions.studentId']).toEqual({ $ne: 'STU-1' });
+      expect(filter.$and).toEqual([
+        { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+        {
+          $or: [
+            { perEmailLimit: null },
+            {
+              $expr: {
+                $lt: [
+                  { $size: { $filter: { input: '$redemptions', cond: { $eq: ['$$this.email', 'a@example.com'] } } } },
+                  '$perEmailLimit',
+                ],
+              },
+            },
+          ],
+        },
+      ]);
+    });
+  });
+});
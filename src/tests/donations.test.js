@@ -0,0 +1,139 @@
+import Donation, { PAN_REQUIRED_ABOVE_INR } from '../models/Donation.js';
+import Counter from '../models/Counter.js';
+import donationController from '../controllers/donationController.js';
+import { PAYMENT_STATUS } from '../config/constants.js';
+import { getFinancialYear } from '../utils/helpers.js';
+import { renderDonationReceipt } from '../utils/donationReceipt.js';
+
+describe('Donations', () => {
+  const donor = {
+    fullName: 'Asha Rao',
+    email: 'asha@example.com',
+    mobile: '+91 98765 43210',
+    address: '12 MG Road',
+    city: 'Pune',
+    state: 'Maharashtra',
+    country: 'India',
+    postalCode: '411001',
+  };
+  const buildDonation = (fields = {}) => new Donation({ donor, amountINR: 500, razorpayOrderId: 'order_DON1', ...fields });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('getFinancialYear', () => {
+    it('should name the April to March year a donation falls in', () => {
+      expect(getFinancialYear(new Date('2026-04-15T06:30:00Z'))).toBe('2026-27');
+      expect(getFinancialYear(new Date('2027-03-15T06:30:00Z'))).toBe('2026-27');
+    });
+  });
+
+  describe('generateReceiptNumber', () => {
+    it('should number receipts per financial year', async () => {
+      const next = jest.spyOn(Counter, 'nextSequence').mockResolvedValue(42);
+
+      expect(await Donation.generateReceiptNumber(new Date('2026-05-10T06:30:00Z'))).toBe('SRT/DON/2026-27/000042');
+      expect(next).toHaveBeenCalledWith('donation-receipt:2026-27');
+    });
+  });
+
+  describe('PAN requirement', () => {
+    it(`should require a PAN above ₹${PAN_REQUIRED_ABOVE_INR}`, () => {
+      const error = buildDonation({ amountINR: PAN_REQUIRED_ABOVE_INR + 1 }).validateSync();
+
+      expect(Object.keys(error.errors)).toEqual(['donor.pan']);
+    });
+
+    it('should not require a PAN up to the limit', () => {
+      expect(buildDonation({ amountINR: PAN_REQUIRED_ABOVE_INR }).validateSync()).toBeUndefined();
+    });
+
+    it('should reject a malformed PAN', () => {
+      const error = buildDonation({ donor: { ...donor, pan: 'ABC123' } }).validateSync();
+
+      expect(Object.keys(error.errors)).toEqual(['donor.pan']);
+    });
+  });
+
+  describe('markPaid', () => {
+    it('should claim the PAID transition before taking a receipt number', async () => {
+      const donation = buildDonation();
+      const claim = jest.spyOn(Donation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Counter, 'nextSequence').mockResolvedValue(7);
+      jest.spyOn(donation, 'save').mockImplementation(async function() { return this; });
+
+      const paid = await donation.markPaid('pay_DON1');
+
+      expect(claim).toHaveBeenCalledWith(
+        { _id: donation._id, status: { $ne: PAYMENT_STATUS.SUCCESS } },
+        { $set: { status: PAYMENT_STATUS.SUCCESS, razorpayPaymentId: 'pay_DON1', paymentDate: donation.paymentDate } }
+      );
+      expect(paid.status).toBe(PAYMENT_STATUS.SUCCESS);
+      expect(paid.receiptNumber).toMatch(/^SRT\/DON\/\d{4}-\d{2}\/000007$/);
+    });
+
+    it('should not draw a receipt number when another verification marked it paid', async () => {
+      const donation = buildDonation();
+      jest.spyOn(Donation, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      const next = jest.spyOn(Counter, 'nextSequence');
+
+      expect(await donation.markPaid('pay_DON1')).toBeNull();
+      expect(next).not.toHaveBeenCalled();
+      expect(donation.status).toBe(PAYMENT_STATUS.PENDING);
+    });
+
+    it('should release the claim when no receipt number could be drawn', async () => {
+      const donation = buildDonation();
+      const update = jest.spyOn(Donation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Counter, 'nextSequence').mockRejectedValue(new Error('counter unavailable'));
+
+      await expect(donation.markPaid('pay_DON1')).rejects.toThrow('counter unavailable');
+      expect(update).toHaveBeenLastCalledWith(
+        { _id: donation._id },
+        { $set: { status: PAYMENT_STATUS.PENDING, razorpayPaymentId: undefined, paymentDate: undefined } }
+      );
+      expect(donation.status).toBe(PAYMENT_STATUS.PENDING);
+    });
+  });
+
+  describe('GET /donations/:id/receipt', () => {
+    const getReceipt = (id) => new Promise((resolve, reject) => {
+      const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        type(type) { this.contentType = type; return this; },
+        json(body) { resolve({ status: this.statusCode, body }); },
+        send(text) { resolve({ status: this.statusCode, type: this.contentType, text }); },
+      };
+      donationController({ method: 'GET', url: `/${id}/receipt` }, res, reject);
+    });
+    const findDonation = (donation) => jest.spyOn(Donation, 'findByDonationId').mockReturnValue({ lean: () => Promise.resolve(donation) });
+
+    it('should render the receipt of a completed donation', async () => {
+      const donation = {
+        donationId: 'don-1',
+        receiptNumber: 'SRT/DON/2026-27/000042',
+        status: PAYMENT_STATUS.SUCCESS,
+        donor: { ...donor, pan: 'ABCDE1234F' },
+        amountINR: 25000,
+        razorpayPaymentId: 'pay_DON1',
+        paymentDate: new Date('2026-05-10T06:30:00Z'),
+      };
+      const find = findDonation(donation);
+
+      const response = await getReceipt('don-1');
+
+      expect(find).toHaveBeenCalledWith('don-1');
+      expect(response.status).toBe(200);
+      expect(response.type).toBe('html');
+      expect(response.text).toBe(renderDonationReceipt(donation));
+      expect(response.text).toContain('SRT/DON/2026-27/000042');
+      expect(response.text).toContain('ABCDE1234F');
+    });
+
+    it('should not serve a receipt for a donation that was never paid', async () => {
+      findDonation({ donationId: 'don-2', status: PAYMENT_STATUS.PENDING });
+
+      expect((await getReceipt('don-2')).status).toBe(404);
+    });
+  });
+});
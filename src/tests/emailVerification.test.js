@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import Learner from '../models/Learner.js';
+import emailVerificationService from '../services/emailVerificationService.js';
+import { config } from '../config/index.js';
+
+describe('Learner Email Verification', () => {
+  let mails;
+
+  const newLearner = (fields = {}) => new Learner({
+    learnerId: 'LRN-1',
+    fullName: 'Ann',
+    email: 'ann@example.com',
+    ...fields,
+  });
+
+  beforeEach(() => {
+    mails = [];
+    jest.spyOn(nodemailer, 'createTransport').mockReturnValue({ sendMail: async (mail) => mails.push(mail) });
+    jest.spyOn(Learner, 'exists').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should email a link whose token is only stored hashed', async () => {
+    const update = jest.spyOn(Learner, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+
+    const result = await emailVerificationService.send(newLearner());
+
+    expect(result).toEqual({ sent: true, isEmailVerified: false });
+    const token = /verify-email\/([0-9a-f]+)/.exec(mails[0].html)[1];
+    const stored = update.mock.calls[0][1].$set.emailVerificationToken;
+    expect(stored).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+  });
+
+  it('should throttle resends', async () => {
+    jest.spyOn(Learner, 'updateOne').mockResolvedValue({ matchedCount: 0 });
+    const now = new Date();
+
+    const result = await emailVerificationService.send(newLearner({ emailVerificationSentAt: new Date(now.getTime() - 30 * 1000) }), now);
+
+    expect(result.sent).toBe(false);
+    expect(result.retryAfter).toBe(config.EMAIL_VERIFICATION_RESEND_SECONDS - 30);
+    expect(mails).toHaveLength(0);
+  });
+
+  it('should not email an address another learner verified', async () => {
+    Learner.exists.mockResolvedValue({ _id: 'other' });
+    jest.spyOn(Learner, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+
+    const learner = newLearner();
+    const result = await emailVerificationService.send(learner);
+
+    expect(result).toEqual({ sent: false, isEmailVerified: true });
+    expect(learner.isEmailVerified).toBe(true);
+    expect(mails).toHaveLength(0);
+  });
+
+  it('should verify every learner with the address', async () => {
+    jest.spyOn(Learner, 'findOne').mockReturnValue({ select: async () => ({ learnerId: 'LRN-1', email: 'ann@example.com' }) });
+    const updateMany = jest.spyOn(Learner, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    expect(await emailVerificationService.verify('token')).toEqual({ learnerId: 'LRN-1', email: 'ann@example.com' });
+    expect(updateMany.mock.calls[0][0]).toEqual({ email: 'ann@example.com' });
+    expect(updateMany.mock.calls[0][1].$set).toEqual({ isEmailVerified: true });
+  });
+
+  it('should refuse unknown or expired tokens', async () => {
+    jest.spyOn(Learner, 'findOne').mockReturnValue({ select: async () => null });
+
+    await expect(emailVerificationService.verify('nope')).rejects.toMatchObject({ statusCode: 422 });
+  });
+});
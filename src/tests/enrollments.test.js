@@ -0,0 +1,214 @@
+import mongoose from 'mongoose';
+import Learner from '../models/Learner.js';
+import Enrollment from '../models/Enrollment.js';
+import learnerService from '../services/learnerService.js';
+import studentDocumentService from '../services/studentDocumentService.js';
+import { PAYMENT_STATUS, STUDENT_STATUS } from '../config/constants.js';
+
+describe('Learners and Enrollments', () => {
+  const dateOfBirth = new Date('1995-04-12');
+
+  const existingLearner = (fields = {}) => Learner.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    learnerId: 'LRN-1',
+    fullName: 'Ann Lee',
+    dateOfBirth,
+    email: 'ann@example.com',
+    city: 'Pune',
+    idType: 'PAN',
+    idNumber: 'ABCDE1234F',
+    idDocumentKey: 'students/id-document/old.pdf',
+    idDocumentName: 'pan.pdf',
+    studentPhotoKey: 'students/photo/old.png',
+    ...fields,
+  });
+
+  // Resolves like a query with or without .sort()
+  const query = (result) => {
+    const chain = { sort: () => chain, then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+    return chain;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should key learners on their ID document, not their enrollments', () => {
+    const learnerIndexes = Learner.schema.indexes().map(([fields, options]) => ({ fields, unique: Boolean(options.unique) }));
+    const enrollmentIndexes = Enrollment.schema.indexes().map(([fields]) => Object.keys(fields).join(','));
+
+    expect(learnerIndexes.find(index => index.fields.idType && index.fields.idNumber)).toMatchObject({ unique: true });
+    expect(enrollmentIndexes.includes('idType,idNumber')).toBe(false);
+    expect(Enrollment.schema.path('learner').options.ref).toBe('Learner');
+  });
+
+  it('should refuse an ID document registered with another date of birth', async () => {
+    jest.spyOn(Learner, 'findOne').mockResolvedValue(existingLearner());
+
+    expect((await learnerService.findForCheckout({ idType: 'PAN', idNumber: 'abcde1234f', dateOfBirth })).learnerId).toBe('LRN-1');
+    await expect(learnerService.findForCheckout({ idType: 'PAN', idNumber: 'ABCDE1234F', dateOfBirth: new Date('1990-01-01') }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should let a returning learner buy another program but not the same one twice', async () => {
+    const learner = existingLearner();
+    const enrollments = [
+      { studentId: 'STU-2', selectedProgram: 'practice', paymentStatus: PAYMENT_STATUS.FAILED, status: STUDENT_STATUS.PENDING },
+      { studentId: 'STU-1', selectedProgram: 'skill-phase', paymentStatus: PAYMENT_STATUS.SUCCESS, status: STUDENT_STATUS.ENROLLED },
+    ];
+    jest.spyOn(Enrollment, 'find').mockImplementation(({ selectedProgram }) => query(enrollments.filter(enrollment => enrollment.selectedProgram === selectedProgram)));
+
+    expect(await learnerService.findProgramEnrollments(learner, 'practice')).toEqual({ active: null, unpaid: enrollments[0] });
+    expect((await learnerService.findProgramEnrollments(learner, 'skill-phase')).active.studentId).toBe('STU-1');
+
+    enrollments[1].status = STUDENT_STATUS.COMPLETED;
+    expect((await learnerService.findProgramEnrollments(learner, 'skill-phase')).active).toBeNull();
+  });
+
+  it('should only fill in what a returning learner is missing', async () => {
+    const learner = existingLearner();
+    const save = jest.spyOn(learner, 'save').mockResolvedValue(learner);
+
+    await learnerService.saveFromCheckout(learner, {
+      fullName: 'Ann Lee',
+      dateOfBirth: new Date('1995-04-13'),
+      city: 'Mumbai',
+      currentProfession: 'Engineer',
+      idType: 'PAN',
+      idNumber: 'ABCDE1234F',
+    }, {
+      idDocumentKey: null,
+      idDocumentName: null,
+      studentPhotoKey: null,
+      studentPhotoName: null,
+    });
+
+    expect(save).toHaveBeenCalled();
+    expect(learner.currentProfession).toBe('Engineer');
+    expect(learner.city).toBe('Pune');
+    expect(learner.dateOfBirth).toEqual(dateOfBirth);
+    expect(learner.idDocumentKey).toBe('students/id-document/old.pdf');
+  });
+
+  it('should not let a checkout change the email, contact details or documents on file', async () => {
+    const learner = existingLearner({ primaryPhone: '+91 98765 43210' });
+    const save = jest.spyOn(learner, 'save').mockResolvedValue(learner);
+    const discard = jest.spyOn(studentDocumentService, 'discard').mockResolvedValue();
+
+    await learnerService.saveFromCheckout(learner, {
+      fullName: 'Someone Else',
+      email: 'someone@example.com',
+      primaryPhone: '+91 90000 00000',
+      idType: 'PAN',
+      idNumber: 'ABCDE1234F',
+      dateOfBirth,
+    }, {
+      idDocumentKey: 'students/id-document/new.pdf',
+      idDocumentName: 'other.pdf',
+      studentPhotoKey: 'students/photo/new.png',
+      studentPhotoName: 'other.png',
+    });
+
+    expect(save).not.toHaveBeenCalled();
+    expect(learner.email).toBe('ann@example.com');
+    expect(learner.fullName).toBe('Ann Lee');
+    expect(learner.primaryPhone).toBe('+91 98765 43210');
+    expect(learner.idDocumentKey).toBe('students/id-document/old.pdf');
+    expect(learner.studentPhotoKey).toBe('students/photo/old.png');
+    expect(discard).toHaveBeenCalledWith(['students/id-document/new.pdf', 'students/photo/new.png']);
+  });
+
+  describe('updatePaymentStatus', () => {
+    const pendingEnrollment = () => Enrollment.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      studentId: 'STU-1',
+      status: STUDENT_STATUS.PENDING,
+      paymentStatus: PAYMENT_STATUS.PROCESSING,
+    });
+
+    it('should claim the SUCCESS transition before enrolling the student', async () => {
+      const student = pendingEnrollment();
+      const claim = jest.spyOn(Enrollment, 'findOneAndUpdate').mockResolvedValue({ _id: student._id });
+      jest.spyOn(student, 'save').mockResolvedValue(student);
+      jest.spyOn(student, 'assignInvoiceNumber').mockResolvedValue('SRT/2026-27/000001');
+
+      expect(await student.updatePaymentStatus(PAYMENT_STATUS.SUCCESS, 'pay_1')).toBe(student);
+      expect(claim.mock.calls[0][0]).toEqual({ _id: student._id, paymentStatus: { $ne: PAYMENT_STATUS.SUCCESS } });
+      expect(claim.mock.calls[0][1].$set).toMatchObject({ paymentStatus: PAYMENT_STATUS.SUCCESS, razorpayPaymentId: 'pay_1' });
+      expect(student.status).toBe(STUDENT_STATUS.ENROLLED);
+    });
+
+    it('should leave enrolling to the call that confirmed the payment first', async () => {
+      const student = pendingEnrollment();
+      jest.spyOn(Enrollment, 'findOneAndUpdate').mockResolvedValue(null);
+      const save = jest.spyOn(student, 'save');
+
+      expect(await student.updatePaymentStatus(PAYMENT_STATUS.SUCCESS, 'pay_1')).toBeNull();
+      expect(save).not.toHaveBeenCalled();
+      expect(student.status).toBe(STUDENT_STATUS.PENDING);
+    });
+
+    it('should release the claim when the enrollment could not be saved', async () => {
+      const student = pendingEnrollment();
+      jest.spyOn(Enrollment, 'findOneAndUpdate').mockResolvedValue({ _id: student._id });
+      jest.spyOn(student, 'assignInvoiceNumber').mockResolvedValue('SRT/2026-27/000001');
+      jest.spyOn(student, 'save').mockRejectedValue(new Error('write failed'));
+      const release = jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(student.updatePaymentStatus(PAYMENT_STATUS.SUCCESS, 'pay_1')).rejects.toThrow('write failed');
+      expect(release.mock.calls[0][0]).toEqual({ _id: student._id });
+      expect(release.mock.calls[0][1].$set.paymentStatus).toBe(PAYMENT_STATUS.PROCESSING);
+      expect(student.paymentStatus).toBe(PAYMENT_STATUS.PROCESSING);
+    });
+  });
+
+  it('should count verified students by their learner\'s email verification', async () => {
+    const aggregate = jest.spyOn(Enrollment, 'aggregate').mockResolvedValue([]);
+
+    await Enrollment.getStudentStats();
+
+    const [lookup, group] = aggregate.mock.calls[0][0];
+    expect(lookup.$lookup).toMatchObject({ from: Learner.collection.name, let: { learnerId: '$learner' }, as: 'learnerDoc' });
+    expect(group.$group.verifiedStudents).toEqual({ $sum: { $cond: [{ $in: [true, '$learnerDoc.isEmailVerified'] }, 1, 0] } });
+  });
+
+  it('should split a pre-split student into learner and enrollment fields', () => {
+    const _id = new mongoose.Types.ObjectId();
+    const { learner, enrollment } = learnerService.splitLegacyStudent({
+      _id,
+      studentId: 'STU-1',
+      fullName: 'Ann Lee',
+      email: 'ann@example.com',
+      state: 'Maharashtra',
+      dateOfBirth,
+      idType: 'PAN',
+      idNumber: 'ABCDE1234F',
+      idDocumentKey: 'students/id-document/a.pdf',
+      isEmailVerified: true,
+      programName: 'Skill Phase',
+      invoiceNumber: 'SKP/2026-27/0001',
+      paymentStatus: PAYMENT_STATUS.SUCCESS,
+    });
+
+    expect(learner).toEqual({
+      fullName: 'Ann Lee',
+      email: 'ann@example.com',
+      state: 'Maharashtra',
+      dateOfBirth,
+      idType: 'PAN',
+      idNumber: 'ABCDE1234F',
+      idDocumentKey: 'students/id-document/a.pdf',
+      isEmailVerified: true,
+    });
+    expect(enrollment).toEqual({
+      _id,
+      studentId: 'STU-1',
+      fullName: 'Ann Lee',
+      email: 'ann@example.com',
+      state: 'Maharashtra',
+      programName: 'Skill Phase',
+      invoiceNumber: 'SKP/2026-27/0001',
+      paymentStatus: PAYMENT_STATUS.SUCCESS,
+    });
+  });
+});
@@ -0,0 +1,196 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+/**
+ * In-memory payment gateway for tests
+ * Implements the same interface as RazorpayGateway and records every call.
+ * FileBackedPaymentGateway loads its orders, payments and settlements from
+ * a JSON fixture instead.
+ */
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+
+// Razorpay answers unknown ids with 400 BAD_REQUEST_ERROR
+const notFound = (description) => Object.assign(new Error(description), {
+  statusCode: 400,
+  error: { code: 'BAD_REQUEST_ERROR', description },
+});
+
+export class FakePaymentGateway {
+  constructor() {
+    this.orders = new Map();
+    this.payments = new Map();
+    this.refunds = [];
+    this.settlements = [];
+    this.plans = new Map();
+    this.subscriptions = new Map();
+  }
+
+  /**
+   * Seed a captured payment so it can be fetched and refunded
+   */
+  addPayment(payment) {
+    const entity = {
+      id: randomId('pay'),
+      entity: 'payment',
+      currency: 'INR',
+      status: 'captured',
+      amount_refunded: 0,
+      created_at: Math.floor(Date.now() / 1000),
+      ...payment,
+    };
+    this.payments.set(entity.id, entity);
+    return entity;
+  }
+
+  /**
+   * Seed a settlement recon item for a payment
+   */
+  addSettlement(item) {
+    const entity = {
+      type: 'payment',
+      fee: 0,
+      tax: 0,
+      settlement_id: randomId('setl'),
+      settled_at: Math.floor(Date.now() / 1000),
+      ...item,
+    };
+    this.settlements.push(entity);
+    return entity;
+  }
+
+  async createOrder(options) {
+    const order = {
+      id: randomId('order'),
+      entity: 'order',
+      amount_paid: 0,
+      amount_due: options.amount,
+      status: 'created',
+      created_at: Math.floor(Date.now() / 1000),
+      ...options,
+    };
+    this.orders.set(order.id, order);
+    return order;
+  }
+
+  async fetchOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) {
+      throw notFound(`Order ${orderId} not found`);
+    }
+    return order;
+  }
+
+  async fetchPayment(paymentId) {
+    const payment = this.payments.get(paymentId);
+    if (!payment) {
+      throw notFound(`Payment ${paymentId} not found`);
+    }
+    return payment;
+  }
+
+  async fetchPayments({ from, to }) {
+    return [...this.payments.values()].filter(payment =>
+      payment.created_at * 1000 >= from.getTime() && payment.created_at * 1000 <= to.getTime());
+  }
+
+  async fetchSettledPayments({ from, to }) {
+    return this.settlements.filter(item =>
+      item.settled_at * 1000 >= from.getTime() && item.settled_at * 1000 <= to.getTime());
+  }
+
+  async refundPayment(paymentId, options = {}) {
+    const payment = await this.fetchPayment(paymentId);
+    const amount = options.amount ?? payment.amount - payment.amount_refunded;
+
+    if (amount <= 0 || payment.amount_refunded + amount > payment.amount) {
+      throw new Error('The refund amount provided is greater than amount captured');
+    }
+
+    payment.amount_refunded += amount;
+    payment.refund_status = payment.amount_refunded === payment.amount ? 'full' : 'partial';
+
+    const refund = {
+      id: randomId('rfnd'),
+      entity: 'refund',
+      payment_id: paymentId,
+      amount,
+      currency: payment.currency,
+      status: 'processed',
+      notes: options.notes || {},
+      created_at: Math.floor(Date.now() / 1000),
+    };
+    this.refunds.push(refund);
+    return refund;
+  }
+
+  async createPlan(options) {
+    const plan = {
+      id: randomId('plan'),
+      entity: 'plan',
+      created_at: Math.floor(Date.now() / 1000),
+      ...options,
+    };
+    this.plans.set(plan.id, plan);
+    return plan;
+  }
+
+  async createSubscription(options) {
+    if (!this.plans.has(options.plan_id)) {
+      throw notFound(`Plan ${options.plan_id} not found`);
+    }
+    const subscription = {
+      id: randomId('sub'),
+      entity: 'subscription',
+      status: 'created',
+      paid_count: 0,
+      remaining_count: options.total_count,
+      current_start: null,
+      current_end: null,
+      short_url: `https://rzp.io/i/${crypto.randomBytes(4).toString('hex')}`,
+      created_at: Math.floor(Date.now() / 1000),
+      ...options,
+    };
+    this.subscriptions.set(subscription.id, subscription);
+    return subscription;
+  }
+
+  async fetchSubscription(subscriptionId) {
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (!subscription) {
+      throw notFound(`Subscription ${subscriptionId} not found`);
+    }
+    return subscription;
+  }
+
+  async cancelSubscription(subscriptionId, { cancelAtCycleEnd = false } = {}) {
+    const subscription = await this.fetchSubscription(subscriptionId);
+    if (['cancelled', 'completed', 'expired'].includes(subscription.status)) {
+      throw new Error('Subscription is not cancellable in its current state');
+    }
+
+    // Cancelling at the cycle end leaves it active until then
+    if (cancelAtCycleEnd) {
+      subscription.has_scheduled_changes = true;
+    } else {
+      subscription.status = 'cancelled';
+      subscription.ended_at = Math.floor(Date.now() / 1000);
+    }
+    return subscription;
+  }
+}
+
+export class FileBackedPaymentGateway extends FakePaymentGateway {
+  /**
+   * @param {string} filePath - JSON file of { orders, payments, settlements } in Razorpay's shapes
+   */
+  constructor(filePath) {
+    super();
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    (data.orders || []).forEach(order => this.orders.set(order.id, order));
+    (data.payments || []).forEach(payment => this.addPayment(payment));
+    (data.settlements || []).forEach(item => this.addSettlement(item));
+  }
+}
+
+export default FakePaymentGateway;
@@ -0,0 +1,107 @@
+import { hashRequestBody, idempotent } from '../middlewares/idempotency.js';
+import IdempotencyKey, { IDEMPOTENCY_LEASE_SECONDS, IDEMPOTENCY_STATUS } from '../models/IdempotencyKey.js';
+
+describe('Idempotency', () => {
+  describe('hashRequestBody', () => {
+    it('should ignore key order', () => {
+      const a = { packageData: { type: 'programs', selectedMonths: 6 }, receipt: 'r1' };
+      const b = { receipt: 'r1', packageData: { selectedMonths: 6, type: 'programs' } };
+
+      expect(hashRequestBody(a)).toBe(hashRequestBody(b));
+    });
+
+    it('should differ when a value or array order changes', () => {
+      const base = { selectedAddon: ['a', 'b'], selectedMonths: 6 };
+
+      expect(hashRequestBody(base)).not.toBe(hashRequestBody({ ...base, selectedMonths: 7 }));
+      expect(hashRequestBody(base)).not.toBe(hashRequestBody({ ...base, selectedAddon: ['b', 'a'] }));
+    });
+
+    it('should treat a missing body as empty', () => {
+      expect(hashRequestBody(undefined)).toBe(hashRequestBody({}));
+    });
+  });
+
+  describe('idempotent', () => {
+    const body = { packageData: { type: 'programs', selectedMonths: 6 } };
+    const duplicateKey = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+    const buildResponse = () => ({
+      statusCode: 200,
+      headers: {},
+      set(name, value) { this.headers[name] = value; return this; },
+      status(code) { this.statusCode = code; return this; },
+      json(payload) { this.body = payload; return this; },
+    });
+
+    // Run the middleware for a request; resolves once it answered or called next()
+    const run = (requestBody = body) => new Promise((resolve, reject) => {
+      const res = buildResponse();
+      const sendJson = res.json.bind(res);
+      res.json = (payload) => { sendJson(payload); resolve({ res, next: false }); return res; };
+      const req = { body: requestBody, get: (name) => (name === 'Idempotency-Key' ? 'key-1' : undefined) };
+      idempotent('create-order')(req, res, () => resolve({ res, next: true })).catch(reject);
+    });
+
+    const stored = (fields) => ({ _id: 'idem_1', scope: 'create-order', key: 'key-1', requestHash: hashRequestBody(body), ...fields });
+
+    beforeEach(() => {
+      jest.spyOn(IdempotencyKey, 'create').mockRejectedValue(duplicateKey);
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should replay the stored response of a completed request', async () => {
+      jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(stored({
+        status: IDEMPOTENCY_STATUS.COMPLETED,
+        responseStatus: 201,
+        responseBody: { success: true, orderId: 'order_1' },
+      }));
+
+      const { res, next } = await run();
+
+      expect(next).toBe(false);
+      expect(res.statusCode).toBe(201);
+      expect(res.body).toEqual({ success: true, orderId: 'order_1' });
+      expect(res.headers['Idempotent-Replayed']).toBe('true');
+    });
+
+    it('should reject a key reused for a different body with 422', async () => {
+      jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(stored({ status: IDEMPOTENCY_STATUS.COMPLETED }));
+
+      const { res } = await run({ ...body, receipt: 'other' });
+
+      expect(res.statusCode).toBe(422);
+    });
+
+    it('should answer 409 while the first request holds its lease', async () => {
+      jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(stored({ status: IDEMPOTENCY_STATUS.IN_PROGRESS, claimedAt: new Date() }));
+      const takeOver = jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockResolvedValue(null);
+
+      const { res, next } = await run();
+
+      expect(next).toBe(false);
+      expect(res.statusCode).toBe(409);
+      const [filter] = takeOver.mock.calls[0];
+      expect(filter.status).toBe(IDEMPOTENCY_STATUS.IN_PROGRESS);
+      expect(Date.now() - filter.claimedAt.$lt.getTime()).toBeGreaterThanOrEqual(IDEMPOTENCY_LEASE_SECONDS * 1000);
+    });
+
+    it('should let a retry take over a key whose lease ran out and store its response', async () => {
+      const claimedAt = new Date();
+      jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(stored({ status: IDEMPOTENCY_STATUS.IN_PROGRESS, claimedAt: new Date(0) }));
+      jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockResolvedValue(stored({ status: IDEMPOTENCY_STATUS.IN_PROGRESS, claimedAt }));
+      const store = jest.spyOn(IdempotencyKey, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const { res, next } = await run();
+      expect(next).toBe(true);
+
+      res.status(201).json({ success: true });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(store.mock.calls[0][0]).toEqual({ _id: 'idem_1', claimedAt });
+      expect(store.mock.calls[0][1].$set.status).toBe(IDEMPOTENCY_STATUS.COMPLETED);
+      expect(res.body).toEqual({ success: true });
+    });
+  });
+});
@@ -0,0 +1,265 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Enrollment from '../models/Enrollment.js';
+import installmentService from '../services/installmentService.js';
+import studentLifecycleService from '../services/studentLifecycleService.js';
+import { FakePaymentGateway } from './fakePaymentGateway.js';
+import { setPaymentGateway } from '../services/paymentGateway.js';
+import { validatePackageSelection } from '../utils/packageValidation.js';
+import { buildInstallmentSchedule, findInstallmentByInvoiceLink, findInstallmentByOrderId } from '../utils/installments.js';
+import { computeInstallmentTax } from '../utils/invoice.js';
+import { config } from '../config/index.js';
+import { INSTALLMENT_STATUS, PAYMENT_STATUS, PRODUCT_BILLING_TYPES, STUDENT_STATUS } from '../config/constants.js';
+import { ConflictError, ValidationError } from '../utils/errors.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Installment Plans', () => {
+  const now = new Date('2026-06-01T12:00:00Z');
+  const plan = { id: '3-installments', name: '3 monthly installments', installments: 3, intervalDays: 30 };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildInstallmentSchedule', () => {
+    it('should split the total exactly, the first installment taking the remainder', () => {
+      const schedule = buildInstallmentSchedule(1000.01, plan, now);
+
+      expect(schedule.map(installment => installment.amountINR)).toEqual([333.35, 333.33, 333.33]);
+      expect(schedule.map(installment => installment.dueDate.getTime())).toEqual([0, 30, 60].map(days => now.getTime() + days * DAY_MS));
+    });
+
+    it('should give only the later installments a pay link and invoice link', () => {
+      const [first, second, third] = buildInstallmentSchedule(900, plan, now);
+
+      expect(first.payToken).toBeUndefined();
+      expect(first.invoiceLink).toBeUndefined();
+      expect(second.payToken).not.toBe(third.payToken);
+      expect(second.invoiceLink).toMatch(/^[0-9a-f-]{36}$/);
+    });
+  });
+
+  describe('validatePackageSelection', () => {
+    beforeEach(() => {
+      jest.spyOn(Product, 'findInGroup').mockImplementation(async (group, productId) => new Product({
+        group,
+        productId,
+        name: 'Progress Pro',
+        type: PRODUCT_BILLING_TYPES.ONE_TIME,
+        installmentPlans: productId === 'progress-pro' ? [{ planId: plan.id, name: plan.name, installments: 3, intervalDays: 30 }] : [],
+        prices: [{ price: 90000, effectiveFrom: new Date(0) }],
+      }));
+    });
+
+    it('should accept a plan the product offers', async () => {
+      const selection = await validatePackageSelection({ type: 'freelancer', selectedProduct: 'progress-pro', installmentPlan: '3-Installments' });
+      expect(selection.installmentPlan).toMatchObject({ id: plan.id, installments: 3, intervalDays: 30 });
+    });
+
+    it('should pay in full without a plan', async () => {
+      expect((await validatePackageSelection({ type: 'freelancer', selectedProduct: 'progress-pro' })).installmentPlan).toBeNull();
+    });
+
+    it('should reject plans the product does not offer', async () => {
+      const error = await validatePackageSelection({ type: 'freelancer', selectedProduct: 'progress-basic', installmentPlan: plan.id })
+        .catch(caught => caught);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.details.map(detail => detail.code)).toEqual(['INSTALLMENT_PLAN_NOT_AVAILABLE']);
+    });
+  });
+
+  describe('invoices', () => {
+    const student = {
+      programName: 'Progress Pro',
+      productSnapshot: { sacCode: '999293' },
+      programDuration: 1,
+      programPriceINR: 90000,
+      addonsData: [{ name: 'Portfolio', price: 10000, sacCode: '999293' }],
+      state: 'Karnataka',
+      country: 'India',
+      discountINR: 1000,
+      totalINR: 99000,
+      invoiceLink: 'enrollment-link',
+      installments: [
+        { number: 1, amountINR: 33000 },
+        { number: 2, amountINR: 33000, invoiceLink: 'second-link', razorpayOrderId: 'order_2', previousRazorpayOrderIds: ['order_old'] },
+        { number: 3, amountINR: 33000, invoiceLink: 'third-link' },
+      ],
+    };
+
+    it('should spread an installment over the discounted lines', async () => {
+      const { lineItems, totals } = await computeInstallmentTax(student, student.installments[1]);
+
+      expect(lineItems.map(line => [line.description, line.total])).toEqual([
+        ['Progress Pro (installment 2 of 3)', 29700],
+        ['Portfolio (installment 2 of 3)', 3300],
+      ]);
+      expect(totals.total).toBe(33000);
+      expect(totals.discount).toBe(0);
+      expect(totals.taxableValue + totals.totalTax).toBeCloseTo(33000, 2);
+    });
+
+    it('should find the installment of an invoice link or order', () => {
+      expect(findInstallmentByInvoiceLink(student, 'enrollment-link').number).toBe(1);
+      expect(findInstallmentByInvoiceLink(student, 'third-link').number).toBe(3);
+      expect(findInstallmentByOrderId(student, 'order_old').number).toBe(2);
+      expect(findInstallmentByOrderId(student, 'order_checkout')).toBeNull();
+    });
+  });
+
+  describe('checkout payment', () => {
+    it('should mark the first installment paid and count later due dates from it', () => {
+      const student = new Enrollment({
+        totalINR: 300,
+        paymentStatus: PAYMENT_STATUS.SUCCESS,
+        installmentPlan: { planId: plan.id, intervalDays: 30 },
+        installments: buildInstallmentSchedule(300, plan, now),
+      });
+      student.paymentDate = new Date(now.getTime() + 2 * DAY_MS);
+      student.razorpayPaymentId = 'pay_first';
+
+      student.recordFirstInstallment();
+
+      expect(student.installments[0]).toMatchObject({ status: INSTALLMENT_STATUS.PAID, razorpayPaymentId: 'pay_first' });
+      expect(student.installments[2].dueDate.getTime()).toBe(student.paymentDate.getTime() + 60 * DAY_MS);
+      expect(student.paidAmountINR).toBe(100);
+      expect(student.refundableAmountINR).toBe(100);
+    });
+  });
+
+  describe('getDueReminder', () => {
+    const pending = (daysLeft, reminders = []) => ({
+      status: INSTALLMENT_STATUS.PENDING,
+      dueDate: new Date(now.getTime() + daysLeft * DAY_MS),
+      reminders,
+    });
+
+    it('should follow the reminder schedule', () => {
+      const [first, last] = [config.INSTALLMENT_REMINDER_DAYS[0], config.INSTALLMENT_REMINDER_DAYS.at(-1)];
+
+      expect(installmentService.getDueReminder(pending(first + 1), now)).toBeNull();
+      expect(installmentService.getDueReminder(pending(first), now)).toBe(0);
+      expect(installmentService.getDueReminder(pending(last, [{ sentAt: now }]), now)).toBe(config.INSTALLMENT_REMINDER_DAYS.length - 1);
+    });
+
+    it('should not remind about paid or past-due installments', () => {
+      expect(installmentService.getDueReminder({ ...pending(1), status: INSTALLMENT_STATUS.PAID }, now)).toBeNull();
+      expect(installmentService.getDueReminder(pending(-1), now)).toBeNull();
+    });
+  });
+
+  describe('createPaymentOrder', () => {
+    let gateway;
+
+    beforeEach(() => {
+      gateway = new FakePaymentGateway();
+      setPaymentGateway(gateway);
+    });
+
+    afterAll(() => {
+      setPaymentGateway(null);
+    });
+
+    const enrolledStudent = () => ({
+      studentId: 'STU-1',
+      paymentStatus: PAYMENT_STATUS.SUCCESS,
+      status: STUDENT_STATUS.ENROLLED,
+      installments: [
+        { number: 1, amountINR: 400, status: INSTALLMENT_STATUS.PAID },
+        { number: 2, amountINR: 300, status: INSTALLMENT_STATUS.OVERDUE, payToken: 'second', previousRazorpayOrderIds: [] },
+        { number: 3, amountINR: 300, status: INSTALLMENT_STATUS.PENDING, payToken: 'third', previousRazorpayOrderIds: [] },
+      ],
+      save: jest.fn().mockResolvedValue(undefined),
+    });
+
+    it('should order the next installment for its amount, then reuse that order', async () => {
+      const student = enrolledStudent();
+      jest.spyOn(Enrollment, 'findOne').mockResolvedValue(student);
+
+      const first = await installmentService.createPaymentOrder('second');
+      const second = await installmentService.createPaymentOrder('second');
+
+      expect(first.order.amount).toBe(30000);
+      expect(student.installments[1].razorpayOrderId).toBe(first.order.id);
+      expect(second.reusedOrder).toBe(true);
+      expect(second.order.id).toBe(first.order.id);
+    });
+
+    it('should have installments paid in order', async () => {
+      jest.spyOn(Enrollment, 'findOne').mockResolvedValue(enrolledStudent());
+      await expect(installmentService.createPaymentOrder('third')).rejects.toThrow('Installment 2 has to be paid first');
+    });
+
+    it('should refuse cancelled enrollments', async () => {
+      jest.spyOn(Enrollment, 'findOne').mockResolvedValue({ ...enrolledStudent(), status: STUDENT_STATUS.CANCELLED });
+      await expect(installmentService.createPaymentOrder('second')).rejects.toBeInstanceOf(ConflictError);
+    });
+  });
+
+  describe('recordPayment', () => {
+    const installmentId = new mongoose.Types.ObjectId();
+    const suspendedStudent = (status) => Enrollment.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      studentId: 'STU-1',
+      programType: 'freelancer',
+      paymentStatus: PAYMENT_STATUS.SUCCESS,
+      status: STUDENT_STATUS.SUSPENDED,
+      installmentSuspendedAt: now,
+      installments: [
+        { number: 1, amountINR: 400, status: INSTALLMENT_STATUS.PAID },
+        { _id: installmentId, number: 2, amountINR: 300, status, graceEndsAt: now, invoiceNumber: 'FRL/2026-27/000002' },
+      ],
+    });
+
+    it('should record the payment once and restore access', async () => {
+      const student = suspendedStudent(INSTALLMENT_STATUS.OVERDUE);
+      jest.spyOn(Enrollment, 'findOneAndUpdate').mockResolvedValue(suspendedStudent(INSTALLMENT_STATUS.PAID));
+      jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const transition = jest.spyOn(studentLifecycleService, 'transition').mockImplementation(async (enrollment, to) => ({
+        student: Object.assign(enrollment, { status: to }),
+      }));
+
+      const result = await installmentService.recordPayment(student, student.installments[1], 'pay_second', now);
+
+      expect(result.alreadyPaid).toBe(false);
+      expect(transition).toHaveBeenCalledWith(expect.anything(), STUDENT_STATUS.ENROLLED, expect.objectContaining({ changedBy: 'system' }));
+      expect(result.student.status).toBe(STUDENT_STATUS.ENROLLED);
+    });
+
+    it('should leave an installment someone else recorded alone', async () => {
+      const student = suspendedStudent(INSTALLMENT_STATUS.OVERDUE);
+      jest.spyOn(Enrollment, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(Enrollment, 'findById').mockResolvedValue(suspendedStudent(INSTALLMENT_STATUS.PAID));
+      const transition = jest.spyOn(studentLifecycleService, 'transition');
+
+      const result = await installmentService.recordPayment(student, student.installments[1], 'pay_second', now);
+
+      expect(result.alreadyPaid).toBe(true);
+      expect(result.installment.status).toBe(INSTALLMENT_STATUS.PAID);
+      expect(transition).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('suspendOverdue', () => {
+    it('should suspend enrollments whose grace period ended', async () => {
+      const student = {
+        _id: new mongoose.Types.ObjectId(),
+        studentId: 'STU-1',
+        installments: [
+          { number: 1, status: INSTALLMENT_STATUS.PAID },
+          { number: 2, status: INSTALLMENT_STATUS.OVERDUE, dueDate: new Date('2026-05-20'), graceEndsAt: new Date(now.getTime() - 1) },
+        ],
+      };
+      jest.spyOn(Enrollment, 'find').mockReturnValue({ limit: () => Promise.resolve([student]) });
+      const update = jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const transition = jest.spyOn(studentLifecycleService, 'transition').mockResolvedValue({});
+
+      expect(await installmentService.suspendOverdue(now)).toBe(1);
+      expect(transition).toHaveBeenCalledWith(student, STUDENT_STATUS.SUSPENDED, expect.objectContaining({ changedBy: 'system' }));
+      expect(transition.mock.calls[0][2].reason).toMatch(/^Installment 2 of 2 is overdue/);
+      expect(update).toHaveBeenCalledWith({ _id: student._id }, { $set: { installmentSuspendedAt: now } });
+    });
+  });
+});
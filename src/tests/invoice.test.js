@@ -0,0 +1,136 @@
+import { buildInvoiceData } from '../utils/invoice.js';
+import { renderInvoicePdf } from '../utils/invoicePdf.js';
+import nodemailer from 'nodemailer';
+import Enrollment from '../models/Enrollment.js';
+import invoiceController from '../controllers/invoiceController.js';
+import { config } from '../config/index.js';
+import { TAX_TYPES } from '../config/constants.js';
+
+describe('Invoices', () => {
+  const student = {
+    _id: 'stu_1',
+    invoiceNumber: 'SRT/2026-27/000123',
+    createdAt: new Date('2026-05-10T06:30:00Z'),
+    programType: 'programs',
+    programName: 'Full Stack Program',
+    productSnapshot: { sacCode: '999293' },
+    programUnitPrice: 1180,
+    programDuration: 3,
+    programPriceINR: 3540,
+    addonsData: [{ id: 'mentor', name: 'Mentorship', price: 1180, sacCode: '999293' }],
+    selectedAddonNames: ['Mentorship'],
+    addonPriceINR: 1180,
+    subtotalINR: 4720,
+    discountINR: 472,
+    couponCode: 'SAVE10',
+    totalINR: 4248,
+    paymentStatus: 'SUCCESS',
+    razorpayPaymentId: 'pay_1',
+    paymentDate: new Date('2026-05-10T06:30:00Z'),
+    fullName: 'Asha Rao',
+    email: 'asha@example.com',
+    primaryPhone: '+91 98765 43210',
+    residentialAddress: '12 MG Road',
+    city: 'Pune',
+    state: 'Maharashtra',
+    zipCode: '411001',
+    country: 'India',
+  };
+  const companyState = config.COMPANY_STATE;
+
+  beforeEach(() => {
+    config.COMPANY_STATE = 'Maharashtra';
+  });
+
+  afterEach(() => {
+    config.COMPANY_STATE = companyState;
+  });
+
+  describe('buildInvoiceData', () => {
+    it('should split intra-state GST into CGST and SGST after the discount', async () => {
+      const invoice = await buildInvoiceData(student);
+
+      expect(invoice.taxType).toBe(TAX_TYPES.INTRA_STATE);
+      expect(invoice.discountINR).toBe(472);
+      expect(invoice.subtotalExclusiveGST).toBe(3600);
+      expect(invoice.cgstAmountINR).toBe(324);
+      expect(invoice.sgstAmountINR).toBe(324);
+      expect(invoice.igstAmountINR).toBe(0);
+      expect(invoice.subtotalExclusiveGST + invoice.gstAmountINR).toBe(invoice.totalINR);
+    });
+
+    it('should put the whole GST into IGST for a buyer in another state', async () => {
+      const invoice = await buildInvoiceData({ ...student, state: 'Karnataka' });
+
+      expect(invoice.taxType).toBe(TAX_TYPES.INTER_STATE);
+      expect(invoice.igstAmountINR).toBe(648);
+      expect(invoice.cgstAmountINR + invoice.sgstAmountINR).toBe(0);
+    });
+
+    it('should list the program and each addon with their share of the discount', async () => {
+      const { lineItems, programPriceExclusiveGST, addonPriceExclusiveGST } = await buildInvoiceData(student);
+
+      expect(lineItems.map(({ description, sacCode, quantity, amount, discount, taxableValue, total }) => ({
+        description, sacCode, quantity, amount, discount, taxableValue, total,
+      }))).toEqual([
+        { description: 'Full Stack Program', sacCode: '999293', quantity: 3, amount: 3540, discount: 354, taxableValue: 2700, total: 3186 },
+        { description: 'Mentorship', sacCode: '999293', quantity: 1, amount: 1180, discount: 118, taxableValue: 900, total: 1062 },
+      ]);
+      expect(programPriceExclusiveGST).toBe(2700);
+      expect(addonPriceExclusiveGST).toBe(900);
+    });
+  });
+
+  describe('POST /invoices/send', () => {
+    let mails;
+
+    const send = (body) => new Promise((resolve, reject) => {
+      const res = {
+        statusCode: 200,
+        locals: {},
+        on() { return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(json) { resolve({ status: this.statusCode, body: json }); },
+      };
+      invoiceController({ method: 'POST', url: '/send', body, headers: {}, get: () => undefined }, res, reject);
+    });
+    const findEnrollment = (enrollment) => jest.spyOn(Enrollment, 'findOne').mockReturnValue({ lean: () => Promise.resolve(enrollment) });
+
+    beforeEach(() => {
+      mails = [];
+      jest.spyOn(nodemailer, 'createTransport').mockReturnValue({ sendMail: async (mail) => mails.push(mail) });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should email a paid invoice, with the PDF attached, to the student only', async () => {
+      findEnrollment({ ...student, invoiceLink: 'link-1' });
+
+      const response = await send({ invoiceLink: 'link-1', studentEmail: 'someone@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.studentEmail).toBe('asha@example.com');
+      expect(mails).toHaveLength(1);
+      expect(mails[0].to).toBe('asha@example.com');
+      expect(mails[0].attachments[0].contentType).toBe('application/pdf');
+      expect(mails[0].html).toContain('attached to this email');
+    });
+
+    it('should not send the invoice of an unpaid checkout', async () => {
+      findEnrollment({ ...student, invoiceLink: 'link-1', paymentStatus: 'FAILED' });
+
+      expect((await send({ invoiceLink: 'link-1' })).status).toBe(404);
+      expect(mails).toHaveLength(0);
+    });
+  });
+
+  describe('renderInvoicePdf', () => {
+    it('should render a PDF document', async () => {
+      const pdf = await renderInvoicePdf(await buildInvoiceData(student), student);
+
+      expect(Buffer.isBuffer(pdf)).toBe(true);
+      expect(pdf.length).toBeGreaterThan(0);
+      expect(pdf.subarray(0, 4).toString()).toBe('%PDF');
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import { getFinancialYear } from '../utils/helpers.js';
+import { formatInvoiceNumber, getInvoicePrefix, INVOICE_NUMBER_CLAIM_TIMEOUT_MS } from '../utils/invoiceNumber.js';
+import { config } from '../config/index.js';
+import Enrollment from '../models/Enrollment.js';
+import Counter from '../models/Counter.js';
+import installmentService from '../services/installmentService.js';
+
+describe('Invoice Numbering', () => {
+  describe('getFinancialYear', () => {
+    it('should start the financial year in April', () => {
+      expect(getFinancialYear(new Date('2026-04-01T06:30:00Z'))).toBe('2026-27');
+      expect(getFinancialYear(new Date('2027-03-31T06:30:00Z'))).toBe('2026-27');
+    });
+
+    it('should change year at midnight IST on 1 April', () => {
+      expect(getFinancialYear(new Date('2026-03-31T18:29:59Z'))).toBe('2025-26');
+      expect(getFinancialYear(new Date('2026-03-31T18:30:00Z'))).toBe('2026-27');
+    });
+
+    it('should roll over at the turn of the century', () => {
+      expect(getFinancialYear(new Date('2099-12-31T06:30:00Z'))).toBe('2099-00');
+    });
+  });
+
+  describe('formatInvoiceNumber', () => {
+    it('should zero-pad the sequence to six digits', () => {
+      expect(formatInvoiceNumber('SRT', '2026-27', 123)).toBe('SRT/2026-27/000123');
+    });
+  });
+
+  describe('getInvoicePrefix', () => {
+    it('should use the configured prefix per product type', () => {
+      expect(getInvoicePrefix('international')).toBe(config.INVOICE_PREFIXES.international);
+    });
+
+    it('should fall back to the default prefix for unknown types', () => {
+      expect(getInvoicePrefix('unknown')).toBe(config.INVOICE_PREFIX_DEFAULT);
+    });
+  });
+
+  describe('Enrollment.assignInvoiceNumber', () => {
+    const paymentDate = new Date('2026-05-10T06:30:00Z');
+    const buildStudent = () => Enrollment.hydrate({ _id: '64b000000000000000000001', programType: 'programs', paymentDate });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should let a claim left by a request that died be taken over', async () => {
+      const claim = jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Counter, 'nextSequence').mockResolvedValue(5);
+
+      expect(await buildStudent().assignInvoiceNumber()).toBe(`${getInvoicePrefix('programs')}/2026-27/000005`);
+
+      const [filter, update] = claim.mock.calls[0];
+      const claimedAt = update.$set.invoiceNumberClaimedAt;
+      expect(filter.invoiceNumber).toEqual({ $exists: false });
+      expect(filter.$or).toEqual([
+        { invoiceNumberClaimedAt: { $exists: false } },
+        { invoiceNumberClaimedAt: { $lt: new Date(claimedAt.getTime() - INVOICE_NUMBER_CLAIM_TIMEOUT_MS) } },
+      ]);
+    });
+
+    it('should release the claim when no number could be drawn', async () => {
+      const student = buildStudent();
+      const update = jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Counter, 'nextSequence').mockRejectedValue(new Error('counter unavailable'));
+
+      await expect(student.assignInvoiceNumber()).rejects.toThrow('counter unavailable');
+
+      const claimedAt = update.mock.calls[0][1].$set.invoiceNumberClaimedAt;
+      expect(update).toHaveBeenCalledWith({ _id: student._id, invoiceNumberClaimedAt: claimedAt }, { $unset: { invoiceNumberClaimedAt: 1 } });
+      expect(student.invoiceNumber).toBeUndefined();
+    });
+
+    it('should keep a number drawn after its claim was taken over if the student has none yet', async () => {
+      const student = buildStudent();
+      const update = jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Counter, 'nextSequence').mockResolvedValue(6);
+
+      expect(await student.assignInvoiceNumber()).toBe(`${getInvoicePrefix('programs')}/2026-27/000006`);
+      expect(update.mock.calls[1][0]).toEqual({ _id: student._id, invoiceNumber: { $exists: false } });
+    });
+
+    it('should report a drawn number it could not store because the student was numbered meanwhile', async () => {
+      const student = buildStudent();
+      jest.spyOn(Enrollment, 'updateOne')
+        .mockResolvedValueOnce({ modifiedCount: 1 })
+        .mockResolvedValueOnce({ modifiedCount: 0 });
+      jest.spyOn(Enrollment, 'findById').mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ invoiceNumber: 'SRT/2026-27/000006' }) }) });
+      jest.spyOn(Counter, 'nextSequence').mockResolvedValue(7);
+      const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await student.assignInvoiceNumber()).toBe('SRT/2026-27/000006');
+      expect(student.invoiceNumber).toBe('SRT/2026-27/000006');
+      expect(log.mock.calls[0][0]).toContain('000007 was drawn but not used');
+    });
+
+    it('should number the enrollment in the same step as marking it paid', async () => {
+      const student = Enrollment.hydrate({ _id: '64b000000000000000000001', programType: 'programs', status: 'PENDING', paymentStatus: 'PROCESSING' });
+      jest.spyOn(Enrollment, 'findOneAndUpdate').mockResolvedValue({ _id: student._id });
+      const update = jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Counter, 'nextSequence').mockRejectedValue(new Error('counter unavailable'));
+      const save = jest.spyOn(student, 'save');
+
+      await expect(student.updatePaymentStatus('SUCCESS', 'pay_1')).rejects.toThrow('counter unavailable');
+      expect(save).not.toHaveBeenCalled();
+      expect(update).toHaveBeenLastCalledWith({ _id: student._id }, { $set: expect.objectContaining({ paymentStatus: 'PROCESSING' }) });
+      expect(student.paymentStatus).toBe('PROCESSING');
+    });
+  });
+
+  describe('installmentService.assignInvoiceNumber', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should claim and number the installment itself', async () => {
+      const student = Enrollment.hydrate({
+        _id: '64b000000000000000000001',
+        programType: 'programs',
+        installments: [{ number: 1, amountINR: 1000 }, { number: 2, amountINR: 1000, paidAt: new Date('2026-06-10T06:30:00Z') }],
+      });
+      const installment = student.installments[1];
+      const update = jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Counter, 'nextSequence').mockResolvedValue(9);
+
+      expect(await installmentService.assignInvoiceNumber(student, installment)).toBe(`${getInvoicePrefix('programs')}/2026-27/000009`);
+
+      const [filter, { $set }] = update.mock.calls[0];
+      const claimedAt = $set['installments.$.invoiceNumberClaimedAt'];
+      expect(filter.installments.$elemMatch._id).toBe(installment._id);
+      expect(update).toHaveBeenCalledWith(
+        { _id: student._id, installments: { $elemMatch: { _id: installment._id, invoiceNumber: { $exists: false } } } },
+        { $set: { 'installments.$.invoiceNumber': `${getInvoicePrefix('programs')}/2026-27/000009`, 'installments.$.invoiceNumberClaimedAt': claimedAt } }
+      );
+      expect(installment.invoiceNumber).toBe(`${getInvoicePrefix('programs')}/2026-27/000009`);
+    });
+  });
+});
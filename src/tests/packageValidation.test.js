@@ -0,0 +1,104 @@
+import Product from '../models/Product.js';
+import { parseMonthlyOptions, validatePackageSelection } from '../utils/packageValidation.js';
+import { PRODUCT_BILLING_TYPES } from '../config/constants.js';
+import { ValidationError } from '../utils/errors.js';
+
+describe('Package Validation', () => {
+  describe('parseMonthlyOptions', () => {
+    it('should parse a month range', () => {
+      expect(parseMonthlyOptions('6-12')).toEqual({ min: 6, max: 12 });
+      expect(parseMonthlyOptions(' 3 - 12 ')).toEqual({ min: 3, max: 12 });
+    });
+
+    it('should reject malformed or inverted ranges', () => {
+      expect(parseMonthlyOptions('12-6')).toBeNull();
+      expect(parseMonthlyOptions('0-6')).toBeNull();
+      expect(parseMonthlyOptions('six')).toBeNull();
+      expect(parseMonthlyOptions(undefined)).toBeNull();
+    });
+  });
+
+  describe('validatePackageSelection', () => {
+    const catalog = {
+      'programs/skill-phase': { type: PRODUCT_BILLING_TYPES.MONTHLY, monthlyOptions: '6-12', price: 7199 },
+      'programAddons/payroll-payroll-epf': { type: PRODUCT_BILLING_TYPES.MONTHLY, price: 47.2 },
+      'freelancer/freelancer-basic': { type: PRODUCT_BILLING_TYPES.ONE_TIME, price: 14999 },
+      'freelancerAddons/portfolio': { type: PRODUCT_BILLING_TYPES.ONE_TIME, price: 999 },
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Product, 'findInGroup').mockImplementation(async (group, productId) => {
+        const entry = catalog[`${group}/${productId}`];
+        return entry
+          ? new Product({ group, productId, name: productId, ...entry, prices: [{ price: entry.price, effectiveFrom: new Date(0) }] })
+          : null;
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const detailCodes = async (packageData) => {
+      try {
+        await validatePackageSelection(packageData);
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        return error.details.map(detail => detail.code);
+      }
+      throw new Error('Expected a validation error');
+    };
+
+    it('should accept a duration inside the product range', async () => {
+      const selection = await validatePackageSelection({
+        type: 'programs',
+        selectedProduct: 'skill-phase',
+        selectedMonths: 6,
+        selectedAddon: ['payroll-payroll-epf'],
+      });
+
+      expect(selection.duration).toBe(6);
+      expect(selection.addons).toHaveLength(1);
+    });
+
+    it('should reject fractional and out-of-range durations', async () => {
+      expect(await detailCodes({ type: 'programs', selectedProduct: 'skill-phase', selectedMonths: 0.01 })).toEqual(['INVALID_DURATION']);
+      expect(await detailCodes({ type: 'programs', selectedProduct: 'skill-phase', selectedMonths: 3 })).toEqual(['DURATION_OUT_OF_RANGE']);
+    });
+
+    it('should require a duration for monthly products', async () => {
+      expect(await detailCodes({ type: 'programs', selectedProduct: 'skill-phase' })).toEqual(['DURATION_REQUIRED']);
+    });
+
+    it('should reject a duration on one-time products', async () => {
+      expect(await detailCodes({ type: 'freelancer', selectedProduct: 'freelancer-basic', selectedMonths: 6 })).toEqual(['DURATION_NOT_ALLOWED']);
+    });
+
+    it('should reject conflicting duration fields', async () => {
+      const codes = await detailCodes({
+        type: 'programs',
+        selectedProduct: 'skill-phase',
+        selectedMonths: 6,
+        productData: { duration: 12 },
+      });
+
+      expect(codes).toEqual(['DURATION_MISMATCH']);
+    });
+
+    it('should reject addons from another product type and duplicates', async () => {
+      const codes = await detailCodes({
+        type: 'programs',
+        selectedProduct: 'skill-phase',
+        selectedMonths: 6,
+        selectedAddon: ['portfolio', 'payroll-payroll-epf', 'payroll-payroll-epf'],
+      });
+
+      expect(codes).toEqual(['ADDON_NOT_ALLOWED', 'DUPLICATE_ADDON']);
+    });
+
+    it('should reject unknown product types and products', async () => {
+      expect(await detailCodes({ type: 'courses', selectedProduct: 'skill-phase' })).toEqual(['INVALID_PRODUCT_TYPE']);
+      expect(await detailCodes({ type: 'programs', selectedProduct: 'nope' })).toEqual(['PRODUCT_NOT_FOUND']);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import jwt from 'jsonwebtoken';
+import nodemailer from 'nodemailer';
+import PortalLogin, { PORTAL_LOGIN_MAX_ATTEMPTS, PORTAL_LOGIN_MAX_REQUESTS } from '../models/PortalLogin.js';
+import Learner from '../models/Learner.js';
+import portalService from '../services/portalService.js';
+import { authenticateStudent, generateTokens, generateStudentToken } from '../middlewares/auth.js';
+import { config } from '../config/index.js';
+import { TOKEN_TYPES } from '../config/constants.js';
+
+describe('Student Portal', () => {
+  let logins;
+  let mails;
+
+  // Resolves like a query with or without .sort()/.select()
+  const query = (result) => {
+    const chain = { sort: () => chain, select: () => chain, then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+    return chain;
+  };
+
+  const codeFrom = (mail) => />(\d{6})</.exec(mail.html)[1];
+  const tokenFrom = (mail) => /token=([0-9a-f]+)/.exec(mail.html)[1];
+
+  beforeEach(() => {
+    logins = [];
+    mails = [];
+    jest.spyOn(nodemailer, 'createTransport').mockReturnValue({ sendMail: async (mail) => mails.push(mail) });
+    jest.spyOn(Learner, 'findOne').mockImplementation(({ email }) => query(email === 'ann@example.com' ? { fullName: 'Ann', email } : null));
+
+    // In-memory login requests
+    jest.spyOn(PortalLogin, 'countDocuments').mockImplementation(async () => logins.length);
+    jest.spyOn(PortalLogin, 'create').mockImplementation(async (doc) => {
+      const login = { _id: logins.length + 1, attempts: 0, usedAt: null, createdAt: new Date(), ...doc };
+      logins.push(login);
+      return login;
+    });
+    jest.spyOn(PortalLogin, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const login = [...logins].reverse().find(candidate => candidate.usedAt === null
+        && (!filter.tokenHash || candidate.tokenHash === filter.tokenHash)
+        && (!filter.attempts || candidate.attempts < filter.attempts.$lt));
+      if (!login) {
+        return null;
+      }
+      Object.assign(login, update.$set);
+      login.attempts += update.$inc?.attempts || 0;
+      return login;
+    });
+    jest.spyOn(PortalLogin, 'updateOne').mockImplementation(async ({ _id }, update) => {
+      const login = logins.find(candidate => candidate._id === _id && candidate.usedAt === null);
+      if (login) {
+        Object.assign(login, update.$set);
+      }
+      return { modifiedCount: login ? 1 : 0 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('login', () => {
+    it('should email a link and code, storing only their hashes', async () => {
+      expect(await portalService.requestLogin(' Ann@Example.com ')).toBe(true);
+
+      expect(mails).toHaveLength(1);
+      expect(mails[0].to).toBe('ann@example.com');
+      expect(logins[0].tokenHash).not.toBe(tokenFrom(mails[0]));
+      expect(logins[0].otpHash).not.toBe(codeFrom(mails[0]));
+    });
+
+    it('should not email addresses with no registration', async () => {
+      expect(await portalService.requestLogin('nobody@example.com')).toBe(false);
+      expect(mails).toHaveLength(0);
+    });
+
+    it('should limit the login emails sent to one address', async () => {
+      for (let i = 0; i < PORTAL_LOGIN_MAX_REQUESTS + 1; i++) {
+        await portalService.requestLogin('ann@example.com');
+      }
+      expect(mails).toHaveLength(PORTAL_LOGIN_MAX_REQUESTS);
+    });
+
+    it('should accept a link once', async () => {
+      await portalService.requestLogin('ann@example.com');
+      const token = tokenFrom(mails[0]);
+
+      const session = await portalService.verifyToken(token);
+      expect(session.email).toBe('ann@example.com');
+      expect(jwt.verify(session.accessToken, config.JWT_SECRET)).toMatchObject({ email: 'ann@example.com', type: TOKEN_TYPES.STUDENT_ACCESS });
+      await expect(portalService.verifyToken(token)).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('should accept a code once', async () => {
+      await portalService.requestLogin('ann@example.com');
+      const otp = codeFrom(mails[0]);
+
+      expect((await portalService.verifyOtp('ann@example.com', otp)).email).toBe('ann@example.com');
+      await expect(portalService.verifyOtp('ann@example.com', otp)).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('should stop accepting a code after too many wrong ones', async () => {
+      await portalService.requestLogin('ann@example.com');
+      const otp = codeFrom(mails[0]);
+      const wrong = otp === '000000' ? '111111' : '000000';
+
+      for (let i = 0; i < PORTAL_LOGIN_MAX_ATTEMPTS; i++) {
+        await expect(portalService.verifyOtp('ann@example.com', wrong)).rejects.toMatchObject({ statusCode: 401 });
+      }
+      await expect(portalService.verifyOtp('ann@example.com', otp)).rejects.toMatchObject({ statusCode: 401 });
+    });
+  });
+
+  describe('session tokens', () => {
+    const run = (token) => {
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      authenticateStudent(req, res, next);
+      return { req, res, next };
+    };
+
+    it('should scope the session to the student email', () => {
+      const { req, next } = run(generateStudentToken('ann@example.com').accessToken);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.student.email).toBe('ann@example.com');
+    });
+
+    it('should refuse staff tokens', () => {
+      const { accessToken } = generateTokens({ id: 'user-1', email: 'ann@example.com', role: 'admin' });
+      const { res, next } = run(accessToken);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+});
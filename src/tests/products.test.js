@@ -0,0 +1,87 @@
+import Product from '../models/Product.js';
+import catalogService from '../services/catalogService.js';
+import { PRODUCT_BILLING_TYPES } from '../config/constants.js';
+
+describe('Product Catalog', () => {
+  const product = new Product({
+    group: 'programs',
+    productId: 'skill-phase',
+    name: 'Skill Phase',
+    type: PRODUCT_BILLING_TYPES.MONTHLY,
+    monthlyOptions: '6-12',
+    sacCode: '999293',
+    prices: [
+      { price: 7199, effectiveFrom: new Date('2026-01-01') },
+      { price: 7999, effectiveFrom: new Date('2026-07-01') },
+    ],
+  });
+
+  describe('getPriceAt', () => {
+    it('should use the latest price already in effect', () => {
+      expect(product.getPriceAt(new Date('2026-03-15'))).toBe(7199);
+      expect(product.getPriceAt(new Date('2026-07-01'))).toBe(7999);
+    });
+
+    it('should fall back to the earliest price before any takes effect', () => {
+      expect(product.getPriceAt(new Date('2025-12-31'))).toBe(7199);
+    });
+  });
+
+  describe('toCatalogEntry', () => {
+    it('should keep the products.json shape with the effective price', () => {
+      const entry = product.toCatalogEntry(new Date('2026-03-15'));
+
+      expect(entry).toMatchObject({
+        id: 'skill-phase',
+        name: 'Skill Phase',
+        type: PRODUCT_BILLING_TYPES.MONTHLY,
+        monthlyOptions: '6-12',
+        sacCode: '999293',
+        price: 7199,
+      });
+    });
+
+    it('should announce an upcoming price change', () => {
+      const entry = product.toCatalogEntry(new Date('2026-03-15'));
+
+      expect(entry.upcomingPrice.price).toBe(7999);
+      expect(product.toCatalogEntry(new Date('2026-08-01')).upcomingPrice).toBeUndefined();
+    });
+  });
+
+  describe('validation', () => {
+    it('should require at least one price', () => {
+      const unpriced = new Product({ group: 'programs', productId: 'x', name: 'X', type: PRODUCT_BILLING_TYPES.ONE_TIME });
+
+      expect(unpriced.validateSync().errors.prices).toBeDefined();
+    });
+
+    it('should reject unknown catalog groups', () => {
+      const misplaced = new Product({ ...product.toObject(), _id: undefined, group: 'courses' });
+
+      expect(misplaced.validateSync().errors.group).toBeDefined();
+    });
+  });
+
+  describe('seedFromJson', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should give products seeded earlier the catalog fields they lack, without overwriting the rest', async () => {
+      const update = jest.spyOn(Product, 'updateOne').mockImplementation(async (filter, change) => (Array.isArray(change)
+        ? { modifiedCount: filter.productId === 'progress-basic' ? 1 : 0 }
+        : { upsertedCount: 0 }));
+
+      const { inserted, updated, existing } = await catalogService.seedFromJson();
+
+      expect(inserted).toBe(0);
+      expect(updated).toBe(1);
+      expect(existing).toBeGreaterThan(0);
+
+      const [, [{ $set }]] = update.mock.calls.find(([filter, change]) => filter.productId === 'progress-basic' && Array.isArray(change));
+      expect($set.installmentPlans).toEqual({
+        $ifNull: ['$installmentPlans', { $literal: [{ planId: '3-installments', name: '3 monthly installments', installments: 3, intervalDays: 30 }] }],
+      });
+      expect($set.prices).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Enrollment from '../models/Enrollment.js';
+import Donation from '../models/Donation.js';
+import reconciliationService from '../services/reconciliationService.js';
+import { FileBackedPaymentGateway } from './fakePaymentGateway.js';
+import { setPaymentGateway } from '../services/paymentGateway.js';
+import { PAYMENT_STATUS, RECONCILIATION_DISCREPANCY_TYPES } from '../config/constants.js';
+import { ValidationError } from '../utils/errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Reconciliation', () => {
+  const range = { from: new Date('2026-06-01T00:00:00Z'), to: new Date('2026-06-01T23:59:59Z') };
+
+  const student = (studentId, fields) => ({
+    studentId,
+    previousRazorpayOrderIds: [],
+    paymentDate: new Date('2026-06-01T10:00:00Z'),
+    ...fields,
+  });
+
+  const students = [
+    student('STU-A', { razorpayOrderId: 'order_A1', razorpayPaymentId: 'pay_A1', paymentStatus: PAYMENT_STATUS.SUCCESS, totalINR: 1180 }),
+    student('STU-B', { razorpayOrderId: 'order_B1', paymentStatus: PAYMENT_STATUS.PROCESSING, totalINR: 500, paymentDate: undefined }),
+    student('STU-C', { razorpayOrderId: 'order_C1', razorpayPaymentId: 'pay_C1', paymentStatus: PAYMENT_STATUS.SUCCESS, totalINR: 1000 }),
+    student('STU-F', { razorpayOrderId: 'order_F1', razorpayPaymentId: 'pay_F1', paymentStatus: PAYMENT_STATUS.SUCCESS, totalINR: 300 }),
+    student('STU-Z', { razorpayOrderId: 'order_Z1', razorpayPaymentId: 'pay_Z1', paymentStatus: PAYMENT_STATUS.SUCCESS, totalINR: 400 }),
+  ];
+
+  beforeEach(() => {
+    setPaymentGateway(new FileBackedPaymentGateway(path.join(__dirname, 'fixtures', 'razorpay-reconciliation.json')));
+
+    // Match the two Enrollment queries made by compare(): by gateway ids, and paid in the range
+    jest.spyOn(Enrollment, 'find').mockImplementation(async (filter) => {
+      if (filter.$or) {
+        const paymentIds = filter.$or[0].razorpayPaymentId.$in;
+        const orderIds = filter.$or[1].razorpayOrderId.$in;
+        return students.filter(s => paymentIds.includes(s.razorpayPaymentId) || orderIds.includes(s.razorpayOrderId));
+      }
+      if (filter.installments) {
+        return []; // no installment plans here
+      }
+      if (filter['subscription.charges']) {
+        return []; // no subscriptions here
+      }
+      return students.filter(s => filter.paymentStatus.$in.includes(s.paymentStatus) && s.paymentDate);
+    });
+    jest.spyOn(Donation, 'find').mockReturnValue({
+      select: async () => [{ razorpayOrderId: 'order_D1', razorpayPaymentId: 'pay_D1' }],
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    setPaymentGateway(null);
+  });
+
+  it('should report each kind of discrepancy once', async () => {
+    const { summary, discrepancies } = await reconciliationService.compare(range);
+    const byStudent = Object.fromEntries(discrepancies.map(d => [d.studentId || d.razorpayPaymentId, d.type]));
+
+    expect(byStudent).toEqual({
+      'STU-B': RECONCILIATION_DISCREPANCY_TYPES.CAPTURED_BUT_PENDING,
+      'STU-C': RECONCILIATION_DISCREPANCY_TYPES.AMOUNT_MISMATCH,
+      'STU-F': RECONCILIATION_DISCREPANCY_TYPES.SUCCESS_WITHOUT_CAPTURE,
+      'STU-Z': RECONCILIATION_DISCREPANCY_TYPES.SUCCESS_WITHOUT_CAPTURE,
+      pay_X1: RECONCILIATION_DISCREPANCY_TYPES.UNMATCHED_PAYMENT,
+    });
+    expect(summary.discrepancies).toBe(5);
+    expect(summary.settledAmountINR).toBe(1380);
+    expect(summary.feesINR).toBe(27.6);
+  });
+
+  it('should ignore donation payments and failed payments', async () => {
+    const { discrepancies } = await reconciliationService.compare(range);
+    const paymentIds = discrepancies.map(d => d.razorpayPaymentId);
+
+    expect(paymentIds).not.toContain('pay_D1');
+    expect(paymentIds).not.toContain('pay_E1');
+  });
+
+  it('should reject invalid or oversized ranges', async () => {
+    await expect(reconciliationService.reconcile({ from: 'nope', to: range.to })).rejects.toBeInstanceOf(ValidationError);
+    await expect(reconciliationService.reconcile({ from: range.to, to: range.from })).rejects.toBeInstanceOf(ValidationError);
+    await expect(reconciliationService.reconcile({ from: '2026-01-01', to: '2026-06-01' })).rejects.toBeInstanceOf(ValidationError);
+  });
+
+  it('should compute IST day boundaries', () => {
+    const { day, from, to } = reconciliationService.getIstDay(new Date('2026-06-01T20:00:00Z'));
+
+    expect(day).toBe('2026-06-02');
+    expect(from.toISOString()).toBe('2026-06-01T18:30:00.000Z');
+    expect(to.toISOString()).toBe('2026-06-02T18:29:59.999Z');
+  });
+});
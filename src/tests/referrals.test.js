@@ -0,0 +1,57 @@
+import ReferralCode, { REFERRAL_CODE_PATTERN } from '../models/ReferralCode.js';
+import { COUPON_TYPES, REFERRAL_OWNER_TYPES } from '../config/constants.js';
+
+describe('Referrals', () => {
+  describe('generateCode', () => {
+    it('should produce codes Enrollment.referralCode accepts', () => {
+      expect(ReferralCode.generateCode('Priya Sharma')).toMatch(REFERRAL_CODE_PATTERN);
+      expect(ReferralCode.generateCode('Li')).toMatch(REFERRAL_CODE_PATTERN);
+      expect(ReferralCode.generateCode('')).toMatch(REFERRAL_CODE_PATTERN);
+    });
+
+    it('should start with the owner name', () => {
+      expect(ReferralCode.generateCode('Priya Sharma').startsWith('PRIYA')).toBe(true);
+    });
+  });
+
+  describe('rewards and discounts', () => {
+    const referralCode = new ReferralCode({
+      code: 'PARTNER01',
+      ownerType: REFERRAL_OWNER_TYPES.PARTNER,
+      ownerName: 'Partner',
+      ownerEmail: 'partner@example.com',
+      rewardType: COUPON_TYPES.PERCENTAGE,
+      rewardValue: 10,
+      refereeDiscountType: COUPON_TYPES.FLAT,
+      refereeDiscountValue: 1000,
+    });
+
+    it('should compute the reward on the paid amount', () => {
+      expect(referralCode.calculateReward(25000)).toBe(2500);
+    });
+
+    it('should cap the referee discount at the order value', () => {
+      expect(referralCode.calculateRefereeDiscount(20000)).toBe(1000);
+      expect(referralCode.calculateRefereeDiscount(500)).toBe(500);
+    });
+
+    it('should give no referee discount when none is configured', () => {
+      const plain = new ReferralCode({ ...referralCode.toObject(), refereeDiscountValue: 0 });
+
+      expect(plain.calculateRefereeDiscount(20000)).toBe(0);
+    });
+  });
+
+  describe('validation', () => {
+    it('should require a student id for student codes', () => {
+      const referralCode = new ReferralCode({
+        code: 'STUDENT01',
+        ownerType: REFERRAL_OWNER_TYPES.STUDENT,
+        ownerName: 'Student',
+        ownerEmail: 'student@example.com',
+      });
+
+      expect(referralCode.validateSync().errors.ownerStudentId).toBeDefined();
+    });
+  });
+});
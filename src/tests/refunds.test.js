@@ -0,0 +1,203 @@
+import refundService from '../services/refundService.js';
+import { FakePaymentGateway } from './fakePaymentGateway.js';
+import { setPaymentGateway } from '../services/paymentGateway.js';
+import referralService from '../services/referralService.js';
+import studentLifecycleService from '../services/studentLifecycleService.js';
+import Enrollment from '../models/Enrollment.js';
+import Counter from '../models/Counter.js';
+import { PAYMENT_STATUS, REFUND_STATUS, STUDENT_STATUS } from '../config/constants.js';
+import { ConflictError, ValidationError } from '../utils/errors.js';
+
+describe('Refunds', () => {
+  let gateway;
+
+  beforeEach(() => {
+    gateway = new FakePaymentGateway();
+    setPaymentGateway(gateway);
+  });
+
+  afterAll(() => {
+    setPaymentGateway(null);
+  });
+
+  const paidStudent = (overrides = {}) => ({
+    studentId: 'STU-1',
+    paymentStatus: PAYMENT_STATUS.SUCCESS,
+    razorpayPaymentId: 'pay_123',
+    invoiceNumber: 'SRT/2026-27/000001',
+    totalINR: 1000,
+    refundableAmountINR: 1000,
+    refunds: [],
+    ...overrides,
+  });
+
+  describe('createRefund', () => {
+    it('should reject refunds for unpaid students', async () => {
+      const student = paidStudent({ paymentStatus: PAYMENT_STATUS.PENDING });
+      await expect(refundService.createRefund(student)).rejects.toBeInstanceOf(ConflictError);
+    });
+
+    it('should reject amounts above the refundable balance', async () => {
+      const student = paidStudent({ refundableAmountINR: 400 });
+      await expect(refundService.createRefund(student, { amountINR: 500 })).rejects.toBeInstanceOf(ValidationError);
+      expect(gateway.refunds).toHaveLength(0);
+    });
+
+    it('should reject non-positive amounts', async () => {
+      await expect(refundService.createRefund(paidStudent(), { amountINR: 0 })).rejects.toBeInstanceOf(ValidationError);
+    });
+
+    it('should cap installment refunds at what is left of the checkout payment', async () => {
+      const student = paidStudent({
+        totalINR: 3000,
+        refundableAmountINR: 1600,
+        installments: [{ number: 1, amountINR: 1000 }, { number: 2, amountINR: 1000 }, { number: 3, amountINR: 1000 }],
+        refunds: [
+          { refundId: 'rfnd_1', razorpayPaymentId: 'pay_123', amountINR: 600, status: REFUND_STATUS.PROCESSED },
+          { refundId: 'rfnd_2', razorpayPaymentId: 'pay_123', amountINR: 300, status: REFUND_STATUS.FAILED },
+          { refundId: 'rfnd_3', razorpayPaymentId: 'pay_456', amountINR: 800, status: REFUND_STATUS.PROCESSED },
+        ],
+      });
+
+      await expect(refundService.createRefund(student, { amountINR: 500 })).rejects.toThrow('refundable balance of ₹400');
+      expect(refundService.refundedFromPayment(student, 'pay_123')).toBe(600);
+      expect(gateway.refunds).toHaveLength(0);
+    });
+  });
+
+  describe('FakePaymentGateway', () => {
+    it('should allow partial refunds up to the captured amount', async () => {
+      const payment = gateway.addPayment({ amount: 100000 });
+
+      const first = await gateway.refundPayment(payment.id, { amount: 40000 });
+      expect(first.status).toBe('processed');
+      expect(payment.refund_status).toBe('partial');
+
+      await gateway.refundPayment(payment.id, { amount: 60000 });
+      expect(payment.refund_status).toBe('full');
+
+      await expect(gateway.refundPayment(payment.id, { amount: 1 })).rejects.toThrow();
+    });
+  });
+
+  describe('applyRefund', () => {
+    const refundEntity = (amount) => ({ id: 'rfnd_1', amount, status: 'processed' });
+    // The enrollment as read back after the refund was pushed
+    const stored = (refundedAmountINR, overrides = {}) => Enrollment.hydrate({
+      _id: '64b000000000000000000001',
+      studentId: 'STU-1',
+      status: STUDENT_STATUS.ENROLLED,
+      paymentStatus: PAYMENT_STATUS.SUCCESS,
+      totalINR: 1000,
+      refundedAmountINR,
+      refunds: [{ refundId: 'rfnd_1', amountINR: refundedAmountINR, status: REFUND_STATUS.PROCESSED, creditNoteNumber: 'SRT/CN/2026-27/000004' }],
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Counter, 'nextSequence').mockResolvedValue(4);
+      jest.spyOn(referralService, 'cancelReward').mockResolvedValue(null);
+      jest.spyOn(studentLifecycleService, 'notify').mockResolvedValue(true);
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should record the refund once and give it the next credit note number', async () => {
+      const update = jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Enrollment, 'findById').mockResolvedValue(stored(400));
+
+      const { refund } = await refundService.applyRefund(paidStudent({ _id: '64b000000000000000000001' }), refundEntity(40000), { reason: 'Partial' });
+
+      expect(update.mock.calls[0][1].$inc).toEqual({ refundedAmountINR: 400 });
+      expect(update).toHaveBeenCalledWith(
+        { _id: '64b000000000000000000001', 'refunds.refundId': 'rfnd_1' },
+        { $set: { 'refunds.$.creditNoteNumber': expect.stringMatching(/\/CN\/\d{4}-\d{2}\/000004$/) } }
+      );
+      expect(refund.creditNoteNumber).toBe('SRT/CN/2026-27/000004');
+    });
+
+    it('should not draw a credit note number for a refund already recorded', async () => {
+      jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      jest.spyOn(Enrollment, 'findById').mockResolvedValue(stored(400));
+
+      await refundService.applyRefund(paidStudent(), refundEntity(40000));
+
+      expect(Counter.nextSequence).not.toHaveBeenCalled();
+    });
+
+    it('should mark the payment refunded and cancel the enrollment once everything is refunded', async () => {
+      const updated = stored(1000);
+      jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Enrollment, 'findById').mockResolvedValue(updated);
+      jest.spyOn(updated, 'save').mockResolvedValue(updated);
+
+      const { student } = await refundService.applyRefund(paidStudent(), refundEntity(100000), { initiatedBy: 'staff-1' });
+
+      expect(student.paymentStatus).toBe(PAYMENT_STATUS.REFUNDED);
+      expect(student.status).toBe(STUDENT_STATUS.CANCELLED);
+      expect(student.statusHistory[0]).toMatchObject({ from: STUDENT_STATUS.ENROLLED, to: STUDENT_STATUS.CANCELLED, changedBy: 'staff-1' });
+      expect(studentLifecycleService.notify).toHaveBeenCalledWith(updated, student.statusHistory[0]);
+      expect(referralService.cancelReward).toHaveBeenCalledWith(updated);
+    });
+
+    it('should cancel the enrollment on a partial refund only when asked to', async () => {
+      jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Enrollment, 'findById').mockImplementation(async () => {
+        const updated = stored(400);
+        jest.spyOn(updated, 'save').mockResolvedValue(updated);
+        return updated;
+      });
+
+      const kept = await refundService.applyRefund(paidStudent(), refundEntity(40000));
+      const cancelled = await refundService.applyRefund(paidStudent(), refundEntity(40000), { cancelEnrollment: true });
+
+      expect(kept.student.status).toBe(STUDENT_STATUS.ENROLLED);
+      expect(cancelled.student.status).toBe(STUDENT_STATUS.CANCELLED);
+      expect(studentLifecycleService.notify).toHaveBeenCalledTimes(1);
+      expect(cancelled.student.paymentStatus).toBe(PAYMENT_STATUS.SUCCESS);
+    });
+  });
+
+  describe('recordFailedRefund', () => {
+    const failed = { id: 'rfnd_1', amount: 100000, status: 'failed' };
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should take a failed refund off the refunded amount and the payment off REFUNDED', async () => {
+      const student = Enrollment.hydrate({
+        _id: '64b000000000000000000001',
+        studentId: 'STU-1',
+        refunds: [{ refundId: 'rfnd_1', amountINR: 1000, status: REFUND_STATUS.PROCESSED }],
+      });
+      const updated = Enrollment.hydrate({
+        _id: '64b000000000000000000001',
+        studentId: 'STU-1',
+        status: STUDENT_STATUS.CANCELLED,
+        paymentStatus: PAYMENT_STATUS.REFUNDED,
+        totalINR: 1000,
+        refundedAmountINR: 0,
+        refunds: [{ refundId: 'rfnd_1', amountINR: 1000, status: REFUND_STATUS.FAILED }],
+      });
+      const update = jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Enrollment, 'findById').mockResolvedValue(updated);
+      jest.spyOn(updated, 'save').mockResolvedValue(updated);
+
+      const { student: result, refund } = await refundService.recordFailedRefund(student, failed);
+
+      expect(update).toHaveBeenCalledWith(
+        { _id: student._id, refunds: { $elemMatch: { refundId: 'rfnd_1', status: { $ne: REFUND_STATUS.FAILED } } } },
+        { $set: { 'refunds.$.status': REFUND_STATUS.FAILED }, $inc: { refundedAmountINR: -1000 } }
+      );
+      expect(result.paymentStatus).toBe(PAYMENT_STATUS.SUCCESS);
+      expect(result.status).toBe(STUDENT_STATUS.CANCELLED);
+      expect(refund.status).toBe(REFUND_STATUS.FAILED);
+    });
+
+    it('should ignore a refund that was never recorded', async () => {
+      const update = jest.spyOn(Enrollment, 'updateOne');
+
+      expect((await refundService.recordFailedRefund(paidStudent(), failed)).refund).toBeNull();
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+});
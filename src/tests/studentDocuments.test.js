@@ -0,0 +1,33 @@
+import { getDataUrlSize, parseDataUrl, getDocumentMetadata } from '../utils/studentDocuments.js';
+import { STUDENT_DOCUMENT_KINDS } from '../config/constants.js';
+
+describe('Student Documents', () => {
+  const toDataUrl = (mimeType, bytes) => `data:${mimeType};base64,${Buffer.from(bytes).toString('base64')}`;
+
+  it('should compute decoded sizes without decoding', () => {
+    [0, 1, 2, 3, 100, 1001].forEach(length => {
+      expect(getDataUrlSize(toDataUrl('image/png', Buffer.alloc(length, 7)))).toBe(length);
+    });
+    expect(getDataUrlSize('not a data url')).toBeNull();
+  });
+
+  it('should decode data URLs', () => {
+    const document = parseDataUrl(toDataUrl('Application/PDF', '%PDF-1.4'));
+
+    expect(document.mimeType).toBe('application/pdf');
+    expect(document.buffer.toString()).toBe('%PDF-1.4');
+    expect(parseDataUrl('data:text/plain,hello')).toBeNull();
+  });
+
+  it('should list metadata only for documents that exist', () => {
+    const student = { idDocumentName: 'aadhaar.pdf', idDocumentType: 'application/pdf', idDocumentSize: 2048 };
+
+    expect(getDocumentMetadata(student, STUDENT_DOCUMENT_KINDS.ID_DOCUMENT)).toEqual({
+      kind: STUDENT_DOCUMENT_KINDS.ID_DOCUMENT,
+      name: 'aadhaar.pdf',
+      type: 'application/pdf',
+      size: 2048,
+    });
+    expect(getDocumentMetadata(student, STUDENT_DOCUMENT_KINDS.PHOTO)).toBeNull();
+  });
+});
@@ -0,0 +1,102 @@
+import Enrollment from '../models/Enrollment.js';
+import studentLifecycleService from '../services/studentLifecycleService.js';
+import { getTransitionError, getAvailableTransitions } from '../utils/studentLifecycle.js';
+import { STUDENT_STATUS, PAYMENT_STATUS } from '../config/constants.js';
+import { ConflictError, ValidationError } from '../utils/errors.js';
+
+describe('Student Lifecycle', () => {
+  const paidEnrolled = { studentId: 'STU-1', status: STUDENT_STATUS.ENROLLED, paymentStatus: PAYMENT_STATUS.SUCCESS };
+
+  describe('transition rules', () => {
+    it('should list the moves allowed from each status', () => {
+      expect(getAvailableTransitions(paidEnrolled)).toEqual([
+        STUDENT_STATUS.SUSPENDED,
+        STUDENT_STATUS.COMPLETED,
+        STUDENT_STATUS.CANCELLED,
+      ]);
+      expect(getAvailableTransitions({ status: STUDENT_STATUS.COMPLETED, paymentStatus: PAYMENT_STATUS.SUCCESS })).toEqual([]);
+    });
+
+    it('should refuse leaving a final status', () => {
+      const error = getTransitionError({ status: STUDENT_STATUS.COMPLETED, paymentStatus: PAYMENT_STATUS.SUCCESS }, STUDENT_STATUS.PENDING);
+      expect(error.code).toBe('INVALID_TRANSITION');
+    });
+
+    it('should only enroll paid students', () => {
+      const unpaid = { status: STUDENT_STATUS.PENDING, paymentStatus: PAYMENT_STATUS.FAILED };
+
+      expect(getTransitionError(unpaid, STUDENT_STATUS.ENROLLED).code).toBe('PAYMENT_REQUIRED');
+      expect(getTransitionError(unpaid, STUDENT_STATUS.CANCELLED)).toBeNull();
+      expect(getAvailableTransitions(unpaid)).toEqual([STUDENT_STATUS.CANCELLED]);
+    });
+  });
+
+  describe('transition', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should update atomically and record a history entry', async () => {
+      const update = jest.spyOn(Enrollment, 'findOneAndUpdate').mockImplementation(async (filter, change) => ({
+        ...paidEnrolled,
+        ...change.$set,
+        statusHistory: [change.$push.statusHistory],
+      }));
+
+      const { student, entry, emailSent } = await studentLifecycleService.transition(paidEnrolled, 'suspended', {
+        reason: 'Code of conduct',
+        changedBy: 'ops@example.com',
+        notify: false,
+      });
+
+      const [filter] = update.mock.calls[0];
+      expect(filter).toMatchObject({ status: STUDENT_STATUS.ENROLLED, paymentStatus: PAYMENT_STATUS.SUCCESS });
+      expect(student.status).toBe(STUDENT_STATUS.SUSPENDED);
+      expect(entry).toMatchObject({ from: STUDENT_STATUS.ENROLLED, to: STUDENT_STATUS.SUSPENDED, changedBy: 'ops@example.com' });
+      expect(emailSent).toBe(false);
+    });
+
+    it('should require a reason and a known status', async () => {
+      const error = await studentLifecycleService.transition(paidEnrolled, 'GRADUATED', { reason: ' ' }).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.details.map(detail => detail.field)).toEqual(['to', 'reason']);
+    });
+
+    it('should refuse illegal moves and lost races', async () => {
+      const completed = { ...paidEnrolled, status: STUDENT_STATUS.COMPLETED };
+      await expect(studentLifecycleService.transition(completed, STUDENT_STATUS.PENDING, { reason: 'Undo' }))
+        .rejects.toBeInstanceOf(ConflictError);
+
+      jest.spyOn(Enrollment, 'findOneAndUpdate').mockResolvedValue(null);
+      await expect(studentLifecycleService.transition(paidEnrolled, STUDENT_STATUS.COMPLETED, { reason: 'Done', notify: false }))
+        .rejects.toBeInstanceOf(ConflictError);
+    });
+  });
+
+  describe('notifyLatest', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should email the change a payment event recorded', async () => {
+      const student = Enrollment.hydrate({ studentId: 'STU-1', email: 'a@example.com', status: STUDENT_STATUS.PENDING, paymentStatus: PAYMENT_STATUS.PENDING });
+      student.paymentStatus = PAYMENT_STATUS.SUCCESS;
+      const entry = student.recordStatusChange(STUDENT_STATUS.ENROLLED, { reason: 'Payment received' });
+      const notify = jest.spyOn(studentLifecycleService, 'notify').mockResolvedValue(true);
+
+      expect(await studentLifecycleService.notifyLatest(student)).toBe(true);
+      expect(notify).toHaveBeenCalledWith(student, entry);
+    });
+
+    it('should not email a change already emailed', async () => {
+      const student = Enrollment.hydrate({
+        studentId: 'STU-1',
+        status: STUDENT_STATUS.ENROLLED,
+        statusHistory: [{ from: STUDENT_STATUS.PENDING, to: STUDENT_STATUS.ENROLLED, emailSentAt: new Date() }],
+      });
+      const notify = jest.spyOn(studentLifecycleService, 'notify');
+
+      expect(await studentLifecycleService.notifyLatest(student)).toBe(false);
+      expect(notify).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import { buildStudentListQuery } from '../utils/studentQuery.js';
+import { ValidationError } from '../utils/errors.js';
+
+describe('Student List Query', () => {
+  it('should default to newest first with no filters', () => {
+    const { filter, sort } = buildStudentListQuery({});
+
+    expect(filter).toEqual({});
+    expect(sort).toEqual({ createdAt: -1, _id: -1 });
+  });
+
+  it('should build filters from query params', () => {
+    const { filter } = buildStudentListQuery({
+      status: 'enrolled',
+      paymentStatus: 'SUCCESS,REFUNDED',
+      selectedProgram: 'prog_1',
+      country: 'india',
+      referralCode: 'friend2026',
+      dateField: 'paymentDate',
+      from: '2026-06-01',
+    });
+
+    expect(filter.status).toBe('ENROLLED');
+    expect(filter.paymentStatus).toEqual({ $in: ['SUCCESS', 'REFUNDED'] });
+    expect(filter.selectedProgram).toBe('prog_1');
+    expect(filter.country.test('India')).toBe(true);
+    expect(filter.country.test('British Indian Ocean Territory')).toBe(false);
+    expect(filter.referralCode).toBe('FRIEND2026');
+    expect(filter.paymentDate.$gte).toEqual(new Date('2026-06-01'));
+  });
+
+  it('should search names case-insensitively and phones ignoring formatting', () => {
+    const byName = buildStudentListQuery({ search: 'priya (' }).filter.$or;
+    expect(byName.find(clause => clause.fullName).fullName.test('PRIYA (Sharma)')).toBe(true);
+
+    const byPhone = buildStudentListQuery({ search: '98765 43210' }).filter.$or;
+    expect(byPhone.find(clause => clause.primaryPhone).primaryPhone.test('+91 (98765)-43210')).toBe(true);
+  });
+
+  it('should filter learners on email verification and citizenship', () => {
+    const { filter, learnerFilter } = buildStudentListQuery({ emailVerified: 'false', countryOfCitizenship: 'india' });
+
+    expect(learnerFilter.isEmailVerified).toBe(false);
+    expect(learnerFilter.countryOfCitizenship.test('India')).toBe(true);
+    expect(filter).toEqual({});
+    expect(() => buildStudentListQuery({ emailVerified: 'maybe' })).toThrow(ValidationError);
+  });
+
+  it('should sort ascending or descending on allowed fields', () => {
+    expect(buildStudentListQuery({ sort: 'studentId' }).sort).toEqual({ studentId: 1, _id: 1 });
+    expect(buildStudentListQuery({ sort: '-paymentDate' }).sort).toEqual({ paymentDate: -1, _id: -1 });
+  });
+
+  it('should report every invalid parameter together', () => {
+    let error;
+    try {
+      buildStudentListQuery({ status: 'GRADUATED', from: 'nope', sort: 'notes', search: ['a', 'b'] });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details.map(detail => detail.field).sort()).toEqual(['from', 'search', 'sort', 'status']);
+  });
+});
@@ -0,0 +1,436 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Enrollment from '../models/Enrollment.js';
+import Counter from '../models/Counter.js';
+import SubscriptionPlan from '../models/SubscriptionPlan.js';
+import subscriptionService from '../services/subscriptionService.js';
+import studentLifecycleService from '../services/studentLifecycleService.js';
+import webhookService from '../services/webhookService.js';
+import { FakePaymentGateway } from './fakePaymentGateway.js';
+import { setPaymentGateway } from '../services/paymentGateway.js';
+import { validatePackageSelection } from '../utils/packageValidation.js';
+import { addMonths, getChargePeriod, findChargeByInvoiceLink, getChargeInvoice } from '../utils/subscriptions.js';
+import { computeChargeTax } from '../utils/invoice.js';
+import { PAYMENT_STATUS, PRODUCT_BILLING_TYPES, STUDENT_STATUS, SUBSCRIPTION_STATUS } from '../config/constants.js';
+import { ConflictError, ValidationError } from '../utils/errors.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Monthly Subscriptions', () => {
+  const now = new Date('2026-06-01T12:00:00Z');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('access periods', () => {
+    it('should add calendar months, clamping to the end of shorter months', () => {
+      expect(addMonths(new Date('2026-01-31T10:00:00Z'), 1).toISOString()).toBe('2026-02-28T10:00:00.000Z');
+      expect(addMonths(new Date('2026-11-15T10:00:00Z'), 2).toISOString()).toBe('2027-01-15T10:00:00.000Z');
+    });
+
+    it('should extend paid access from its end, or from the payment once it ran out', () => {
+      const paidUntil = new Date(now.getTime() + 3 * DAY_MS);
+
+      expect(getChargePeriod(paidUntil, now)).toEqual({ periodStart: paidUntil, periodEnd: addMonths(paidUntil, 1) });
+      expect(getChargePeriod(new Date(now.getTime() - DAY_MS), now)).toEqual({ periodStart: now, periodEnd: addMonths(now, 1) });
+      expect(getChargePeriod(null, now).periodStart).toEqual(now);
+    });
+  });
+
+  describe('validatePackageSelection', () => {
+    beforeEach(() => {
+      jest.spyOn(Product, 'findInGroup').mockImplementation(async (group, productId) => new Product({
+        group,
+        productId,
+        name: productId,
+        type: productId.startsWith('practice') ? PRODUCT_BILLING_TYPES.MONTHLY : PRODUCT_BILLING_TYPES.ONE_TIME,
+        monthlyOptions: '3-12',
+        installmentPlans: [{ planId: '2-installments', name: '2 installments', installments: 2, intervalDays: 30 }],
+        prices: [{ price: 5000, effectiveFrom: new Date(0) }],
+      }));
+    });
+
+    it('should bill monthly products by subscription', async () => {
+      const selection = await validatePackageSelection({
+        type: 'freelancer', selectedProduct: 'practice-plus', selectedMonths: 6, selectedAddon: ['practice-mentor'], billingMode: 'Subscription',
+      });
+
+      expect(selection.billingMode).toBe('subscription');
+      expect(selection.duration).toBe(6);
+    });
+
+    it('should accept one-time addons, charged with the first month', async () => {
+      const selection = await validatePackageSelection({
+        type: 'freelancer', selectedProduct: 'practice-plus', selectedMonths: 6, selectedAddon: ['practice-mentor', 'portfolio'], billingMode: 'subscription',
+      });
+
+      expect(selection.addons.map(addon => addon.id)).toEqual(['practice-mentor', 'portfolio']);
+    });
+
+    it('should pay upfront by default', async () => {
+      const selection = await validatePackageSelection({ type: 'freelancer', selectedProduct: 'practice-plus', selectedMonths: 6 });
+      expect(selection.billingMode).toBe('upfront');
+    });
+
+    it('should reject one-time products and installment plans', async () => {
+      const codes = async (packageData) => (await validatePackageSelection(packageData).catch(caught => caught)).details
+        .map(detail => [detail.field, detail.code]);
+
+      expect(await codes({ type: 'freelancer', selectedProduct: 'progress-pro', billingMode: 'subscription' }))
+        .toEqual([['packageData.billingMode', 'SUBSCRIPTION_NOT_AVAILABLE']]);
+      expect(await codes({ type: 'freelancer', selectedProduct: 'practice-plus', selectedMonths: 6, installmentPlan: '2-installments', billingMode: 'subscription' }))
+        .toEqual([['packageData.installmentPlan', 'SUBSCRIPTION_WITH_INSTALLMENTS']]);
+      await expect(validatePackageSelection({ type: 'freelancer', selectedProduct: 'practice-plus', selectedMonths: 6, billingMode: 'weekly' }))
+        .rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+
+  describe('openSubscription', () => {
+    let gateway;
+    let plan;
+
+    beforeEach(async () => {
+      gateway = new FakePaymentGateway();
+      setPaymentGateway(gateway);
+      plan = await gateway.createPlan({ period: 'monthly', interval: 1, item: { name: 'Practice Plus', amount: 500000, currency: 'INR' } });
+    });
+
+    afterAll(() => {
+      setPaymentGateway(null);
+    });
+
+    it('should reuse an unauthorised subscription on the same plan, and replace it otherwise', async () => {
+      const { subscription: first } = await subscriptionService.openSubscription({ razorpayPlanId: plan.id, totalCount: 6 });
+      const reused = await subscriptionService.openSubscription({ razorpayPlanId: plan.id, totalCount: 6, previousSubscriptionId: first.id });
+      const replaced = await subscriptionService.openSubscription({ razorpayPlanId: plan.id, totalCount: 3, previousSubscriptionId: first.id });
+
+      expect(reused).toEqual({ subscription: first, reusedSubscription: true });
+      expect(replaced.reusedSubscription).toBe(false);
+      expect(replaced.subscription.total_count).toBe(3);
+      expect((await gateway.fetchSubscription(first.id)).status).toBe(SUBSCRIPTION_STATUS.CANCELLED);
+    });
+
+    it('should charge the addons once, with the first month', async () => {
+      const { subscription: first } = await subscriptionService.openSubscription({ razorpayPlanId: plan.id, totalCount: 6, addonsINR: 1000 });
+      const replaced = await subscriptionService.openSubscription({ razorpayPlanId: plan.id, totalCount: 6, addonsINR: 0, previousSubscriptionId: first.id });
+
+      expect(first.addons).toEqual([{ item: { name: 'Addons', amount: 100000, currency: 'INR' } }]);
+      expect(replaced.reusedSubscription).toBe(false);
+      expect(replaced.subscription.addons).toBeUndefined();
+    });
+
+    it('should refuse to replace a subscription the learner authorised', async () => {
+      const { subscription } = await subscriptionService.openSubscription({ razorpayPlanId: plan.id, totalCount: 6 });
+      subscription.status = SUBSCRIPTION_STATUS.AUTHENTICATED;
+
+      await expect(subscriptionService.openSubscription({ razorpayPlanId: plan.id, totalCount: 6, previousSubscriptionId: subscription.id }))
+        .rejects.toBeInstanceOf(ConflictError);
+    });
+
+    it('should create a plan once per key', async () => {
+      const quote = { type: 'freelancer', selectedProduct: 'practice-plus', selectedAddons: ['a'], totalAmountINR: 6000, monthlyAmountINR: 5000, productData: { name: 'Practice Plus' } };
+      jest.spyOn(SubscriptionPlan, 'findByKey').mockResolvedValue(null);
+      const create = jest.spyOn(SubscriptionPlan, 'create').mockImplementation(async (fields) => fields);
+
+      const created = await subscriptionService.getOrCreatePlan(quote);
+
+      expect(subscriptionService.getPlanKey(quote)).toBe('freelancer:practice-plus:500000');
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ key: 'freelancer:practice-plus:500000', amountINR: 5000 }));
+      expect(gateway.plans.get(created.razorpayPlanId).item.amount).toBe(500000);
+    });
+  });
+
+  describe('recordCharge', () => {
+    const baseStudent = (fields = {}) => ({
+      _id: new mongoose.Types.ObjectId(),
+      studentId: 'STU-1',
+      programType: 'freelancer',
+      totalINR: 5000,
+      paymentStatus: PAYMENT_STATUS.PROCESSING,
+      status: STUDENT_STATUS.PENDING,
+      subscription: { razorpaySubscriptionId: 'sub_1', status: SUBSCRIPTION_STATUS.AUTHENTICATED, totalCount: 6, charges: [] },
+      ...fields,
+    });
+
+    // Apply the charge update to a copy, as Mongo would
+    const mockUpdate = (plain) => jest.spyOn(Enrollment, 'findOneAndUpdate').mockImplementation(async (filter, update) => Enrollment.hydrate({
+      ...plain,
+      accessEndsAt: update.$set.accessEndsAt,
+      subscription: {
+        ...plain.subscription,
+        status: update.$set['subscription.status'] || plain.subscription.status,
+        charges: [...plain.subscription.charges, { _id: new mongoose.Types.ObjectId(), ...update.$push['subscription.charges'] }],
+      },
+    }));
+
+    it('should enroll the student with the first charge and pay for a month', async () => {
+      const plain = baseStudent();
+      mockUpdate(plain);
+      const updatePaymentStatus = jest.spyOn(Enrollment.prototype, 'updatePaymentStatus').mockResolvedValue(undefined);
+
+      const { student, charge, alreadyRecorded } = await subscriptionService.recordCharge(Enrollment.hydrate(plain), { id: 'pay_1', order_id: 'order_1', amount: 500000 }, now);
+
+      expect(alreadyRecorded).toBe(false);
+      expect(charge).toMatchObject({ number: 1, amountINR: 5000, razorpayPaymentId: 'pay_1' });
+      expect(charge.invoiceLink).toBeUndefined();
+      expect(student.accessEndsAt).toEqual(addMonths(now, 1));
+      expect(student.subscription.status).toBe(SUBSCRIPTION_STATUS.ACTIVE);
+      expect(updatePaymentStatus).toHaveBeenCalledWith(PAYMENT_STATUS.SUCCESS, 'pay_1');
+    });
+
+    it('should number a later charge and restore access it lapsed', async () => {
+      const lapsedAt = new Date(now.getTime() - 5 * DAY_MS);
+      const plain = baseStudent({
+        paymentStatus: PAYMENT_STATUS.SUCCESS,
+        status: STUDENT_STATUS.SUSPENDED,
+        accessEndsAt: lapsedAt,
+        subscription: {
+          razorpaySubscriptionId: 'sub_1',
+          status: SUBSCRIPTION_STATUS.HALTED,
+          totalCount: 6,
+          amountINR: 4000,
+          suspendedAt: now,
+          charges: [{ number: 1, amountINR: 5000, razorpayPaymentId: 'pay_1', paidAt: addMonths(lapsedAt, -1) }],
+        },
+      });
+      mockUpdate(plain);
+      jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Counter, 'nextSequence').mockResolvedValue(42);
+      const transition = jest.spyOn(studentLifecycleService, 'transition').mockImplementation(async (enrollment, to) => ({
+        student: Object.assign(enrollment, { status: to }),
+      }));
+
+      const { student, charge } = await subscriptionService.recordCharge(Enrollment.hydrate(plain), { id: 'pay_2', invoice_id: 'inv_2', amount: 400000 }, now);
+
+      expect(charge).toMatchObject({ number: 2, amountINR: 4000, periodStart: now, razorpayInvoiceId: 'inv_2' });
+      expect(charge.invoiceNumber).toMatch(/\/000042$/);
+      expect(charge.invoiceLink).toMatch(/^[0-9a-f-]{36}$/);
+      expect(student.accessEndsAt).toEqual(addMonths(now, 1));
+      expect(transition).toHaveBeenCalledWith(expect.anything(), STUDENT_STATUS.ENROLLED, expect.objectContaining({ reason: 'Monthly payment received' }));
+      expect(student.status).toBe(STUDENT_STATUS.ENROLLED);
+    });
+
+    it('should refuse a charge of another amount than the month is due', async () => {
+      const plain = baseStudent({
+        paymentStatus: PAYMENT_STATUS.SUCCESS,
+        status: STUDENT_STATUS.ENROLLED,
+        subscription: {
+          razorpaySubscriptionId: 'sub_1',
+          status: SUBSCRIPTION_STATUS.ACTIVE,
+          amountINR: 4000,
+          charges: [{ number: 1, amountINR: 5000, razorpayPaymentId: 'pay_1', paidAt: now }],
+        },
+      });
+      const update = jest.spyOn(Enrollment, 'findOneAndUpdate');
+
+      await expect(subscriptionService.recordCharge(Enrollment.hydrate(plain), { id: 'pay_2', amount: 500000 }, now))
+        .rejects.toBeInstanceOf(ValidationError);
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should record a payment once', async () => {
+      const plain = baseStudent({
+        paymentStatus: PAYMENT_STATUS.SUCCESS,
+        status: STUDENT_STATUS.ENROLLED,
+        subscription: { razorpaySubscriptionId: 'sub_1', status: SUBSCRIPTION_STATUS.ACTIVE, charges: [{ number: 1, amountINR: 5000, razorpayPaymentId: 'pay_1', paidAt: now }] },
+      });
+      const update = jest.spyOn(Enrollment, 'findOneAndUpdate');
+
+      const result = await subscriptionService.recordCharge(Enrollment.hydrate(plain), { id: 'pay_1' }, now);
+
+      expect(result.alreadyRecorded).toBe(true);
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should enroll the student when the first charge was recorded but enrolling failed', async () => {
+      const plain = baseStudent({
+        subscription: { razorpaySubscriptionId: 'sub_1', status: SUBSCRIPTION_STATUS.ACTIVE, charges: [{ number: 1, amountINR: 5000, razorpayPaymentId: 'pay_1', paidAt: now }] },
+      });
+      const updatePaymentStatus = jest.spyOn(Enrollment.prototype, 'updatePaymentStatus').mockImplementation(async function() { return this; });
+      jest.spyOn(studentLifecycleService, 'notifyLatest').mockResolvedValue(true);
+
+      const result = await subscriptionService.recordCharge(Enrollment.hydrate(plain), { id: 'pay_1' }, now);
+
+      expect(result.alreadyRecorded).toBe(false);
+      expect(updatePaymentStatus).toHaveBeenCalledWith(PAYMENT_STATUS.SUCCESS, 'pay_1');
+    });
+  });
+
+  describe('invoices', () => {
+    const student = {
+      programName: 'Practice Plus',
+      productSnapshot: { sacCode: '999293' },
+      programDuration: 1,
+      programPriceINR: 4000,
+      addonsData: [{ name: 'Mentor Calls', price: 1000, sacCode: '999293' }],
+      state: 'Karnataka',
+      country: 'India',
+      totalINR: 5000,
+      invoiceNumber: 'FRL/2026-27/000001',
+      invoiceLink: 'enrollment-link',
+      subscription: {
+        charges: [
+          { number: 1, amountINR: 5000 },
+          { number: 2, amountINR: 5000, invoiceNumber: 'FRL/2026-27/000042', invoiceLink: 'second-link' },
+        ],
+      },
+    };
+
+    it('should label each line with the month charged', async () => {
+      const { lineItems, totals } = await computeChargeTax(student, student.subscription.charges[1]);
+
+      expect(lineItems.map(line => [line.description, line.total])).toEqual([
+        ['Practice Plus (month 2)', 4000],
+        ['Mentor Calls (month 2)', 1000],
+      ]);
+      expect(totals.total).toBe(5000);
+    });
+
+    it('should invoice the addons with the first charge only', async () => {
+      const billed = { ...student, subscription: { ...student.subscription, amountINR: 4000 } };
+
+      const first = await computeChargeTax(billed, billed.subscription.charges[0]);
+      const second = await computeChargeTax(billed, { number: 2, amountINR: 4000 });
+
+      expect(first.totals.total).toBe(5000);
+      expect(second.lineItems.map(line => [line.description, line.total])).toEqual([['Practice Plus (month 2)', 4000]]);
+      expect(second.totals.total).toBe(4000);
+    });
+
+    it('should use the enrollment invoice for the first charge', () => {
+      expect(findChargeByInvoiceLink(student, 'enrollment-link').number).toBe(1);
+      expect(findChargeByInvoiceLink(student, 'second-link').number).toBe(2);
+      expect(getChargeInvoice(student, student.subscription.charges[0]).invoiceNumber).toBe('FRL/2026-27/000001');
+      expect(getChargeInvoice(student, student.subscription.charges[1]).invoiceNumber).toBe('FRL/2026-27/000042');
+    });
+  });
+
+  describe('cancel', () => {
+    let gateway;
+
+    beforeEach(() => {
+      gateway = new FakePaymentGateway();
+      setPaymentGateway(gateway);
+    });
+
+    afterAll(() => {
+      setPaymentGateway(null);
+    });
+
+    const subscribedStudent = async (status) => {
+      const plan = await gateway.createPlan({ item: { amount: 500000 } });
+      const subscription = await gateway.createSubscription({ plan_id: plan.id, total_count: 6 });
+      subscription.status = status;
+      return { _id: new mongoose.Types.ObjectId(), studentId: 'STU-1', subscription: { razorpaySubscriptionId: subscription.id, status } };
+    };
+
+    it('should stop an active subscription at the end of the month paid for', async () => {
+      const student = await subscribedStudent(SUBSCRIPTION_STATUS.ACTIVE);
+      const update = jest.spyOn(Enrollment, 'findOneAndUpdate').mockResolvedValue({});
+
+      await subscriptionService.cancel(student, { changedBy: 'student' }, now);
+
+      const { $set } = update.mock.calls[0][1];
+      expect($set).toMatchObject({ 'subscription.cancelRequestedAt': now, 'subscription.cancelledBy': 'student', 'subscription.status': SUBSCRIPTION_STATUS.ACTIVE });
+      expect($set['subscription.endedAt']).toBeUndefined();
+      expect(gateway.subscriptions.get(student.subscription.razorpaySubscriptionId).has_scheduled_changes).toBe(true);
+    });
+
+    it('should cancel a halted subscription at once', async () => {
+      const student = await subscribedStudent(SUBSCRIPTION_STATUS.HALTED);
+      const update = jest.spyOn(Enrollment, 'findOneAndUpdate').mockResolvedValue({});
+
+      await subscriptionService.cancel(student, {}, now);
+
+      expect(update.mock.calls[0][1].$set).toMatchObject({ 'subscription.status': SUBSCRIPTION_STATUS.CANCELLED, 'subscription.endedAt': now });
+    });
+
+    it('should refuse ended subscriptions and upfront enrollments', async () => {
+      await expect(subscriptionService.cancel({ studentId: 'STU-1', subscription: { razorpaySubscriptionId: 'sub_1', status: SUBSCRIPTION_STATUS.COMPLETED } }))
+        .rejects.toBeInstanceOf(ConflictError);
+      await expect(subscriptionService.cancel({ studentId: 'STU-1' })).rejects.toBeInstanceOf(ConflictError);
+    });
+  });
+
+  describe('sweep', () => {
+    it('should suspend lapsed access and complete fully charged subscriptions', async () => {
+      const lapsed = { _id: new mongoose.Types.ObjectId(), studentId: 'STU-1', accessEndsAt: new Date(now.getTime() - 4 * DAY_MS), subscription: {} };
+      const ended = {
+        _id: new mongoose.Types.ObjectId(),
+        studentId: 'STU-2',
+        accessEndsAt: new Date(now.getTime() - DAY_MS),
+        subscription: { status: SUBSCRIPTION_STATUS.COMPLETED, totalCount: 3, charges: [{}, {}, {}] },
+      };
+      jest.spyOn(Enrollment, 'find').mockImplementation((filter) => ({
+        limit: () => Promise.resolve(filter['subscription.status'].$in ? [ended] : [lapsed]),
+      }));
+      const update = jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const transition = jest.spyOn(studentLifecycleService, 'transition').mockImplementation(async (student, to) => ({ student: { ...student, status: to } }));
+
+      expect(await subscriptionService.sweep(now)).toEqual({ completed: 1, cancelled: 0, suspended: 1 });
+      expect(transition).toHaveBeenCalledWith(ended, STUDENT_STATUS.COMPLETED, expect.objectContaining({ changedBy: 'system' }));
+      expect(transition).toHaveBeenCalledWith(lapsed, STUDENT_STATUS.SUSPENDED, expect.objectContaining({ changedBy: 'system' }));
+      expect(update).toHaveBeenCalledWith({ _id: lapsed._id }, { $set: { 'subscription.suspendedAt': now } });
+    });
+
+    it('should cancel enrollments whose subscription was cancelled or expired before every month was charged', async () => {
+      const ended = (studentId, status, charges) => ({
+        _id: new mongoose.Types.ObjectId(),
+        studentId,
+        accessEndsAt: new Date(now.getTime() - DAY_MS),
+        subscription: { status, totalCount: 6, charges: Array.from({ length: charges }, () => ({})) },
+      });
+      const cancelled = ended('STU-3', SUBSCRIPTION_STATUS.CANCELLED, 2);
+      const expired = ended('STU-4', SUBSCRIPTION_STATUS.EXPIRED, 0);
+      const chargedInFull = ended('STU-5', SUBSCRIPTION_STATUS.CANCELLED, 6);
+      jest.spyOn(Enrollment, 'find').mockImplementation((filter) => ({
+        limit: () => Promise.resolve(filter['subscription.status'].$in ? [cancelled, expired, chargedInFull] : []),
+      }));
+      const transition = jest.spyOn(studentLifecycleService, 'transition').mockImplementation(async (student, to) => ({ student: { ...student, status: to } }));
+
+      expect(await subscriptionService.sweep(now)).toEqual({ completed: 1, cancelled: 2, suspended: 0 });
+      expect(transition).toHaveBeenCalledWith(cancelled, STUDENT_STATUS.CANCELLED, expect.objectContaining({
+        reason: expect.stringContaining('cancelled after 2 of 6 months'),
+        changedBy: 'system',
+      }));
+      expect(transition).toHaveBeenCalledWith(expired, STUDENT_STATUS.CANCELLED, expect.objectContaining({ changedBy: 'system' }));
+      expect(transition).toHaveBeenCalledWith(chargedInFull, STUDENT_STATUS.COMPLETED, expect.objectContaining({ changedBy: 'system' }));
+    });
+  });
+
+  describe('webhooks', () => {
+    it('should leave subscription payments to subscription.charged', async () => {
+      const find = jest.spyOn(Enrollment, 'findByRazorpayOrderId');
+      const result = await webhookService.handlePaymentCaptured({
+        event: 'payment.captured',
+        payload: { payment: { entity: { id: 'pay_2', order_id: 'order_2', invoice_id: 'inv_2' } } },
+      });
+
+      expect(result).toMatch(/subscription\.charged/);
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    it('should suspend on subscription.halted once access ran out', async () => {
+      const student = { studentId: 'STU-1', status: STUDENT_STATUS.ENROLLED, accessEndsAt: new Date(Date.now() - DAY_MS), subscription: {} };
+      jest.spyOn(subscriptionService, 'findStudent').mockResolvedValue(student);
+      const updateStatus = jest.spyOn(subscriptionService, 'updateStatus').mockResolvedValue(student);
+      const suspend = jest.spyOn(subscriptionService, 'suspend').mockResolvedValue({});
+
+      await webhookService.handleSubscriptionHalted({ event: 'subscription.halted', payload: { subscription: { entity: { id: 'sub_1' } } } });
+
+      expect(updateStatus).toHaveBeenCalledWith(student, SUBSCRIPTION_STATUS.HALTED);
+      expect(suspend).toHaveBeenCalledWith(student);
+    });
+
+    it('should record the end of a subscription', async () => {
+      const student = { studentId: 'STU-1', subscription: {} };
+      jest.spyOn(subscriptionService, 'findStudent').mockResolvedValue(student);
+      const updateStatus = jest.spyOn(subscriptionService, 'updateStatus').mockResolvedValue(student);
+
+      await webhookService.handleSubscriptionEnded({ event: 'subscription.completed', payload: { subscription: { entity: { id: 'sub_1' } } } });
+
+      expect(updateStatus).toHaveBeenCalledWith(student, SUBSCRIPTION_STATUS.COMPLETED);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { allocateDiscount, computeTax, getGstRate, getTaxType, splitInclusiveAmount } from '../utils/tax.js';
+import { DEFAULT_GST_RATE, TAX_TYPES } from '../config/constants.js';
+
+describe('GST Computation', () => {
+  describe('getTaxType', () => {
+    it('should treat a buyer in the company state as intra-state', () => {
+      expect(getTaxType('Maharashtra', 'India', 'maharashtra')).toBe(TAX_TYPES.INTRA_STATE);
+      expect(getTaxType(' Tamil Nadu ', 'IN', 'Tamil-Nadu')).toBe(TAX_TYPES.INTRA_STATE);
+    });
+
+    it('should treat a buyer in another state as inter-state', () => {
+      expect(getTaxType('Karnataka', 'India', 'Maharashtra')).toBe(TAX_TYPES.INTER_STATE);
+    });
+
+    it('should treat buyers outside India as inter-state', () => {
+      expect(getTaxType('Maharashtra', 'United States', 'Maharashtra')).toBe(TAX_TYPES.INTER_STATE);
+    });
+
+    it('should default to inter-state when the company state is not configured', () => {
+      expect(getTaxType('Maharashtra', 'India', '')).toBe(TAX_TYPES.INTER_STATE);
+    });
+  });
+
+  describe('splitInclusiveAmount', () => {
+    it('should split intra-state GST evenly into CGST and SGST', () => {
+      const split = splitInclusiveAmount(1180, 18, TAX_TYPES.INTRA_STATE);
+
+      expect(split.taxableValue).toBe(1000);
+      expect(split.cgstAmount).toBe(90);
+      expect(split.sgstAmount).toBe(90);
+      expect(split.igstAmount).toBe(0);
+      expect(split.cgstRate).toBe(9);
+    });
+
+    it('should put inter-state GST entirely into IGST', () => {
+      const split = splitInclusiveAmount(1180, 18, TAX_TYPES.INTER_STATE);
+
+      expect(split.igstAmount).toBe(180);
+      expect(split.cgstAmount + split.sgstAmount).toBe(0);
+    });
+
+    it('should keep components adding up to the inclusive amount', () => {
+      const split = splitInclusiveAmount(47.2 + 35, 18, TAX_TYPES.INTRA_STATE);
+
+      expect(split.taxableValue + split.cgstAmount + split.sgstAmount).toBeCloseTo(82.2, 2);
+    });
+  });
+
+  describe('getGstRate', () => {
+    it('should fall back to the default rate for unknown SAC codes', () => {
+      expect(getGstRate('000000')).toBe(DEFAULT_GST_RATE);
+      expect(getGstRate('999293')).toBe(18);
+    });
+  });
+
+  describe('computeTax with a discount', () => {
+    const items = [
+      { description: 'Program', sacCode: '999293', quantity: 1, amount: 3000 },
+      { description: 'Addon', sacCode: '999293', quantity: 1, amount: 1000 },
+    ];
+
+    it('should charge GST on the reduced taxable value', () => {
+      const { totals } = computeTax({ items, buyerState: 'Maharashtra', buyerCountry: 'United States', discount: 1640 });
+
+      expect(totals.grossAmount).toBe(4000);
+      expect(totals.discount).toBe(1640);
+      expect(totals.total).toBe(2360);
+      expect(totals.taxableValue).toBe(2000);
+      expect(totals.igstAmount).toBe(360);
+    });
+
+    it('should spread the discount across lines in proportion to their amounts', () => {
+      expect(allocateDiscount(items, 100)).toEqual([75, 25]);
+      expect(allocateDiscount(items, 0.01).reduce((a, b) => a + b, 0)).toBeCloseTo(0.01, 2);
+    });
+
+    it('should never discount more than the order value', () => {
+      expect(allocateDiscount(items, 5000)).toEqual([3000, 1000]);
+    });
+  });
+});
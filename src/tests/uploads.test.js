@@ -0,0 +1,108 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Upload from '../models/Upload.js';
+import uploadService from '../services/uploadService.js';
+import { LocalDiskStorage, setDocumentStorage } from '../services/documentStorage.js';
+import { config } from '../config/index.js';
+import { UPLOAD_OWNER_TYPES, UPLOAD_STATUS, USER_ROLES } from '../config/constants.js';
+
+describe('Uploads', () => {
+  const staffOwner = { type: UPLOAD_OWNER_TYPES.STAFF, id: 'user-1' };
+  const file = (name, body, mimetype = 'application/pdf') => ({
+    originalname: name,
+    mimetype,
+    size: Buffer.byteLength(body),
+    buffer: Buffer.from(body),
+  });
+
+  let root;
+  let stored;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    setDocumentStorage(new LocalDiskStorage({ root }));
+
+    // In-memory uploads collection
+    stored = [];
+    jest.spyOn(Upload, 'insertMany').mockImplementation(async (docs) => {
+      const uploads = docs.map(doc => new Upload(doc));
+      stored.push(...uploads);
+      return uploads;
+    });
+    jest.spyOn(Upload, 'aggregate').mockImplementation(async () => (stored.length > 0
+      ? [{ files: stored.length, bytes: stored.reduce((total, upload) => total + upload.size, 0) }]
+      : []));
+    jest.spyOn(Upload, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    jest.spyOn(Upload, 'deleteMany').mockImplementation(async ({ _id }) => {
+      stored = stored.filter(upload => !_id.$in.includes(upload._id));
+    });
+  });
+
+  afterEach(() => {
+    setDocumentStorage(null);
+    fs.rmSync(root, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('should store files under random keys', async () => {
+    const [upload] = await uploadService.create(staffOwner, [file('invoice.pdf', '%PDF')], { id: 'user-1' });
+
+    expect(upload.status).toBe(UPLOAD_STATUS.READY);
+    expect(upload.key).toMatch(/^uploads\/staff\/[0-9a-f-]{36}\.pdf$/);
+    expect(upload.key).not.toContain('invoice');
+    expect((await uploadService.read(upload)).toString()).toBe('%PDF');
+  });
+
+  it('should refuse files over the owner quota and remove them', async () => {
+    const quotaBytes = config.UPLOAD_QUOTA_BYTES;
+    config.UPLOAD_QUOTA_BYTES = 10;
+
+    try {
+      await uploadService.create(staffOwner, [file('a.pdf', '123456')], { id: 'user-1' });
+      await expect(uploadService.create(staffOwner, [file('b.pdf', '123456')], { id: 'user-1' }))
+        .rejects.toMatchObject({ statusCode: 413, details: { used: { files: 1, bytes: 6 }, requested: { files: 1, bytes: 6 } } });
+      expect(stored).toHaveLength(1);
+      expect(fs.readdirSync(path.join(root, 'uploads', 'staff'))).toHaveLength(1);
+    } finally {
+      config.UPLOAD_QUOTA_BYTES = quotaBytes;
+    }
+  });
+
+  it('should let only the owner and admins see staff files', () => {
+    const upload = { owner: staffOwner };
+
+    expect(uploadService.canRead({ id: 'user-1', role: USER_ROLES.FINANCE }, upload)).toBe(true);
+    expect(uploadService.canRead({ id: 'user-2', role: USER_ROLES.SUPPORT }, upload)).toBe(false);
+    expect(uploadService.canRead({ id: 'user-3', role: USER_ROLES.ADMIN }, upload)).toBe(true);
+  });
+
+  it('should check student files against document and manage permissions', () => {
+    const upload = { owner: { type: UPLOAD_OWNER_TYPES.STUDENT, id: 'STU-1' } };
+
+    expect(uploadService.canRead({ id: 'user-1', role: USER_ROLES.SUPPORT }, upload)).toBe(false);
+    expect(uploadService.canManage({ id: 'user-1', role: USER_ROLES.SUPPORT }, upload)).toBe(true);
+    expect(uploadService.canRead({ id: 'user-2', role: USER_ROLES.FINANCE }, upload)).toBe(false);
+    expect(uploadService.canRead({ id: 'user-3', role: USER_ROLES.ADMIN }, upload)).toBe(true);
+  });
+
+  it('should sign links that expire and cannot be altered', () => {
+    const upload = { _id: '64b000000000000000000001' };
+    const { url, expiresAt } = uploadService.getSignedUrl(upload, 60);
+    const { searchParams } = new URL(url);
+    const expires = searchParams.get('expires');
+    const signature = searchParams.get('signature');
+
+    expect(new Date(expiresAt).getTime() - Date.now()).toBeLessThanOrEqual(60 * 1000);
+    expect(uploadService.verifySignedUrl(upload._id, expires, signature)).toBe(true);
+    expect(uploadService.verifySignedUrl('64b000000000000000000002', expires, signature)).toBe(false);
+    expect(uploadService.verifySignedUrl(upload._id, String(Number(expires) + 3600), signature)).toBe(false);
+    expect(uploadService.verifySignedUrl(upload._id, '1', uploadService.signature(upload._id, '1'))).toBe(false);
+  });
+
+  it('should cap link lifetimes', () => {
+    const { expiresAt } = uploadService.getSignedUrl({ _id: 'x' }, 10 * 365 * 24 * 3600);
+
+    expect(new Date(expiresAt).getTime() - Date.now()).toBeLessThanOrEqual(config.UPLOAD_URL_MAX_TTL_SECONDS * 1000);
+  });
+});
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import webhookService from '../services/webhookService.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import Enrollment from '../models/Enrollment.js';
+import studentLifecycleService from '../services/studentLifecycleService.js';
+import referralService from '../services/referralService.js';
+import { PAYMENT_STATUS, WEBHOOK_EVENT_STATUS } from '../config/constants.js';
+
+describe('Razorpay Webhooks', () => {
+  const secret = 'test_webhook_secret';
+  const rawBody = Buffer.from(JSON.stringify({
+    event: 'payment.captured',
+    payload: { payment: { entity: { id: 'pay_123', order_id: 'order_123' } } },
+  }));
+  const sign = (body, key = secret) => crypto.createHmac('sha256', key).update(body).digest('hex');
+
+  describe('verifySignature', () => {
+    it('should accept a signature computed with the webhook secret', () => {
+      expect(webhookService.verifySignature(rawBody, sign(rawBody), secret)).toBe(true);
+    });
+
+    it('should reject a signature computed with another secret', () => {
+      expect(webhookService.verifySignature(rawBody, sign(rawBody, 'other'), secret)).toBe(false);
+    });
+
+    it('should reject a tampered body', () => {
+      const tampered = Buffer.from(rawBody.toString().replace('pay_123', 'pay_999'));
+      expect(webhookService.verifySignature(tampered, sign(rawBody), secret)).toBe(false);
+    });
+
+    it('should reject missing signature or secret', () => {
+      expect(webhookService.verifySignature(rawBody, undefined, secret)).toBe(false);
+      expect(webhookService.verifySignature(rawBody, sign(rawBody), '')).toBe(false);
+    });
+  });
+
+  describe('resolveEventId', () => {
+    it('should prefer the X-Razorpay-Event-Id header', () => {
+      expect(webhookService.resolveEventId('evt_abc', rawBody)).toBe('evt_abc');
+    });
+
+    it('should derive a stable id from the body when the header is missing', () => {
+      const first = webhookService.resolveEventId(undefined, rawBody);
+      const second = webhookService.resolveEventId(undefined, Buffer.from(rawBody));
+
+      expect(first).toMatch(/^sha256_[0-9a-f]{64}$/);
+      expect(first).toBe(second);
+    });
+  });
+
+  describe('recordEvent', () => {
+    const body = JSON.parse(rawBody.toString());
+    const now = new Date('2026-05-01T10:00:00Z');
+    const duplicateKey = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should hand back a redelivered event that failed or stalled for another attempt', async () => {
+      const stored = { eventId: 'evt_1', status: WEBHOOK_EVENT_STATUS.RECEIVED };
+      jest.spyOn(WebhookEvent, 'create').mockRejectedValue(duplicateKey);
+      const claim = jest.spyOn(WebhookEvent, 'claimForRetry').mockResolvedValue(stored);
+
+      const result = await webhookService.recordEvent('evt_1', body, now);
+
+      expect(result).toEqual({ webhookEvent: stored, duplicate: false });
+      expect(claim).toHaveBeenCalledWith('evt_1', new Date('2026-05-01T09:55:00Z'));
+    });
+
+    it('should report a duplicate when the event was handled or is still in progress', async () => {
+      const stored = { eventId: 'evt_1', status: WEBHOOK_EVENT_STATUS.PROCESSED };
+      jest.spyOn(WebhookEvent, 'create').mockRejectedValue(duplicateKey);
+      jest.spyOn(WebhookEvent, 'claimForRetry').mockResolvedValue(null);
+      jest.spyOn(WebhookEvent, 'findByEventId').mockResolvedValue(stored);
+
+      expect(await webhookService.recordEvent('evt_1', body, now)).toEqual({ webhookEvent: stored, duplicate: true });
+    });
+  });
+
+  describe('handlePaymentCaptured', () => {
+    const captured = (amount) => ({
+      event: 'payment.captured',
+      payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1', amount } } },
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should not mark the payment successful when the captured amount differs', async () => {
+      const student = Enrollment.hydrate({ studentId: 'STU-1', totalINR: 1180, paymentStatus: PAYMENT_STATUS.PENDING, razorpayOrderId: 'order_1' });
+      jest.spyOn(Enrollment, 'findByRazorpayOrderId').mockResolvedValue(student);
+      const update = jest.spyOn(student, 'updatePaymentStatus');
+
+      await expect(webhookService.handlePaymentCaptured(captured(100))).rejects.toThrow('Captured ₹1 but the amount due at checkout for STU-1 is ₹1180');
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should leave the enrollment emails to /verify when it confirmed the payment first', async () => {
+      const student = Enrollment.hydrate({ studentId: 'STU-1', totalINR: 1180, paymentStatus: PAYMENT_STATUS.PENDING, razorpayOrderId: 'order_1' });
+      jest.spyOn(Enrollment, 'findByRazorpayOrderId').mockResolvedValue(student);
+      jest.spyOn(Enrollment, 'findOneAndUpdate').mockResolvedValue(null);
+      const notify = jest.spyOn(studentLifecycleService, 'notifyLatest');
+      const referral = jest.spyOn(referralService, 'handleEnrollment');
+
+      expect(await webhookService.handlePaymentCaptured(captured(118000))).toBe('Payment already processed for STU-1');
+      expect(notify).not.toHaveBeenCalled();
+      expect(referral).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,73 @@
+// src/utils/checkoutRecoveryEmail.js
+import { config } from '../config/index.js';
+import { getCheckoutAmountINR } from './installments.js';
+import { isSubscription } from './subscriptions.js';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Link that re-opens checkout for an unpaid registration
+ * @param {string} token - checkoutRecovery.token of the student
+ */
+export function getCheckoutResumeUrl(token) {
+  return `${config.FRONTEND_URL}/checkout/resume/${token}`;
+}
+
+/**
+ * Render a recovery email for an abandoned checkout
+ * @param {Object} student - Unpaid student
+ * @param {Object} options - { resumeUrl, expiresAt, reminderNumber }
+ * @returns {Object} - { subject, html }
+ */
+export function renderCheckoutRecoveryEmail(student, { resumeUrl, expiresAt, reminderNumber = 1 }) {
+  const amount = Number(student.totalINR).toLocaleString('en-IN', { minimumFractionDigits: 2 });
+  const installmentCount = student.installments?.length || 0;
+  const amountDueNow = Number(getCheckoutAmountINR(student)).toLocaleString('en-IN', { minimumFractionDigits: 2 });
+  const expiry = new Date(expiresAt).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+  const subject = reminderNumber > 1
+    ? `Last reminder: your ${student.programName} enrollment is waiting - SIRTIFAI`
+    : `Complete your ${student.programName} enrollment - SIRTIFAI`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="background-color: #FC4C03; color: white; padding: 20px; text-align: center;">
+        <h1>SIRTIFAI</h1>
+        <h2>Your enrollment is almost done</h2>
+      </div>
+
+      <div style="padding: 20px; background-color: #f9f9f9;">
+        <p>Dear ${escapeHtml(student.fullName)},</p>
+        <p>You started enrolling but the payment was not completed. Your details are saved, so you can pick up right where you left off.</p>
+
+        <div style="background-color: white; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Program:</strong> ${escapeHtml(student.programName)}</p>
+          ${student.programDuration > 1 ? `<p><strong>Duration:</strong> ${escapeHtml(student.programDuration)} months</p>` : ''}
+          ${student.selectedAddonNames ? `<p><strong>Add-ons:</strong> ${escapeHtml(student.selectedAddonNames)}</p>` : ''}
+          ${isSubscription(student)
+            ? `<p><strong>Monthly Amount:</strong> ₹${escapeHtml(amount)} for up to ${escapeHtml(student.subscription.totalCount)} months, cancel any time</p>`
+            : `<p><strong>Total Amount:</strong> ₹${escapeHtml(amount)}</p>`}
+          ${installmentCount > 0 ? `<p><strong>Due Now (installment 1 of ${escapeHtml(installmentCount)}):</strong> ₹${escapeHtml(amountDueNow)}</p>` : ''}
+        </div>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${escapeHtml(resumeUrl)}" style="background-color: #FC4C03; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">Complete Payment</a>
+        </div>
+
+        <p>This link stays valid until ${escapeHtml(expiry)}. After that you will need to register again.</p>
+        <p>If you have any questions, please contact us at support@sirtifai.com</p>
+        <p>Best regards,<br>The SIRTIFAI Team</p>
+      </div>
+
+      <div style="background-color: #333; color: white; padding: 10px; text-align: center; font-size: 12px;">
+        <p>&copy; ${new Date().getFullYear()} SIRTIFAI. All rights reserved.</p>
+      </div>
+    </div>
+  `;
+
+  return { subject, html };
+}
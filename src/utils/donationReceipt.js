@@ -0,0 +1,66 @@
+// src/utils/donationReceipt.js
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+export function getDonationReceiptUrl(donation) {
+  const baseUrl = process.env.BASE_URL || 'http://localhost:8000';
+  return `${baseUrl}/api/v1/donations/${donation.donationId}/receipt`;
+}
+
+/**
+ * Render the donor receipt as a standalone HTML document.
+ * Used both for the receipt route and as the receipt email body.
+ */
+export function renderDonationReceipt(donation) {
+  const donor = donation.donor || {};
+  const paymentDate = new Date(donation.paymentDate || donation.createdAt).toLocaleDateString('en-IN');
+  const amount = Number(donation.amountINR).toLocaleString('en-IN', { minimumFractionDigits: 2 });
+  const address = [donor.address, donor.city, donor.state, donor.postalCode, donor.country]
+    .filter(Boolean)
+    .join(', ');
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>Donation Receipt ${escapeHtml(donation.receiptNumber)}</title>
+  </head>
+  <body>
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="background-color: #FC4C03; color: white; padding: 20px; text-align: center;">
+        <h1>SIRTIFAI</h1>
+        <h2>Donation Receipt</h2>
+      </div>
+
+      <div style="padding: 20px; background-color: #f9f9f9;">
+        <p>Dear ${escapeHtml(donor.fullName)},</p>
+        <p>Thank you for your generous donation.</p>
+
+        <div style="background-color: white; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Receipt Number:</strong> ${escapeHtml(donation.receiptNumber)}</p>
+          <p><strong>Date:</strong> ${escapeHtml(paymentDate)}</p>
+          <p><strong>Amount:</strong> ₹${escapeHtml(amount)}</p>
+          <p><strong>Purpose:</strong> ${escapeHtml(donation.purpose || 'General')}</p>
+          <p><strong>Donor:</strong> ${escapeHtml(donor.fullName)}${donation.anonymous ? ' (anonymous, not published)' : ''}</p>
+          <p><strong>Address:</strong> ${escapeHtml(address)}</p>
+          ${donor.pan ? `<p><strong>PAN:</strong> ${escapeHtml(donor.pan)}</p>` : ''}
+          <p><strong>Payment Reference:</strong> ${escapeHtml(donation.razorpayPaymentId)}</p>
+        </div>
+
+        <p>Please keep this receipt for your records.</p>
+        <p>If you have any questions, please contact us at support@sirtifai.com</p>
+        <p>Best regards,<br>The SIRTIFAI Team</p>
+      </div>
+
+      <div style="background-color: #333; color: white; padding: 10px; text-align: center; font-size: 12px;">
+        <p>&copy; ${new Date().getFullYear()} SIRTIFAI. All rights reserved.</p>
+      </div>
+    </div>
+  </body>
+</html>`;
+}
@@ -0,0 +1,57 @@
+// src/utils/emailVerificationEmail.js
+import { config } from '../config/index.js';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Frontend page that confirms a student's email through
+ * GET /api/v1/students/verify-email/:token
+ * @param {string} token - Unhashed verification token
+ */
+export function getEmailVerificationUrl(token) {
+  return `${config.FRONTEND_URL}/verify-email/${encodeURIComponent(token)}`;
+}
+
+/**
+ * Render the email asking a learner to confirm their address
+ * @param {Object} learner - Learner the email goes to
+ * @param {Object} options - { verifyUrl, expiresAt }
+ * @returns {Object} - { subject, html }
+ */
+export function renderEmailVerificationEmail(learner, { verifyUrl, expiresAt }) {
+  const expiry = new Date(expiresAt).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="background-color: #FC4C03; color: white; padding: 20px; text-align: center;">
+        <h1>SIRTIFAI</h1>
+        <h2>Confirm your email address</h2>
+      </div>
+
+      <div style="padding: 20px; background-color: #f9f9f9;">
+        <p>Dear ${escapeHtml(learner.fullName)},</p>
+        <p>Thank you for registering with SIRTIFAI. Please confirm this is your email address so your invoice and login details reach you.</p>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${escapeHtml(verifyUrl)}" style="background-color: #FC4C03; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">Confirm Email</a>
+        </div>
+
+        <p>This link stays valid until ${escapeHtml(expiry)}. If you did not register with SIRTIFAI, you can ignore this email.</p>
+        <p><strong>Learner ID:</strong> ${escapeHtml(learner.learnerId)}</p>
+        <p>If you have any questions, please contact us at support@sirtifai.com</p>
+        <p>Best regards,<br>The SIRTIFAI Team</p>
+      </div>
+
+      <div style="background-color: #333; color: white; padding: 10px; text-align: center; font-size: 12px;">
+        <p>&copy; ${new Date().getFullYear()} SIRTIFAI. All rights reserved.</p>
+      </div>
+    </div>
+  `;
+
+  return { subject: 'Confirm your email address - SIRTIFAI', html };
+}
@@ -77,6 +77,16 @@ export class RateLimitError extends AppError {
   }
 }
 
+/**
+ * Quota exceeded error class
+ */
+export class QuotaExceededError extends AppError {
+  constructor(message = 'Quota exceeded', details = null) {
+    super(message, HTTP_STATUS.PAYLOAD_TOO_LARGE, ERROR_CODES.QUOTA_EXCEEDED);
+    this.details = details;
+  }
+}
+
 /**
  * External service error class
  */
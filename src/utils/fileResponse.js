@@ -0,0 +1,29 @@
+// src/utils/fileResponse.js
+
+/**
+ * Send a stored file (student document, upload) as the response body.
+ * Only types a browser can show safely are sent inline; anything else is
+ * downloaded, and nosniff stops the browser from guessing another type.
+ */
+
+const INLINE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
+
+/**
+ * @param {Object} res - Express response object
+ * @param {Object} file - { buffer, contentType, fileName, download (force attachment) }
+ */
+export function sendFile(res, { buffer, contentType, fileName, download = false }) {
+  const type = contentType === 'image/jpg' ? 'image/jpeg' : contentType || 'application/octet-stream';
+  const disposition = INLINE_TYPES.includes(type) && !download ? 'inline' : 'attachment';
+  // Header values must be ASCII; quotes and backslashes would end the filename
+  const safeName = (fileName || 'file').replace(/[^\x20-\x7e]|["\\]/g, '_');
+
+  res.set({
+    'Content-Type': type,
+    'Content-Length': buffer.length,
+    'Content-Disposition': `${disposition}; filename="${safeName}"`,
+    'Cache-Control': 'private, no-store',
+    'X-Content-Type-Options': 'nosniff',
+  });
+  res.end(buffer);
+}
@@ -318,3 +318,19 @@ export const retryWithBackoff = async (fn, maxRetries = 3, baseDelay = 1000) =>
   
   throw lastError;
 };
+
+// India Standard Time is UTC+05:30 all year (no daylight saving)
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+/**
+ * Get the Indian financial year (April to March) a date falls in, judged
+ * in IST whatever the server's time zone
+ * @param {Date} date - Date to check
+ * @returns {string} - Financial year label, e.g. '2026-27'
+ */
+export const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  const endYear = String((startYear + 1) % 100).padStart(2, '0');
+  return `${startYear}-${endYear}`;
+};
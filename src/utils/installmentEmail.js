@@ -0,0 +1,73 @@
+// src/utils/installmentEmail.js
+import { config } from '../config/index.js';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatINR = (amount) => Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2 });
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { dateStyle: 'medium' });
+
+/**
+ * Link to pay an installment
+ * @param {string} token - payToken of the installment
+ */
+export function getInstallmentPayUrl(token) {
+  return `${config.FRONTEND_URL}/installments/pay/${token}`;
+}
+
+/**
+ * Render a reminder for an upcoming installment, or - with graceEndsAt -
+ * the notice that it is overdue
+ * @param {Object} student - Enrollment on an installment plan
+ * @param {Object} installment - The installment due
+ * @param {Object} options - { payUrl, graceEndsAt }
+ * @returns {Object} - { subject, html }
+ */
+export function renderInstallmentEmail(student, installment, { payUrl, graceEndsAt }) {
+  const count = student.installments.length;
+  const label = `Installment ${installment.number} of ${count}`;
+  const subject = graceEndsAt
+    ? `Overdue: ${label} for ${student.programName} - SIRTIFAI`
+    : `${label} for ${student.programName} is due on ${formatDate(installment.dueDate)} - SIRTIFAI`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="background-color: #FC4C03; color: white; padding: 20px; text-align: center;">
+        <h1>SIRTIFAI</h1>
+        <h2>${graceEndsAt ? 'Your installment is overdue' : 'Your next installment is due soon'}</h2>
+      </div>
+
+      <div style="padding: 20px; background-color: #f9f9f9;">
+        <p>Dear ${escapeHtml(student.fullName)},</p>
+        ${graceEndsAt
+          ? `<p>We have not received ${escapeHtml(label.toLowerCase())} for your enrollment, which was due on ${escapeHtml(formatDate(installment.dueDate))}. Please pay it by ${escapeHtml(formatDate(graceEndsAt))} to keep your access to the program.</p>`
+          : `<p>This is a reminder that ${escapeHtml(label.toLowerCase())} for your enrollment is due on ${escapeHtml(formatDate(installment.dueDate))}.</p>`}
+
+        <div style="background-color: white; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Program:</strong> ${escapeHtml(student.programName)}</p>
+          <p><strong>Enrollment ID:</strong> ${escapeHtml(student.studentId)}</p>
+          <p><strong>${escapeHtml(label)}:</strong> ₹${escapeHtml(formatINR(installment.amountINR))}</p>
+          <p><strong>Due Date:</strong> ${escapeHtml(formatDate(installment.dueDate))}</p>
+        </div>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${escapeHtml(payUrl)}" style="background-color: #FC4C03; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">Pay Installment</a>
+        </div>
+
+        <p>You will receive an invoice for the installment once it is paid.</p>
+        <p>If you have any questions, please contact us at support@sirtifai.com</p>
+        <p>Best regards,<br>The SIRTIFAI Team</p>
+      </div>
+
+      <div style="background-color: #333; color: white; padding: 10px; text-align: center; font-size: 12px;">
+        <p>&copy; ${new Date().getFullYear()} SIRTIFAI. All rights reserved.</p>
+      </div>
+    </div>
+  `;
+
+  return { subject, html };
+}
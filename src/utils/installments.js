@@ -0,0 +1,110 @@
+// src/utils/installments.js
+import crypto from 'crypto';
+import { INSTALLMENT_STATUS } from '../config/constants.js';
+
+/**
+ * Installment plan rules: splitting a total into installments, due dates,
+ * and which installment an order or invoice link belongs to. The first
+ * installment is the checkout payment, so it has no order, invoice number
+ * or invoice link of its own - the enrollment's are used. Pure helpers;
+ * reminders, payments and suspension are handled by installmentService.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Due date of an installment
+ * @param {Date} start - When the first installment was (or will be) paid
+ * @param {number} number - Installment number, from 1
+ * @param {number} intervalDays - Days between installments
+ * @returns {Date}
+ */
+export function getInstallmentDueDate(start, number, intervalDays) {
+  return new Date(new Date(start).getTime() + (number - 1) * intervalDays * DAY_MS);
+}
+
+/**
+ * Split a total into a plan's installments. Amounts are split in paise;
+ * the first installment takes the remainder so they add up exactly.
+ * @param {number} totalINR - Order total (after discount, GST-inclusive)
+ * @param {Object} plan - { id, name, installments, intervalDays } from the catalog
+ * @param {Date} start - Checkout time; the first installment is due then
+ * @returns {Array} - [{ number, amountINR, dueDate, invoiceLink, payToken }]
+ */
+export function buildInstallmentSchedule(totalINR, plan, start = new Date()) {
+  const totalPaise = Math.round(totalINR * 100);
+  const basePaise = Math.floor(totalPaise / plan.installments);
+  const remainderPaise = totalPaise - basePaise * plan.installments;
+
+  return Array.from({ length: plan.installments }, (_, index) => {
+    const number = index + 1;
+    return {
+      number,
+      amountINR: (basePaise + (number === 1 ? remainderPaise : 0)) / 100,
+      dueDate: getInstallmentDueDate(start, number, plan.intervalDays),
+      status: INSTALLMENT_STATUS.PENDING,
+      ...(number > 1 ? {
+        invoiceLink: crypto.randomUUID(),
+        payToken: crypto.randomBytes(24).toString('hex'),
+      } : {}),
+    };
+  });
+}
+
+/**
+ * Amount charged at checkout: the first installment, or the whole total
+ * @param {Object} student - Enrollment (document or plain object)
+ * @returns {number} - INR
+ */
+export function getCheckoutAmountINR(student) {
+  return student.installments?.length > 0 ? student.installments[0].amountINR : student.totalINR;
+}
+
+/**
+ * The later installment an order was created for
+ * @param {Object} student - Enrollment
+ * @param {string} orderId - Razorpay order id
+ * @returns {Object|null} - Installment, or null for the checkout order
+ */
+export function findInstallmentByOrderId(student, orderId) {
+  return (student.installments || []).find(installment => installment.number > 1
+    && (installment.razorpayOrderId === orderId || (installment.previousRazorpayOrderIds || []).includes(orderId))) || null;
+}
+
+/**
+ * The installment an invoice link shows
+ * @param {Object} student - Enrollment
+ * @param {string} invoiceLink - Enrollment or installment invoice link
+ * @returns {Object|null} - Installment, or null when the enrollment is paid in full
+ */
+export function findInstallmentByInvoiceLink(student, invoiceLink) {
+  const installments = student.installments || [];
+  if (invoiceLink === student.invoiceLink) {
+    return installments[0] || null;
+  }
+  return installments.find(installment => installment.invoiceLink === invoiceLink) || null;
+}
+
+/**
+ * Invoice number and link of an installment
+ * @param {Object} student - Enrollment
+ * @param {Object} installment - One of its installments
+ * @returns {Object} - { invoiceNumber, invoiceLink }
+ */
+export function getInstallmentInvoice(student, installment) {
+  return installment.number === 1
+    ? { invoiceNumber: student.invoiceNumber, invoiceLink: student.invoiceLink }
+    : { invoiceNumber: installment.invoiceNumber, invoiceLink: installment.invoiceLink };
+}
+
+/**
+ * Amount paid so far
+ * @param {Object} student - Enrollment with installments
+ * @returns {number} - INR
+ */
+export function getPaidInstallmentsINR(student) {
+  const paise = (student.installments || [])
+    .filter(installment => installment.status === INSTALLMENT_STATUS.PAID)
+    .reduce((sum, installment) => sum + Math.round(installment.amountINR * 100), 0);
+  return paise / 100;
+}
@@ -0,0 +1,188 @@
+// src/utils/invoice.js
+import { getProductById, ADDON_TYPE_MAP } from './products.js';
+import { computeTax, splitInclusiveAmount, allocateDiscount } from './tax.js';
+import { getInstallmentInvoice } from './installments.js';
+import { getChargeInvoice } from './subscriptions.js';
+import { config } from '../config/index.js';
+
+/**
+ * GST-inclusive line items of a student's purchase with their SAC codes.
+ * SAC codes come from the snapshot taken at checkout; older records fall back
+ * to the catalog (archived products included), null if the product is gone.
+ */
+export async function getInvoiceItems(student) {
+  const addonType = ADDON_TYPE_MAP[student.programType];
+  const programSacCode = student.productSnapshot?.sacCode
+    || (await getProductById(student.programType, student.selectedProgram, { includeArchived: true }))?.sacCode;
+
+  const items = [{
+    description: student.programName,
+    sacCode: programSacCode || null,
+    quantity: student.programDuration,
+    unitPrice: student.programUnitPrice,
+    amount: student.programPriceINR,
+  }];
+
+  for (const addon of student.addonsData || []) {
+    const addonSacCode = addon.sacCode
+      || (addonType ? (await getProductById(addonType, addon.id, { includeArchived: true }))?.sacCode : null);
+    items.push({
+      description: addon.name,
+      sacCode: addonSacCode || null,
+      quantity: 1,
+      unitPrice: addon.price,
+      amount: addon.price,
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Compute the CGST/SGST or IGST split for a student's purchase
+ */
+export async function computeStudentTax(student) {
+  return computeTax({
+    items: await getInvoiceItems(student),
+    buyerState: student.state,
+    buyerCountry: student.country,
+    discount: student.discountINR || 0,
+  });
+}
+
+/**
+ * Compute the tax split for one installment of a student's purchase: the
+ * installment is spread over the purchase's (discounted) lines in proportion
+ * to their totals, and GST is backed out of each share
+ */
+export async function computeInstallmentTax(student, installment) {
+  const { lineItems } = await computeStudentTax(student);
+  const shares = allocateDiscount(lineItems.map(line => ({ amount: line.total })), installment.amountINR);
+  const label = `(installment ${installment.number} of ${student.installments.length})`;
+
+  return computeTax({
+    items: lineItems.map((line, index) => ({
+      description: `${line.description} ${label}`,
+      sacCode: line.sacCode,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      amount: shares[index],
+    })),
+    buyerState: student.state,
+    buyerCountry: student.country,
+  });
+}
+
+/**
+ * Compute the tax split for one monthly charge of a subscription. The
+ * enrollment's pricing is the first month's, addons included; later charges
+ * invoice the program line alone (every line on enrollments billed before
+ * addons were charged once). Lines are labelled with the month charged.
+ */
+export async function computeChargeTax(student, charge) {
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { dateStyle: 'medium' });
+  const label = charge.periodStart && charge.periodEnd
+    ? `(month ${charge.number}: ${formatDate(charge.periodStart)} - ${formatDate(charge.periodEnd)})`
+    : `(month ${charge.number})`;
+  const items = await getInvoiceItems(student);
+  const charged = charge.number > 1 && student.subscription?.amountINR != null ? items.slice(0, 1) : items;
+
+  return computeTax({
+    items: charged.map(item => ({ ...item, description: `${item.description} ${label}` })),
+    buyerState: student.state,
+    buyerCountry: student.country,
+    discount: student.discountINR || 0,
+  });
+}
+
+/**
+ * Build the invoice view of a paid student record.
+ * Prices on the student are GST-inclusive, so the taxable value and GST are
+ * backed out of them (after any coupon discount) by the tax module. Shared by the JSON and PDF invoice routes.
+ * On an installment plan each installment is invoiced as it is paid, and on
+ * a subscription each monthly charge; pass the installment or charge to
+ * build its invoice.
+ */
+export async function buildInvoiceData(student, installment = null, charge = null) {
+  const { taxType, lineItems, totals } = installment
+    ? await computeInstallmentTax(student, installment)
+    : charge ? await computeChargeTax(student, charge) : await computeStudentTax(student);
+  const [programLine, ...addonLines] = lineItems;
+
+  const addonPriceExclusiveGST = addonLines.reduce((acc, line) => acc + line.taxableValue, 0);
+  const gstRate = programLine.gstRate;
+
+  return {
+    id: student._id,
+    invoiceNumber: student.invoiceNumber,
+    createdAt: student.createdAt,
+    programName: student.programName,
+    programSacCode: programLine.sacCode,
+    programUnitPrice: student.programUnitPrice, // Original unit price (inclusive)
+    programUnitPriceExclusiveGST: splitInclusiveAmount(student.programUnitPrice, gstRate, taxType).taxableValue, // Unit price without GST
+    programPrice: student.programUnitPrice, // Original unit price
+    programPriceINR: student.programPriceINR, // Total program price (inclusive)
+    programPriceExclusiveGST: programLine.taxableValue, // Program total price without GST
+    programDuration: student.programDuration,
+    selectedAddonNames: student.selectedAddonNames,
+    addonsData: student.addonsData, // Include the addons data array
+    addonPriceINR: student.addonPriceINR, // Total addon price (inclusive)
+    addonPriceExclusiveGST: Math.round(addonPriceExclusiveGST * 100) / 100, // Addon price without GST
+    subtotalINR: student.subtotalINR, // Total inclusive price before discount
+    couponCode: student.couponCode || null,
+    referralCode: student.referralDiscountINR > 0 ? student.referralCode : null,
+    discountINR: totals.discount, // Coupon discount (inclusive), reduces the taxable value
+    subtotalExclusiveGST: totals.taxableValue, // Total without GST
+    gstRate: gstRate,
+    taxType,
+    cgstAmountINR: totals.cgstAmount,
+    sgstAmountINR: totals.sgstAmount,
+    igstAmountINR: totals.igstAmount,
+    gstAmountINR: totals.totalTax, // Calculated GST amount
+    totalINR: student.totalINR || student.subtotalINR,
+    paymentStatus: student.paymentStatus,
+    paymentMethod: student.paymentMethod || 'Razorpay',
+    paymentDate: student.paymentDate || student.createdAt,
+    razorpayPaymentId: student.razorpayPaymentId,
+    type: student.programType,
+    lineItems,
+    ...(installment ? {
+      invoiceNumber: getInstallmentInvoice(student, installment).invoiceNumber,
+      totalINR: installment.amountINR,
+      paymentDate: installment.paidAt || student.paymentDate,
+      razorpayPaymentId: installment.razorpayPaymentId,
+      installment: {
+        number: installment.number,
+        installments: student.installments.length,
+        amountINR: installment.amountINR,
+        orderTotalINR: student.totalINR,
+      },
+    } : {}),
+    ...(charge ? {
+      invoiceNumber: getChargeInvoice(student, charge).invoiceNumber,
+      totalINR: charge.amountINR,
+      paymentDate: charge.paidAt,
+      razorpayPaymentId: charge.razorpayPaymentId,
+      subscriptionCharge: {
+        number: charge.number,
+        periodStart: charge.periodStart,
+        periodEnd: charge.periodEnd,
+        razorpaySubscriptionId: student.subscription.razorpaySubscriptionId,
+      },
+    } : {}),
+    seller: {
+      name: config.COMPANY_NAME,
+      gstin: config.COMPANY_GSTIN,
+      address: config.COMPANY_ADDRESS,
+      state: config.COMPANY_STATE,
+      email: config.COMPANY_EMAIL,
+    },
+  };
+}
+
+/**
+ * File name for the invoice PDF (invoice numbers contain slashes)
+ */
+export function getInvoiceFileName(invoice) {
+  return `invoice-${String(invoice.invoiceNumber).replace(/[^A-Za-z0-9-]+/g, '-')}.pdf`;
+}
@@ -0,0 +1,60 @@
+// src/utils/invoiceEmail.js
+import { getInstallmentInvoice } from './installments.js';
+import { getChargeInvoice } from './subscriptions.js';
+
+/**
+ * Ask the invoice controller to email the invoice for a paid student, for
+ * one paid installment of their installment plan, or for one monthly
+ * charge of their subscription.
+ * Failures are logged and swallowed so a payment is never rolled back
+ * because the mail server is unavailable.
+ */
+export async function requestInvoiceEmail(student, installment = null, charge = null) {
+  const { invoiceLink, invoiceNumber } = installment
+    ? getInstallmentInvoice(student, installment)
+    : charge ? getChargeInvoice(student, charge) : student;
+  const invoiceData = {
+    studentId: student.studentId,
+    studentEmail: student.email,
+    studentName: student.fullName,
+    invoiceLink,
+    invoiceNumber,
+    programName: student.programName,
+    programDuration: student.programDuration,
+    addonNames: student.selectedAddonNames,
+    subtotal: student.subtotalINR,
+    gstRate: student.gstRate,
+    total: (installment || charge)?.amountINR ?? student.totalINR,
+    paymentStatus: 'Completed',
+    paymentDate: (installment || charge)?.paidAt || student.paymentDate,
+    paymentMethod: 'Razorpay',
+    razorpayPaymentId: (installment || charge)?.razorpayPaymentId || student.razorpayPaymentId,
+    razorpayOrderId: (installment || charge)?.razorpayOrderId || student.razorpayOrderId,
+    ...(installment ? { installment: installment.number } : {}),
+    ...(charge ? { charge: charge.number } : {}),
+  };
+
+  try {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:8000';
+
+    const emailResponse = await fetch(`${baseUrl}/api/v1/invoices/send`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(invoiceData),
+    });
+
+    if (emailResponse.ok) {
+      console.log('Invoice email sent successfully to:', student.email);
+      return true;
+    }
+
+    const errorText = await emailResponse.text();
+    console.error('Failed to send invoice email:', errorText);
+  } catch (emailError) {
+    console.error('Error sending invoice email:', emailError);
+  }
+
+  return false;
+}
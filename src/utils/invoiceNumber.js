@@ -0,0 +1,134 @@
+// src/utils/invoiceNumber.js
+import Counter from '../models/Counter.js';
+import { config } from '../config/index.js';
+import { getFinancialYear } from './helpers.js';
+
+// A numbering claim older than this was left by a request that died
+// between claiming and drawing the number, and may be taken over
+export const INVOICE_NUMBER_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Filter for a record (or array element) that has no invoice number and
+ * no live numbering claim
+ */
+export function invoiceNumberClaimableFilter(now = new Date()) {
+  return {
+    invoiceNumber: { $exists: false },
+    $or: [
+      { invoiceNumberClaimedAt: { $exists: false } },
+      { invoiceNumberClaimedAt: { $lt: new Date(now.getTime() - INVOICE_NUMBER_CLAIM_TIMEOUT_MS) } },
+    ],
+  };
+}
+
+/**
+ * Invoice prefix configured for a product type (programs, freelancer, international)
+ */
+export function getInvoicePrefix(productType) {
+  return config.INVOICE_PREFIXES[productType] || config.INVOICE_PREFIX_DEFAULT;
+}
+
+/**
+ * Format an invoice number, e.g. SRT/2026-27/000123
+ */
+export function formatInvoiceNumber(prefix, financialYear, seq) {
+  return `${prefix}/${financialYear}/${String(seq).padStart(6, '0')}`;
+}
+
+/**
+ * Draw the next number of the consecutive series for a product type and
+ * the financial year the payment falls in. Only call this once a payment
+ * has succeeded - every call consumes a number.
+ */
+export async function generateInvoiceNumber(productType, date = new Date()) {
+  const prefix = getInvoicePrefix(productType);
+  const financialYear = getFinancialYear(date);
+  const seq = await Counter.nextSequence(`invoice:${prefix}:${financialYear}`);
+  return formatInvoiceNumber(prefix, financialYear, seq);
+}
+
+/**
+ * Assign the next number of the series to an enrollment, or to one of its
+ * installments or monthly charges. Numbering is claimed atomically first so
+ * a concurrent verify call and webhook cannot both draw a number (which
+ * would leave a hole in the series). A failed draw releases the claim, and
+ * a claim left by a request that died mid-way times out. A number drawn
+ * under a claim that timed out is still stored if the record has none yet;
+ * if another request numbered it first, the unused number is logged so it
+ * can be voided.
+ * @param {Object} Model - Enrollment model
+ * @param {Object} options - { _id of the enrollment, record (the enrollment
+ *   or array element, updated in place), arrayPath of the element
+ *   ('installments', 'subscription.charges'; omitted for the enrollment
+ *   itself), productType, date of the payment }
+ * @returns {string|undefined} - Invoice number (undefined while another request is numbering it)
+ */
+export async function assignInvoiceNumber(Model, { _id, record, arrayPath = null, productType, date }) {
+  if (record.invoiceNumber) {
+    return record.invoiceNumber;
+  }
+
+  // Filter on the record (or the element of the array), and the path of its fields in an update
+  const recordFilter = (fields) => (arrayPath
+    ? { _id, [arrayPath]: { $elemMatch: { _id: record._id, ...fields } } }
+    : { _id, ...fields });
+  const field = (name) => (arrayPath ? `${arrayPath}.$.${name}` : name);
+
+  const claimedAt = new Date();
+  const claimed = await Model.updateOne(
+    recordFilter(invoiceNumberClaimableFilter(claimedAt)),
+    { $set: { [field('invoiceNumberClaimedAt')]: claimedAt } }
+  );
+
+  // Take the number (and claim) stored on the record meanwhile
+  const readCurrent = async () => {
+    const current = await Model.findById(_id).select(arrayPath || 'invoiceNumber invoiceNumberClaimedAt').lean();
+    const currentRecord = arrayPath
+      ? arrayPath.split('.').reduce((value, key) => value?.[key], current)?.find(item => String(item._id) === String(record._id))
+      : current;
+    record.invoiceNumber = currentRecord?.invoiceNumber;
+    record.invoiceNumberClaimedAt = currentRecord?.invoiceNumberClaimedAt;
+    return record.invoiceNumber;
+  };
+
+  if (claimed.modifiedCount === 0) {
+    // Another request is numbering (or has numbered) this record
+    return readCurrent();
+  }
+
+  let invoiceNumber;
+  try {
+    invoiceNumber = await generateInvoiceNumber(productType, date || claimedAt);
+  } catch (error) {
+    await Model.updateOne(recordFilter({ invoiceNumberClaimedAt: claimedAt }), { $unset: { [field('invoiceNumberClaimedAt')]: 1 } });
+    throw error;
+  }
+
+  // Stored unless the record was numbered meanwhile (by a request that took
+  // over the claim after it timed out), even if our claim was taken over
+  const stored = await Model.updateOne(
+    recordFilter({ invoiceNumber: { $exists: false } }),
+    { $set: { [field('invoiceNumber')]: invoiceNumber, [field('invoiceNumberClaimedAt')]: claimedAt } }
+  );
+
+  if (stored.modifiedCount === 0) {
+    const current = await readCurrent();
+    console.error(`Invoice number ${invoiceNumber} was drawn but not used: the record was numbered ${current} meanwhile; void ${invoiceNumber} in the books`);
+    return current;
+  }
+
+  record.invoiceNumber = invoiceNumber;
+  record.invoiceNumberClaimedAt = claimedAt;
+  return invoiceNumber;
+}
+
+/**
+ * Draw the next credit note number (its own consecutive series per
+ * financial year), e.g. SRT/CN/2026-27/000004
+ */
+export async function generateCreditNoteNumber(date = new Date()) {
+  const prefix = config.CREDIT_NOTE_PREFIX;
+  const financialYear = getFinancialYear(date);
+  const seq = await Counter.nextSequence(`credit-note:${prefix}:${financialYear}`);
+  return formatInvoiceNumber(prefix, financialYear, seq);
+}
@@ -0,0 +1,150 @@
+// src/utils/invoicePdf.js
+import PDFDocument from 'pdfkit';
+import { TAX_TYPES } from '../config/constants.js';
+
+const formatAmount = (amount) => Number(amount || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+});
+
+const formatINR = (amount) => `INR ${formatAmount(amount)}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+});
+
+/**
+ * Render a GST tax invoice PDF.
+ * @param {Object} invoice - Invoice data from buildInvoiceData()
+ * @param {Object} buyer - Enrollment (billing name, contact and address)
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+export function renderInvoicePdf(invoice, buyer) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { seller } = invoice;
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    // Header
+    doc.fillColor('#FC4C03').fontSize(22).font('Helvetica-Bold').text(seller.name, left, 50);
+    doc.fillColor('#000000').fontSize(16).text('TAX INVOICE', left, 50, { width, align: 'right' });
+    doc.moveDown(0.5);
+
+    doc.fontSize(9).font('Helvetica');
+    if (seller.address) doc.text(seller.address, left);
+    if (seller.state) doc.text(`State: ${seller.state}`, left);
+    if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`, left);
+    if (seller.email) doc.text(`Email: ${seller.email}`, left);
+
+    // Invoice meta and buyer
+    const metaTop = doc.y + 15;
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill To', left, metaTop);
+    doc.font('Helvetica').fontSize(9)
+      .text(buyer.fullName, left)
+      .text(buyer.residentialAddress, left, doc.y, { width: width / 2 - 10 })
+      .text(`${buyer.city}, ${buyer.state} ${buyer.zipCode}`, left, doc.y, { width: width / 2 - 10 })
+      .text(buyer.country, left)
+      .text(`Email: ${buyer.email}`, left)
+      .text(`Phone: ${buyer.primaryPhone}`, left);
+    const buyerBottom = doc.y;
+
+    const metaLeft = left + width / 2 + 10;
+    doc.font('Helvetica-Bold').fontSize(10).text('Invoice Details', metaLeft, metaTop);
+    doc.font('Helvetica').fontSize(9)
+      .text(`Invoice No: ${invoice.invoiceNumber}`, metaLeft)
+      .text(`Invoice Date: ${formatDate(invoice.paymentDate)}`, metaLeft)
+      .text(`Place of Supply: ${buyer.state}`, metaLeft)
+      .text(`Payment: ${invoice.paymentMethod}${invoice.razorpayPaymentId ? ` (${invoice.razorpayPaymentId})` : ''}`, metaLeft);
+
+    // Line items table
+    const intraState = invoice.taxType === TAX_TYPES.INTRA_STATE;
+    const taxColumns = intraState
+      ? [
+        { header: 'CGST', width: width * 0.11, align: 'right', value: item => `${formatAmount(item.cgstAmount)}\n@ ${item.cgstRate}%` },
+        { header: 'SGST', width: width * 0.11, align: 'right', value: item => `${formatAmount(item.sgstAmount)}\n@ ${item.sgstRate}%` },
+      ]
+      : [
+        { header: 'IGST', width: width * 0.22, align: 'right', value: item => `${formatAmount(item.igstAmount)}\n@ ${item.igstRate}%` },
+      ];
+
+    const hasDiscount = invoice.discountINR > 0;
+    const discountColumns = hasDiscount
+      ? [{ header: 'Discount (INR)', width: width * 0.12, align: 'right', value: item => formatAmount(item.discount) }]
+      : [];
+
+    const columns = [
+      { header: 'Description', width: width * (hasDiscount ? 0.16 : 0.28), align: 'left', value: item => item.description },
+      { header: 'SAC', width: width * 0.1, align: 'left', value: item => item.sacCode },
+      { header: 'Qty', width: width * 0.06, align: 'right', value: item => item.quantity },
+      ...discountColumns,
+      { header: 'Taxable (INR)', width: width * 0.17, align: 'right', value: item => formatAmount(item.taxableValue) },
+      ...taxColumns,
+      { header: 'Total (INR)', width: width * 0.17, align: 'right', value: item => formatAmount(item.total) },
+    ];
+
+    const drawRow = (values, y, font = 'Helvetica') => {
+      let x = left;
+      let rowHeight = 0;
+      doc.font(font).fontSize(9);
+      values.forEach((value, i) => {
+        const options = { width: columns[i].width - 6, align: columns[i].align };
+        doc.text(String(value ?? '-'), x + 3, y, options);
+        rowHeight = Math.max(rowHeight, doc.heightOfString(String(value ?? '-'), options));
+        x += columns[i].width;
+      });
+      return y + rowHeight + 8;
+    };
+
+    let y = Math.max(buyerBottom, doc.y) + 25;
+    doc.rect(left, y - 4, width, 18).fill('#F2F2F2').fillColor('#000000');
+    y = drawRow(columns.map(column => column.header), y, 'Helvetica-Bold');
+
+    for (const item of invoice.lineItems) {
+      y = drawRow(columns.map(column => column.value(item)), y);
+      doc.moveTo(left, y - 4).lineTo(left + width, y - 4).strokeColor('#DDDDDD').stroke();
+    }
+
+    // Totals
+    const totalsLeft = left + width * 0.55;
+    const totalsWidth = width * 0.45;
+    const totalLine = (label, value, bold = false) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 10 : 9);
+      doc.text(label, totalsLeft, y, { width: totalsWidth / 2 });
+      doc.text(value, totalsLeft + totalsWidth / 2, y, { width: totalsWidth / 2, align: 'right' });
+      y += bold ? 16 : 14;
+    };
+
+    y += 10;
+    if (hasDiscount) {
+      totalLine('Gross Amount', formatINR(invoice.subtotalINR));
+      const discountLabel = invoice.couponCode
+        ? `Discount (${invoice.couponCode})`
+        : invoice.referralCode ? `Referral Discount (${invoice.referralCode})` : 'Discount';
+      totalLine(discountLabel, `- ${formatINR(invoice.discountINR)}`);
+    }
+    totalLine('Taxable Value', formatINR(invoice.subtotalExclusiveGST));
+    if (intraState) {
+      totalLine('CGST', formatINR(invoice.cgstAmountINR));
+      totalLine('SGST', formatINR(invoice.sgstAmountINR));
+    } else {
+      totalLine('IGST', formatINR(invoice.igstAmountINR));
+    }
+    totalLine('Invoice Total', formatINR(invoice.totalINR), true);
+
+    // Footer
+    doc.font('Helvetica').fontSize(8).fillColor('#555555')
+      .text('Prices are inclusive of GST. This is a computer generated invoice and does not require a signature.',
+        left, y + 30, { width, align: 'center' });
+
+    doc.end();
+  });
+}
@@ -0,0 +1,36 @@
+// src/utils/mailer.js
+import nodemailer from 'nodemailer';
+
+/**
+ * Payments mail transport
+ * Shared by invoice, donation receipt and other payment emails
+ */
+
+export function createPaymentsTransporter() {
+  const emailPort = parseInt(process.env.PAYMENTS_EMAIL_PORT, 10);
+  console.log('payments email transporter initialized', {
+    host: process.env.PAYMENTS_EMAIL_HOST,
+    port: emailPort,
+    secure: emailPort === 465,
+    user: process.env.PAYMENTS_EMAIL_USER,
+    pass: process.env.PAYMENTS_EMAIL_PASSWORD ? '****' : '(not provided)', // hide password in logs
+  });
+
+  return nodemailer.createTransport({
+    host: process.env.PAYMENTS_EMAIL_HOST,
+    port: emailPort,
+    secure: emailPort === 465,
+    auth: {
+      user: process.env.PAYMENTS_EMAIL_USER,
+      pass: process.env.PAYMENTS_EMAIL_PASSWORD,
+    },
+  });
+}
+
+export async function sendPaymentsMail(mailOptions) {
+  const transporter = createPaymentsTransporter();
+  return transporter.sendMail({
+    from: process.env.PAYMENTS_EMAIL_FROM,
+    ...mailOptions,
+  });
+}
@@ -0,0 +1,157 @@
+// src/utils/packageValidation.js
+import { getProductById, ADDON_TYPE_MAP } from './products.js';
+import { PRODUCT_BILLING_TYPES, BILLING_MODES } from '../config/constants.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * Server-side validation of a package selection (product, duration, addons).
+ * Clients only choose; prices, durations and addon groups are checked
+ * against the catalog here. All problems are collected and thrown together
+ * as a ValidationError whose details are [{ field, code, message }].
+ */
+
+/**
+ * Parse a product's monthlyOptions range such as "6-12"
+ * @param {string} monthlyOptions - "<min>-<max>" in months
+ * @returns {Object|null} - { min, max }, or null if missing/invalid
+ */
+export function parseMonthlyOptions(monthlyOptions) {
+  const match = /^\s*(\d+)\s*-\s*(\d+)\s*$/.exec(String(monthlyOptions ?? ''));
+  if (!match) {
+    return null;
+  }
+
+  const min = Number(match[1]);
+  const max = Number(match[2]);
+  if (min < 1 || max < min) {
+    return null;
+  }
+
+  return { min, max };
+}
+
+/**
+ * Read the requested duration from package data. productData.duration and
+ * selectedMonths are both accepted but must agree when both are sent.
+ * @returns {Object} - { duration (undefined if not sent), conflict }
+ */
+function readDuration(packageData) {
+  const fromProductData = packageData?.productData?.duration;
+  const fromSelectedMonths = packageData?.selectedMonths;
+  const sent = [fromProductData, fromSelectedMonths].filter(value => value !== undefined && value !== null && value !== '');
+
+  return {
+    duration: sent.length > 0 ? Number(sent[0]) : undefined,
+    conflict: sent.length === 2 && Number(sent[0]) !== Number(sent[1]),
+  };
+}
+
+/**
+ * Validate a package selection against the catalog
+ * @param {Object} packageData - { type, selectedProduct|selectedProgram, selectedAddon, selectedMonths, productData.duration, installmentPlan, billingMode }
+ * @returns {Object} - { productType, productId, product, addonIds, addons, duration, installmentPlan (null to pay in full), billingMode }
+ * @throws {ValidationError} - With details for every problem found
+ */
+export async function validatePackageSelection(packageData) {
+  const errors = [];
+  const addError = (field, code, message) => errors.push({ field, code, message });
+
+  const productType = packageData?.type;
+  const productId = packageData?.selectedProduct || packageData?.selectedProgram;
+  const addonGroup = ADDON_TYPE_MAP[productType];
+
+  if (!addonGroup) {
+    addError('packageData.type', 'INVALID_PRODUCT_TYPE', `Product type must be one of ${Object.keys(ADDON_TYPE_MAP).join(', ')}`);
+    throw new ValidationError('Invalid package selection', errors);
+  }
+
+  const product = productId ? await getProductById(productType, productId) : null;
+  if (!product) {
+    addError('packageData.selectedProduct', 'PRODUCT_NOT_FOUND', `Product '${productId ?? ''}' is not available in ${productType}`);
+    throw new ValidationError('Invalid package selection', errors);
+  }
+
+  // Duration must match the product's billing type
+  const { duration: requestedDuration, conflict } = readDuration(packageData);
+  let duration = 1;
+
+  if (conflict) {
+    addError('packageData.selectedMonths', 'DURATION_MISMATCH', 'selectedMonths and productData.duration disagree');
+  } else if (product.type === PRODUCT_BILLING_TYPES.MONTHLY) {
+    const range = parseMonthlyOptions(product.monthlyOptions) || { min: 1, max: 1 };
+
+    if (requestedDuration === undefined) {
+      addError('packageData.selectedMonths', 'DURATION_REQUIRED', `Choose a duration of ${range.min}-${range.max} months`);
+    } else if (!Number.isInteger(requestedDuration)) {
+      addError('packageData.selectedMonths', 'INVALID_DURATION', 'Duration must be a whole number of months');
+    } else if (requestedDuration < range.min || requestedDuration > range.max) {
+      addError('packageData.selectedMonths', 'DURATION_OUT_OF_RANGE', `${product.name} can be taken for ${range.min}-${range.max} months`);
+    } else {
+      duration = requestedDuration;
+    }
+  } else if (requestedDuration !== undefined && requestedDuration !== 1) {
+    addError('packageData.selectedMonths', 'DURATION_NOT_ALLOWED', `${product.name} is a one-time purchase and has no duration`);
+  }
+
+  // Monthly billing charges month by month, for up to the chosen duration
+  const billingMode = String(packageData?.billingMode || BILLING_MODES.UPFRONT).toLowerCase();
+
+  // Addons must come from the product type's addon group, once each
+  const rawAddons = packageData?.selectedAddon ?? [];
+  const addonIds = Array.isArray(rawAddons) ? rawAddons : [rawAddons];
+  const addons = [];
+  const seen = new Set();
+
+  for (const [index, addonId] of addonIds.entries()) {
+    const field = `packageData.selectedAddon[${index}]`;
+
+    if (typeof addonId !== 'string' || !addonId) {
+      addError(field, 'INVALID_ADDON', 'Addon IDs must be strings');
+      continue;
+    }
+
+    if (seen.has(addonId)) {
+      addError(field, 'DUPLICATE_ADDON', `Addon '${addonId}' is selected more than once`);
+      continue;
+    }
+    seen.add(addonId);
+
+    const addon = await getProductById(addonGroup, addonId);
+    if (!addon) {
+      addError(field, 'ADDON_NOT_ALLOWED', `Addon '${addonId}' is not available for ${productType}`);
+      continue;
+    }
+    addons.push(addon);
+  }
+
+  // An installment plan must be one the product offers
+  const planId = packageData?.installmentPlan;
+  let installmentPlan = null;
+
+  if (planId !== undefined && planId !== null && planId !== '') {
+    installmentPlan = (product.installmentPlans || []).find(plan => plan.id === String(planId).toLowerCase()) || null;
+    if (!installmentPlan) {
+      addError('packageData.installmentPlan', 'INSTALLMENT_PLAN_NOT_AVAILABLE', product.installmentPlans?.length > 0
+        ? `${product.name} can be paid in installments with ${product.installmentPlans.map(plan => plan.id).join(', ')}`
+        : `${product.name} cannot be paid in installments`);
+    }
+  }
+
+  // Only monthly products can be billed monthly, and not also in installments
+  if (!Object.values(BILLING_MODES).includes(billingMode)) {
+    addError('packageData.billingMode', 'INVALID_BILLING_MODE', `Billing mode must be one of ${Object.values(BILLING_MODES).join(', ')}`);
+  } else if (billingMode === BILLING_MODES.SUBSCRIPTION) {
+    if (product.type !== PRODUCT_BILLING_TYPES.MONTHLY) {
+      addError('packageData.billingMode', 'SUBSCRIPTION_NOT_AVAILABLE', `${product.name} is a one-time purchase and cannot be billed monthly`);
+    }
+    if (installmentPlan) {
+      addError('packageData.installmentPlan', 'SUBSCRIPTION_WITH_INSTALLMENTS', 'A monthly subscription cannot also be paid in installments');
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid package selection', errors);
+  }
+
+  return { productType, productId, product, addonIds, addons, duration, installmentPlan, billingMode };
+}
@@ -0,0 +1,58 @@
+// src/utils/portalLoginEmail.js
+import { config } from '../config/index.js';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Link that signs a student in to the portal
+ * @param {string} token - One-time login token
+ */
+export function getPortalLoginUrl(token) {
+  return `${config.FRONTEND_URL}/portal/login?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Render the student portal login email: a one-time link, and the same
+ * login as a code for when the link is opened on another device
+ * @param {Object} options - { fullName, loginUrl, otp, expiresAt }
+ * @returns {Object} - { subject, html }
+ */
+export function renderPortalLoginEmail({ fullName, loginUrl, otp, expiresAt }) {
+  const expiry = new Date(expiresAt).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="background-color: #FC4C03; color: white; padding: 20px; text-align: center;">
+        <h1>SIRTIFAI</h1>
+        <h2>Sign in to your student portal</h2>
+      </div>
+
+      <div style="padding: 20px; background-color: #f9f9f9;">
+        <p>Dear ${escapeHtml(fullName || 'Student')},</p>
+        <p>Use the button below to sign in and see your enrollments, invoices and documents.</p>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${escapeHtml(loginUrl)}" style="background-color: #FC4C03; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">Sign In</a>
+        </div>
+
+        <p>Or enter this code on the sign-in page:</p>
+        <p style="font-size: 24px; font-weight: bold; letter-spacing: 4px; text-align: center;">${escapeHtml(otp)}</p>
+
+        <p>The link and code work once and expire at ${escapeHtml(expiry)}. If you did not ask to sign in, you can ignore this email.</p>
+        <p>If you have any questions, please contact us at support@sirtifai.com</p>
+        <p>Best regards,<br>The SIRTIFAI Team</p>
+      </div>
+
+      <div style="background-color: #333; color: white; padding: 10px; text-align: center; font-size: 12px;">
+        <p>&copy; ${new Date().getFullYear()} SIRTIFAI. All rights reserved.</p>
+      </div>
+    </div>
+  `;
+
+  return { subject: 'Your SIRTIFAI sign-in link', html };
+}
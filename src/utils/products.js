@@ -1,21 +1,52 @@
 // src/utils/products.js
+import Product from '../models/Product.js';
+import { PRODUCT_GROUPS } from '../config/constants.js';
 
-export async function getProductById(type, productId) {
-  const products = await import('../data/products.json', {
-    with: { type: 'json' }
-  }).then(module => module.default);
-
-  if (!products[type]) {
+/**
+ * Get a catalog product (program or addon) with its current price.
+ * Archived products are only returned with { includeArchived: true },
+ * e.g. to look up old enrollments.
+ * @param {string} type - Catalog group (programs, programAddons, ...)
+ * @param {string} productId - Product slug
+ * @param {Object} options - { includeArchived, at (price date) }
+ * @returns {Object|null} - Product in the products.json shape
+ */
+export async function getProductById(type, productId, { includeArchived = false, at = new Date() } = {}) {
+  if (!PRODUCT_GROUPS.includes(type)) {
     console.warn(`Type '${type}' not found in products.`);
     return null;
   }
 
-  const product = products[type][productId];
+  const product = await Product.findInGroup(type, productId, { includeArchived });
 
   if (!product) {
     console.warn(`Product with ID '${productId}' not found in '${type}'.`);
     return null;
   }
 
-  return product;
-}
\ No newline at end of file
+  return product.toCatalogEntry(at);
+}
+
+/**
+ * Get the active catalog grouped like products.json:
+ * { programs: { [id]: product }, programAddons: { ... }, ... }
+ * @param {Date} at - Date the prices should be effective at
+ * @returns {Object} - Catalog
+ */
+export async function getCatalog(at = new Date()) {
+  const products = await Product.find({ archivedAt: null }).sort({ group: 1, sortOrder: 1, name: 1 });
+
+  const catalog = Object.fromEntries(PRODUCT_GROUPS.map(group => [group, {}]));
+  for (const product of products) {
+    catalog[product.group][product.productId] = product.toCatalogEntry(at);
+  }
+
+  return catalog;
+}
+
+// Addon group that belongs to each product type
+export const ADDON_TYPE_MAP = {
+  programs: 'programAddons',
+  freelancer: 'freelancerAddons',
+  international: 'internationalAddons'
+};
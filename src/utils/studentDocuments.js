@@ -0,0 +1,87 @@
+// src/utils/studentDocuments.js
+import { STUDENT_DOCUMENT_KINDS } from '../config/constants.js';
+
+/**
+ * Student documents (ID document, photo) are uploaded as data URLs and kept
+ * in document storage; the Learner holds the storage key, checksum, size
+ * and MIME type. Learners registered earlier may still have the data URL
+ * itself until `npm run documents:migrate` has moved it. These helpers map
+ * a document kind to its fields, work out sizes without decoding, and
+ * decode a data URL.
+ */
+
+export const STUDENT_DOCUMENT_FIELDS = {
+  [STUDENT_DOCUMENT_KINDS.ID_DOCUMENT]: {
+    data: 'idDocumentBase64', // legacy, until migrated to storage
+    name: 'idDocumentName',
+    type: 'idDocumentType',
+    size: 'idDocumentSize',
+    key: 'idDocumentKey',
+    checksum: 'idDocumentChecksum',
+    allowedTypes: ['image/jpeg', 'image/png', 'image/jpg', 'application/pdf'],
+  },
+  [STUDENT_DOCUMENT_KINDS.PHOTO]: {
+    data: 'studentPhotoBase64', // legacy, until migrated to storage
+    name: 'studentPhotoName',
+    type: 'studentPhotoType',
+    size: 'studentPhotoSize',
+    key: 'studentPhotoKey',
+    checksum: 'studentPhotoChecksum',
+    allowedTypes: ['image/jpeg', 'image/png', 'image/jpg'],
+  },
+};
+
+const DATA_URL_PATTERN = /^data:([\w.+-]+\/[\w.+-]+)?(?:;[\w-]+=[\w.-]+)*;base64,/;
+
+/**
+ * Decoded size in bytes of a base64 data URL
+ * @param {string} dataUrl - data:<mime>;base64,<payload>
+ * @returns {number|null} - null if not a base64 data URL
+ */
+export function getDataUrlSize(dataUrl) {
+  const header = DATA_URL_PATTERN.exec(dataUrl || '');
+  if (!header) {
+    return null;
+  }
+
+  const payloadLength = dataUrl.length - header[0].length;
+  const padding = dataUrl.endsWith('==') ? 2 : dataUrl.endsWith('=') ? 1 : 0;
+  return Math.max(Math.floor(payloadLength * 3 / 4) - padding, 0);
+}
+
+/**
+ * Decode a base64 data URL
+ * @param {string} dataUrl
+ * @returns {Object|null} - { mimeType, buffer }, or null if not a base64 data URL
+ */
+export function parseDataUrl(dataUrl) {
+  const header = DATA_URL_PATTERN.exec(dataUrl || '');
+  if (!header) {
+    return null;
+  }
+
+  return {
+    mimeType: header[1] ? header[1].toLowerCase() : null,
+    buffer: Buffer.from(dataUrl.slice(header[0].length), 'base64'),
+  };
+}
+
+/**
+ * Document metadata for listings (no contents)
+ * @param {Object} student - Learner (the document itself needn't be loaded)
+ * @param {string} kind - STUDENT_DOCUMENT_KINDS value
+ * @returns {Object|null} - { kind, name, type, size }, or null if there is no document
+ */
+export function getDocumentMetadata(student, kind) {
+  const fields = STUDENT_DOCUMENT_FIELDS[kind];
+  if (!student[fields.name] && !student[fields.type] && !student[fields.size]) {
+    return null;
+  }
+
+  return {
+    kind,
+    name: student[fields.name] || null,
+    type: student[fields.type] || null,
+    size: student[fields.size] ?? null,
+  };
+}
@@ -0,0 +1,49 @@
+// src/utils/studentLifecycle.js
+import {
+  STUDENT_STATUS_TRANSITIONS,
+  STUDENT_STATUS_PAYMENT_REQUIREMENTS,
+} from '../config/constants.js';
+
+/**
+ * Student lifecycle rules: which status moves are allowed and what
+ * paymentStatus each target status needs. Pure checks; the move itself is
+ * made by studentLifecycleService.
+ */
+
+/**
+ * Why a student can't be moved to a status
+ * @param {Object} student - { status, paymentStatus }
+ * @param {string} to - STUDENT_STATUS value
+ * @returns {Object|null} - { code, message }, or null if the move is allowed
+ */
+export function getTransitionError(student, to) {
+  const allowed = STUDENT_STATUS_TRANSITIONS[student.status] || [];
+  if (!allowed.includes(to)) {
+    return {
+      code: 'INVALID_TRANSITION',
+      message: allowed.length > 0
+        ? `Cannot move a ${student.status} student to ${to}; allowed: ${allowed.join(', ')}`
+        : `${student.status} is a final status`,
+    };
+  }
+
+  const requiredPaymentStatuses = STUDENT_STATUS_PAYMENT_REQUIREMENTS[to];
+  if (requiredPaymentStatuses && !requiredPaymentStatuses.includes(student.paymentStatus)) {
+    return {
+      code: 'PAYMENT_REQUIRED',
+      message: `Moving a student to ${to} needs payment status ${requiredPaymentStatuses.join(' or ')}, not ${student.paymentStatus}`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Statuses a student can be moved to right now
+ * @param {Object} student - { status, paymentStatus }
+ * @returns {Array<string>}
+ */
+export function getAvailableTransitions(student) {
+  return (STUDENT_STATUS_TRANSITIONS[student.status] || [])
+    .filter(to => !getTransitionError(student, to));
+}
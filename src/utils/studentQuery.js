@@ -0,0 +1,190 @@
+// src/utils/studentQuery.js
+import { STUDENT_STATUS, PAYMENT_STATUS, REGISTRATION_SOURCES } from '../config/constants.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * Query builder for the admin student list. Turns query-string filters,
+ * search and sort into a Mongo filter and sort. The list is of
+ * Enrollments; filters on the learner's own details (citizenship, email
+ * verification) go in a separate Learner filter. All problems are
+ * collected and thrown together as a ValidationError whose details are
+ * [{ field, code, message }].
+ */
+
+// Sortable fields; each has an index in Enrollment.js
+export const STUDENT_SORT_FIELDS = [
+  'createdAt',
+  'enrollmentDate',
+  'paymentDate',
+  'studentId',
+  'invoiceNumber',
+  'status',
+  'paymentStatus',
+  'selectedProgram',
+  'programType',
+  'country',
+  'registrationSource',
+];
+
+// Date fields a from/to range can apply to
+export const STUDENT_DATE_FIELDS = ['createdAt', 'enrollmentDate', 'paymentDate'];
+
+const DEFAULT_SORT = '-createdAt';
+const MAX_SEARCH_LENGTH = 100;
+const MAX_FILTER_LENGTH = 200;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Regex for a search term. Phone-like terms match whatever spacing,
+ * dashes or brackets the number was stored with.
+ */
+function searchPattern(term) {
+  const digits = term.replace(/\D/g, '');
+  if (/^\+?[\d\s\-()]+$/.test(term) && digits.length >= 4) {
+    return new RegExp(digits.split('').join('[\\s\\-()]*'));
+  }
+  return new RegExp(escapeRegex(term), 'i');
+}
+
+/**
+ * Build the student list filter and sort from req.query
+ * @param {Object} query - status, paymentStatus (comma-separated lists), programType,
+ *   selectedProgram, country, countryOfCitizenship, registrationSource, referralCode,
+ *   emailVerified (true/false), from, to, dateField, search, sort (e.g. "-createdAt", "studentId")
+ * @returns {Object} - { filter (Enrollment), learnerFilter (Learner), sort, applied }
+ * @throws {ValidationError} - With details for every invalid parameter
+ */
+export function buildStudentListQuery(query = {}) {
+  const errors = [];
+  const addError = (field, code, message) => errors.push({ field, code, message });
+  const filter = {};
+  const learnerFilter = {};
+  const applied = {};
+
+  // Repeated query params arrive as arrays; only one value is accepted
+  const read = (field) => {
+    const value = query[field];
+    if (value === undefined || value === '') {
+      return undefined;
+    }
+    if (typeof value !== 'string') {
+      addError(field, 'INVALID_TYPE', `${field} must be a single value`);
+      return undefined;
+    }
+    if (value.length > MAX_FILTER_LENGTH) {
+      addError(field, 'TOO_LONG', `${field} cannot exceed ${MAX_FILTER_LENGTH} characters`);
+      return undefined;
+    }
+    return value.trim();
+  };
+
+  const enumFilter = (field, allowed) => {
+    const value = read(field);
+    if (value === undefined) {
+      return;
+    }
+    const values = [...new Set(value.split(',').map(item => item.trim().toUpperCase()).filter(Boolean))];
+    const invalid = values.filter(item => !allowed.includes(item));
+    if (invalid.length > 0) {
+      addError(field, 'INVALID_VALUE', `${field} must be one of ${allowed.join(', ')}`);
+      return;
+    }
+    filter[field] = values.length === 1 ? values[0] : { $in: values };
+    applied[field] = values;
+  };
+
+  enumFilter('status', Object.values(STUDENT_STATUS));
+  enumFilter('paymentStatus', Object.values(PAYMENT_STATUS));
+  enumFilter('registrationSource', Object.values(REGISTRATION_SOURCES));
+
+  // Catalog ids are matched exactly
+  ['programType', 'selectedProgram'].forEach(field => {
+    const value = read(field);
+    if (value) {
+      filter[field] = value;
+      applied[field] = value;
+    }
+  });
+
+  // Countries are typed in by students, so case is ignored
+  [['country', filter], ['countryOfCitizenship', learnerFilter]].forEach(([field, target]) => {
+    const value = read(field);
+    if (value) {
+      target[field] = new RegExp(`^${escapeRegex(value)}$`, 'i');
+      applied[field] = value;
+    }
+  });
+
+  const referralCode = read('referralCode');
+  if (referralCode) {
+    filter.referralCode = referralCode.toUpperCase();
+    applied.referralCode = filter.referralCode;
+  }
+
+  const emailVerified = read('emailVerified');
+  if (emailVerified !== undefined) {
+    if (emailVerified === 'true' || emailVerified === 'false') {
+      learnerFilter.isEmailVerified = emailVerified === 'true';
+      applied.emailVerified = learnerFilter.isEmailVerified;
+    } else {
+      addError('emailVerified', 'INVALID_VALUE', 'emailVerified must be true or false');
+    }
+  }
+
+  const dateField = read('dateField') || 'createdAt';
+  if (!STUDENT_DATE_FIELDS.includes(dateField)) {
+    addError('dateField', 'INVALID_VALUE', `dateField must be one of ${STUDENT_DATE_FIELDS.join(', ')}`);
+  }
+  const range = {};
+  [['from', '$gte'], ['to', '$lte']].forEach(([field, operator]) => {
+    const value = read(field);
+    if (value === undefined) {
+      return;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      addError(field, 'INVALID_DATE', `${field} must be a valid date`);
+      return;
+    }
+    range[operator] = date;
+  });
+  if (range.$gte && range.$lte && range.$gte > range.$lte) {
+    addError('from', 'INVALID_RANGE', 'from must be before to');
+  }
+  if (Object.keys(range).length > 0 && STUDENT_DATE_FIELDS.includes(dateField)) {
+    filter[dateField] = range;
+    applied.dateRange = { field: dateField, from: range.$gte, to: range.$lte };
+  }
+
+  const search = read('search');
+  if (search) {
+    if (search.length > MAX_SEARCH_LENGTH) {
+      addError('search', 'TOO_LONG', `search cannot exceed ${MAX_SEARCH_LENGTH} characters`);
+    } else {
+      const pattern = searchPattern(search);
+      filter.$or = ['fullName', 'email', 'primaryPhone', 'invoiceNumber', 'studentId']
+        .map(field => ({ [field]: pattern }));
+      applied.search = search;
+    }
+  }
+
+  const sortParam = read('sort') || DEFAULT_SORT;
+  const sortField = sortParam.replace(/^[-+]/, '');
+  if (!STUDENT_SORT_FIELDS.includes(sortField)) {
+    addError('sort', 'INVALID_VALUE', `sort must be one of ${STUDENT_SORT_FIELDS.join(', ')}, optionally prefixed with -`);
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid student list query', errors);
+  }
+
+  // _id breaks ties so pages don't overlap
+  const direction = sortParam.startsWith('-') ? -1 : 1;
+  return {
+    filter,
+    learnerFilter,
+    sort: { [sortField]: direction, _id: direction },
+    applied: { ...applied, sort: sortParam },
+  };
+}
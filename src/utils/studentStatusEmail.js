@@ -0,0 +1,90 @@
+// src/utils/studentStatusEmail.js
+import { STUDENT_STATUS } from '../config/constants.js';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Heading and body for each status a student can be moved to. The reason
+ * is only shown where the student needs to know it (suspension, cancellation).
+ */
+const getContent = (student, { from, to, reason }) => {
+  const program = escapeHtml(student.programName);
+
+  switch (to) {
+    case STUDENT_STATUS.ENROLLED:
+      return from === STUDENT_STATUS.SUSPENDED
+        ? {
+            subject: `Your ${student.programName} access has been restored - SIRTIFAI`,
+            heading: 'Access restored',
+            body: `<p>Your enrollment in <strong>${program}</strong> is active again. You can continue where you left off.</p>`,
+          }
+        : {
+            subject: `You are enrolled in ${student.programName} - SIRTIFAI`,
+            heading: 'Enrollment confirmed',
+            body: `<p>Your enrollment in <strong>${program}</strong> is confirmed. Our team will be in touch with your onboarding details.</p>`,
+          };
+    case STUDENT_STATUS.SUSPENDED:
+      return {
+        subject: `Your ${student.programName} enrollment has been suspended - SIRTIFAI`,
+        heading: 'Enrollment suspended',
+        body: `<p>Your enrollment in <strong>${program}</strong> has been suspended.</p>
+          <p><strong>Reason:</strong> ${escapeHtml(reason)}</p>`,
+      };
+    case STUDENT_STATUS.COMPLETED:
+      return {
+        subject: `Congratulations on completing ${student.programName} - SIRTIFAI`,
+        heading: 'Program completed',
+        body: `<p>Congratulations! You have completed <strong>${program}</strong>.</p>`,
+      };
+    case STUDENT_STATUS.CANCELLED:
+      return {
+        subject: `Your ${student.programName} enrollment has been cancelled - SIRTIFAI`,
+        heading: 'Enrollment cancelled',
+        body: `<p>Your enrollment in <strong>${program}</strong> has been cancelled.</p>
+          <p><strong>Reason:</strong> ${escapeHtml(reason)}</p>`,
+      };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Render the email telling a student about a status change
+ * @param {Object} student - Student after the change
+ * @param {Object} entry - statusHistory entry { from, to, reason }
+ * @returns {Object|null} - { subject, html }, or null if the change has no email
+ */
+export function renderStudentStatusEmail(student, entry) {
+  const content = getContent(student, entry);
+  if (!content) {
+    return null;
+  }
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="background-color: #FC4C03; color: white; padding: 20px; text-align: center;">
+        <h1>SIRTIFAI</h1>
+        <h2>${escapeHtml(content.heading)}</h2>
+      </div>
+
+      <div style="padding: 20px; background-color: #f9f9f9;">
+        <p>Dear ${escapeHtml(student.fullName)},</p>
+        ${content.body}
+        <p><strong>Student ID:</strong> ${escapeHtml(student.studentId)}</p>
+        <p>If you have any questions, please contact us at support@sirtifai.com</p>
+        <p>Best regards,<br>The SIRTIFAI Team</p>
+      </div>
+
+      <div style="background-color: #333; color: white; padding: 10px; text-align: center; font-size: 12px;">
+        <p>&copy; ${new Date().getFullYear()} SIRTIFAI. All rights reserved.</p>
+      </div>
+    </div>
+  `;
+
+  return { subject: content.subject, html };
+}
@@ -0,0 +1,134 @@
+// src/utils/subscriptions.js
+import crypto from 'crypto';
+import { SUBSCRIPTION_STATUS } from '../config/constants.js';
+
+/**
+ * Monthly subscription rules: access end dates, and which charge a payment
+ * or invoice link belongs to. An enrollment billed by subscription records
+ * the first month's pricing, addons included; later charges are the
+ * program's month alone (subscription.amountINR). The first charge is the
+ * checkout payment, so it has no invoice number or invoice link of its own -
+ * the enrollment's are used. Pure helpers; charges, cancellation and lapsed
+ * access are handled by subscriptionService.
+ */
+
+// Razorpay statuses after which a subscription charges no more
+export const ENDED_SUBSCRIPTION_STATUSES = [SUBSCRIPTION_STATUS.CANCELLED, SUBSCRIPTION_STATUS.COMPLETED, SUBSCRIPTION_STATUS.EXPIRED];
+
+/**
+ * Add calendar months to a date; the day is clamped to the end of shorter
+ * months (31 January + 1 month is the end of February)
+ * @param {Date} date - Start
+ * @param {number} months - Months to add
+ * @returns {Date}
+ */
+export function addMonths(date, months) {
+  const start = new Date(date);
+  const result = new Date(start);
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+  return result;
+}
+
+/**
+ * Period a charge pays for: a month from the end of the access already paid
+ * for, or from the payment if access had lapsed (or this is the first charge)
+ * @param {Date|null} accessEndsAt - Current end of access
+ * @param {Date} paidAt - When the charge was paid
+ * @returns {Object} - { periodStart, periodEnd }
+ */
+export function getChargePeriod(accessEndsAt, paidAt) {
+  const periodStart = accessEndsAt && new Date(accessEndsAt) > new Date(paidAt) ? new Date(accessEndsAt) : new Date(paidAt);
+  return { periodStart, periodEnd: addMonths(periodStart, 1) };
+}
+
+/**
+ * Amount a charge is due: the first is the enrollment's total, later ones
+ * the monthly amount. Enrollments billed before addons were charged once
+ * have no monthly amount and charge their total every month.
+ * @param {Object} student - Enrollment billed by subscription
+ * @param {number} number - Charge number, from 1
+ * @returns {number} - INR
+ */
+export function getChargeAmountINR(student, number) {
+  return number === 1 ? student.totalINR : student.subscription?.amountINR ?? student.totalINR;
+}
+
+/**
+ * Build the record of a charge; later charges get their own invoice link
+ * @param {number} number - Charge number, from 1
+ * @param {Object} fields - { amountINR, paidAt, razorpayPaymentId, razorpayOrderId, razorpayInvoiceId, periodStart, periodEnd }
+ * @returns {Object}
+ */
+export function buildSubscriptionCharge(number, fields) {
+  return {
+    number,
+    ...fields,
+    ...(number > 1 ? { invoiceLink: crypto.randomUUID() } : {}),
+  };
+}
+
+/**
+ * Whether an enrollment is billed monthly by subscription
+ * @param {Object} student - Enrollment (document or plain object)
+ */
+export function isSubscription(student) {
+  return Boolean(student.subscription?.razorpaySubscriptionId);
+}
+
+/**
+ * Whether a subscription has stopped charging (cancelled, completed or expired)
+ * @param {Object} student - Enrollment billed by subscription
+ */
+export function isSubscriptionEnded(student) {
+  return ENDED_SUBSCRIPTION_STATUSES.includes(student.subscription?.status);
+}
+
+/**
+ * The charge a payment paid
+ * @param {Object} student - Enrollment
+ * @param {string} paymentId - Razorpay payment id
+ * @returns {Object|null}
+ */
+export function findChargeByPaymentId(student, paymentId) {
+  return (student.subscription?.charges || []).find(charge => charge.razorpayPaymentId === paymentId) || null;
+}
+
+/**
+ * The charge an invoice link shows
+ * @param {Object} student - Enrollment
+ * @param {string} invoiceLink - Enrollment or charge invoice link
+ * @returns {Object|null} - Charge, or null when the enrollment is not billed by subscription
+ */
+export function findChargeByInvoiceLink(student, invoiceLink) {
+  const charges = student.subscription?.charges || [];
+  if (invoiceLink === student.invoiceLink) {
+    return charges[0] || null;
+  }
+  return charges.find(charge => charge.invoiceLink === invoiceLink) || null;
+}
+
+/**
+ * Invoice number and link of a charge
+ * @param {Object} student - Enrollment
+ * @param {Object} charge - One of its subscription charges
+ * @returns {Object} - { invoiceNumber, invoiceLink }
+ */
+export function getChargeInvoice(student, charge) {
+  return charge.number === 1
+    ? { invoiceNumber: student.invoiceNumber, invoiceLink: student.invoiceLink }
+    : { invoiceNumber: charge.invoiceNumber, invoiceLink: charge.invoiceLink };
+}
+
+/**
+ * Amount charged so far
+ * @param {Object} student - Enrollment billed by subscription
+ * @returns {number} - INR
+ */
+export function getPaidChargesINR(student) {
+  const paise = (student.subscription?.charges || [])
+    .reduce((sum, charge) => sum + Math.round(charge.amountINR * 100), 0);
+  return paise / 100;
+}
@@ -0,0 +1,150 @@
+// src/utils/tax.js
+import { config } from '../config/index.js';
+import { DEFAULT_GST_RATE, GST_RATES_BY_SAC, TAX_TYPES } from '../config/constants.js';
+
+/**
+ * GST computation
+ * All catalog prices are GST-inclusive, so tax is backed out of each amount.
+ * Intra-state supplies are split into CGST + SGST at half the rate each;
+ * inter-state supplies (including buyers outside India) carry IGST.
+ */
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const normalizeState = (state) => String(state || '').toLowerCase().replace(/[^a-z]/g, '');
+
+const isIndia = (country) => !country || ['india', 'in', 'ind'].includes(normalizeState(country));
+
+/**
+ * GST rate (%) for a SAC code
+ * @param {string} sacCode - SAC code from the product catalog
+ * @returns {number} - GST rate in percent
+ */
+export function getGstRate(sacCode) {
+  return GST_RATES_BY_SAC[sacCode] ?? DEFAULT_GST_RATE;
+}
+
+/**
+ * Decide whether a sale is intra-state (CGST + SGST) or inter-state (IGST)
+ * @param {string} buyerState - Buyer's state
+ * @param {string} buyerCountry - Buyer's country
+ * @param {string} companyState - Company's registered state
+ * @returns {string} - One of TAX_TYPES
+ */
+export function getTaxType(buyerState, buyerCountry, companyState = config.COMPANY_STATE) {
+  if (!companyState || !isIndia(buyerCountry)) {
+    return TAX_TYPES.INTER_STATE;
+  }
+  return normalizeState(buyerState) === normalizeState(companyState)
+    ? TAX_TYPES.INTRA_STATE
+    : TAX_TYPES.INTER_STATE;
+}
+
+/**
+ * Split a GST-inclusive amount into taxable value and tax components
+ * @param {number} amount - GST-inclusive amount in INR
+ * @param {number} rate - GST rate in percent
+ * @param {string} taxType - One of TAX_TYPES
+ * @returns {Object} - Taxable value and CGST/SGST/IGST amounts
+ */
+export function splitInclusiveAmount(amount, rate, taxType) {
+  const total = round2(amount || 0);
+  const taxableValue = round2(total / (1 + rate / 100));
+  const totalTax = round2(total - taxableValue);
+
+  if (taxType === TAX_TYPES.INTRA_STATE) {
+    const cgstAmount = round2(totalTax / 2);
+    return {
+      taxableValue,
+      cgstRate: rate / 2,
+      cgstAmount,
+      sgstRate: rate / 2,
+      sgstAmount: round2(totalTax - cgstAmount),
+      igstRate: 0,
+      igstAmount: 0,
+      totalTax,
+      total,
+    };
+  }
+
+  return {
+    taxableValue,
+    cgstRate: 0,
+    cgstAmount: 0,
+    sgstRate: 0,
+    sgstAmount: 0,
+    igstRate: rate,
+    igstAmount: totalTax,
+    totalTax,
+    total,
+  };
+}
+
+/**
+ * Spread an order-level discount over GST-inclusive line items in proportion
+ * to their amounts. The last item absorbs rounding so shares sum exactly.
+ * @param {Array} items - [{ amount }]
+ * @param {number} discount - Discount in INR
+ * @returns {Array<number>} - Discount share per item
+ */
+export function allocateDiscount(items, discount) {
+  const gross = items.reduce((acc, item) => acc + (item.amount || 0), 0);
+  const total = round2(Math.min(discount || 0, gross));
+
+  if (total <= 0 || gross <= 0) {
+    return items.map(() => 0);
+  }
+
+  let allocated = 0;
+  return items.map((item, index) => {
+    if (index === items.length - 1) {
+      return round2(total - allocated);
+    }
+    const share = round2(total * (item.amount || 0) / gross);
+    allocated += share;
+    return share;
+  });
+}
+
+/**
+ * Compute GST for a set of GST-inclusive line items
+ * A discount reduces each line's inclusive amount before tax is backed out,
+ * so GST is charged on the reduced taxable value.
+ * @param {Object} options
+ * @param {Array} options.items - [{ description, sacCode, quantity, amount }]
+ * @param {string} options.buyerState - Buyer's state
+ * @param {string} options.buyerCountry - Buyer's country
+ * @param {number} options.discount - Order-level discount in INR (optional)
+ * @returns {Object} - { taxType, lineItems, totals }
+ */
+export function computeTax({ items, buyerState, buyerCountry, discount = 0 }) {
+  const taxType = getTaxType(buyerState, buyerCountry);
+  const discounts = allocateDiscount(items, discount);
+
+  const lineItems = items.map((item, index) => {
+    const rate = getGstRate(item.sacCode);
+    return {
+      ...item,
+      gstRate: rate,
+      discount: discounts[index],
+      ...splitInclusiveAmount((item.amount || 0) - discounts[index], rate, taxType),
+    };
+  });
+
+  const sum = (key) => round2(lineItems.reduce((acc, item) => acc + item[key], 0));
+
+  return {
+    taxType,
+    lineItems,
+    totals: {
+      grossAmount: round2(items.reduce((acc, item) => acc + (item.amount || 0), 0)),
+      discount: sum('discount'),
+      taxableValue: sum('taxableValue'),
+      cgstAmount: sum('cgstAmount'),
+      sgstAmount: sum('sgstAmount'),
+      igstAmount: sum('igstAmount'),
+      totalTax: sum('totalTax'),
+      total: sum('total'),
+    },
+  };
+}